@@ -45,14 +45,17 @@ app.use((err, _req, res, _next) => {
   // Determine HTTP status code
   const statusCode = err.status || 500;
   
-  // Don't expose error details in production
+  // Don't expose server error details in production; client errors (4xx)
+  // describe the caller's own input and are always returned
   const isDevelopment = process.env.NODE_ENV === 'development';
+  const isClientError = statusCode < 500;
   
   // Build error response (monomorphic shape)
   const errorResponse = {
     error: {
-      message: isDevelopment ? err.message : 'Internal server error',
+      message: isDevelopment || isClientError ? err.message : 'Internal server error',
       code: err.code || 'INTERNAL_ERROR',
+      details: err.details ?? undefined,
       stack: isDevelopment ? err.stack : undefined
     }
   };
@@ -4,6 +4,8 @@
 import { z } from 'zod';
 import { ConfigurationError } from '../utils/errors.js';
 import process from 'node:process';
+import os from 'node:os';
+import path from 'node:path';
 /**
  * Define expected environment variables and their types
  */
@@ -24,9 +26,53 @@ const envSchema = z.object({
   // Optional settings
   CORS_ORIGIN: z.string().default('http://localhost:3000'),
   
+  // Data rows per worksheet before an xlsx export rolls over to a new sheet
+  // (Excel's limit is 1,048,576 rows including the header row)
+  EXPORT_SHEET_ROW_LIMIT: z.coerce.number().int().positive().max(1048575).default(1048575),
+  
+  // Set to 'false' to skip column number formats/alignment in xlsx exports
+  // (e.g. to compare streaming memory with and without the style table)
+  EXPORT_COLUMN_STYLES: z.enum(['true', 'false']).default('true').transform((value) => value === 'true'),
+  
+  // How string cells starting with = + - @ tab or CR are neutralized:
+  // escape (prefix '), strip (remove the leading characters) or reject
+  EXPORT_FORMULA_POLICY: z.enum(['escape', 'strip', 'reject']).default('escape'),
+  
+  // Where background export jobs (POST /export/jobs) store their files:
+  // local (EXPORT_JOB_DIR) or s3 (any S3-compatible service, e.g. MinIO)
+  EXPORT_STORAGE: z.enum(['local', 's3']).default('local'),
+  
+  // Directory of the local storage
+  EXPORT_JOB_DIR: z.string().min(1).default(path.join(os.tmpdir(), 'excel-export-jobs'))
+    .transform((directory) => path.resolve(directory)),
+  
+  // S3 storage: bucket and credentials are required when EXPORT_STORAGE=s3.
+  // Objects are addressed path-style (<endpoint>/<bucket>/<prefix><job id>);
+  // the endpoint defaults to AWS S3 in EXPORT_S3_REGION
+  EXPORT_S3_ENDPOINT: z.string().url().optional(),
+  EXPORT_S3_REGION: z.string().min(1).default('us-east-1'),
+  EXPORT_S3_BUCKET: z.string().min(1).optional(),
+  EXPORT_S3_PREFIX: z.string().default('exports/'),
+  EXPORT_S3_ACCESS_KEY_ID: z.string().min(1).optional(),
+  EXPORT_S3_SECRET_ACCESS_KEY: z.string().min(1).optional(),
+  // Multipart upload part size; S3 requires at least 5 MB per part but the last
+  EXPORT_S3_PART_SIZE_MB: z.coerce.number().int().min(5).max(5120).default(8),
+  
+  // Finished jobs and their files are deleted after this many hours; the
+  // cleanup also removes files left over from earlier runs of the API
+  EXPORT_RETENTION_HOURS: z.coerce.number().positive().default(24),
+  EXPORT_CLEANUP_INTERVAL_MINUTES: z.coerce.number().positive().default(15),
+  
   // JWT authentication
   JWT_SECRET: z.string().min(32, 'JWT_SECRET must be at least 32 characters'),
   JWT_EXPIRES_IN: z.string().optional(), // API only verifies tokens, BFF generates them
+}).superRefine((env, ctx) => {
+  if (env.EXPORT_STORAGE !== 's3') return;
+  for (const name of ['EXPORT_S3_BUCKET', 'EXPORT_S3_ACCESS_KEY_ID', 'EXPORT_S3_SECRET_ACCESS_KEY']) {
+    if (env[name] === undefined) {
+      ctx.addIssue({ code: 'custom', path: [name], message: `${name} is required when EXPORT_STORAGE=s3` });
+    }
+  }
 });
 
 /**
@@ -41,7 +87,7 @@ export const validateEnv = () => {
     const result = envSchema.safeParse(process.env);
     
     if (!result.success) {
-      const missingVars = result.error.errors
+      const missingVars = result.error.issues
         .map(err => `${err.path.join('.')}: ${err.message}`)
         .join(', ');
       
@@ -1,6 +1,8 @@
 /**
  * Export configuration and validation
  */
+import { ValidationError } from '../utils/errors.js';
+import { DEFAULT_TIMEZONE, canonicalTimezone } from '../utils/timezones.js';
 
 /**
  * Default row count for exports
@@ -9,8 +11,10 @@ export const DEFAULT_ROW_COUNT = 30000;
 
 /**
  * Maximum allowed row count (safety limit)
+ * xlsx exports larger than one sheet roll over into additional worksheets
+ * (see EXPORT_SHEET_ROW_LIMIT and utils/worksheetRollover.js)
  */
-export const MAX_ROW_COUNT = 1048576;
+export const MAX_ROW_COUNT = 5000000;
 
 /**
  * Minimum row count
@@ -18,19 +22,205 @@ export const MAX_ROW_COUNT = 1048576;
 export const MIN_ROW_COUNT = 1;
 
 /**
- * Validates and sanitizes row count parameter
- * @param {string|number} value - Row count value from request
- * @returns {number} Validated row count
+ * Output formats available on /export/report, keyed by the `format=` value
+ * The first entry is the default when the client expresses no preference.
  */
-export const validateRowCount = (value) => {
-  // Parse the value
-  const parsed = Number.parseInt(value, 10);
-  
-  // Return default if invalid
-  if (Number.isNaN(parsed)) {
-    return DEFAULT_ROW_COUNT;
+export const EXPORT_FORMATS = {
+  xlsx: {
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  },
+  csv: { mimeType: 'text/csv', extension: 'csv' },
+  ndjson: { mimeType: 'application/x-ndjson', extension: 'ndjson' },
+  json: { mimeType: 'application/json', extension: 'json' },
+};
+
+/**
+ * Parses an optional boolean query parameter ("true"/"false", "1"/"0")
+ * @param {string} name - Query parameter name (for error messages)
+ * @param {*} value - Raw query value
+ * @param {boolean} fallback - Default used when value is absent
+ * @returns {boolean} Parsed value
+ * @throws {ValidationError} If value is not a recognised boolean
+ */
+export const validateBooleanOption = (name, value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  if (value === 'true' || value === '1') {
+    return true;
+  }
+  if (value === 'false' || value === '0') {
+    return false;
+  }
+  throw new ValidationError(`${name} must be true or false`);
+};
+
+/**
+ * Resolves the tz= query parameter to a canonical IANA time zone
+ * @param {*} value - Raw query value, e.g. "Europe/Berlin" (any case)
+ * @param {string} [fallback=DEFAULT_TIMEZONE] - Zone used when tz= is absent (the report default)
+ * @returns {string} Canonical zone name
+ * @throws {ValidationError} If the value (or fallback) is not a known IANA zone
+ */
+export const validateTimezone = (value, fallback = DEFAULT_TIMEZONE) => {
+  const name = value === undefined || value === '' ? fallback : value;
+  const timezone = canonicalTimezone(name);
+  if (!timezone) {
+    throw new ValidationError(`tz must be an IANA time zone such as Europe/Berlin or UTC (got "${String(name).slice(0, 64)}")`);
+  }
+  return timezone;
+};
+
+/**
+ * Default CSV dialect (RFC 4180)
+ */
+export const DEFAULT_CSV_DELIMITER = ',';
+export const DEFAULT_CSV_QUOTE = '"';
+
+/**
+ * Validates a single-character CSV dialect option
+ * @param {string} name - Query parameter name (for error messages)
+ * @param {*} value - Raw query value
+ * @param {string} fallback - Default used when value is absent
+ * @returns {string} Validated character
+ * @throws {ValidationError} If value is not a single usable character
+ */
+const validateCsvCharacter = (name, value, fallback) => {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  if (typeof value !== 'string' || value.length !== 1) {
+    throw new ValidationError(`${name} must be a single character`);
+  }
+  if (value === '\r' || value === '\n') {
+    throw new ValidationError(`${name} cannot be a line break`);
+  }
+  return value;
+};
+
+/**
+ * Validates CSV delimiter and quote character query parameters
+ * @param {Object} query - Express req.query
+ * @returns {{ delimiter: string, quote: string }} Validated CSV options
+ * @throws {ValidationError} If either option is invalid or they collide
+ */
+export const validateCsvOptions = (query = {}) => {
+  const delimiter = validateCsvCharacter('delimiter', query.delimiter, DEFAULT_CSV_DELIMITER);
+  const quote = validateCsvCharacter('quote', query.quote, DEFAULT_CSV_QUOTE);
+
+  if (delimiter === quote) {
+    throw new ValidationError('delimiter and quote must be different characters');
+  }
+
+  return { delimiter, quote };
+};
+
+/**
+ * Parses the columns= query parameter (comma-separated column keys)
+ *
+ * Only the syntax is checked here; names are matched against the result
+ * set once its columns are known (see selectColumns in columnMapper.js).
+ *
+ * @param {*} value - Raw query value, e.g. "Id,ColDate,ColDecimal"
+ * @returns {Array<string>|null} Column keys in requested order, or null for all columns
+ * @throws {ValidationError} If the list is malformed, has empty entries or duplicates
+ */
+export const validateColumnSelection = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new ValidationError('columns must be a single comma-separated list');
+  }
+
+  const names = value.split(',').map((name) => name.trim());
+  if (names.includes('')) {
+    throw new ValidationError('columns must not contain empty names');
+  }
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    throw new ValidationError(`columns lists ${[...new Set(duplicates)].join(', ')} more than once`);
+  }
+
+  return names;
+};
+
+/**
+ * Longest job owner identity accepted
+ */
+export const MAX_JOB_OWNER_LENGTH = 200;
+
+/**
+ * Validates the body of POST /export/jobs
+ *
+ * `parameters` holds the query parameters of the matching GET export
+ * (rowCount, columns, filter[…], tz, delimiter, …) as one flat object.
+ * Values are handed to the export as strings, exactly as a query string
+ * would carry them, so a job accepts and rejects the same values as the
+ * download.
+ *
+ * `owner` identifies the end user the job belongs to. The BFF sets it from
+ * its caller identity header (and discards any value sent by the browser),
+ * then only lets that caller see, download or cancel the job.
+ *
+ * @param {*} body - Parsed JSON body, e.g.
+ *   { reportId: 'generated-data', format: 'csv', parameters: { rowCount: 500000 }, owner: 'alice' }
+ * @returns {{ reportId: string, query: Object, owner: string|null }} Report id,
+ *   the export's query and the job owner (null when not given)
+ * @throws {ValidationError} If the body or one of its fields has the wrong shape
+ */
+export const validateJobRequest = (body) => {
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (!isObject(body)) {
+    throw new ValidationError('Request body must be a JSON object');
+  }
+
+  const { reportId, format, parameters = {}, owner = null } = body;
+  if (typeof reportId !== 'string' || reportId === '') {
+    throw new ValidationError('reportId must be a report id such as generated-data');
+  }
+  if (format !== undefined && typeof format !== 'string') {
+    throw new ValidationError('format must be a string such as xlsx or csv');
+  }
+  if (!isObject(parameters)) {
+    throw new ValidationError('parameters must be an object of query parameters');
+  }
+  if (owner !== null && (typeof owner !== 'string' || owner === '' || owner.length > MAX_JOB_OWNER_LENGTH)) {
+    throw new ValidationError(`owner must be a non-empty string of at most ${MAX_JOB_OWNER_LENGTH} characters`);
+  }
+
+  const query = {};
+  for (const [name, value] of Object.entries(parameters)) {
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new ValidationError(`parameters.${name} must be a string, number or boolean`);
+    }
+    query[name] = String(value);
+  }
+  if (format !== undefined) query.format = format;
+
+  return { reportId, query, owner };
+};
+
+/**
+ * Longest cancellation reason kept in a job's status
+ */
+export const MAX_CANCEL_REASON_LENGTH = 200;
+
+/**
+ * Validates the optional body of DELETE /export/jobs/:jobId
+ *
+ * @param {*} body - Parsed JSON body ({ reason? }), or undefined when the
+ *   request has none
+ * @returns {string} Cancellation reason ('Cancelled by request' by default)
+ * @throws {ValidationError} If reason is not a non-empty string of at most
+ *   MAX_CANCEL_REASON_LENGTH characters
+ */
+export const validateCancelRequest = (body) => {
+  const reason = body?.reason;
+  if (reason === undefined) return 'Cancelled by request';
+  if (typeof reason !== 'string' || reason.trim() === '' || reason.length > MAX_CANCEL_REASON_LENGTH) {
+    throw new ValidationError(`reason must be a non-empty string of at most ${MAX_CANCEL_REASON_LENGTH} characters`);
   }
-  
-  // Clamp to min/max bounds
-  return Math.max(MIN_ROW_COUNT, Math.min(MAX_ROW_COUNT, parsed));
+  return reason.trim();
 };
@@ -0,0 +1,205 @@
+/**
+ * Report registry
+ *
+ * Each entry describes one exportable report; the streaming engine in
+ * controllers/exportController.js reads everything it needs from here, so
+ * adding a report means adding an entry — no new controller or route.
+ *
+ * Report definition:
+ *   - title:           human-readable name
+ *   - description:     one-line summary shown in the catalog (GET /export)
+ *   - procedure:       stored procedure executed in streaming mode
+ *   - source:          optional view or inline table-valued function with the
+ *                      same columns, queried instead of the procedure when the
+ *                      request filters or sorts (see utils/exportFilters.js):
+ *                        { view: 'dbo.vwName' } or
+ *                        { function: 'dbo.fnName', arguments: ['RowCount'] }
+ *                      `arguments` are procedure input names passed in order;
+ *                      reports without a source reject filter[...] and sort=
+ *   - params:          Zod object schema for the query parameters the report
+ *                      accepts (helpers in utils/paramSchemas.js); every
+ *                      invalid field is reported in one 400 response
+ *   - parameters:      procedure inputs, each
+ *                        { name, type (mssql type), query, serialize? }
+ *                      binding the validated `query` value with
+ *                      request.input(name, type, value); `serialize` converts
+ *                      values mssql cannot bind directly (e.g. an integer
+ *                      list to a comma-separated string). Absent optional
+ *                      values are bound as NULL
+ *   - columns:         static column definitions, used when the procedure
+ *                      returns no result-set metadata
+ *   - columnOverrides: per-key rules merged over the metadata-derived columns
+ *                      (see utils/columnMetadata.js)
+ *   - transforms:      optional row transform stages applied between the
+ *                      database and the writer, in order: computed columns,
+ *                      lookups, unit conversion, masking
+ *                      (see utils/rowTransforms.js); columns= and the catalog
+ *                      list their output columns
+ *   - resultSets:      optional, for procedures returning several result sets:
+ *                      per set by position { sheetName, columnOverrides, transforms };
+ *                      each set becomes its own worksheet (see utils/resultSets.js)
+ *   - primaryResultSet: index of the set the fields above, columns= and the
+ *                      text formats apply to (default 0)
+ *   - worksheet:       worksheet layout options (see utils/worksheetLayout.js)
+ *   - includeSummary:  default for the summary= parameter (xlsx only)
+ *   - timezone:        IANA time zone dates are rendered in unless the request
+ *                      passes tz= (default UTC; see utils/timezones.js)
+ *   - locale:          language the headers and sheet names above are written
+ *                      in (default "en")
+ *   - translations:    per language tag { headers (by column key), sheetNames
+ *                      (by untranslated name) }, picked with lang= or
+ *                      Accept-Language (see utils/locales.js)
+ *   - filenamePrefix:  download filename prefix (a timestamp is appended)
+ *   - formats:         allowed output formats (keys of EXPORT_FORMATS);
+ *                      the first is the default
+ *   - roles:           caller roles allowed to run the report, checked by the
+ *                      BFF; omit (or leave empty) for a report anyone may run
+ */
+import mssql from 'mssql';
+import { z } from 'zod';
+import { DEFAULT_ROW_COUNT, MIN_ROW_COUNT, MAX_ROW_COUNT, EXPORT_FORMATS } from './export.js';
+import {
+  REPORT_COLUMNS,
+  REPORT_COLUMN_OVERRIDES,
+  JSON_REPORT_COLUMNS,
+  JSON_REPORT_COLUMN_OVERRIDES,
+  REPORT_WORKSHEET_OPTIONS,
+  REPORT_INCLUDE_SUMMARY,
+  REPORT_TRANSLATIONS,
+} from '../utils/columnMapper.js';
+import { NotFoundError } from '../utils/errors.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezones.js';
+import { reportLocales, reportTranslation } from '../utils/locales.js';
+import { queryInt, parseQueryParameters, toParameterJsonSchema } from '../utils/paramSchemas.js';
+import { primaryResultSetIndex, resolveResultSetColumns } from '../utils/resultSets.js';
+
+/**
+ * Id of the report served by the fixed /export/report routes
+ */
+export const DEFAULT_REPORT_ID = 'generated-data';
+
+/**
+ * The built-in report of synthetic data (spGenerateData)
+ *
+ * Its filter source, fnGenerateData, has the same columns but not the same
+ * values: a function cannot call NEWID(), so it derives each row from a hash
+ * of its Id. Filtered or sorted exports therefore return the same rows on
+ * every run, while the procedure generates new ones each time.
+ */
+const GENERATED_DATA_REPORT = {
+  title: 'Generated test data',
+  description: 'Synthetic rows covering every column type, generated by the database:'
+    + ' random on every run, or the same pseudo-random rows on every run when filtered or sorted',
+  procedure: 'spGenerateData',
+  source: { function: 'dbo.fnGenerateData', arguments: ['RowCount'] },
+  params: z.object({
+    rowCount: queryInt({ min: MIN_ROW_COUNT, max: MAX_ROW_COUNT })
+      .default(DEFAULT_ROW_COUNT)
+      .describe('Number of rows to generate'),
+  }),
+  parameters: [
+    { name: 'RowCount', type: mssql.Int, query: 'rowCount' },
+  ],
+  columns: REPORT_COLUMNS,
+  columnOverrides: REPORT_COLUMN_OVERRIDES,
+  worksheet: REPORT_WORKSHEET_OPTIONS,
+  includeSummary: REPORT_INCLUDE_SUMMARY,
+  translations: REPORT_TRANSLATIONS,
+  filenamePrefix: 'report',
+  formats: Object.keys(EXPORT_FORMATS),
+};
+
+/**
+ * Registered reports, keyed by report id (the :reportId route segment)
+ */
+export const REPORTS = {
+  'generated-data': GENERATED_DATA_REPORT,
+  'generated-data-json': {
+    ...GENERATED_DATA_REPORT,
+    title: 'Generated test data, JSON expanded',
+    description: 'The generated test data with the ColJson text split into typed ColJson.k and ColJson.s columns',
+    columns: JSON_REPORT_COLUMNS,
+    columnOverrides: JSON_REPORT_COLUMN_OVERRIDES,
+    filenamePrefix: 'report-json',
+  },
+};
+
+/**
+ * Looks up a report definition by id
+ * @param {string} reportId - Report id from the route
+ * @returns {Object} Report definition with its `id`
+ * @throws {NotFoundError} If no report is registered under the id
+ */
+export const getReport = (reportId) => {
+  if (!Object.hasOwn(REPORTS, reportId)) {
+    throw new NotFoundError(`Unknown report "${reportId}"`, 'REPORT_NOT_FOUND');
+  }
+  return { id: reportId, ...REPORTS[reportId] };
+};
+
+/**
+ * Validates a report's parameters from the query string and pairs each
+ * value with its procedure input
+ * @param {Object} report - Report definition
+ * @param {Object} query - Express req.query
+ * @returns {Array<{ name: string, type: Function, query: string, value: * }>} Parameters to bind
+ * @throws {ValidationError} Listing every invalid field if the schema rejects the query
+ */
+export const resolveReportParameters = (report, query = {}) => {
+  const values = parseQueryParameters(report.params, query);
+  return report.parameters.map(({ name, type, query: key, serialize }) => {
+    const value = values[key] ?? null;
+    return {
+      name,
+      type,
+      query: key,
+      value: serialize && value !== null ? serialize(value) : value,
+    };
+  });
+};
+
+/**
+ * Resolved parameters as a plain object keyed by query name (for logs and
+ * the Summary sheet)
+ * @param {Array<Object>} parameters - Output of resolveReportParameters()
+ * @returns {Object} e.g. { rowCount: 30000 }
+ */
+export const describeReportParameters = (parameters) =>
+  Object.fromEntries(parameters.map(({ query, value }) => [query, value]));
+
+/**
+ * Catalog entry for a report: everything a client needs to build a form and
+ * call the export without hard-coding columns or routes
+ * @param {Object} report - Report definition with its `id`
+ * @param {string} [locale] - Language of the column headers (default: the report's own)
+ * @returns {Object} { id, title, description, href, formats, timezone, locale, locales,
+ *   parameters (JSON Schema), columns, roles }
+ */
+export const describeReport = (report, locale = reportLocales(report)[0]) => ({
+  id: report.id,
+  title: report.title,
+  description: report.description ?? null,
+  href: `/export/${encodeURIComponent(report.id)}`,
+  formats: report.formats,
+  timezone: report.timezone ?? DEFAULT_TIMEZONE,
+  locale,
+  locales: reportLocales(report),
+  parameters: toParameterJsonSchema(report.params),
+  columns: resolveResultSetColumns(report, primaryResultSetIndex(report), null, null, {
+    translation: reportTranslation(report, locale),
+  })
+    .map(({ key, header, type }) => ({ key, header, type })),
+  roles: report.roles ?? [],
+});
+
+/**
+ * Catalog of every registered report (GET /export)
+ * @param {Function} [pickLocale] - (report) => locale of its column headers
+ *   (default: each report's own language)
+ * @returns {Array<Object>} Output of describeReport() for each report
+ */
+export const getReportCatalog = (pickLocale) =>
+  Object.keys(REPORTS).map((reportId) => {
+    const report = getReport(reportId);
+    return describeReport(report, pickLocale?.(report));
+  });
@@ -0,0 +1,30 @@
+/**
+ * REPORT CATALOG
+ *
+ * Lists the registered reports with their parameters (as JSON Schema),
+ * formats and columns, so clients can discover what to call instead of
+ * hard-coding report ids, routes or column keys.
+ *
+ * Response: 200 { reports: [{ id, title, description, href, formats, timezone,
+ *                             locale, locales, parameters, columns, roles }] }
+ *
+ * Column headers are in the language picked from lang= or Accept-Language,
+ * per report (see utils/locales.js).
+ *
+ * The API does not know who the end user is; `roles` is returned so the BFF
+ * can hide reports the caller may not run.
+ */
+import { getReportCatalog } from '../config/reports.js';
+import { negotiateLocale } from '../utils/locales.js';
+
+/**
+ * GET /export
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws {ValidationError} If lang= is not a language tag
+ */
+export const listReportCatalog = (req, res) => {
+  const reports = getReportCatalog((report) => negotiateLocale(req, report));
+  res.vary('Accept-Language');
+  res.json({ reports });
+};
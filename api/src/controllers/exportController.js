@@ -1,13 +1,41 @@
 import process from 'node:process';
 import ExcelJS from 'exceljs';
-import mssql from 'mssql';
 import { debugAPI } from "../../../shared/src/debug.js";
 import { createMemoryLogger } from '../../../shared/src/memory.js';
 import { getConnectionPool } from '../services/mssql.js';
 import { generateTimestampedFilename } from '../utils/filename.js';
-import { REPORT_COLUMNS, mapRowToExcel } from '../utils/columnMapper.js';
-import { DEFAULT_ROW_COUNT, validateRowCount } from '../config/export.js';
-import { ExportError, DatabaseError } from '../utils/errors.js';
+import {
+  createRowMapper,
+  columnsUseStyles,
+  toWorksheetColumns,
+  createExcelRowFormatter,
+} from '../utils/columnMapper.js';
+import { createCsvFormat, createNdjsonFormat, createJsonArrayFormat } from '../utils/textFormats.js';
+import { negotiateExportFormat } from '../utils/formatNegotiation.js';
+import {
+  EXPORT_FORMATS,
+  validateCsvOptions,
+  validateBooleanOption,
+  validateColumnSelection,
+  validateTimezone,
+} from '../config/export.js';
+import { createRollingWorksheet } from '../utils/worksheetRollover.js';
+import { createWorksheetLayout, worksheetLayoutUsesStyles } from '../utils/worksheetLayout.js';
+import { createColumnAggregator } from '../utils/columnAggregator.js';
+import { addSummaryWorksheet, SUMMARY_SHEET_NAME } from '../utils/summaryWorksheet.js';
+import { getEnv } from '../config/env.js';
+import { resolveReportParameters, describeReportParameters } from '../config/reports.js';
+import { primaryResultSetIndex, resultSetSheetName, resolveResultSet } from '../utils/resultSets.js';
+import {
+  validateExportCriteria,
+  hasExportCriteria,
+  describeExportCriteria,
+  buildSourceQuery,
+} from '../utils/exportFilters.js';
+import { createTimezone } from '../utils/timezones.js';
+import { negotiateLocale, reportTranslation, localizeSheetName } from '../utils/locales.js';
+import { createPrecisionTracker, PRECISION_LOST_HEADER } from '../utils/numericPrecision.js';
+import { AppError, ExportError, DatabaseError } from '../utils/errors.js';
 
 /**
  * STREAMING EXPORT CONTROLLER
@@ -16,6 +44,16 @@ import { ExportError, DatabaseError } from '../utils/errors.js';
  * 1. streamReportExport() - Memory-efficient streaming (RECOMMENDED)
  * 2. bufferReportExport() - Buffered export loads all data into memory (for comparison)
  * 
+ * streamReportCsvExport(), streamReportNdjsonExport() and streamReportJsonExport()
+ * stream the same rows as text (CSV, newline-delimited JSON, JSON array).
+ * exportReport() picks one of the streaming handlers by content negotiation.
+ * 
+ * Every handler exports the report found on res.locals.report (set by
+ * middlewares/report.js from config/reports.js): its stored procedure,
+ * typed parameters, columns, filename prefix and allowed formats. The
+ * query parameters documented below are those of the built-in
+ * "generated-data" report; other reports declare their own.
+ * 
  * KEY DIFFERENCES:
  * - Streaming: Rows are piped directly from MSSQL → ExcelJS → HTTP response
  *   - Low memory footprint (constant throughout)
@@ -28,6 +66,142 @@ import { ExportError, DatabaseError } from '../utils/errors.js';
  *   - Useful for testing memory limits
  */
 
+/**
+ * Binds resolved report parameters to an mssql request
+ * @param {Object} request - mssql Request
+ * @param {Array<{ name: string, type: Function, value: * }>} parameters - From resolveReportParameters()
+ */
+const bindParameters = (request, parameters) => {
+  for (const { name, type, value } of parameters) {
+    request.input(name, type, value);
+  }
+};
+
+/**
+ * Resolves the time zone dates are rendered in: tz= or the report's default
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} report - Report definition
+ * @returns {Object} From createTimezone()
+ * @throws {ValidationError} If tz= is not an IANA time zone
+ */
+const resolveExportTimezone = (req, report) => createTimezone(validateTimezone(req.query.tz, report.timezone));
+
+/**
+ * Resolves the language of headers and sheet names: lang=, Accept-Language
+ * or the report's own (see utils/locales.js)
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} report - Report definition
+ * @returns {{ locale: string, translation: Object|null }}
+ * @throws {ValidationError} If lang= is not a language tag
+ */
+const resolveExportLocale = (req, report) => {
+  const locale = negotiateLocale(req, report);
+  return { locale, translation: reportTranslation(report, locale) };
+};
+
+/**
+ * Rows between memory checkpoints of the streaming exports, which also
+ * report progress to a background job
+ */
+const CHECKPOINT_ROWS = 5000;
+
+/**
+ * Reports the rows written so far to the export's progress listener:
+ * background jobs set res.locals.onProgress (see services/exportJobs.js),
+ * downloads have none
+ * @param {import('express').Response} res - Express response (or file response)
+ * @param {number} rowsWritten - Rows written so far
+ */
+const reportProgress = (res, rowsWritten) => res.locals.onProgress?.({ rowsWritten });
+
+/**
+ * Whether a streamed export can end with trailers: only a chunked HTTP/1.1
+ * body carries them, and Node refuses a Trailer header on any other
+ * response (ERR_HTTP_TRAILER_INVALID), e.g. to HTTP/1.0 clients or HEAD.
+ * Streamed exports never set Content-Length, so HTTP/1.1 bodies are chunked.
+ * @param {import('express').Request} req - Express request object
+ * @returns {boolean}
+ */
+const acceptsTrailers = (req) => req.httpVersion === '1.1' && req.method !== 'HEAD';
+
+/**
+ * Sets the download headers of an export
+ * @param {import('express').Response} res - Express response object
+ * @param {Object} download
+ * @param {string} download.contentType - MIME type
+ * @param {string} download.filename - Attachment filename
+ * @param {string} download.locale - Language of headers and sheet names
+ * @param {boolean} [download.trailer=false] - Counts known only at the end
+ *   are announced as trailers (see acceptsTrailers)
+ */
+const setDownloadHeaders = (res, { contentType, filename, locale, trailer = false }) => {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Language', locale);
+  if (trailer) res.setHeader('Trailer', PRECISION_LOST_HEADER);
+  // Headers and sheet names follow Accept-Language, so caches must key on it
+  res.vary('Accept-Language');
+};
+
+/**
+ * Logs a warning for values written with lost precision and reports their
+ * count in PRECISION_LOST_HEADER: a trailer once the body is streaming, a
+ * header before it has started. A streamed response without trailers only
+ * logs it (the Summary sheet still lists it with summary=true).
+ * @param {import('express').Response} res - Express response object
+ * @param {Object} tracker - From createPrecisionTracker()
+ * @param {Object} [options]
+ * @param {boolean} [options.trailer=false] - Send as a trailer (see setDownloadHeaders)
+ */
+const reportPrecisionLoss = (res, tracker, { trailer = false } = {}) => {
+  const lost = tracker.total();
+  if (lost > 0) {
+    const columns = tracker.results().map(({ key, count }) => `${key} (${count})`).join(', ');
+    debugAPI(`Warning: ${lost} value(s) written with lost precision: ${columns}`);
+  }
+  if (trailer) {
+    res.addTrailers({ [PRECISION_LOST_HEADER]: String(lost) });
+  } else if (!res.headersSent) {
+    res.setHeader(PRECISION_LOST_HEADER, String(lost));
+  }
+};
+
+/**
+ * Records the time zone and language in the workbook properties
+ * (docProps/core.xml), so the file says which zone its dates are in
+ * wherever it is opened
+ * @param {Object} workbook - ExcelJS Workbook or stream.xlsx.WorkbookWriter
+ * @param {Object} properties
+ * @param {Object} properties.timezone - From createTimezone()
+ * @param {string} properties.locale - From negotiateLocale()
+ */
+const recordWorkbookProperties = (workbook, { timezone, locale }) => {
+  workbook.description = `Dates and times in ${timezone.name}`;
+  workbook.keywords = `timezone=${timezone.name}`;
+  workbook.language = locale;
+};
+
+/**
+ * Runs the report: its stored procedure, or a parameterized query against
+ * its view / table-valued function when the request filters or sorts
+ * @param {Object} request - mssql Request (streaming or not)
+ * @param {Object} report - Report definition
+ * @param {Array<Object>} parameters - From resolveReportParameters()
+ * @param {Object} criteria - From validateExportCriteria()
+ * @returns {Promise<Object>} mssql result
+ */
+const executeReport = (request, report, parameters, criteria) => {
+  bindParameters(request, parameters);
+  if (!hasExportCriteria(criteria)) {
+    debugAPI(`Executing ${report.procedure}`);
+    return request.execute(report.procedure);
+  }
+  const { sql, inputs } = buildSourceQuery(report, criteria);
+  bindParameters(request, inputs);
+  debugAPI(`Querying ${report.id} source: ${sql}`);
+  return request.query(sql);
+};
+
 /**
  * STREAMING EXCEL EXPORT
  * 
@@ -35,8 +209,13 @@ import { ExportError, DatabaseError } from '../utils/errors.js';
  * No data is buffered in memory - each row is processed and written immediately.
  * 
  * Query Parameters:
- *   - rowCount: Number of rows to export (default: 30000, max: 1000000)
+ *   - rowCount: Number of rows to export (default: 30000, max: 5000000)
  *     Example: GET /export/report?rowCount=50000
+ *   - columns: Comma-separated column keys to include, in output order (default: all)
+ *   - summary: true|false — append a "Summary" sheet (default: report.includeSummary)
+ *   - tz: IANA time zone dates are shown in (default: report.timezone, else UTC)
+ *   - lang: language of headers and sheet names (default: Accept-Language,
+ *     else report.locale); see utils/locales.js
  * 
  * Memory Profile:
  *   - Constant memory usage regardless of row count
@@ -44,15 +223,22 @@ import { ExportError, DatabaseError } from '../utils/errors.js';
  *   - Suitable for 30k+ rows without risk of OOM
  * 
  * Flow:
- *   1. Validate row count from query parameter
- *   2. Set HTTP response headers (Excel file download)
- *   3. Create ExcelJS streaming workbook (writes directly to response stream)
- *   4. Connect to MSSQL and execute stored procedure in streaming mode
+ *   1. Validate the report parameters from the query string
+ *   2. Connect to MSSQL and execute stored procedure in streaming mode
+ *   3. On each 'recordset' event, derive columns from the result-set metadata
+ *      (the report's columnOverrides on top, narrowed by columns= for the
+ *      primary result set) and open a worksheet for that result set
+ *      (see utils/resultSets.js), committing the previous one
+ *   4. On the first, set HTTP response headers (Excel file download) and
+ *      create the ExcelJS streaming workbook (writes directly to response stream)
  *   5. For each row from database:
+ *      - Run the report's row transforms (see utils/rowTransforms.js)
  *      - Map database columns to Excel format
  *      - Write to worksheet and commit immediately
+ *      - Roll over to a new worksheet at EXPORT_SHEET_ROW_LIMIT rows
  *      - Track row count and memory usage
  *   6. When all rows received, finalize workbook and close response
+ *      (optionally appending the Summary sheet with streamed totals)
  *   7. Log peak memory usage and performance metrics
  * 
  * Error Handling:
@@ -72,37 +258,137 @@ export const streamReportExport = async (req, res, next) => {
   let rowCount = 0;
   let streamRequest = null;
   let streamError = false; // Guard against multiple simultaneous error handlers
-  
-  // Get and validate row count from query parameter
-  // validateRowCount() ensures value is between MIN_ROW_COUNT and MAX_ROW_COUNT
-  const requestedRows = validateRowCount(req.query.rowCount || DEFAULT_ROW_COUNT);
+  const { report } = res.locals;
   
   try {
+    const env = getEnv();
+    
+    // PROCEDURE PARAMETERS: parsed from the query string as declared by the
+    // report's schema (e.g. rowCount → @RowCount); invalid fields are a 400
+    const parameters = resolveReportParameters(report, req.query);
+    
+    // FILTER / SORT: whitelisted against the report's columns and run as a
+    // parameterized query on the report's source (see utils/exportFilters.js)
+    const criteria = validateExportCriteria(report, req.query);
+    const parameterSummary = { ...describeReportParameters(parameters), ...describeExportCriteria(criteria) };
+    
+    // SUMMARY: totals are folded in per row so the Summary sheet needs no
+    // second pass over the data
+    const includeSummary = validateBooleanOption('summary', req.query.summary, report.includeSummary);
+    
+    // COLUMN SELECTION: syntax is checked now; names are checked against
+    // the result set when its columns arrive (unknown names → 400)
+    const selection = validateColumnSelection(req.query.columns);
+    
+    // TIME ZONE: datetime cells show the wall-clock time in this zone
+    // (see utils/timezones.js); recorded in the workbook properties
+    const timezone = resolveExportTimezone(req, report);
+    
+    // LOCALE: translated headers and sheet names, from lang= or Accept-Language
+    const { locale, translation } = resolveExportLocale(req, report);
+    
+    // PRECISION: BIGINT/DECIMAL values written with lost precision are
+    // counted as rows stream (see utils/numericPrecision.js) and reported
+    // in a trailer where the response can carry one
+    const precision = createPrecisionTracker();
+    const trailer = acceptsTrailers(req);
+    const resolveOptions = { translation, tracker: precision };
+    
     // LOG: Initial state
-    debugAPI(
-      `Starting streaming Excel export (${requestedRows} rows requested)`,
-    );
+    debugAPI(`Starting streaming Excel export of ${report.id} (${timezone.name}, ${locale})`, parameterSummary);
     memoryLogger('Export'); // Log initial memory baseline
     
-    // RESPONSE SETUP
-    // Configure HTTP response to trigger browser download
-    // Content-Disposition header tells browser to save as file, not display
-    const filename = generateTimestampedFilename();
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    
-    // EXCEL WORKBOOK SETUP (STREAMING)
-    // ExcelJS WorkbookWriter streams directly to res (HTTP response)
-    // This is the key to memory efficiency - data never fully buffered in memory
-    // useStyles/useSharedStrings set to false for minimal memory overhead
-    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
-      stream: res,                    // Write directly to HTTP response stream
-      useStyles: false,               // Skip Excel styles to reduce memory
-      useSharedStrings: false         // Disable shared strings for streaming
-    });
+    // WORKBOOK STATE
+    // Columns are only known once mssql emits the result-set metadata
+    // ('recordset' event, before the first row of each result set), so the
+    // workbook is created by startWorkbook() for the first result set and
+    // each result set gets its own worksheet from startResultSet()
+    const primarySet = primaryResultSetIndex(report);
+    let workbook = null;
+    let useStyles = false;
+    let worksheet = null;       // Rolling worksheet of the current result set
+    let sheetCount = 0;         // Sheets of the result sets already committed
+    let resultSetIndex = -1;    // Advanced by each 'recordset' event
+    let aggregator = null;      // Summary totals of the primary result set
+    let rowAggregator = null;   // aggregator while the primary set streams
+    let transformRow = null;    // Row transform pipeline of the current result set
+    let mapRow = null;
+    let formatExcelRow = null;
+    let memoryLabel = 'Export';
     
-    const worksheet = workbook.addWorksheet('Report');
-    worksheet.columns = REPORT_COLUMNS; // Define columns from schema
+    /**
+     * Creates the streaming workbook and sets the download headers
+     * @param {Array<Object>} columns - Output columns of the first result set
+     */
+    const startWorkbook = (columns) => {
+      // STYLES: only pay for the style table when the columns declare
+      // number formats or alignment, or the layout styles the header row.
+      // Later result sets are not known yet, so reports declaring several
+      // keep the style table whenever column styles are enabled.
+      // The memory label records which mode ran so peak usage can be
+      // compared with EXPORT_COLUMN_STYLES on and off.
+      const multipleResultSets = (report.resultSets?.length ?? 0) > 1;
+      useStyles = worksheetLayoutUsesStyles(report.worksheet)
+        || (env.EXPORT_COLUMN_STYLES && (multipleResultSets || columnsUseStyles(columns)));
+      memoryLabel = useStyles ? 'Export (styled)' : 'Export';
+      
+      // RESPONSE SETUP
+      // Configure HTTP response to trigger browser download
+      // Content-Disposition header tells browser to save as file, not display.
+      // Set only once the columns are valid, so errors before this point
+      // go out as plain JSON.
+      const filename = generateTimestampedFilename(report.filenamePrefix, EXPORT_FORMATS.xlsx.extension);
+      setDownloadHeaders(res, { contentType: EXPORT_FORMATS.xlsx.mimeType, filename, locale, trailer });
+      
+      // EXCEL WORKBOOK SETUP (STREAMING)
+      // ExcelJS WorkbookWriter streams directly to res (HTTP response)
+      // This is the key to memory efficiency - data never fully buffered in memory
+      // useSharedStrings is always false for minimal memory overhead; useStyles
+      // is on only when column formats need it (see above)
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+        stream: res,                    // Write directly to HTTP response stream
+        useStyles,                      // Style table only when columns declare formats
+        useSharedStrings: false         // Disable shared strings for streaming
+      });
+      recordWorkbookProperties(workbook, { timezone, locale });
+    };
+    
+    /**
+     * Commits the previous result set's worksheet and opens one for the
+     * next result set, with its own columns and row helpers
+     * @param {number} index - Zero-based result-set index
+     * @param {{ columns: Array<Object>, transform: Function }} resultSet - From resolveResultSet()
+     */
+    const startResultSet = (index, { columns, transform }) => {
+      if (!workbook) startWorkbook(columns);
+      if (worksheet) {
+        worksheet.commit(); // Flush the finished sheet before the next one starts
+        sheetCount += worksheet.sheetCount;
+      }
+      
+      const columnStyles = useStyles && env.EXPORT_COLUMN_STYLES && columnsUseStyles(columns);
+      debugAPI(`Result set ${index + 1} columns: ${columns.map((column) => column.key).join(', ')} (styles ${columnStyles ? 'on' : 'off'})`);
+      
+      transformRow = transform;
+      formatExcelRow = createExcelRowFormatter(columns, { timezone });
+      mapRow = createRowMapper(columns, { formulaPolicy: env.EXPORT_FORMULA_POLICY });
+      if (index === primarySet && includeSummary) {
+        aggregator = createColumnAggregator(columns);
+      }
+      rowAggregator = index === primarySet ? aggregator : null;
+      
+      // ROLLING WORKSHEET
+      // Starts on the result set's sheet name ("Report" for the primary set)
+      // and continues on "Report (2)", "Report (3)", … once
+      // EXPORT_SHEET_ROW_LIMIT data rows have been written to a sheet.
+      // Every sheet gets the report layout (header style, frozen panes, filter).
+      worksheet = createRollingWorksheet(workbook, {
+        columns: toWorksheetColumns(columns, { useStyles: columnStyles }),
+        baseName: resultSetSheetName(report, index, translation),
+        rowLimit: env.EXPORT_SHEET_ROW_LIMIT,
+        layout: createWorksheetLayout(report.worksheet, columns.length),
+      });
+    };
     
     // RESPONSE STREAM ERROR HANDLER
     // If the client disconnects and a write is attempted before the close
@@ -118,32 +404,55 @@ export const streamReportExport = async (req, res, next) => {
       }
     });
     
+    // CLIENT DISCONNECT HANDLING
+    // If browser closes connection mid-stream, clean up database request
+    // This prevents orphaned database queries consuming resources.
+    // Registered before the pool is awaited: a client that is gone by then
+    // (or a background job cancelled that early) must not start the query.
+    let disconnected = false;
+    req.on('close', () => {
+      if (!res.writableEnded) {
+        disconnected = true;
+        debugAPI(`Client disconnected after ${rowCount} rows`);
+        memoryLogger.logPeakSummary(`${memoryLabel} - Peak (Disconnected)`);
+        
+        // Cancel the database request if it's still active
+        if (streamRequest) {
+          streamRequest.cancel();
+        }
+      }
+    });
+    
     // DATABASE CONNECTION
     // Get connection from pool and enable streaming mode
     const pool = await getConnectionPool();
+    if (disconnected) {
+      debugAPI('Client disconnected before the query started');
+      return;
+    }
     streamRequest = pool.request();
     streamRequest.stream = true; // Enable streaming - events emitted per row instead of loadAll
     
-    // LOG: Database execution
-    debugAPI(
-      `Executing stored procedure in streaming mode with ${requestedRows} rows`,
-    );
-    
-    // STORED PROCEDURE EXECUTION
-    // Execute with row count parameter
-    // In streaming mode, this emits 'row' events as data flows from MSSQL
-    streamRequest.input("RowCount", mssql.Int, requestedRows);
-    streamRequest.execute('spGenerateData').catch((err) => {
+    // SHARED ERROR PATH
+    // Used by execute() rejection, stream 'error' events and row mapping
+    // failures (e.g. the reject formula policy). Application errors keep
+    // their own status and code; anything else is reported as a database error.
+    const handleStreamError = (err) => {
       if (streamError) return; // Prevent double-handling
       streamError = true;
-      debugAPI("Execute failed:", err);
+      debugAPI("Export stream error:", err);
+      
       if (res.headersSent) {
-        res.destroy(err);
+        res.destroy(err); // Abort the in-flight transfer
       } else {
-        const dbError = new DatabaseError('Database error occurred', err);
+        const appError = err instanceof AppError ? err : new DatabaseError('Database error occurred', err);
         try {
-          res.status(dbError.status).json({
-            error: { message: dbError.message, code: dbError.code }
+          res.status(appError.status).json({
+            error: {
+              message: appError.message,
+              code: appError.code,
+              details: appError.details ?? undefined
+            }
           });
         } catch (error_) {
           debugAPI("Failed to send error response:", error_);
@@ -152,19 +461,50 @@ export const streamReportExport = async (req, res, next) => {
       if (streamRequest) {
         streamRequest.cancel();
       }
-    });
+    };
+    
+    // STORED PROCEDURE EXECUTION
+    // Execute with the report's typed parameters (or query its source when
+    // filtering/sorting). In streaming mode, this emits 'row' events as data
+    // flows from MSSQL
+    executeReport(streamRequest, report, parameters, criteria).catch(handleStreamError);
     
     // EVENT HANDLERS (Database → Excel → HTTP)
     // These async listeners handle the streaming data flow
     
+    // RECORDSET EVENT: Fired with column metadata before the first row of
+    // each result set. Header names, widths and value types come from the
+    // result set, with the report's overrides and row transforms applied
+    // on top; every result set is written to its own worksheet
+    streamRequest.on('recordset', (metadata) => {
+      resultSetIndex++;
+      if (streamError) return;
+      try {
+        startResultSet(resultSetIndex, resolveResultSet(report, resultSetIndex, metadata, selection, resolveOptions));
+      } catch (err) {
+        handleStreamError(err);
+      }
+    });
+    
     // ROW EVENT: Fired for each row returned from database
     // This is where data flows from MSSQL → ExcelJS → HTTP response
     streamRequest.on('row', (row) => {
+      if (streamError) return;
       rowCount++;
       
-      // Map database columns to Excel row format and write immediately
-      // .commit() writes the row to the underlying stream without buffering
-      worksheet.addRow(mapRowToExcel(row)).commit();
+      // Transform, map to Excel row format and write immediately. The
+      // transforms are synchronous, so the backpressure check below still
+      // runs once per row and nothing queues up between stages
+      // Rows are committed to the underlying stream without buffering
+      try {
+        if (!worksheet) startResultSet(primarySet, resolveResultSet(report, primarySet, null, selection, resolveOptions));
+        const mapped = mapRow(transformRow(row));
+        rowAggregator?.add(mapped);
+        worksheet.addRow(formatExcelRow(mapped));
+      } catch (err) {
+        handleStreamError(err);
+        return;
+      }
       
       // BACKPRESSURE: If the response stream buffer is full, pause the
       // database stream until the client catches up. Without this, a slow
@@ -176,56 +516,55 @@ export const streamReportExport = async (req, res, next) => {
       
       // MEMORY TRACKING: Log memory usage periodically
       // Every 5000 rows, check memory to detect potential issues
-      if (rowCount % 5000 === 0) {
-        memoryLogger(`Export - ${rowCount} rows`);
+      if (rowCount % CHECKPOINT_ROWS === 0) {
+        memoryLogger(`${memoryLabel} - ${rowCount} rows`);
         debugAPI(`Processed ${rowCount} rows`);
+        reportProgress(res, rowCount);
       }
     });
     
     // ERROR EVENT: Fired if database streaming fails
     // Could indicate: connection lost, timeout, SQL error, etc.
-    streamRequest.on('error', (err) => {
-      if (streamError) return; // Prevent double-handling
-      streamError = true;
-      debugAPI("SQL stream error:", err);
-      
-      if (res.headersSent) {
-        res.destroy(err); // Abort the in-flight transfer
-      } else {
-        const dbError = new DatabaseError('Database error occurred', err);
-        try {
-          res.status(dbError.status).json({
-            error: {
-              message: dbError.message,
-              code: dbError.code
-            }
-          });
-        } catch (error_) {
-          debugAPI("Failed to send error response:", error_);
-        }
-      }
-      if (streamRequest) {
-        streamRequest.cancel();
-      }
-    });
+    streamRequest.on('error', handleStreamError);
     
     // DONE EVENT: Fired when all rows are sent and database stream closes
     // This is where we finalize the Excel file
     streamRequest.on('done', async () => {
+      if (streamError) return; // Response already failed or was aborted
       try {
-        debugAPI(`SQL stream complete. Total rows: ${rowCount}`);
+        // No result set at all: still deliver a valid workbook
+        if (!worksheet) startResultSet(primarySet, resolveResultSet(report, primarySet, null, selection, resolveOptions));
         
         // WORKBOOK FINALIZATION
         // These calls close the Excel stream and ensure all data is flushed
         // They must complete before we can end the HTTP response
-        await worksheet.commit();
+        worksheet.commit();
+        sheetCount += worksheet.sheetCount;
+        debugAPI(`SQL stream complete. Total rows: ${rowCount} from ${resultSetIndex + 1} result set(s) across ${sheetCount} sheet(s)`);
+        
+        // SUMMARY SHEET: parameters, timing and the totals accumulated above
+        const duration = Date.now() - startTime;
+        if (includeSummary) {
+          addSummaryWorksheet(workbook, {
+            parameters: { ...parameterSummary, ...(selection && { columns: selection.join(',') }) },
+            generatedAt: new Date(startTime),
+            totalRows: rowCount,
+            durationMs: duration,
+            sheetCount,
+            timezone: timezone.name,
+            sheetName: localizeSheetName(SUMMARY_SHEET_NAME, translation),
+            precisionLost: precision.results(),
+            aggregates: aggregator?.results() ?? [],
+          });
+        }
+        reportPrecisionLoss(res, precision, { trailer });
+        reportProgress(res, rowCount);
         await workbook.commit();
         
         // LOGGING & METRICS
-        const duration = Date.now() - startTime;
         debugAPI(`Export complete: ${rowCount} rows in ${duration}ms`);
-        memoryLogger('Export - Complete'); // Final current memory snapshot
-        memoryLogger.logPeakSummary('Export - Peak'); // Peak memory during entire operation
+        memoryLogger(`${memoryLabel} - Complete`); // Final current memory snapshot
+        memoryLogger.logPeakSummary(`${memoryLabel} - Peak`); // Peak memory during entire operation
         
         // Close the HTTP response (browser receives complete file)
         res.end();
@@ -251,27 +590,318 @@ export const streamReportExport = async (req, res, next) => {
       }
     });
     
-    // CLIENT DISCONNECT HANDLING
-    // If browser closes connection mid-stream, clean up database request
-    // This prevents orphaned database queries consuming resources
+  } catch (err) {
+    // INITIALIZATION ERRORS
+    // Errors setting up the export (before streaming starts)
+    debugAPI("Error setting up export stream:", err);
+    next(err); // Pass to Express global error handler
+  }
+};
+
+/**
+ * STREAMING TEXT EXPORT (CSV / NDJSON / JSON)
+ * 
+ * Same data and streaming model as streamReportExport(), written in a text
+ * format instead of xlsx. Each row is formatted and written to the response
+ * as it arrives from the mssql 'row' event — nothing is buffered.
+ * 
+ * The format descriptor (see utils/textFormats.js) supplies the framing:
+ * prologue before the first row, separator between rows, epilogue at the
+ * end. The descriptor is built from the result-set columns when mssql
+ * emits the 'recordset' event; the prologue is written lazily with the
+ * first row so a database failure before any data can still be reported
+ * as a JSON error response.
+ * 
+ * Error Handling:
+ *   - Same strategy as streamReportExport(): JSON error before headers are
+ *     sent, res.destroy() mid-stream, cancel the database request on
+ *     client disconnect
+ * 
+ * @param {string} label - Format name for logs (e.g. 'CSV')
+ * @param {Function} createFormat - (req) => (columns, { timezone }) => text format
+ *   descriptor; the outer call validates format options and may throw ValidationError
+ * @returns {import('express').RequestHandler} Express handler
+ */
+const createTextExportHandler = (label, createFormat) => async (req, res, next) => {
+  // INITIALIZATION
+  const startTime = Date.now();
+  const memoryLogger = createMemoryLogger(process, debugAPI);
+  let rowCount = 0;
+  let streamRequest = null;
+  let streamError = false; // Guard against multiple simultaneous error handlers
+  const { report } = res.locals;
+  
+  try {
+    // Validate parameters and format options before touching the database
+    // so invalid values (e.g. CSV delimiter) still get a clean 400 response
+    const parameters = resolveReportParameters(report, req.query);
+    const criteria = validateExportCriteria(report, req.query);
+    const buildFormat = createFormat(req);
+    const selection = validateColumnSelection(req.query.columns);
+    const timezone = resolveExportTimezone(req, report);
+    const { locale, translation } = resolveExportLocale(req, report);
+    const precision = createPrecisionTracker();
+    const trailer = acceptsTrailers(req);
+    const resolveOptions = { translation, tracker: precision };
+    const { EXPORT_FORMULA_POLICY: formulaPolicy } = getEnv();
+    
+    debugAPI(
+      `Starting streaming ${label} export of ${report.id} (${timezone.name}, ${locale})`,
+      { ...describeReportParameters(parameters), ...describeExportCriteria(criteria) },
+    );
+    memoryLogger(`${label} Export`);
+    
+    // FORMAT STATE: created from the result-set columns by startFormat()
+    // Text formats hold a single table, so only the report's primary result
+    // set is exported; rows of any other result set are skipped
+    const primarySet = primaryResultSetIndex(report);
+    let resultSetIndex = -1; // Advanced by each 'recordset' event
+    let format = null;
+    let transformRow = null;
+    let mapRow = null;
+    
+    /**
+     * Builds the format and row helpers for the resolved columns and sets
+     * the download headers (nothing has been written yet at this point)
+     * @param {{ columns: Array<Object>, transform: Function }} resultSet - From resolveResultSet()
+     */
+    const startFormat = ({ columns, transform }) => {
+      transformRow = transform;
+      format = buildFormat(columns, { timezone });
+      mapRow = createRowMapper(columns, { formulaPolicy });
+      
+      // RESPONSE SETUP
+      const filename = generateTimestampedFilename(report.filenamePrefix, format.extension);
+      setDownloadHeaders(res, { contentType: format.contentType, filename, locale, trailer });
+    };
+    
+    // RESPONSE STREAM ERROR HANDLER (see streamReportExport)
+    res.on('error', (err) => {
+      if (streamError) return;
+      streamError = true;
+      debugAPI("Response stream error:", err);
+      if (streamRequest) {
+        streamRequest.cancel();
+      }
+    });
+    
+    // CLIENT DISCONNECT HANDLING (see streamReportExport): registered
+    // before the pool is awaited, so a query is never started for a client
+    // or a cancelled job that is already gone
+    let disconnected = false;
     req.on('close', () => {
       if (!res.writableEnded) {
+        disconnected = true;
         debugAPI(`Client disconnected after ${rowCount} rows`);
-        memoryLogger.logPeakSummary('Export - Peak (Disconnected)');
-        
-        // Cancel the database request if it's still active
+        memoryLogger.logPeakSummary(`${label} Export - Peak (Disconnected)`);
         if (streamRequest) {
           streamRequest.cancel();
         }
       }
     });
     
+    // DATABASE CONNECTION
+    const pool = await getConnectionPool();
+    if (disconnected) {
+      debugAPI('Client disconnected before the query started');
+      return;
+    }
+    streamRequest = pool.request();
+    streamRequest.stream = true;
+    
+    // Shared error path for execute() rejection, stream 'error' events and
+    // row mapping failures (see streamReportExport)
+    const handleStreamError = (err) => {
+      if (streamError) return; // Prevent double-handling
+      streamError = true;
+      debugAPI("Export stream error:", err);
+      if (res.headersSent) {
+        res.destroy(err);
+      } else {
+        const appError = err instanceof AppError ? err : new DatabaseError('Database error occurred', err);
+        try {
+          res.status(appError.status).json({
+            error: { message: appError.message, code: appError.code, details: appError.details ?? undefined }
+          });
+        } catch (error_) {
+          debugAPI("Failed to send error response:", error_);
+        }
+      }
+      if (streamRequest) {
+        streamRequest.cancel();
+      }
+    };
+    
+    executeReport(streamRequest, report, parameters, criteria).catch(handleStreamError);
+    
+    // RECORDSET EVENT: column metadata arrives before the first row of
+    // each result set
+    streamRequest.on('recordset', (metadata) => {
+      resultSetIndex++;
+      if (streamError || resultSetIndex !== primarySet) return;
+      try {
+        startFormat(resolveResultSet(report, primarySet, metadata, selection, resolveOptions));
+      } catch (err) {
+        handleStreamError(err);
+      }
+    });
+    
+    // ROW EVENT: format and write each row immediately
+    streamRequest.on('row', (row) => {
+      if (streamError) return;
+      if (resultSetIndex !== -1 && resultSetIndex !== primarySet) return;
+      let text;
+      try {
+        if (!format) startFormat(resolveResultSet(report, primarySet, null, selection, resolveOptions));
+        text = format.formatRow(mapRow(transformRow(row)));
+      } catch (err) {
+        handleStreamError(err);
+        return;
+      }
+      const framing = rowCount === 0 ? format.prologue : format.separator;
+      rowCount++;
+      
+      res.write(framing + text);
+      
+      // BACKPRESSURE: same pause/resume strategy as the xlsx path
+      if (res.writableLength > res.writableHighWaterMark) {
+        streamRequest.pause();
+        res.once('drain', () => streamRequest.resume());
+      }
+      
+      if (rowCount % CHECKPOINT_ROWS === 0) {
+        memoryLogger(`${label} Export - ${rowCount} rows`);
+        debugAPI(`Processed ${rowCount} rows`);
+        reportProgress(res, rowCount);
+      }
+    });
+    
+    streamRequest.on('error', handleStreamError);
+    
+    // DONE EVENT: an empty result set still produces a well-formed document
+    streamRequest.on('done', () => {
+      if (streamError) return;
+      try {
+        // No result set at all: resolve the columns from the report alone
+        if (!format) startFormat(resolveResultSet(report, primarySet, null, selection, resolveOptions));
+        
+        res.write((rowCount === 0 ? format.prologue : '') + format.epilogue);
+        reportPrecisionLoss(res, precision, { trailer });
+        reportProgress(res, rowCount);
+        
+        const duration = Date.now() - startTime;
+        debugAPI(`${label} export complete: ${rowCount} rows in ${duration}ms`);
+        memoryLogger(`${label} Export - Complete`);
+        memoryLogger.logPeakSummary(`${label} Export - Peak`);
+        
+        res.end();
+      } catch (err) {
+        handleStreamError(err);
+      }
+    });
+    
   } catch (err) {
-    // INITIALIZATION ERRORS
-    // Errors setting up the export (before streaming starts)
-    debugAPI("Error setting up export stream:", err);
-    next(err); // Pass to Express global error handler
+    debugAPI("Error setting up text export stream:", err);
+    next(err);
+  }
+};
+
+/**
+ * STREAMING CSV EXPORT
+ * 
+ * Query Parameters:
+ *   - rowCount: Number of rows to export (default: 30000, max: 5000000)
+ *   - columns: Comma-separated column keys to include, in output order (default: all)
+ *   - delimiter: Field delimiter, single character (default: ",")
+ *   - quote: Quote character, single character (default: '"')
+ *     Example: GET /export/report.csv?rowCount=50000&delimiter=;
+ *   - lang: language of the header record (default: Accept-Language, else report.locale)
+ * 
+ * Output: header record from the result-set columns, then one RFC 4180
+ * record per row. Dates are ISO 8601 in the tz= zone (UTC: "…Z", otherwise
+ * with the offset), null values are empty fields.
+ */
+export const streamReportCsvExport = createTextExportHandler('CSV', (req) => {
+  const options = validateCsvOptions(req.query);
+  return (columns, { timezone }) => createCsvFormat(columns, { ...options, timezone });
+});
+
+/**
+ * STREAMING NDJSON EXPORT
+ * 
+ * Query Parameters:
+ *   - rowCount: Number of rows to export (default: 30000, max: 5000000)
+ *   - columns: Comma-separated column keys to include, in output order (default: all)
+ * 
+ * Output: one JSON object per line, keys in result-set column order
+ * (column keys, never translated).
+ * Value encodings are documented in utils/jsonEncoder.js.
+ */
+export const streamReportNdjsonExport = createTextExportHandler(
+  'NDJSON',
+  () => createNdjsonFormat,
+);
+
+/**
+ * STREAMING JSON ARRAY EXPORT
+ * 
+ * Query Parameters:
+ *   - rowCount: Number of rows to export (default: 30000, max: 5000000)
+ *   - columns: Comma-separated column keys to include, in output order (default: all)
+ * 
+ * Output: a single JSON array of row objects, streamed element by element.
+ * Value encodings are documented in utils/jsonEncoder.js.
+ */
+export const streamReportJsonExport = createTextExportHandler(
+  'JSON',
+  () => createJsonArrayFormat,
+);
+
+/**
+ * Streaming handler for each negotiable format (keys match EXPORT_FORMATS)
+ */
+const FORMAT_HANDLERS = {
+  xlsx: streamReportExport,
+  csv: streamReportCsvExport,
+  ndjson: streamReportNdjsonExport,
+  json: streamReportJsonExport,
+};
+
+/**
+ * CONTENT-NEGOTIATED EXPORT
+ * 
+ * Single entry point for /export/report and /export/:reportId. Resolves
+ * the output format from the `format=` query parameter or the Accept
+ * header, limited to the report's allowed formats (see
+ * utils/formatNegotiation.js), and hands off to the matching streaming
+ * handler. All other query parameters are interpreted by that handler.
+ * 
+ * Query Parameters:
+ *   - format: xlsx | csv | ndjson | json (overrides Accept)
+ *     Example: GET /export/report?format=csv&rowCount=50000
+ * 
+ * Error Handling:
+ *   - format= value the report does not allow → 400 ValidationError (UNSUPPORTED_FORMAT)
+ *   - Accept header matching no allowed type → 406 NotAcceptableError
+ * 
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object (file download)
+ * @param {import('express').NextFunction} next - Express error handler function
+ */
+export const exportReport = (req, res, next) => {
+  // The response body depends on Accept, so caches must key on it
+  res.vary('Accept');
+  
+  let format;
+  try {
+    format = negotiateExportFormat(req, res.locals.report.formats);
+  } catch (err) {
+    debugAPI("Export format negotiation failed:", err.message);
+    return next(err);
   }
+  
+  debugAPI(`Negotiated export format: ${format}`);
+  return FORMAT_HANDLERS[format](req, res, next);
 };
 
 /**
@@ -281,8 +911,10 @@ export const streamReportExport = async (req, res, next) => {
  * WARNING: High memory usage - only suitable for small/medium datasets.
  * 
  * Query Parameters:
- *   - rowCount: Number of rows to export (default: 30000, max: 1000000)
+ *   - rowCount: Number of rows to export (default: 30000, max: 5000000)
  *     Example: GET /export/report-buffered?rowCount=50000
+ *   - columns: Comma-separated column keys to include, in output order (default: all)
+ *   - tz, lang: time zone and language, as for the streaming export
  * 
  * Memory Profile:
  *   - Peak memory grows with row count
@@ -317,13 +949,21 @@ export const bufferReportExport = async (req, res, next) => {
   const startTime = Date.now();
   const memoryLogger = createMemoryLogger(process, debugAPI);
 
-  // Get and validate row count from query parameter
-  const requestedRows = validateRowCount(req.query.rowCount || DEFAULT_ROW_COUNT);
+  const { report } = res.locals;
 
   try {
+    const parameters = resolveReportParameters(report, req.query);
+    const criteria = validateExportCriteria(report, req.query);
+    const selection = validateColumnSelection(req.query.columns);
+    const timezone = resolveExportTimezone(req, report);
+    const { locale, translation } = resolveExportLocale(req, report);
+    const precision = createPrecisionTracker();
+    const resolveOptions = { translation, tracker: precision };
+
     // LOG: Initial state
     debugAPI(
-      `Starting non-streaming Excel export (${requestedRows} rows requested)`,
+      `Starting non-streaming Excel export of ${report.id} (${timezone.name}, ${locale})`,
+      { ...describeReportParameters(parameters), ...describeExportCriteria(criteria) },
     );
     memoryLogger("Export - Start"); // Log initial memory
 
@@ -333,52 +973,75 @@ export const bufferReportExport = async (req, res, next) => {
     const pool = await getConnectionPool();
     const request = pool.request();
 
-    debugAPI(
-      `Executing stored procedure (loading ${requestedRows} rows into memory)`,
-    );
+    debugAPI(`Running ${report.id} (loading all rows into memory)`);
 
-    request.input("RowCount", mssql.Int, requestedRows);
-    const result = await request.execute("spGenerateData");
+    // A failed query is a 500 DATABASE_ERROR, as in the streaming exports
+    const result = await executeReport(request, report, parameters, criteria).catch((err) => {
+      throw err instanceof AppError ? err : new DatabaseError('Database error occurred', err);
+    });
 
     // DATA EXTRACTION FROM RESULT
-    // result.recordset contains ALL rows returned by stored procedure
-    // This array exists entirely in Node.js process memory
-    const rows = result.recordset;
-    const rowCount = rows.length;
+    // result.recordsets contains ALL rows of every result set returned by
+    // the stored procedure; these arrays exist entirely in Node.js process memory
+    const recordsets = result.recordsets?.length ? result.recordsets : [[]];
+    const rowCount = recordsets.reduce((total, rows) => total + rows.length, 0);
 
     // MEMORY CHECKPOINT
-    debugAPI(`Loaded ${rowCount} rows into memory`);
+    debugAPI(`Loaded ${rowCount} rows from ${recordsets.length} result set(s) into memory`);
     memoryLogger("Export - Data Loaded"); // Snapshot after data buffered
 
+    // Columns come from the result-set metadata, as in the streaming export;
+    // resolved before any headers are set so an unknown columns= name is a clean 400
+    const resultSets = recordsets.map((rows, index) => ({
+      rows,
+      index,
+      ...resolveResultSet(report, index, rows.columns, selection, resolveOptions),
+    }));
+
     // RESPONSE SETUP
     // Configure HTTP response headers for file download
-    const filename = generateTimestampedFilename("report-buffered");
-    res.setHeader(
-      "Content-Type",
-      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-    );
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    const filename = generateTimestampedFilename(`${report.filenamePrefix}-buffered`, EXPORT_FORMATS.xlsx.extension);
+    setDownloadHeaders(res, { contentType: EXPORT_FORMATS.xlsx.mimeType, filename, locale });
 
     // EXCEL WORKBOOK SETUP (NON-STREAMING)
     // ExcelJS Workbook (not WorkbookWriter) - loads entire workbook in memory
     // All rows added to memory, then entire file generated to buffer
     const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet("Report");
-    worksheet.columns = REPORT_COLUMNS;
+    recordWorkbookProperties(workbook, { timezone, locale });
+    // In-memory workbooks always carry a style table, so column formats
+    // cost nothing extra here unless disabled with EXPORT_COLUMN_STYLES
+    const env = getEnv();
 
     debugAPI("Writing rows to Excel workbook");
 
     // WRITE ALL ROWS TO WORKBOOK IN MEMORY
-    // This loop adds each database row to the Excel worksheet
+    // Each result set gets its own worksheet(s); this loop adds each
+    // database row to the Excel worksheet of its result set
     // All rows and worksheet data exist in Node.js memory at this point
-    for (let i = 0; i < rows.length; i++) {
-      worksheet.addRow(mapRowToExcel(rows[i]));
+    let written = 0;
+    for (const { rows, index, columns, transform } of resultSets) {
+      const formatExcelRow = createExcelRowFormatter(columns, { timezone });
+      const mapRow = createRowMapper(columns, { formulaPolicy: env.EXPORT_FORMULA_POLICY });
+      const worksheet = createRollingWorksheet(workbook, {
+        columns: toWorksheetColumns(columns, { useStyles: env.EXPORT_COLUMN_STYLES }),
+        baseName: resultSetSheetName(report, index, translation),
+        rowLimit: env.EXPORT_SHEET_ROW_LIMIT,
+        layout: createWorksheetLayout(report.worksheet, columns.length),
+      });
+
+      for (const row of rows) {
+        worksheet.addRow(formatExcelRow(mapRow(transform(row))));
+        written++;
 
-      // MEMORY TRACKING: Log memory periodically during write
-      if ((i + 1) % 5000 === 0) {
-        memoryLogger(`Export - ${i + 1} rows written`);
-        debugAPI(`Written ${i + 1} rows to workbook`);
+        // MEMORY TRACKING: Log memory periodically during write
+        if (written % 5000 === 0) {
+          memoryLogger(`Export - ${written} rows written`);
+          debugAPI(`Written ${written} rows to workbook`);
+        }
       }
+
+      // Apply end-of-sheet layout (autofilter over the used range)
+      worksheet.commit();
     }
 
     // MEMORY CHECKPOINT
@@ -403,6 +1066,7 @@ export const bufferReportExport = async (req, res, next) => {
     // SEND FILE TO BROWSER
     // Send the buffer as express response
     // Browser receives complete file and saves it
+    reportPrecisionLoss(res, precision);
     res.send(buffer);
   } catch (err) {
     // ERROR HANDLING
@@ -0,0 +1,213 @@
+/**
+ * Background export job controller
+ *
+ * Multi-minute exports do not have to hold a browser connection open:
+ * POST /export/jobs starts the export in the background (services/exportJobs.js),
+ * GET /export/jobs/:jobId reports its status and progress, and
+ * GET /export/jobs/:jobId/file downloads the finished file as often as
+ * needed (with Range support, so interrupted downloads can resume).
+ * GET /export/jobs/:jobId/events streams the same progress as Server-Sent
+ * Events, for progress bars that should not poll, and
+ * DELETE /export/jobs/:jobId cancels a running export.
+ */
+import process from 'node:process';
+import { pipeline } from 'node:stream';
+import timers from 'node:timers'; // Called as timers.setInterval() so tests can mock it
+import { debugAPI } from '../../../shared/src/debug.js';
+import { createMemoryLogger } from '../../../shared/src/memory.js';
+import { exportReport } from './exportController.js';
+import {
+  startExportJob,
+  getExportJob,
+  cancelExportJob,
+  describeExportJob,
+} from '../services/exportJobs.js';
+import { getExportStorage } from '../services/storage.js';
+import { getReport } from '../config/reports.js';
+import { validateJobRequest, validateCancelRequest } from '../config/export.js';
+import { ConflictError } from '../utils/errors.js';
+
+/**
+ * POST /export/jobs
+ * Body: { reportId, format?, parameters?, owner? } (see validateJobRequest)
+ * Response: 202 with the job (see describeExportJob). The export uses the
+ * caller's Accept-Language for headers and sheet names, like a download.
+ * Invalid parameters are a 400 here, before any job is created; errors
+ * found while the export runs (e.g. unknown columns=) fail the job.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express error handler function
+ */
+export const createExportJob = (req, res, next) => {
+  try {
+    const { reportId, query, owner } = validateJobRequest(req.body);
+    const report = getReport(reportId);
+    const language = req.headers['accept-language'];
+
+    const job = startExportJob({
+      report,
+      query,
+      owner,
+      headers: language === undefined ? {} : { 'accept-language': language },
+      handler: exportReport,
+      storage: getExportStorage(),
+    });
+
+    res.status(202).json(describeExportJob(job));
+  } catch (err) {
+    debugAPI("Export job rejected:", err.message);
+    next(err);
+  }
+};
+
+/**
+ * GET /export/jobs/:jobId
+ * Response: 200 with the job: status (running, completed, failed), rows
+ * and bytes written so far, the error of a failed job and the file of a
+ * completed one
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express error handler function
+ */
+export const getExportJobStatus = (req, res, next) => {
+  try {
+    res.json(describeExportJob(getExportJob(req.params.jobId)));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /export/jobs/:jobId
+ * Body (optional): { reason } — recorded in the job's error
+ * Cancels a running job: the SQL request is cancelled, its connection goes
+ * back to the pool and the partial file is removed.
+ * Response: 200 with the cancelled job (status cancelled, error code
+ * EXPORT_CANCELLED); 409 JOB_NOT_RUNNING if the job has already ended
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express error handler function
+ */
+export const deleteExportJob = (req, res, next) => {
+  try {
+    const reason = validateCancelRequest(req.body);
+    res.json(describeExportJob(cancelExportJob(req.params.jobId, reason)));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /export/jobs/:jobId/file
+ * Streams the finished file from the export storage with the headers the
+ * download would have had (Content-Type, Content-Disposition,
+ * Content-Language and X-Export-Precision-Lost). A single byte range
+ * (Range: bytes=…) is answered with 206 so interrupted downloads can
+ * resume; unsatisfiable ranges are 416, other range forms get the whole
+ * file. Jobs that have not completed are a 409.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express error handler function
+ */
+export const downloadExportJobFile = async (req, res, next) => {
+  try {
+    const job = getExportJob(req.params.jobId);
+    if (job.status !== 'completed') {
+      throw new ConflictError(`Export job "${job.id}" is ${job.status}, not completed`, 'JOB_NOT_COMPLETED');
+    }
+
+    const { key, size, headers } = job.file;
+    const ranges = size > 0 ? req.range(size, { combine: true }) : undefined;
+    if (ranges === -1) {
+      res.status(416).setHeader('Content-Range', `bytes */${size}`);
+      res.end();
+      return;
+    }
+    const range = Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1 ? ranges[0] : null;
+
+    // Fetched before any header is set, so storage errors are still a JSON error
+    const body = req.method === 'HEAD' ? null : await getExportStorage().createReadStream(key, range ?? {});
+
+    for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+    }
+    res.setHeader('Content-Length', range ? range.end - range.start + 1 : size);
+    if (!body) {
+      res.end();
+      return;
+    }
+
+    pipeline(body, res, (err) => {
+      if (err) debugAPI(`Export job ${job.id} download ended early:`, err.message);
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Interval of the progress events sent between row checkpoints, so the
+ * elapsed time and bytes keep moving on slow queries (and proxies do not
+ * close an idle stream)
+ */
+const PROGRESS_INTERVAL_MS = 10000;
+
+/**
+ * GET /export/jobs/:jobId/events
+ * Server-Sent Events stream of a job's progress:
+ *   - progress: on connect, every 5,000 rows and every 10 seconds
+ *   - completed | failed | cancelled: once, when the job ends; the stream
+ *     then closes
+ * Each event's data is the job (see describeExportJob: rowsWritten,
+ * bytesWritten, durationMs, …) with `memory`, the API's current memory
+ * usage. A job that has already ended sends only its final event.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express error handler function
+ */
+export const streamExportJobEvents = (req, res, next) => {
+  let job;
+  try {
+    job = getExportJob(req.params.jobId);
+  } catch (err) {
+    next(err);
+    return;
+  }
+
+  const memoryLogger = createMemoryLogger(process, debugAPI);
+  const send = (event) => {
+    const data = { ...describeExportJob(job), memory: memoryLogger.getSnapshot() };
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Accel-Buffering', 'no'); // Keep reverse proxies from buffering events
+  res.flushHeaders();
+
+  if (job.status !== 'running') {
+    send(job.status);
+    res.end();
+    return;
+  }
+
+  const onProgress = () => send('progress');
+  const onEnd = () => {
+    send(job.status);
+    res.end();
+  };
+  const timer = timers.setInterval(onProgress, PROGRESS_INTERVAL_MS);
+
+  job.events.on('progress', onProgress);
+  job.events.once('end', onEnd);
+  res.once('close', () => {
+    timers.clearInterval(timer);
+    job.events.off('progress', onProgress);
+    job.events.off('end', onEnd);
+  });
+
+  send('progress');
+};
@@ -0,0 +1,38 @@
+/**
+ * Report resolution middleware
+ *
+ * Export handlers read the report definition (procedure, parameters,
+ * columns, formats…) from res.locals.report, so one streaming engine
+ * serves every entry in config/reports.js.
+ */
+import { getReport } from '../config/reports.js';
+
+/**
+ * Binds a fixed report to a route (e.g. /export/report)
+ * @param {string} reportId - Registered report id
+ * @returns {import('express').RequestHandler} Middleware setting res.locals.report
+ * @throws {NotFoundError} At startup, if the id is not registered
+ */
+export const useReport = (reportId) => {
+  const report = getReport(reportId);
+  return (_req, res, next) => {
+    res.locals.report = report;
+    next();
+  };
+};
+
+/**
+ * Resolves the :reportId route parameter against the registry
+ * Unknown ids are passed on as a 404 NotFoundError (REPORT_NOT_FOUND).
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const loadReport = (req, res, next) => {
+  try {
+    res.locals.report = getReport(req.params.reportId);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,9 +1,22 @@
 import { Router } from 'express';
 import {
-  streamReportExport,
+  exportReport,
+  streamReportCsvExport,
+  streamReportNdjsonExport,
+  streamReportJsonExport,
   bufferReportExport,
 } from "../controllers/exportController.js";
+import { listReportCatalog } from '../controllers/catalogController.js';
+import {
+  createExportJob,
+  getExportJobStatus,
+  streamExportJobEvents,
+  deleteExportJob,
+  downloadExportJobFile,
+} from '../controllers/jobController.js';
 import { jwtAuthMiddleware } from '../../../shared/src/middlewares/jwtAuth.js';
+import { useReport, loadReport } from '../middlewares/report.js';
+import { DEFAULT_REPORT_ID } from '../config/reports.js';
 import { getEnv } from '../config/env.js';
 
 const router = Router();
@@ -13,22 +26,120 @@ const env = getEnv();
 router.use(jwtAuthMiddleware(env.JWT_SECRET));
 
 /**
- * GET /export/report?rowCount=<number>
- * Streams an Excel export directly to the browser
+ * GET /export
+ * Report catalog: id, title, description, parameters (JSON Schema), formats,
+ * columns and roles of every registered report
+ * Requires valid JWT token from App service
+ */
+router.get('/', listReportCatalog);
+
+// The fixed /report routes export the built-in report from config/reports.js
+const defaultReport = useReport(DEFAULT_REPORT_ID);
+
+/**
+ * GET /export/report?rowCount=<number>&format=<xlsx|csv|ndjson|json>
+ * Streams the report directly to the browser in the negotiated format
+ * Query params:
+ *   - rowCount: Number of rows to export (default: 30000, max: 5000000)
+ *   - format: Output format; when omitted the Accept header decides (default: xlsx)
+ *   - delimiter, quote: CSV dialect (format=csv only)
+ * Requires valid JWT token from App service
+ */
+router.get('/report', defaultReport, exportReport);
+
+/**
+ * Format-specific aliases for /export/report?format=<format>
+ */
+
+/**
+ * GET /export/report.csv?rowCount=<number>&delimiter=<char>&quote=<char>
+ * Streams the same report as RFC 4180 CSV
  * Query params:
- *   - rowCount: Number of rows to export (default: 30000, max: 1000000)
+ *   - rowCount: Number of rows to export (default: 30000, max: 5000000)
+ *   - delimiter: Field delimiter (default: ",")
+ *   - quote: Quote character (default: '"')
+ * Requires valid JWT token from App service
+ */
+router.get('/report.csv', defaultReport, streamReportCsvExport);
+
+/**
+ * GET /export/report.ndjson?rowCount=<number>
+ * Streams the report as newline-delimited JSON (one object per line)
  * Requires valid JWT token from App service
  */
-router.get('/report', streamReportExport);
+router.get('/report.ndjson', defaultReport, streamReportNdjsonExport);
+
+/**
+ * GET /export/report.json?rowCount=<number>
+ * Streams the report as a single JSON array of row objects
+ * Requires valid JWT token from App service
+ */
+router.get('/report.json', defaultReport, streamReportJsonExport);
 
 /**
  * GET /export/report-buffered?rowCount=<number>
  * Non-streaming Excel export (loads all data into memory first)
  * Useful for comparing memory usage vs streaming approach
  * Query params:
- *   - rowCount: Number of rows to export (default: 30000, max: 1000000)
+ *   - rowCount: Number of rows to export (default: 30000, max: 5000000)
+ * Requires valid JWT token from App service
+ */
+router.get("/report-buffered", defaultReport, bufferReportExport);
+
+/**
+ * POST /export/jobs
+ * Starts a background export of any report; the file is written to
+ * EXPORT_JOB_DIR instead of the response
+ * Body: { reportId, format?, parameters? } — parameters are the query
+ *   parameters of GET /export/:reportId (rowCount, columns, filter[…], …)
+ * Response: 202 with the job id and status
+ * Requires valid JWT token from App service
+ */
+router.post('/jobs', createExportJob);
+
+/**
+ * GET /export/jobs/:jobId
+ * Status of a background export: running, completed or failed, with rows
+ * and bytes written so far
+ * Requires valid JWT token from App service
+ */
+router.get('/jobs/:jobId', getExportJobStatus);
+
+/**
+ * GET /export/jobs/:jobId/events
+ * Server-Sent Events: progress (rows, bytes, elapsed time, memory) while
+ * the job runs, then one completed or failed event
+ * Requires valid JWT token from App service
+ */
+router.get('/jobs/:jobId/events', streamExportJobEvents);
+
+/**
+ * DELETE /export/jobs/:jobId
+ * Cancels a running job: aborts its SQL request, removes the partial file
+ * and records the reason
+ * Body (optional): { reason }
+ * Requires valid JWT token from App service
+ */
+router.delete('/jobs/:jobId', deleteExportJob);
+
+/**
+ * GET /export/jobs/:jobId/file
+ * Downloads the file of a completed job (409 JOB_NOT_COMPLETED before that)
+ * Requires valid JWT token from App service
+ */
+router.get('/jobs/:jobId/file', downloadExportJobFile);
+
+/**
+ * GET /export/:reportId?<report parameters>&format=<format>
+ * Streams any report registered in config/reports.js in the negotiated
+ * format (limited to the report's allowed formats)
+ * Query params:
+ *   - Report parameters as declared by the report (e.g. rowCount)
+ *   - format, columns, summary, delimiter, quote: as for /export/report
+ * Unknown report ids return 404 REPORT_NOT_FOUND
+ * Must stay last: the fixed routes above would otherwise match as ids
  * Requires valid JWT token from App service
  */
-router.get("/report-buffered", bufferReportExport);
+router.get('/:reportId', loadReport, exportReport);
 
 export default router;
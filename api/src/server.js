@@ -6,6 +6,8 @@ import { debugServer } from "../../shared/src/debug.js";
 import { normalizePort } from "../../shared/src/server.js";
 
 import { initializeDatabase, gracefulShutdown as gracefulDatabaseShutdown } from "./services/mssql.js";
+import { scheduleExportCleanup } from "./services/exportJobs.js";
+import { getExportStorage } from "./services/storage.js";
 import { getEnv } from "./config/env.js";
 
 import app from "./api.js";
@@ -42,6 +44,13 @@ try {
 
   // Only start listening after DB is ready
   server.listen(port);
+
+  // Delete export jobs and files older than EXPORT_RETENTION_HOURS
+  scheduleExportCleanup({
+    storage: getExportStorage(),
+    retentionMs: env.EXPORT_RETENTION_HOURS * 60 * 60 * 1000,
+    intervalMs: env.EXPORT_CLEANUP_INTERVAL_MINUTES * 60 * 1000,
+  });
 } catch (err) {
   debugServer("Failed to initialize database:", err);
   debugServer("Exiting due to database initialization failure");
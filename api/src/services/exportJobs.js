@@ -0,0 +1,297 @@
+/**
+ * Background export jobs
+ *
+ * POST /export/jobs runs an export without holding the caller's connection:
+ * the report's streaming handler — the one GET /export/:reportId uses —
+ * writes through a file response (utils/fileResponse.js) to the export
+ * storage (services/storage.js: EXPORT_JOB_DIR or an S3 bucket, keyed by
+ * job id), and the caller polls the job and downloads the file when it has
+ * completed.
+ *
+ *   running → completed   file ready for GET /export/jobs/:id/file
+ *           → failed      error recorded, partial file removed
+ *           → cancelled   DELETE /export/jobs/:id: SQL request cancelled,
+ *                         reason recorded, partial file removed
+ *
+ * Each job's `events` emitter announces 'progress' (every 5,000 rows, from
+ * the handler's checkpoint) and 'end' (completed, failed or cancelled), for
+ * GET /export/jobs/:id/events.
+ *
+ * Job records live in process memory: they (not their files) are lost when
+ * the API restarts. The retention cleanup (scheduleExportCleanup) deletes
+ * finished jobs and their files after EXPORT_RETENTION_HOURS, along with
+ * files no job of this process knows (left over from earlier runs).
+ */
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import { setInterval } from 'node:timers';
+import express from 'express';
+import { debugAPI } from '../../../shared/src/debug.js';
+import { createFileResponse } from '../utils/fileResponse.js';
+import { PRECISION_LOST_HEADER } from '../utils/numericPrecision.js';
+import { AppError, ExportError, NotFoundError, ConflictError } from '../utils/errors.js';
+
+/**
+ * Jobs by id, in creation order
+ */
+const jobs = new Map();
+
+/**
+ * Registry of the exports still running: job id → cancel(reason)
+ */
+const activeExports = new Map();
+
+/**
+ * Headers of the finished file that are repeated on its download
+ */
+const DOWNLOAD_HEADERS = ['content-type', 'content-disposition', 'content-language'];
+
+/**
+ * Request the export handler sees: the job's query and headers on top of
+ * Express's request methods (accepts(), acceptsLanguages()). It is not tied
+ * to a connection, so its 'close' event only fires when the job is
+ * cancelled, which the handler treats as a client disconnect. It reads as
+ * an HTTP/1.1 GET, so the handler ends the file with its trailers, which
+ * the file response keeps (see fileResponse.js).
+ * @param {Object} query - Export query parameters (strings)
+ * @param {Object} headers - Lower-case request headers (e.g. accept-language)
+ * @returns {import('express').Request}
+ */
+const createJobRequest = (query, headers) => Object.create(express.request, {
+  query: { value: query, enumerable: true },
+  headers: { value: headers, enumerable: true },
+  method: { value: 'GET', enumerable: true },
+  httpVersion: { value: '1.1', enumerable: true },
+});
+
+/**
+ * Error as reported in the job status; errors other than AppError are
+ * logged but not described to the client
+ * @param {Error} err
+ * @returns {AppError}
+ */
+const toAppError = (err) => (err instanceof AppError ? err : new ExportError('Export failed'));
+
+/**
+ * Starts an export job
+ * @param {Object} options
+ * @param {Object} options.report - Report definition (config/reports.js)
+ * @param {Object} options.query - Export query parameters, as from validateJobRequest()
+ * @param {string|null} [options.owner=null] - Identity of the end user the job belongs to
+ * @param {Object} [options.headers={}] - Request headers for the export (accept-language)
+ * @param {import('express').RequestHandler} options.handler - Export handler, e.g. exportReport
+ * @param {import('./storage.js').ExportStorage} options.storage - Where the job's file is stored
+ * @returns {Object} The job (see describeExportJob)
+ * @throws {AppError} If the export is rejected before it starts (invalid
+ *   parameters, format or columns= syntax): the handler validates its
+ *   input before its first await, and such a job is not kept
+ */
+export const startExportJob = ({ report, query, owner = null, headers = {}, handler, storage }) => {
+  const id = crypto.randomUUID();
+  const job = {
+    id,
+    reportId: report.id,
+    owner,
+    status: 'running',
+    rowsWritten: 0,
+    createdAt: new Date(),
+    finishedAt: null,
+    error: null,
+    file: null,
+    response: null,
+    events: new EventEmitter(),
+  };
+
+  const finish = (status) => {
+    job.status = status;
+    job.finishedAt = new Date();
+    activeExports.delete(id);
+    debugAPI(`Export job ${id} ${status} after ${job.rowsWritten} rows`);
+    job.events.emit('end', job);
+  };
+
+  const fail = (err) => {
+    if (job.status !== 'running') return;
+    job.error = toAppError(err);
+    if (job.error !== err) debugAPI(`Export job ${id} error:`, err);
+    finish('failed');
+    job.response.destroy(); // Stops the writes; the file goes on 'close'
+  };
+
+  const request = createJobRequest(query, headers);
+
+  const cancel = (reason) => {
+    if (job.status !== 'running') return;
+    job.error = new ExportError(`Export cancelled: ${reason}`, 'EXPORT_CANCELLED');
+    finish('cancelled');
+    request.emit('close'); // The handler cancels its SQL request, as on a disconnect
+    job.response.destroy();
+  };
+
+  const res = createFileResponse(storage.createWriteStream(id), {
+    locals: {
+      report,
+      onProgress: ({ rowsWritten }) => {
+        job.rowsWritten = rowsWritten;
+        job.events.emit('progress', job);
+      },
+    },
+  });
+  job.response = res;
+
+  res.on('finish', () => {
+    // status(…).json(…): the handler answered with an error instead of a file
+    if (res.statusCode >= 400) {
+      const { message, code } = res.jsonBody?.error ?? {};
+      fail(new AppError(message ?? 'Export failed', res.statusCode, code));
+      return;
+    }
+    const sent = res.getHeaders();
+    const headers = DOWNLOAD_HEADERS.filter((name) => sent[name] !== undefined).map((name) => [name, sent[name]]);
+    job.file = {
+      key: id,
+      size: res.bytesWritten,
+      // Trailers are known now, so the download sends them as headers
+      headers: { ...Object.fromEntries(headers), ...res.getTrailers() },
+    };
+    finish('completed');
+  });
+  res.on('error', fail);
+  res.on('close', () => {
+    fail(new ExportError('Export stopped before completion'));
+    // Aborted uploads store nothing, but an error response has ended its (empty) file
+    if (job.status !== 'completed') {
+      storage.remove(id).catch((err) => debugAPI(`Export job ${id} file not removed:`, err.message));
+    }
+  });
+
+  jobs.set(id, job);
+  activeExports.set(id, cancel);
+  debugAPI(`Export job ${id} started for ${report.id}`, query);
+  handler(request, res, fail);
+
+  if (job.status === 'failed' && job.error.status < 500) {
+    jobs.delete(id);
+    throw job.error;
+  }
+  return job;
+};
+
+/**
+ * Looks up a job by id
+ * @param {string} id - Job id
+ * @returns {Object} The job
+ * @throws {NotFoundError} 404 JOB_NOT_FOUND for unknown ids
+ */
+export const getExportJob = (id) => {
+  const job = jobs.get(id);
+  if (!job) {
+    throw new NotFoundError(`Unknown export job "${id}"`, 'JOB_NOT_FOUND');
+  }
+  return job;
+};
+
+/**
+ * Cancels a running job: its SQL request is cancelled (the driver then
+ * returns the connection to the pool), its partial file removed and the
+ * reason recorded as the job's error (EXPORT_CANCELLED)
+ * @param {string} id - Job id
+ * @param {string} reason - Why the job was cancelled (kept in the job status)
+ * @returns {Object} The cancelled job
+ * @throws {NotFoundError} 404 JOB_NOT_FOUND for unknown ids
+ * @throws {ConflictError} 409 JOB_NOT_RUNNING if the job has already ended
+ */
+export const cancelExportJob = (id, reason) => {
+  const job = getExportJob(id);
+  const cancel = activeExports.get(id);
+  if (!cancel) {
+    throw new ConflictError(`Export job "${id}" is ${job.status}, not running`, 'JOB_NOT_RUNNING');
+  }
+  debugAPI(`Export job ${id} cancelled after ${job.rowsWritten} rows: ${reason}`);
+  cancel(reason);
+  return job;
+};
+
+/**
+ * Attachment filename from a Content-Disposition header value
+ * @param {string} [disposition] - e.g. 'attachment; filename="report-….csv"'
+ * @returns {string|null}
+ */
+const dispositionFilename = (disposition) => /filename="([^"]*)"/.exec(disposition ?? '')?.[1] ?? null;
+
+/**
+ * Public view of a job (GET /export/jobs/:id)
+ * @param {Object} job - From startExportJob() or getExportJob()
+ * @returns {Object} { id, reportId, owner, status, rowsWritten, bytesWritten,
+ *   createdAt, finishedAt, durationMs, error, file }
+ */
+export const describeExportJob = (job) => {
+  const { file } = job;
+  return {
+    id: job.id,
+    reportId: job.reportId,
+    owner: job.owner,
+    status: job.status,
+    rowsWritten: job.rowsWritten,
+    bytesWritten: job.response.bytesWritten,
+    createdAt: job.createdAt.toISOString(),
+    finishedAt: job.finishedAt?.toISOString() ?? null,
+    durationMs: (job.finishedAt ?? new Date()) - job.createdAt,
+    error: job.error && { message: job.error.message, code: job.error.code },
+    file: file && {
+      filename: dispositionFilename(file.headers['content-disposition']),
+      contentType: file.headers['content-type'],
+      language: file.headers['content-language'],
+      size: file.size,
+      precisionLost: Number(file.headers[PRECISION_LOST_HEADER.toLowerCase()] ?? 0),
+    },
+  };
+};
+
+/**
+ * Retention cleanup: deletes jobs that finished more than `retentionMs` ago
+ * with their files, and stored files older than that which belong to no
+ * running job (files of jobs from before a restart, or whose removal failed)
+ * @param {Object} options
+ * @param {import('./storage.js').ExportStorage} options.storage
+ * @param {number} options.retentionMs - How long finished jobs are kept
+ * @param {Date} [options.now=new Date()]
+ * @returns {Promise<{ jobs: number, files: number }>} Jobs and files deleted
+ */
+export const sweepExpiredExports = async ({ storage, retentionMs, now = new Date() }) => {
+  const cutoff = now.getTime() - retentionMs;
+  const removed = { jobs: 0, files: 0 };
+
+  for (const [id, job] of jobs) {
+    if (job.finishedAt === null || job.finishedAt.getTime() > cutoff) continue;
+    jobs.delete(id);
+    removed.jobs += 1;
+  }
+
+  for await (const { key, modifiedAt } of storage.list()) {
+    if (modifiedAt.getTime() > cutoff || activeExports.has(key)) continue;
+    await storage.remove(key);
+    removed.files += 1;
+  }
+
+  if (removed.jobs > 0 || removed.files > 0) {
+    debugAPI(`Export cleanup removed ${removed.jobs} job(s) and ${removed.files} file(s)`);
+  }
+  return removed;
+};
+
+/**
+ * Runs the retention cleanup now and then every `intervalMs`. The timer
+ * does not keep the process alive.
+ * @param {Object} options
+ * @param {import('./storage.js').ExportStorage} options.storage
+ * @param {number} options.retentionMs - How long finished jobs are kept
+ * @param {number} options.intervalMs - Time between cleanups
+ * @returns {NodeJS.Timeout} The interval timer (clearInterval() stops it)
+ */
+export const scheduleExportCleanup = ({ storage, retentionMs, intervalMs }) => {
+  const sweep = () => sweepExpiredExports({ storage, retentionMs })
+    .catch((err) => debugAPI('Export cleanup failed:', err));
+  sweep();
+  return setInterval(sweep, intervalMs).unref();
+};
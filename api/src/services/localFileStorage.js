@@ -0,0 +1,132 @@
+/**
+ * Local-filesystem export storage (EXPORT_STORAGE=local)
+ *
+ * Each key is a file in one directory. Uploads go to `<key>.partial` and
+ * are renamed when complete, so a key never names a half-written file and
+ * an aborted upload leaves nothing behind. See services/storage.js for the
+ * adapter interface.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { Writable } from 'node:stream';
+import { StorageError } from '../utils/errors.js';
+
+const PARTIAL_SUFFIX = '.partial';
+
+/**
+ * Keys are file names: no separators, no leading dot
+ */
+const KEY_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+
+/**
+ * Creates a storage in a directory
+ * @param {Object} options
+ * @param {string} options.directory - Directory of the files (created on first upload)
+ * @returns {import('./storage.js').ExportStorage}
+ */
+export const createLocalFileStorage = ({ directory }) => {
+  const filePath = (key) => {
+    if (!KEY_PATTERN.test(key) || key.endsWith(PARTIAL_SUFFIX)) {
+      throw new StorageError(`Invalid storage key "${key}"`);
+    }
+    return path.join(directory, key);
+  };
+
+  /**
+   * @param {string} file - Path in the directory
+   * @returns {Promise<fs.Stats|null>} null if the file does not exist
+   */
+  const statFile = async (file) => {
+    try {
+      return await fs.promises.stat(file);
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new StorageError(`Cannot read stored export "${path.basename(file)}"`, err);
+    }
+  };
+
+  return {
+    name: 'local',
+
+    createWriteStream(key) {
+      const target = filePath(key);
+      const partial = `${target}${PARTIAL_SUFFIX}`;
+      fs.mkdirSync(directory, { recursive: true });
+      const file = fs.createWriteStream(partial);
+
+      const upload = new Writable({
+        write(chunk, _encoding, callback) {
+          file.write(chunk, callback);
+        },
+        final(callback) {
+          // Renamed once closed (an open file cannot be renamed on Windows)
+          file.once('close', () => {
+            if (file.errored) {
+              callback(file.errored);
+              return;
+            }
+            fs.rename(partial, target, callback);
+          });
+          file.end();
+        },
+        destroy(err, callback) {
+          const discard = () => fs.rm(partial, { force: true }, () => callback(err));
+          if (file.closed) {
+            discard();
+            return;
+          }
+          file.once('close', discard);
+          file.destroy();
+        },
+      });
+
+      // Open/write failures (missing permissions, disk full) fail the upload
+      file.on('error', (err) => upload.destroy(err));
+      return upload;
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      const file = fs.createReadStream(filePath(key), { start, end });
+      try {
+        await new Promise((resolve, reject) => {
+          file.once('ready', resolve);
+          file.once('error', reject);
+        });
+      } catch (err) {
+        throw new StorageError(`Cannot read stored export "${key}"`, err);
+      }
+      return file;
+    },
+
+    async stat(key) {
+      const stats = await statFile(filePath(key));
+      return stats && { size: stats.size, modifiedAt: stats.mtime };
+    },
+
+    async remove(key) {
+      const target = filePath(key);
+      await Promise.all([
+        fs.promises.rm(target, { force: true }),
+        fs.promises.rm(`${target}${PARTIAL_SUFFIX}`, { force: true }),
+      ]);
+    },
+
+    async *list() {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      } catch (err) {
+        if (err.code === 'ENOENT') return; // Nothing stored yet
+        throw new StorageError('Cannot list stored exports', err);
+      }
+      for (const entry of entries) {
+        if (!entry.isFile()) continue;
+        const stats = await statFile(path.join(directory, entry.name));
+        if (!stats) continue; // Removed meanwhile
+        // Partial uploads are listed under their key, so cleanup finds them
+        const key = entry.name.endsWith(PARTIAL_SUFFIX) ? entry.name.slice(0, -PARTIAL_SUFFIX.length) : entry.name;
+        yield { key, size: stats.size, modifiedAt: stats.mtime };
+      }
+    },
+  };
+};
@@ -0,0 +1,237 @@
+/**
+ * S3-compatible export storage (EXPORT_STORAGE=s3)
+ *
+ * Talks to AWS S3, MinIO or any other S3-compatible service over its REST
+ * API with Signature Version 4 (utils/awsSignature.js), using path-style
+ * URLs: <endpoint>/<bucket>/<prefix><key>.
+ *
+ * Uploads stream as multipart uploads: written data is collected into parts
+ * of `partSize` bytes and each part is uploaded before more data is
+ * accepted, so at most one part sits in memory whatever the file size.
+ * Files smaller than one part are sent with a single PUT. An upload that
+ * is destroyed before it finishes is aborted, so S3 discards its parts.
+ * See services/storage.js for the adapter interface.
+ */
+import { Buffer } from 'node:buffer';
+import { Readable, Writable } from 'node:stream';
+import { URL } from 'node:url';
+import { debugAPI } from '../../../shared/src/debug.js';
+import { signRequest, hashPayload, uriEncode, EMPTY_PAYLOAD_HASH } from '../utils/awsSignature.js';
+import { StorageError } from '../utils/errors.js';
+
+// Node's built-in fetch (undici); not importable from a node: module
+const { fetch } = globalThis;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Content of every <tag> element in an S3 XML response (S3's responses are
+ * flat enough to not need an XML parser)
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string[]} Raw content, entities not decoded
+ */
+const xmlElements = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'g'))]
+  .map(([, content]) => content);
+
+/**
+ * Text of every <tag> element, entities decoded
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string[]}
+ */
+const xmlValues = (xml, tag) => xmlElements(xml, tag)
+  .map((value) => value.replace(/&(amp|lt|gt|quot|apos);/g, (_entity, name) => XML_ENTITIES[name]));
+
+/**
+ * Body of CompleteMultipartUpload
+ * @param {{ partNumber: number, etag: string }[]} parts
+ * @returns {string}
+ */
+const completeUploadXml = (parts) => '<CompleteMultipartUpload>'
+  + parts.map(({ partNumber, etag }) => `<Part><PartNumber>${partNumber}</PartNumber><ETag>${etag}</ETag></Part>`).join('')
+  + '</CompleteMultipartUpload>';
+
+/**
+ * Creates a storage in an S3 bucket
+ * @param {Object} options
+ * @param {string} options.endpoint - Service URL, e.g. http://localhost:9000 for MinIO
+ * @param {string} options.region - Signing region (us-east-1 for MinIO)
+ * @param {string} options.bucket - Existing bucket
+ * @param {string} [options.prefix=''] - Key prefix, e.g. 'exports/'
+ * @param {string} options.accessKeyId
+ * @param {string} options.secretAccessKey
+ * @param {number} [options.partSize=8388608] - Multipart part size in bytes (S3 minimum: 5 MiB)
+ * @returns {import('./storage.js').ExportStorage}
+ */
+export const createS3Storage = ({
+  endpoint,
+  region,
+  bucket,
+  prefix = '',
+  accessKeyId,
+  secretAccessKey,
+  partSize = 8 * 1024 * 1024,
+}) => {
+  const credentials = { accessKeyId, secretAccessKey, region };
+  const bucketUrl = `${endpoint.replace(/\/+$/, '')}/${uriEncode(bucket)}`;
+
+  /**
+   * @param {string} [key] - Object key without the prefix; omitted for the bucket itself
+   * @param {Object} [query={}] - Query parameters
+   * @returns {URL}
+   */
+  const requestUrl = (key, query = {}) => {
+    const url = new URL(key === undefined
+      ? `${bucketUrl}/`
+      : `${bucketUrl}/${`${prefix}${key}`.split('/').map(uriEncode).join('/')}`);
+    url.search = Object.entries(query)
+      .map(([name, value]) => (value === '' ? uriEncode(name) : `${uriEncode(name)}=${uriEncode(String(value))}`))
+      .join('&');
+    return url;
+  };
+
+  /**
+   * Sends a signed request
+   * @param {string} method
+   * @param {URL} url
+   * @param {Object} [options]
+   * @param {Object} [options.headers={}] - Headers to send (and sign)
+   * @param {Buffer|string} [options.body]
+   * @param {number[]} [options.expected=[200]] - Statuses that are not errors
+   * @returns {Promise<Response>}
+   * @throws {StorageError} On network failures and unexpected statuses
+   */
+  const send = async (method, url, { headers = {}, body, expected = [200] } = {}) => {
+    const payloadHash = body === undefined ? EMPTY_PAYLOAD_HASH : hashPayload(body);
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: signRequest({ method, url, headers, payloadHash }, credentials),
+        body,
+      });
+    } catch (err) {
+      throw new StorageError(`S3 ${method} ${url.pathname} failed: ${err.cause?.code ?? err.message}`, err);
+    }
+    if (!expected.includes(response.status)) {
+      const text = method === 'HEAD' ? '' : await response.text().catch(() => '');
+      const [code] = xmlValues(text, 'Code');
+      throw new StorageError(`S3 ${method} ${url.pathname} failed: ${response.status}${code ? ` ${code}` : ''}`);
+    }
+    return response;
+  };
+
+  return {
+    name: 's3',
+
+    createWriteStream(key) {
+      let chunks = [];
+      let buffered = 0;
+      let uploadId = null;
+      let stored = false;
+      let inFlight = Promise.resolve(); // Settles after the callback of the last request
+      const parts = [];
+
+      const takeBuffered = () => {
+        const body = Buffer.concat(chunks, buffered);
+        chunks = [];
+        buffered = 0;
+        return body;
+      };
+
+      const uploadPart = async (body) => {
+        if (uploadId === null) {
+          const response = await send('POST', requestUrl(key, { uploads: '' }));
+          [uploadId] = xmlValues(await response.text(), 'UploadId');
+        }
+        const partNumber = parts.length + 1;
+        const response = await send('PUT', requestUrl(key, { partNumber, uploadId }), { body });
+        parts.push({ partNumber, etag: response.headers.get('etag') });
+      };
+
+      const complete = async () => {
+        if (uploadId === null) {
+          await send('PUT', requestUrl(key), { body: takeBuffered() });
+          return;
+        }
+        if (buffered > 0) await uploadPart(takeBuffered());
+        const response = await send('POST', requestUrl(key, { uploadId }), { body: completeUploadXml(parts) });
+        // CompleteMultipartUpload can fail after answering 200
+        const [code] = xmlValues(await response.text(), 'Code');
+        if (code) throw new StorageError(`S3 CompleteMultipartUpload of "${key}" failed: ${code}`);
+      };
+
+      return new Writable({
+        write(chunk, _encoding, callback) {
+          chunks.push(chunk);
+          buffered += chunk.length;
+          if (buffered < partSize) {
+            callback();
+            return;
+          }
+          // The next write waits for this part: backpressure to the export
+          inFlight = uploadPart(takeBuffered()).then(() => callback(), callback);
+        },
+        final(callback) {
+          inFlight = complete().then(() => {
+            stored = true;
+            callback();
+          }, callback);
+        },
+        destroy(err, callback) {
+          chunks = [];
+          // A part in flight may be the one that creates the upload
+          inFlight
+            .then(() => {
+              if (stored || uploadId === null) return undefined;
+              return send('DELETE', requestUrl(key, { uploadId }), { expected: [204, 404] });
+            })
+            .catch((abortError) => debugAPI(`S3 upload of "${key}" not aborted:`, abortError.message))
+            .finally(() => callback(err));
+        },
+      });
+    },
+
+    async createReadStream(key, { start, end } = {}) {
+      const ranged = start !== undefined || end !== undefined;
+      const response = await send('GET', requestUrl(key), {
+        headers: ranged ? { range: `bytes=${start ?? 0}-${end ?? ''}` } : {},
+        expected: [200, 206],
+      });
+      return Readable.fromWeb(response.body);
+    },
+
+    async stat(key) {
+      const response = await send('HEAD', requestUrl(key), { expected: [200, 404] });
+      if (response.status === 404) return null;
+      return {
+        size: Number(response.headers.get('content-length')),
+        modifiedAt: new Date(response.headers.get('last-modified')),
+      };
+    },
+
+    async remove(key) {
+      await send('DELETE', requestUrl(key), { expected: [200, 204, 404] });
+    },
+
+    async *list() {
+      let continuationToken;
+      do {
+        const response = await send('GET', requestUrl(undefined, {
+          'list-type': 2,
+          prefix,
+          ...(continuationToken && { 'continuation-token': continuationToken }),
+        }));
+        const xml = await response.text();
+        for (const contents of xmlElements(xml, 'Contents')) {
+          const [objectKey] = xmlValues(contents, 'Key');
+          const [size] = xmlValues(contents, 'Size');
+          const [modifiedAt] = xmlValues(contents, 'LastModified');
+          yield { key: objectKey.slice(prefix.length), size: Number(size), modifiedAt: new Date(modifiedAt) };
+        }
+        [continuationToken] = xmlValues(xml, 'IsTruncated')[0] === 'true' ? xmlValues(xml, 'NextContinuationToken') : [];
+      } while (continuationToken);
+    },
+  };
+};
@@ -0,0 +1,67 @@
+/**
+ * Storage for generated export files
+ *
+ * Background jobs (services/exportJobs.js) write their files through a
+ * storage adapter and downloads read them back from it, so a report is
+ * generated once and handed out many times. EXPORT_STORAGE picks the adapter:
+ *
+ *   local   files in EXPORT_JOB_DIR (services/localFileStorage.js)
+ *   s3      objects in an S3-compatible bucket (services/s3Storage.js)
+ *
+ * Both stream: uploads hold at most one multipart part in memory (s3) or
+ * none (local), and reads support byte ranges for resumable downloads.
+ * Files only become visible under their key once completely written.
+ *
+ * Only job files are stored: direct downloads (GET /export/…) are not
+ * cached and always stream from the database to the client.
+ *
+ * @typedef {Object} ExportStorage
+ * @property {string} name - 'local' or 's3'
+ * @property {function(string): import('node:stream').Writable} createWriteStream -
+ *   Streams a file to a key. 'finish' fires once the file is stored under
+ *   the key; destroy() discards what was written so far.
+ * @property {function(string, {start?: number, end?: number}=): Promise<import('node:stream').Readable>} createReadStream -
+ *   Reads a stored file, or the inclusive byte range start–end of it
+ * @property {function(string): Promise<{size: number, modifiedAt: Date}|null>} stat -
+ *   Size and modification time, or null if nothing is stored under the key
+ * @property {function(string): Promise<void>} remove -
+ *   Deletes a file (and any partial upload under the key); missing keys are ignored
+ * @property {function(): AsyncIterable<{key: string, size: number, modifiedAt: Date}>} list -
+ *   Every stored file, for retention cleanup
+ */
+import { getEnv } from '../config/env.js';
+import { createLocalFileStorage } from './localFileStorage.js';
+import { createS3Storage } from './s3Storage.js';
+
+let storage = null;
+
+/**
+ * Creates the storage adapter the environment configures
+ * @param {Object} env - Validated environment (config/env.js)
+ * @returns {ExportStorage}
+ */
+export const createExportStorage = (env) => {
+  if (env.EXPORT_STORAGE === 's3') {
+    return createS3Storage({
+      endpoint: env.EXPORT_S3_ENDPOINT ?? `https://s3.${env.EXPORT_S3_REGION}.amazonaws.com`,
+      region: env.EXPORT_S3_REGION,
+      bucket: env.EXPORT_S3_BUCKET,
+      prefix: env.EXPORT_S3_PREFIX,
+      accessKeyId: env.EXPORT_S3_ACCESS_KEY_ID,
+      secretAccessKey: env.EXPORT_S3_SECRET_ACCESS_KEY,
+      partSize: env.EXPORT_S3_PART_SIZE_MB * 1024 * 1024,
+    });
+  }
+  return createLocalFileStorage({ directory: env.EXPORT_JOB_DIR });
+};
+
+/**
+ * Storage adapter of this process (created on first use)
+ * @returns {ExportStorage}
+ */
+export const getExportStorage = () => {
+  if (!storage) {
+    storage = createExportStorage(getEnv());
+  }
+  return storage;
+};
@@ -0,0 +1,103 @@
+/**
+ * AWS Signature Version 4 for S3-compatible storage
+ *
+ * Signs requests to AWS S3, MinIO and other S3-compatible services with an
+ * access key pair, as documented in "Authenticating Requests (AWS Signature
+ * Version 4)". Only what services/s3Storage.js needs is implemented: header
+ * signing (Authorization) with a payload hash, for path-style URLs.
+ */
+import crypto from 'node:crypto';
+
+/**
+ * Payload hash of a request without a body
+ */
+export const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Hex SHA-256 of a request body
+ * @param {Buffer|string} payload
+ * @returns {string}
+ */
+export const hashPayload = (payload) => crypto.createHash('sha256').update(payload).digest('hex');
+
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+/**
+ * URI encoding as SigV4 requires: RFC 3986 unreserved characters are kept,
+ * everything else is percent-encoded (encodeURIComponent leaves !'()* alone)
+ * @param {string} value
+ * @returns {string}
+ */
+export const uriEncode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Timestamps of a signature: 20130524T000000Z and 20130524
+ * @param {Date} date
+ * @returns {{ amzDate: string, dateStamp: string }}
+ */
+const signatureDates = (date) => {
+  const amzDate = date.toISOString().replace(/[:-]/g, '').replace(/\.\d{3}/, '');
+  return { amzDate, dateStamp: amzDate.slice(0, 8) };
+};
+
+/**
+ * Signs a request
+ * @param {Object} request
+ * @param {string} request.method - HTTP method
+ * @param {URL} request.url - Full URL; its path must already be URI-encoded
+ *   per segment (see uriEncode)
+ * @param {Object} [request.headers={}] - Headers to sign besides host and
+ *   x-amz-* (e.g. range, content-type)
+ * @param {string} [request.payloadHash=EMPTY_PAYLOAD_HASH] - Hex SHA-256 of the body
+ * @param {Object} credentials
+ * @param {string} credentials.accessKeyId
+ * @param {string} credentials.secretAccessKey
+ * @param {string} credentials.region - e.g. us-east-1 (MinIO's default)
+ * @param {string} [credentials.service='s3']
+ * @param {Date} [date=new Date()] - Signing time (fixed in tests)
+ * @returns {Object} The headers to send: the given ones plus Authorization,
+ *   x-amz-date and x-amz-content-sha256
+ */
+export const signRequest = (
+  { method, url, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH },
+  { accessKeyId, secretAccessKey, region, service = 's3' },
+  date = new Date(),
+) => {
+  const { amzDate, dateStamp } = signatureDates(date);
+  const signed = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash,
+  };
+  const names = Object.keys(signed).sort();
+
+  const query = [...url.searchParams]
+    .map(([name, value]) => [uriEncode(name), uriEncode(value)])
+    .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    query,
+    names.map((name) => `${name}:${signed[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/${service}/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hashPayload(canonicalRequest)].join('\n');
+
+  const signingKey = [dateStamp, region, service, 'aws4_request']
+    .reduce((key, part) => hmac(key, part), `AWS4${secretAccessKey}`);
+  const signature = hmac(signingKey, stringToSign).toString('hex');
+
+  const sent = names.filter((name) => name !== 'host'); // fetch sets Host itself
+  return {
+    ...Object.fromEntries(sent.map((name) => [name, signed[name]])),
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope},SignedHeaders=${names.join(';')},Signature=${signature}`,
+  };
+};
@@ -0,0 +1,46 @@
+/**
+ * Running aggregates (count/sum/min/max) for numeric export columns
+ *
+ * Values are folded in as rows stream past, so totals are available when
+ * the database stream ends without a second pass or buffered rows.
+ * Columns opt in with `aggregate: true` in their definition.
+ */
+
+/**
+ * Creates an aggregator for the columns that declare `aggregate: true`
+ * @param {Array<Object>} columns - Column definitions
+ * @returns {{ add: Function, results: Function }} Aggregator
+ */
+export const createColumnAggregator = (columns) => {
+  const totals = columns
+    .filter((column) => column.aggregate)
+    .map(({ key, header }) => ({ key, header, count: 0, sum: 0, min: null, max: null }));
+
+  return {
+    /**
+     * Folds one mapped row into the totals; NULL and non-numeric values are skipped
+     * @param {Object} mappedRow - Row keyed by column key
+     */
+    add(mappedRow) {
+      for (const total of totals) {
+        const value = mappedRow[total.key];
+        if (value === null || value === undefined) continue;
+        const number = Number(value);
+        if (!Number.isFinite(number)) continue;
+
+        total.count++;
+        total.sum += number;
+        total.min = total.min === null ? number : Math.min(total.min, number);
+        total.max = total.max === null ? number : Math.max(total.max, number);
+      }
+    },
+
+    /**
+     * Current totals per aggregated column
+     * @returns {Array<{key: string, header: string, count: number, sum: number, min: ?number, max: ?number}>}
+     */
+    results() {
+      return totals.map((total) => ({ ...total }));
+    },
+  };
+};
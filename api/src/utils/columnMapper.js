@@ -1,35 +1,271 @@
+import { createFormulaSanitizer, DEFAULT_FORMULA_POLICY } from './formulaSanitizer.js';
+import { buildColumnsFromMetadata } from './columnMetadata.js';
+import { ValidationError } from './errors.js';
+import { isErrorCell } from './jsonColumns.js';
+import { UTC_TIMEZONE } from './timezones.js';
+
+/**
+ * Per-column overrides for spGenerateData, merged by key over the
+ * definitions derived from result-set metadata (see columnMetadata.js).
+ * Header, width and `type` come from the metadata unless set here.
+ *
+ * `type` describes the SQL value category and drives non-Excel encodings
+ * (see jsonEncoder.js). ExcelJS ignores keys it does not know about.
+ *
+ * Optional Excel presentation rules (xlsx output only):
+ *   - numFmt:    Excel number format code, e.g. '#,##0.00' or 'yyyy-mm-dd'
+ *   - alignment: ExcelJS alignment, e.g. { horizontal: 'right' }
+ *   - boolean:   display labels for bit values, e.g. { true: 'Yes', false: 'No' }
+ *
+ * numFmt and alignment need the workbook's style table; exports only turn
+ * styles on when at least one column declares them (see columnsUseStyles).
+ *
+ * `aggregate: true` marks numeric columns whose sum/min/max are reported on
+ * the optional Summary sheet (see columnAggregator.js).
+ *
+ * `json` expands a column holding JSON text into one typed column per path,
+ * with a policy for malformed text (see jsonColumns.js).
+ *
+ * `precisionPolicy` ('text' | 'number' | 'split') sets how bigint and decimal
+ * values are written (see numericPrecision.js).
+ */
+export const REPORT_COLUMN_OVERRIDES = {
+  // ROW_NUMBER() is BIGINT, which mssql returns as text: write the ids as
+  // numbers (exact up to 2^53; any beyond are counted as rounded)
+  Id: { precisionPolicy: 'number', width: 10 },
+  ColInt: { numFmt: '#,##0', aggregate: true },
+  ColDecimal: { numFmt: '"$"#,##0.00', alignment: { horizontal: 'right' }, aggregate: true },
+  ColFloat: { numFmt: '#,##0.00', aggregate: true },
+  ColBit: { boolean: { true: 'Yes', false: 'No' }, alignment: { horizontal: 'center' } },
+};
+
+/**
+ * Overrides for the JSON variant of the report (generated-data-json): the
+ * same columns, with ColJson expanded instead of written as JSON text
+ */
+export const JSON_REPORT_COLUMN_OVERRIDES = {
+  ...REPORT_COLUMN_OVERRIDES,
+  // {"k":123,"s":"abcd1234"} → ColJson.k (number), ColJson.s (text)
+  ColJson: { json: { paths: [{ path: 'k', type: 'int', numFmt: '#,##0' }, 's'] } },
+};
+
 /**
- * Column definitions for spGenerateData stored procedure output
+ * Static column definitions for spGenerateData output
+ *
+ * Used when no result-set metadata is available (e.g. a procedure that
+ * returns no result set) and as a reference for the expected shape.
  */
 export const REPORT_COLUMNS = [
-  { header: 'Id', key: 'Id', width: 10 },
-  { header: 'ColInt', key: 'ColInt', width: 12 },
-  { header: 'ColBigInt', key: 'ColBigInt', width: 15 },
-  { header: 'ColDecimal', key: 'ColDecimal', width: 12 },
-  { header: 'ColFloat', key: 'ColFloat', width: 12 },
-  { header: 'ColBit', key: 'ColBit', width: 8 },
-  { header: 'ColGuid', key: 'ColGuid', width: 38 },
-  { header: 'ColDate', key: 'ColDate', width: 20 },
-  { header: 'ColVarchar', key: 'ColVarchar', width: 20 },
-  { header: 'ColText', key: 'ColText', width: 50 },
-  { header: 'ColJson', key: 'ColJson', width: 30 }
-];
-
-/**
- * Maps database row to Excel row format
- * @param {Object} row - Database row from stored procedure
- * @returns {Object} Mapped row object for ExcelJS
- */
-export const mapRowToExcel = (row) => ({
-  Id: row.Id,
-  ColInt: row.ColInt,
-  ColBigInt: row.ColBigInt,
-  ColDecimal: row.ColDecimal,
-  ColFloat: row.ColFloat,
-  ColBit: row.ColBit,
-  ColGuid: row.ColGuid,
-  ColDate: row.ColDate,
-  ColVarchar: row.ColVarchar,
-  ColText: row.ColText,
-  ColJson: row.ColJson
-});
+  { header: 'Id', key: 'Id', width: 10, type: 'bigint' },
+  { header: 'ColInt', key: 'ColInt', width: 12, type: 'int' },
+  { header: 'ColBigInt', key: 'ColBigInt', width: 15, type: 'bigint' },
+  { header: 'ColDecimal', key: 'ColDecimal', width: 12, type: 'decimal' },
+  { header: 'ColFloat', key: 'ColFloat', width: 12, type: 'float' },
+  { header: 'ColBit', key: 'ColBit', width: 8, type: 'bit' },
+  { header: 'ColGuid', key: 'ColGuid', width: 38, type: 'guid' },
+  { header: 'ColDate', key: 'ColDate', width: 20, type: 'datetime', numFmt: 'yyyy-mm-dd hh:mm:ss' },
+  { header: 'ColVarchar', key: 'ColVarchar', width: 20, type: 'string' },
+  { header: 'ColText', key: 'ColText', width: 50, type: 'string' },
+  { header: 'ColJson', key: 'ColJson', width: 30, type: 'string' }
+].map((column) => ({ ...column, ...REPORT_COLUMN_OVERRIDES[column.key] }));
+
+/**
+ * Static column definitions for the JSON variant of the report
+ */
+export const JSON_REPORT_COLUMNS = REPORT_COLUMNS
+  .map((column) => ({ ...column, ...JSON_REPORT_COLUMN_OVERRIDES[column.key] }));
+
+/**
+ * Worksheet layout for the report (see utils/worksheetLayout.js)
+ * Set frozenColumns to 1 to keep the Id column visible as well.
+ */
+export const REPORT_WORKSHEET_OPTIONS = {
+  headerStyle: {
+    font: { bold: true },
+    fill: { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } },
+  },
+  freezeHeader: true,
+  frozenColumns: 0,
+  autoFilter: true,
+};
+
+/**
+ * Whether xlsx exports include the Summary sheet when summary= is not given
+ */
+export const REPORT_INCLUDE_SUMMARY = false;
+
+/**
+ * Translated headers, bit labels and sheet names for the report, by
+ * language tag (see utils/locales.js); column keys stay the same in every
+ * language
+ */
+export const REPORT_TRANSLATIONS = {
+  de: {
+    headers: {
+      Id: 'Nr.',
+      ColInt: 'Ganzzahl',
+      ColBigInt: 'Große Ganzzahl',
+      ColDecimal: 'Betrag',
+      ColFloat: 'Gleitkommazahl',
+      ColBit: 'Kennzeichen',
+      ColGuid: 'GUID',
+      ColDate: 'Datum',
+      ColVarchar: 'Kurztext',
+      ColText: 'Text',
+      ColJson: 'JSON',
+      'ColJson.k': 'JSON-Zahl',
+      'ColJson.s': 'JSON-Text',
+    },
+    booleans: { ColBit: { true: 'Ja', false: 'Nein' } },
+    sheetNames: { Report: 'Bericht', Summary: 'Zusammenfassung' },
+  },
+  fr: {
+    headers: {
+      Id: 'N°',
+      ColInt: 'Entier',
+      ColBigInt: 'Grand entier',
+      ColDecimal: 'Montant',
+      ColFloat: 'Nombre à virgule',
+      ColBit: 'Indicateur',
+      ColGuid: 'GUID',
+      ColDate: 'Date',
+      ColVarchar: 'Texte court',
+      ColText: 'Texte',
+      ColJson: 'JSON',
+      'ColJson.k': 'Nombre JSON',
+      'ColJson.s': 'Texte JSON',
+    },
+    booleans: { ColBit: { true: 'Oui', false: 'Non' } },
+    sheetNames: { Report: 'Rapport', Summary: 'Synthèse' },
+  },
+};
+
+/**
+ * Filters and reorders columns to a client selection (columns= parameter)
+ * @param {Array<Object>} columns - Available column definitions
+ * @param {Array<string>|null} selection - Column keys in output order, null for all
+ * @returns {Array<Object>} Selected column definitions in selection order
+ * @throws {ValidationError} If any selected key is not an available column
+ */
+export const selectColumns = (columns, selection) => {
+  if (!selection) {
+    return columns;
+  }
+  const byKey = new Map(columns.map((column) => [column.key, column]));
+  const unknown = selection.filter((key) => !byKey.has(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      `Unknown column(s): ${unknown.join(', ')}. Available: ${columns.map((column) => column.key).join(', ')}`,
+    );
+  }
+  return selection.map((key) => byKey.get(key));
+};
+
+/**
+ * Resolves a report's columns from result-set metadata
+ * @param {Object} report - Report definition (columns, columnOverrides; see config/reports.js)
+ * @param {Object|null|undefined} metadata - recordset columns from mssql
+ * @param {Array<string>|null} [selection=null] - Client column selection (see selectColumns)
+ * @returns {Array<Object>} Derived columns with the report's overrides applied,
+ *   or its static columns when there is no metadata, narrowed to the selection
+ * @throws {ValidationError} If the selection names an unknown column
+ */
+export const resolveReportColumns = (report, metadata, selection = null) => selectColumns(
+  metadata ? buildColumnsFromMetadata(metadata, report.columnOverrides) : report.columns,
+  selection,
+);
+
+/**
+ * Creates a row mapper for a set of column definitions
+ *
+ * Picks each column's value from the database row by key and sanitizes
+ * string columns against spreadsheet formula injection. Because every
+ * output format (xlsx, CSV, JSON) goes through this mapper, the policy
+ * covers all of them.
+ *
+ * @param {Array<Object>} columns - Column definitions (key, header, type)
+ * @param {Object} [options]
+ * @param {string} [options.formulaPolicy='escape'] - escape | strip | reject (see formulaSanitizer.js)
+ * @returns {Function} (row) => mapped row keyed by column key
+ */
+export const createRowMapper = (columns, { formulaPolicy = DEFAULT_FORMULA_POLICY } = {}) => {
+  const sanitize = createFormulaSanitizer(formulaPolicy);
+  const keys = columns.map((column) => column.key);
+  const stringColumns = columns.filter((column) => (column.type ?? 'string') === 'string');
+
+  return (row) => {
+    const mapped = {};
+    for (const key of keys) {
+      mapped[key] = row[key];
+    }
+    for (const { key, header } of stringColumns) {
+      mapped[key] = sanitize(mapped[key], header);
+    }
+    return mapped;
+  };
+};
+
+/**
+ * Whether any column needs the workbook style table (numFmt / alignment)
+ * @param {Array<Object>} columns - Column definitions
+ * @returns {boolean} True if styles must be enabled to honor the definitions
+ */
+export const columnsUseStyles = (columns) =>
+  columns.some((column) => column.numFmt !== undefined || column.alignment !== undefined);
+
+/**
+ * Converts column definitions to ExcelJS worksheet columns
+ * Cells inherit the column style, so numFmt/alignment are applied once here
+ * instead of per cell.
+ * @param {Array<Object>} columns - Column definitions
+ * @param {Object} [options]
+ * @param {boolean} [options.useStyles=true] - Attach numFmt/alignment styles
+ * @returns {Array<Object>} ExcelJS column definitions
+ */
+export const toWorksheetColumns = (columns, { useStyles = true } = {}) =>
+  columns.map(({ header, key, width, numFmt, alignment }) => {
+    const style = {};
+    if (useStyles && numFmt !== undefined) style.numFmt = numFmt;
+    if (useStyles && alignment !== undefined) style.alignment = alignment;
+    return { header, key, width, style };
+  });
+
+/**
+ * Creates a function applying per-column display rules to a mapped row
+ * Only columns that declare rules are touched; the row is modified in place
+ * to avoid an extra allocation per row in the streaming path.
+ *
+ * Datetime values are shifted to the wall-clock time of the export's time
+ * zone, since Excel dates have no zone of their own (see timezones.js).
+ *
+ * @param {Array<Object>} columns - Column definitions
+ * @param {Object} [options]
+ * @param {Object} [options.timezone=UTC_TIMEZONE] - From createTimezone()
+ * @returns {Function} (mappedRow) => mappedRow ready for worksheet.addRow()
+ */
+export const createExcelRowFormatter = (columns, { timezone = UTC_TIMEZONE } = {}) => {
+  const booleanColumns = columns.filter((column) => column.boolean);
+  const dateKeys = timezone === UTC_TIMEZONE
+    ? []
+    : columns.filter((column) => column.type === 'datetime').map((column) => column.key);
+
+  if (booleanColumns.length === 0 && dateKeys.length === 0) {
+    return (mappedRow) => mappedRow;
+  }
+
+  return (mappedRow) => {
+    for (const key of dateKeys) {
+      const value = mappedRow[key];
+      if (value instanceof Date) {
+        mappedRow[key] = timezone.toWallClock(value);
+      }
+    }
+    for (const { key, boolean } of booleanColumns) {
+      const value = mappedRow[key];
+      if (value !== null && value !== undefined && !isErrorCell(value)) {
+        mappedRow[key] = value ? boolean.true : boolean.false;
+      }
+    }
+    return mappedRow;
+  };
+};
@@ -0,0 +1,170 @@
+/**
+ * Column definitions derived from SQL result-set metadata
+ *
+ * In streaming mode mssql emits a 'recordset' event with the column
+ * metadata before the first row; non-streaming results carry the same
+ * object as `recordset.columns`. Each entry looks like:
+ *
+ *   { index, name, length, type: mssql.Int, precision, scale, nullable, … }
+ *
+ * From it we derive the header, key, value category (`type`, see
+ * columnMapper.js), a width suited to the SQL type/length and default
+ * date formats. Static overrides (e.g. REPORT_COLUMN_OVERRIDES) are merged
+ * on top by key, so presentation rules can still be hand-tuned per column.
+ *
+ * A column without a name (an expression without an alias) is keyed and
+ * headed `Column<n>` (one-based position), so columns= can select it;
+ * unnamedColumnStages() moves its value to that key in each row.
+ */
+
+/**
+ * Value category for each SQL type declaration (mssql `type.declaration`)
+ * Anything not listed (varchar, nvarchar, text, xml, …) is a string.
+ */
+const SQL_TYPE_CATEGORIES = {
+  tinyint: 'int',
+  smallint: 'int',
+  int: 'int',
+  bigint: 'bigint',
+  decimal: 'decimal',
+  numeric: 'decimal',
+  money: 'decimal',
+  smallmoney: 'decimal',
+  float: 'float',
+  real: 'float',
+  bit: 'bit',
+  uniqueidentifier: 'guid',
+  date: 'datetime',
+  datetime: 'datetime',
+  datetime2: 'datetime',
+  smalldatetime: 'datetime',
+  datetimeoffset: 'datetime',
+  time: 'datetime',
+};
+
+/**
+ * Default Excel number formats for date/time declarations
+ */
+const SQL_DATE_FORMATS = {
+  date: 'yyyy-mm-dd',
+  time: 'hh:mm:ss',
+};
+export const DEFAULT_DATETIME_FORMAT = 'yyyy-mm-dd hh:mm:ss';
+
+/**
+ * Width (in characters) for non-string categories
+ */
+const CATEGORY_WIDTHS = {
+  int: 12,
+  bigint: 20,
+  decimal: 14,
+  float: 14,
+  bit: 8,
+  guid: 38,
+  datetime: 20,
+};
+
+const MIN_COLUMN_WIDTH = 8;
+const MAX_COLUMN_WIDTH = 50;
+
+/**
+ * Lowercase SQL type declaration of a metadata entry
+ * @param {Object} meta - Column metadata from mssql
+ * @returns {string} e.g. 'int', 'nvarchar' ('' when unknown)
+ */
+export const sqlDeclaration = (meta) => meta?.type?.declaration?.toLowerCase() ?? '';
+
+/**
+ * Maps a metadata entry to a column value category
+ * @param {Object} meta - Column metadata from mssql
+ * @returns {string} int | bigint | decimal | float | bit | guid | datetime | string
+ */
+export const sqlTypeToColumnType = (meta) => SQL_TYPE_CATEGORIES[sqlDeclaration(meta)] ?? 'string';
+
+/**
+ * Column width from SQL type and length, never narrower than the header
+ * @param {Object} meta - Column metadata from mssql
+ * @param {string} header - Column header text
+ * @returns {number} Width in characters
+ */
+export const deriveColumnWidth = (meta, header) => {
+  const declaration = sqlDeclaration(meta);
+  const category = sqlTypeToColumnType(meta);
+  let width = CATEGORY_WIDTHS[category];
+
+  if (category === 'decimal' && meta.precision) {
+    // digits + separators + sign/decimal point
+    width = meta.precision + Math.floor(meta.precision / 3) + 2;
+  } else if (category === 'datetime' && SQL_DATE_FORMATS[declaration]) {
+    width = 12;
+  } else if (category === 'string') {
+    // nchar/nvarchar/ntext lengths are reported in bytes (2 per character);
+    // MAX types report a huge or missing length and are capped below
+    const length = declaration.startsWith('n') ? meta.length / 2 : meta.length;
+    width = Number.isFinite(length) && length > 0 ? length + 2 : MAX_COLUMN_WIDTH;
+  }
+
+  return Math.min(Math.max(width, header.length + 2, MIN_COLUMN_WIDTH), MAX_COLUMN_WIDTH);
+};
+
+/**
+ * Builds one column definition from a metadata entry
+ * @param {Object} meta - Column metadata from mssql
+ * @returns {Object} Column definition (header, key, width, type, numFmt?,
+ *   unnamed? for a column without a name)
+ */
+export const columnFromMetadata = (meta) => {
+  const key = meta.name || `Column${meta.index + 1}`;
+  const type = sqlTypeToColumnType(meta);
+  const column = { header: key, key, width: deriveColumnWidth(meta, key), type };
+  if (!meta.name) column.unnamed = true;
+  if (type === 'datetime') {
+    column.numFmt = SQL_DATE_FORMATS[sqlDeclaration(meta)] ?? DEFAULT_DATETIME_FORMAT;
+  }
+  return column;
+};
+
+/**
+ * Builds column definitions for a result set, in result-set order
+ *
+ * Overrides are keyed by column key and merged over the derived
+ * definition; overrides for columns the result set does not contain are
+ * ignored.
+ *
+ * @param {Object|Array<Object>} metadata - recordset columns (keyed by name) from mssql
+ * @param {Object<string, Object>} [overrides={}] - Partial column definitions by key
+ * @returns {Array<Object>} Column definitions
+ */
+export const buildColumnsFromMetadata = (metadata, overrides = {}) =>
+  Object.values(metadata)
+    .sort((a, b) => a.index - b.index)
+    .map((meta) => {
+      const column = columnFromMetadata(meta);
+      return { ...column, ...(Object.hasOwn(overrides, column.key) ? overrides[column.key] : {}) };
+    });
+
+/**
+ * Row transform stage giving the value of an unnamed column its key
+ *
+ * mssql keys row values by column name, so an unnamed column's value is
+ * under '' — an array of values when the result set has several unnamed
+ * columns, whose metadata then describes only the last one.
+ *
+ * @param {Array<Object>} columns - Column definitions from buildColumnsFromMetadata()
+ * @returns {Array<Object>} Transform stages (none if every column is named)
+ */
+export const unnamedColumnStages = (columns) => {
+  const column = columns.find(({ unnamed }) => unnamed);
+  if (!column) return [];
+  return [{
+    name: `unnamed(${column.key})`,
+    bind: (bound) => ({
+      columns: bound,
+      transform: (row) => {
+        const value = row[''];
+        row[column.key] = Array.isArray(value) ? value.at(-1) : value;
+        return row;
+      },
+    }),
+  }];
+};
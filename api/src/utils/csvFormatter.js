@@ -0,0 +1,78 @@
+/**
+ * RFC 4180 CSV formatting helpers
+ *
+ * Formats one record at a time so rows can be written to the response
+ * as they arrive from the database — nothing is buffered here.
+ */
+import { isErrorCell } from './jsonColumns.js';
+import { UTC_TIMEZONE } from './timezones.js';
+
+/**
+ * Record separator required by RFC 4180
+ */
+export const CSV_LINE_ENDING = '\r\n';
+
+/**
+ * Converts a cell value to its CSV text representation (dates as ISO 8601
+ * in the export's time zone, error cells as their error text, e.g. #VALUE!)
+ * @param {*} value - Mapped cell value
+ * @param {Object} timezone - From createTimezone()
+ * @returns {string} Unquoted text for the field
+ */
+const toFieldText = (value, timezone) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return timezone.formatIso(value);
+  }
+  if (isErrorCell(value)) {
+    return value.error;
+  }
+  return String(value);
+};
+
+/**
+ * Creates a CSV formatter bound to a delimiter and quote character
+ *
+ * Fields are quoted only when they contain the delimiter, the quote
+ * character, CR or LF. Embedded quote characters are escaped by doubling.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter (single character)
+ * @param {string} [options.quote='"'] - Quote character (single character)
+ * @param {Object} [options.timezone=UTC_TIMEZONE] - Zone dates are written in (see timezones.js)
+ * @returns {{ formatField: Function, formatRecord: Function }} Formatter
+ */
+export const createCsvFormatter = ({ delimiter = ',', quote = '"', timezone = UTC_TIMEZONE } = {}) => {
+  const doubledQuote = quote + quote;
+
+  /**
+   * Formats a single field, quoting it when required
+   * @param {*} value - Cell value
+   * @returns {string} CSV field
+   */
+  const formatField = (value) => {
+    const text = toFieldText(value, timezone);
+    const needsQuoting =
+      text.includes(delimiter) ||
+      text.includes(quote) ||
+      text.includes('\r') ||
+      text.includes('\n');
+
+    if (!needsQuoting) {
+      return text;
+    }
+    return `${quote}${text.replaceAll(quote, doubledQuote)}${quote}`;
+  };
+
+  /**
+   * Formats a full record including the trailing CRLF
+   * @param {Array<*>} values - Field values in column order
+   * @returns {string} CSV line
+   */
+  const formatRecord = (values) =>
+    values.map(formatField).join(delimiter) + CSV_LINE_ENDING;
+
+  return { formatField, formatRecord };
+};
@@ -12,6 +12,7 @@ export class AppError extends Error {
     this.status = status;
     this.code = code;
     this.originalError = null;  // Consistent shape across all error subclasses
+    this.details = null;        // Optional structured detail sent to the client
   }
 }
 
@@ -19,9 +20,41 @@ export class AppError extends Error {
  * Validation error for invalid input parameters
  */
 export class ValidationError extends AppError {
-  constructor(message, code = 'VALIDATION_ERROR') {
+  constructor(message, code = 'VALIDATION_ERROR', details = null) {
     super(message, 400, code);
     this.name = 'ValidationError';
+    this.details = details;  // e.g. [{ field, message }] for each invalid parameter
+  }
+}
+
+/**
+ * Requested resource (e.g. a report id) does not exist
+ */
+export class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND') {
+    super(message, 404, code);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Request conflicts with the resource's current state (e.g. downloading an
+ * export job that has not completed)
+ */
+export class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, 409, code);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Requested representation cannot be produced (Accept header mismatch)
+ */
+export class NotAcceptableError extends AppError {
+  constructor(message, code = 'NOT_ACCEPTABLE') {
+    super(message, 406, code);
+    this.name = 'NotAcceptableError';
   }
 }
 
@@ -36,6 +69,17 @@ export class DatabaseError extends AppError {
   }
 }
 
+/**
+ * Export file storage error (local disk or S3-compatible service)
+ */
+export class StorageError extends AppError {
+  constructor(message, originalError = null) {
+    super(message, 500, 'STORAGE_ERROR');
+    this.name = 'StorageError';
+    this.originalError = originalError;
+  }
+}
+
 /**
  * Environment configuration error
  */
@@ -0,0 +1,489 @@
+/**
+ * Filter and sort DSL for exports
+ *
+ *   filter[ColInt][gte]=100
+ *   filter[ColDate][between]=2024-01-01,2024-03-31
+ *   filter[ColVarchar][contains]=abc
+ *   filter[ColBit]=true                      (shorthand for [eq])
+ *   sort=-ColDate,Id                         (leading "-" = descending)
+ *
+ * Columns and operators are whitelisted: a column must be one of the report's
+ * output columns, as columns= resolves them (see resultSets.js), and the
+ * operator must suit its value type. Values are parsed to that type and only
+ * ever reach SQL Server as bound parameters; column and object names come
+ * from the report definition, never from the request, and are bracket-quoted.
+ *
+ * Columns expanded from JSON text (see jsonColumns.js) are read in SQL with
+ * JSON_VALUE() on their JSON column, converted to their declared type.
+ * Columns computed by row transforms, and unnamed ones, do not exist in the
+ * source and cannot be filtered or sorted.
+ *
+ * The resulting query runs against the report's `source` (a view or an
+ * inline table-valued function), because a stored procedure's result set
+ * cannot be filtered or sorted by the caller.
+ */
+import mssql from 'mssql';
+import { z } from 'zod';
+import { ValidationError } from './errors.js';
+import { jsonPathSources } from './jsonColumns.js';
+import { primaryResultSetIndex, resolveResultSetColumns } from './resultSets.js';
+
+/**
+ * Maximum number of filter[...] conditions per request
+ */
+export const MAX_FILTERS = 20;
+
+/**
+ * Maximum number of sort keys per request
+ */
+export const MAX_SORT_KEYS = 5;
+
+/**
+ * Maximum number of values in an `in` list
+ */
+export const MAX_IN_VALUES = 100;
+
+/**
+ * Maximum length of a string filter value (NVARCHAR(4000) parameter); for
+ * contains/startsWith/endsWith, of the LIKE pattern it is escaped to
+ */
+export const MAX_STRING_VALUE_LENGTH = 4000;
+
+/**
+ * Precision and scale decimal filter values are converted to in SQL
+ */
+const DECIMAL_PRECISION = 38;
+const DECIMAL_SCALE = 10;
+
+const ISO_DATE = z.iso.date();
+const ISO_DATETIME = z.iso.datetime({ offset: true, local: true });
+const GUID = z.guid();
+const BIT_VALUES = new Map([['true', true], ['1', true], ['false', false], ['0', false]]);
+
+/**
+ * Parses one filter value per column type and names the mssql type it is
+ * bound with, and optionally the SQL type the bound value is CAST to.
+ * parse() returns undefined for a value the type cannot hold.
+ */
+const VALUE_TYPES = {
+  int: {
+    sqlType: mssql.Int,
+    parse: (raw) => {
+      if (!/^[+-]?\d{1,10}$/.test(raw)) return undefined;
+      const value = Number(raw);
+      return value >= -2147483648 && value <= 2147483647 ? value : undefined;
+    },
+  },
+  bigint: {
+    sqlType: mssql.BigInt,
+    parse: (raw) => {
+      if (!/^[+-]?\d{1,19}$/.test(raw)) return undefined;
+      const value = BigInt(raw);
+      return value >= -(2n ** 63n) && value < 2n ** 63n ? value : undefined;
+    },
+  },
+  decimal: {
+    // Bound as the validated text and converted by SQL Server, exactly: a
+    // JS number (and Tedious, which parses Decimal inputs to one) rounds
+    // past 2^53 or about 15 significant digits
+    sqlType: mssql.VarChar(DECIMAL_PRECISION + 3),
+    cast: `DECIMAL(${DECIMAL_PRECISION}, ${DECIMAL_SCALE})`,
+    parse: (raw) => {
+      const match = /^[+-]?0*(\d*)(?:\.(\d*))?$/.exec(raw);
+      if (!match || !/\d/.test(raw)) return undefined;
+      const [, integer, digits = ''] = match;
+      const fraction = digits.replace(/0+$/, '');
+      return integer.length <= DECIMAL_PRECISION - DECIMAL_SCALE && fraction.length <= DECIMAL_SCALE
+        ? `${raw.startsWith('-') ? '-' : ''}${integer || '0'}${fraction && `.${fraction}`}`
+        : undefined;
+    },
+  },
+  float: {
+    sqlType: mssql.Float,
+    parse: (raw) => (/^[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?$/.test(raw) ? Number(raw) : undefined),
+  },
+  bit: {
+    sqlType: mssql.Bit,
+    parse: (raw) => BIT_VALUES.get(raw.toLowerCase()),
+  },
+  guid: {
+    sqlType: mssql.UniqueIdentifier,
+    parse: (raw) => (GUID.safeParse(raw).success ? raw : undefined),
+  },
+  datetime: {
+    sqlType: mssql.DateTime2,
+    // Dates are UTC midnight; date-times without an offset are read as UTC,
+    // matching how mssql binds and returns datetime values (useUTC)
+    parse: (raw) => {
+      if (ISO_DATE.safeParse(raw).success) return new Date(`${raw}T00:00:00.000Z`);
+      if (!ISO_DATETIME.safeParse(raw).success) return undefined;
+      const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(raw);
+      return new Date(hasOffset ? raw : `${raw}Z`);
+    },
+  },
+  string: {
+    sqlType: mssql.NVarChar(MAX_STRING_VALUE_LENGTH),
+    parse: (raw) => (raw.length <= MAX_STRING_VALUE_LENGTH ? raw : undefined),
+  },
+};
+
+/**
+ * Expected-value hint per type, for error messages
+ */
+const VALUE_HINTS = {
+  int: 'an integer',
+  bigint: 'an integer',
+  decimal: `a number with at most ${DECIMAL_PRECISION - DECIMAL_SCALE} digits before and ${DECIMAL_SCALE} after the point`,
+  float: 'a number',
+  bit: 'true or false',
+  guid: 'a GUID',
+  datetime: 'a date (YYYY-MM-DD) or ISO date-time',
+  string: `text of at most ${MAX_STRING_VALUE_LENGTH} characters`,
+};
+
+const COMPARISONS = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+const LIKE_PATTERNS = {
+  contains: (value) => `%${value}%`,
+  startsWith: (value) => `${value}%`,
+  endsWith: (value) => `%${value}`,
+};
+
+const ORDERED = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'between', 'in', 'isnull'];
+
+/**
+ * Operators allowed per column type
+ */
+export const FILTER_OPERATORS = {
+  int: ORDERED,
+  bigint: ORDERED,
+  decimal: ORDERED,
+  float: ORDERED,
+  datetime: ORDERED,
+  string: ['eq', 'ne', 'in', 'contains', 'startsWith', 'endsWith', 'isnull'],
+  guid: ['eq', 'ne', 'in', 'isnull'],
+  bit: ['eq', 'ne', 'isnull'],
+};
+
+/**
+ * SQL types JSON_VALUE() text is converted to, per column type; strings are
+ * used as returned and datetimes are converted to UTC (see jsonValueExpression)
+ */
+const JSON_VALUE_TYPES = {
+  int: 'INT',
+  bigint: 'BIGINT',
+  decimal: `DECIMAL(${DECIMAL_PRECISION}, ${DECIMAL_SCALE})`,
+  float: 'FLOAT',
+  bit: 'BIT',
+  guid: 'UNIQUEIDENTIFIER',
+};
+
+const FILTER_KEY = /^filter\[([^\]]*)\](?:\[([^\]]*)\])?$/;
+
+/**
+ * Splits a comma-separated value list
+ * @param {string} raw - e.g. "1,2,3"
+ * @returns {Array<string>}
+ */
+const splitList = (raw) => raw.split(',').map((item) => item.trim());
+
+/**
+ * Parses the raw value(s) of one condition
+ * @param {string} operator - Operator name
+ * @param {string} type - Column value type
+ * @param {string} raw - Query-string value
+ * @returns {{ values?: Array<*>, error?: string }}
+ */
+const parseConditionValues = (operator, type, raw) => {
+  if (operator === 'isnull') {
+    const value = VALUE_TYPES.bit.parse(raw);
+    return value === undefined ? { error: 'Expected true or false' } : { values: [value] };
+  }
+
+  let items = [raw];
+  if (operator === 'between') {
+    items = splitList(raw);
+    if (items.length !== 2) return { error: 'Expected two comma-separated values: from,to' };
+  } else if (operator === 'in') {
+    items = splitList(raw);
+    if (items.length > MAX_IN_VALUES) return { error: `Expected at most ${MAX_IN_VALUES} values` };
+  }
+
+  const values = items.map((item) => VALUE_TYPES[type].parse(item));
+  const bad = items.filter((_, index) => values[index] === undefined);
+  if (bad.length > 0) {
+    return { error: `Expected ${VALUE_HINTS[type]}, got ${bad.map((item) => JSON.stringify(item)).join(', ')}` };
+  }
+  if (operator in LIKE_PATTERNS && raw === '') {
+    return { error: 'Expected non-empty text' };
+  }
+  // The bound pattern is the escaped text with its wildcards, and a LIKE
+  // pattern is at most 4000 characters
+  if (operator in LIKE_PATTERNS) {
+    const { length } = LIKE_PATTERNS[operator](escapeLikeValue(raw));
+    if (length > MAX_STRING_VALUE_LENGTH) {
+      return {
+        error: `Expected text of at most ${MAX_STRING_VALUE_LENGTH} characters as a ${operator} pattern,`
+          + ` got ${length} ("%", "_", "[" and "\\" count twice, the added "%" once)`,
+      };
+    }
+  }
+  return { values };
+};
+
+/**
+ * The columns a report can be filtered and sorted by: its output columns
+ * (see resolveResultSetColumns) that the source has, by name or as a JSON
+ * path of one of its columns
+ * @param {Object} report - Report definition
+ * @returns {Map<string, Object|null>} Column definition by key; null for a
+ *   column computed by the export (row transforms) or unnamed
+ */
+const resolveFilterColumns = (report) => {
+  const named = new Set(report.columns.filter((column) => !column.unnamed).map((column) => column.key));
+  const paths = jsonPathSources(report.columns);
+  return new Map(resolveResultSetColumns(report, primaryResultSetIndex(report), null).map((column) => [
+    column.key,
+    named.has(column.key) || paths.has(column.key) ? column : null,
+  ]));
+};
+
+/**
+ * Validates the filter[...] and sort parameters against a report's columns
+ * @param {Object} report - Report definition (uses its resolved columns and report.source)
+ * @param {Object} query - Express req.query (simple query parser: flat keys)
+ * @returns {{ filters: Array<{ column: string, type: string, operator: string, values: Array<*> }>,
+ *             sort: Array<{ column: string, descending: boolean }> }}
+ * @throws {ValidationError} Listing every invalid condition in `details`
+ */
+export const validateExportCriteria = (report, query = {}) => {
+  // Resolved (and transforms bound) only when the query names a column
+  let resolved;
+  const columns = () => {
+    resolved ??= resolveFilterColumns(report);
+    return resolved;
+  };
+  const checkColumn = (column) => {
+    if (!columns().has(column)) return `Unknown column "${column}"`;
+    if (columns().get(column) === null) {
+      return `Column "${column}" is not a column of the report's source, so it cannot be filtered or sorted`;
+    }
+    return null;
+  };
+  const details = [];
+  const filters = [];
+  const sort = [];
+
+  for (const [key, raw] of Object.entries(query)) {
+    const match = FILTER_KEY.exec(key);
+    if (!match) {
+      if (key === 'filter' || key.startsWith('filter[')) {
+        details.push({ field: key, message: 'Expected filter[Column][operator]=value' });
+      }
+      continue;
+    }
+
+    const [, column, operator = 'eq'] = match;
+    const unusable = checkColumn(column);
+    if (unusable) {
+      details.push({ field: key, message: unusable });
+      continue;
+    }
+    const definition = columns().get(column);
+    const type = Object.hasOwn(FILTER_OPERATORS, definition.type) ? definition.type : 'string';
+    if (!FILTER_OPERATORS[type].includes(operator)) {
+      details.push({
+        field: key,
+        message: `Unsupported operator "${operator}" for ${type} column. Supported: ${FILTER_OPERATORS[type].join(', ')}`,
+      });
+      continue;
+    }
+    if (typeof raw !== 'string') {
+      details.push({ field: key, message: 'Given more than once' });
+      continue;
+    }
+
+    const { values, error } = parseConditionValues(operator, type, raw);
+    if (error) {
+      details.push({ field: key, message: error });
+      continue;
+    }
+    filters.push({ column, type, operator, values });
+  }
+
+  if (filters.length > MAX_FILTERS) {
+    details.push({ field: 'filter', message: `At most ${MAX_FILTERS} conditions are allowed` });
+  }
+
+  if (query.sort !== undefined && query.sort !== '') {
+    if (typeof query.sort === 'string') {
+      const keys = splitList(query.sort);
+      const seen = new Set();
+      for (const item of keys) {
+        const descending = item.startsWith('-');
+        const column = descending ? item.slice(1) : item;
+        const unusable = checkColumn(column);
+        if (unusable) {
+          details.push({ field: 'sort', message: unusable });
+        } else if (seen.has(column)) {
+          details.push({ field: 'sort', message: `"${column}" is listed more than once` });
+        } else {
+          seen.add(column);
+          sort.push({ column, descending });
+        }
+      }
+      if (keys.length > MAX_SORT_KEYS) {
+        details.push({ field: 'sort', message: `At most ${MAX_SORT_KEYS} sort keys are allowed` });
+      }
+    } else {
+      details.push({ field: 'sort', message: 'Given more than once' });
+    }
+  }
+
+  if (details.length === 0 && (filters.length > 0 || sort.length > 0) && !report.source) {
+    details.push({
+      field: filters.length > 0 ? 'filter' : 'sort',
+      message: `Report "${report.id}" does not support filtering or sorting`,
+    });
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError(
+      `Invalid filter or sort: ${details.map(({ field, message }) => `${field} (${message})`).join(', ')}`,
+      'VALIDATION_ERROR',
+      details,
+    );
+  }
+  return { filters, sort };
+};
+
+/**
+ * Whether validated criteria ask for any filtering or sorting
+ * @param {{ filters: Array, sort: Array }} criteria - From validateExportCriteria()
+ * @returns {boolean}
+ */
+export const hasExportCriteria = ({ filters, sort }) => filters.length > 0 || sort.length > 0;
+
+/**
+ * Validated criteria as query-style key/value pairs (for logs and the
+ * Summary sheet)
+ * @param {{ filters: Array, sort: Array }} criteria - From validateExportCriteria()
+ * @returns {Object} e.g. { 'filter[ColInt][gte]': '100', sort: '-ColDate' }
+ */
+export const describeExportCriteria = ({ filters, sort }) => {
+  const described = {};
+  for (const { column, operator, values } of filters) {
+    described[`filter[${column}][${operator}]`] = values
+      .map((value) => (value instanceof Date ? value.toISOString() : String(value)))
+      .join(',');
+  }
+  if (sort.length > 0) {
+    described.sort = sort.map(({ column, descending }) => `${descending ? '-' : ''}${column}`).join(',');
+  }
+  return described;
+};
+
+/**
+ * Quotes a SQL Server identifier ([name], with "]" doubled)
+ * @param {string} name - Identifier
+ * @returns {string}
+ */
+export const quoteIdentifier = (name) => `[${String(name).replaceAll(']', ']]')}]`;
+
+/**
+ * Quotes a possibly schema-qualified object name ("dbo.fnX" → [dbo].[fnX])
+ * @param {string} name - Object name from the report definition
+ * @returns {string}
+ */
+const quoteObjectName = (name) => name.split('.').map(quoteIdentifier).join('.');
+
+/**
+ * Escapes LIKE wildcards so user text matches literally (ESCAPE '\')
+ * @param {string} value - User text
+ * @returns {string}
+ */
+export const escapeLikeValue = (value) => value.replaceAll(/[\\%_[]/g, (char) => `\\${char}`);
+
+/**
+ * SQL reading a JSON-expanded column from its JSON text column
+ *
+ * Path names are quoted, so any property name the path syntax allows is
+ * read as is. Like the expansion, a missing path, JSON null or a value that
+ * does not convert to the column type is NULL; objects and arrays are NULL
+ * as well (JSON_VALUE only returns scalars).
+ *
+ * @param {{ source: string, segments: Array<string|number>, type: string }} path - From jsonPathSources()
+ * @returns {string} e.g. TRY_CAST(JSON_VALUE([ColJson], N'$."k"') AS INT)
+ */
+const jsonValueExpression = ({ source, segments, type }) => {
+  const jsonPath = `$${segments
+    .map((segment) => (typeof segment === 'number'
+      ? `[${segment}]`
+      : `."${segment.replaceAll(/["\\]/g, (char) => `\\${char}`)}"`))
+    .join('')}`;
+  const value = `JSON_VALUE(${quoteIdentifier(source)}, N'${jsonPath.replaceAll("'", "''")}')`;
+  if (type === 'datetime') {
+    // Text without an offset is read as UTC, as the expansion does
+    return `CAST(TRY_CAST(${value} AS DATETIMEOFFSET) AT TIME ZONE 'UTC' AS DATETIME2)`;
+  }
+  return Object.hasOwn(JSON_VALUE_TYPES, type) ? `TRY_CAST(${value} AS ${JSON_VALUE_TYPES[type]})` : value;
+};
+
+/**
+ * Builds the parameterized query for a report's view or table-valued function
+ *
+ * Report parameters named in source.arguments are passed to the function by
+ * their bound names (e.g. @RowCount); filter values are bound as @filter_0,
+ * @filter_1, … The SQL text contains no request data. Columns expanded from
+ * JSON are read with JSON_VALUE() (see jsonValueExpression).
+ *
+ * @param {Object} report - Report definition with `source`:
+ *   { view: 'dbo.vwName' } or { function: 'dbo.fnName', arguments: ['RowCount'] }
+ * @param {{ filters: Array, sort: Array }} criteria - From validateExportCriteria()
+ * @returns {{ sql: string, inputs: Array<{ name: string, type: Function, value: * }> }}
+ */
+export const buildSourceQuery = (report, { filters, sort }) => {
+  const { source } = report;
+  const args = (source.arguments ?? []).map((name) => `@${name}`);
+  const from = source.function
+    ? `${quoteObjectName(source.function)}(${args.join(', ')})`
+    : quoteObjectName(source.view);
+
+  const paths = jsonPathSources(report.columns);
+  const expression = (column) => (paths.has(column) ? jsonValueExpression(paths.get(column)) : quoteIdentifier(column));
+
+  const inputs = [];
+  const bind = ({ sqlType, cast }, value) => {
+    const name = `filter_${inputs.length}`;
+    inputs.push({ name, type: sqlType, value });
+    return cast ? `CAST(@${name} AS ${cast})` : `@${name}`;
+  };
+
+  const conditions = filters.map(({ column, type, operator, values }) => {
+    const target = expression(column);
+    const valueType = VALUE_TYPES[type];
+    switch (operator) {
+      case 'isnull':
+        return `${target} IS ${values[0] ? '' : 'NOT '}NULL`;
+      case 'between':
+        return `${target} BETWEEN ${bind(valueType, values[0])} AND ${bind(valueType, values[1])}`;
+      case 'in':
+        return `${target} IN (${values.map((value) => bind(valueType, value)).join(', ')})`;
+      case 'contains':
+      case 'startsWith':
+      case 'endsWith':
+        return `${target} LIKE ${bind(valueType, LIKE_PATTERNS[operator](escapeLikeValue(values[0])))} ESCAPE '\\'`;
+      default:
+        return `${target} ${COMPARISONS[operator]} ${bind(valueType, values[0])}`;
+    }
+  });
+
+  let sql = `SELECT * FROM ${from}`;
+  if (conditions.length > 0) {
+    sql += ` WHERE ${conditions.join(' AND ')}`;
+  }
+  if (sort.length > 0) {
+    sql += ` ORDER BY ${sort.map(({ column, descending }) => `${expression(column)} ${descending ? 'DESC' : 'ASC'}`).join(', ')}`;
+  }
+  return { sql, inputs };
+};
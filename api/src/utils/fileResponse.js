@@ -0,0 +1,106 @@
+/**
+ * File-backed stand-in for the response of an export
+ *
+ * The export handlers (controllers/exportController.js) stream to `res`:
+ * download headers, then the body, then end(), with trailers for counts
+ * known only at the end. A file response takes the same calls and writes
+ * the body to a file — any writable, in practice an upload to the export
+ * storage (services/storage.js) — so background jobs
+ * (services/exportJobs.js) run the streaming engine unchanged and the file
+ * holds exactly the bytes a download would:
+ *
+ *   - write()/end() go to the file with the file's backpressure
+ *     (writableLength and 'drain' behave as they do on a socket)
+ *   - headers, Vary and trailers are kept for the later download
+ *   - status(…).json(…) is an error response: the body is kept in
+ *     `jsonBody` and the response ends without writing to the file
+ *   - destroy(err) aborts the file, as it aborts a download
+ */
+import { Writable } from 'node:stream';
+
+/**
+ * Creates a response writing to a file
+ * @param {import('node:stream').Writable} file - Where the body goes, e.g.
+ *   storage.createWriteStream(key); the response finishes once the file
+ *   has closed, and destroying the response destroys the file
+ * @param {Object} [options]
+ * @param {Object} [options.locals={}] - res.locals (report, onProgress)
+ * @returns {import('node:stream').Writable} Writable with the response
+ *   methods the export handlers use, plus getHeaders(), getTrailers(),
+ *   jsonBody and bytesWritten
+ */
+export const createFileResponse = (file, { locals = {} } = {}) => {
+  const headers = new Map(); // Lower-case name → value
+  const trailers = {};
+  let bytesWritten = 0;
+
+  const res = new Writable({
+    write(chunk, _encoding, callback) {
+      bytesWritten += chunk.length;
+      file.write(chunk, callback);
+    },
+    final(callback) {
+      // Done once the file is closed (stored), so it can be read back right away
+      file.once('close', () => callback());
+      file.end();
+    },
+    destroy(err, callback) {
+      // 'close' waits for the file's descriptor, so listeners may remove it
+      if (file.closed) {
+        callback(err);
+        return;
+      }
+      file.once('close', () => callback(err));
+      file.destroy();
+    },
+  });
+
+  // Open/write/upload failures (missing directory, disk full) fail the response
+  file.on('error', (err) => res.destroy(err));
+
+  Object.defineProperties(res, {
+    // As on an HTTP response: true once the body has started
+    headersSent: { get: () => bytesWritten > 0 || res.writableLength > 0 },
+    bytesWritten: { get: () => bytesWritten },
+  });
+
+  return Object.assign(res, {
+    statusCode: 200,
+    locals,
+    jsonBody: null,
+
+    setHeader(name, value) {
+      headers.set(name.toLowerCase(), value);
+      return res;
+    },
+
+    getHeader: (name) => headers.get(name.toLowerCase()),
+
+    getHeaders: () => Object.fromEntries(headers),
+
+    vary(field) {
+      const current = headers.get('vary');
+      headers.set('vary', current ? `${current}, ${field}` : field);
+      return res;
+    },
+
+    addTrailers(values) {
+      for (const [name, value] of Object.entries(values)) {
+        trailers[name.toLowerCase()] = value;
+      }
+    },
+
+    getTrailers: () => ({ ...trailers }),
+
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+
+    json(body) {
+      res.jsonBody = body;
+      res.end();
+      return res;
+    },
+  });
+};
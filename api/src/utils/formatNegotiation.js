@@ -0,0 +1,46 @@
+/**
+ * Export format negotiation
+ *
+ * Picks the output format for an export from, in order:
+ *   1. the `format=` query parameter (explicit choice, 400 if unknown)
+ *   2. the Accept header (406 if nothing acceptable can be produced)
+ *   3. the report's first allowed format (xlsx) when neither is given
+ */
+import { EXPORT_FORMATS } from '../config/export.js';
+import { ValidationError, NotAcceptableError } from './errors.js';
+
+const FORMAT_NAMES = Object.keys(EXPORT_FORMATS);
+
+/**
+ * Resolves the requested export format
+ * @param {import('express').Request} req - Express request object
+ * @param {Array<string>} [formats] - Formats the report allows, default first
+ *   (defaults to every key of EXPORT_FORMATS)
+ * @returns {string} Format name (key of EXPORT_FORMATS)
+ * @throws {ValidationError} If format= names a format the report does not allow
+ * @throws {NotAcceptableError} If the Accept header matches no allowed type
+ */
+export const negotiateExportFormat = (req, formats = FORMAT_NAMES) => {
+  const { format } = req.query;
+
+  if (format !== undefined) {
+    const name = String(format).toLowerCase();
+    if (!formats.includes(name)) {
+      throw new ValidationError(
+        `Unsupported format "${format}". Supported formats: ${formats.join(', ')}`,
+        'UNSUPPORTED_FORMAT',
+      );
+    }
+    return name;
+  }
+
+  // req.accepts() returns the first listed type when Accept is absent or */*
+  const mimeTypes = formats.map((name) => EXPORT_FORMATS[name].mimeType);
+  const accepted = req.accepts(mimeTypes);
+  if (!accepted) {
+    throw new NotAcceptableError(
+      `None of the supported content types are acceptable: ${mimeTypes.join(', ')}`,
+    );
+  }
+  return formats[mimeTypes.indexOf(accepted)];
+};
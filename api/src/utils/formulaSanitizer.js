@@ -0,0 +1,67 @@
+/**
+ * Spreadsheet formula-injection (CSV injection) protection
+ *
+ * Text that begins with =, +, -, @, tab or carriage return can be evaluated
+ * as a formula when a file is opened or re-imported by a spreadsheet
+ * application. Policies:
+ *
+ *   escape → prefix the value with a single quote so it is shown as text
+ *   strip  → remove the leading trigger characters
+ *   reject → fail the export with an ExportError
+ *
+ * Applied in the mapping layer to string columns, so every output format
+ * (xlsx, CSV, JSON) receives the same sanitized value.
+ */
+import { ExportError } from './errors.js';
+
+/**
+ * Characters that make a spreadsheet treat a cell as a formula
+ */
+export const FORMULA_TRIGGER_CHARS = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Supported sanitization policies
+ */
+export const FORMULA_POLICIES = ['escape', 'strip', 'reject'];
+
+/**
+ * Policy used when none is configured
+ */
+export const DEFAULT_FORMULA_POLICY = 'escape';
+
+const LEADING_TRIGGERS = /^[=+\-@\t\r]+/;
+
+/**
+ * Whether a value would be interpreted as a formula
+ * @param {*} value - Cell value
+ * @returns {boolean} True for strings starting with a trigger character
+ */
+export const isFormulaLike = (value) =>
+  typeof value === 'string' && value.length > 0 && FORMULA_TRIGGER_CHARS.includes(value[0]);
+
+/**
+ * Creates a sanitizer for the given policy
+ * @param {string} [policy='escape'] - One of FORMULA_POLICIES
+ * @returns {Function} (value, columnName) => sanitized value
+ * @throws {Error} If the policy is unknown
+ */
+export const createFormulaSanitizer = (policy = DEFAULT_FORMULA_POLICY) => {
+  switch (policy) {
+    case 'escape':
+      return (value) => (isFormulaLike(value) ? `'${value}` : value);
+    case 'strip':
+      return (value) => (isFormulaLike(value) ? value.replace(LEADING_TRIGGERS, '') : value);
+    case 'reject':
+      return (value, columnName) => {
+        if (isFormulaLike(value)) {
+          throw new ExportError(
+            `Column ${columnName} contains a value that could be interpreted as a formula`,
+            'UNSAFE_CELL_VALUE',
+          );
+        }
+        return value;
+      };
+    default:
+      throw new Error(`Unknown formula sanitization policy: ${policy}`);
+  }
+};
@@ -0,0 +1,254 @@
+/**
+ * JSON column expansion
+ *
+ * A column holding JSON text can declare the values to extract, and each
+ * path becomes its own typed column instead of one string to split by hand:
+ *
+ *   ColJson: {
+ *     json: {
+ *       paths: [{ path: 'k', type: 'int' }, 's', { path: 'tags[0]', header: 'First tag' }],
+ *       malformed: 'blank',   // blank | raw | error
+ *       keep: false,          // also keep the JSON text column
+ *     },
+ *   }
+ *
+ * Paths are property names separated by dots, with [n] for array items
+ * (`a.b[0].c`). A path given as a string is a string column; objects take
+ * `key` (default `<column>.<path>`), `header` (default the key), `type` and
+ * any presentation rule (numFmt, width, aggregate, …).
+ *
+ * Expansion is a row transform stage (see rowTransforms.js) added in front of
+ * the report's own transforms for every column declaring `json`, so it runs
+ * row by row in the streaming path: one JSON.parse per cell, nothing
+ * buffered. Missing paths and JSON null are empty cells.
+ *
+ * Text that does not parse, or a value that does not fit its declared type,
+ * is malformed; the column's `malformed` policy decides what is written:
+ *   - blank: empty cells (default)
+ *   - raw:   empty cells, with the unparsed text kept in the JSON column
+ *            (always output under this policy, empty for rows that parsed)
+ *   - error: an error cell — #VALUE! in xlsx and CSV, null in JSON formats
+ */
+import { ExportError } from './errors.js';
+import { DEFAULT_DATETIME_FORMAT } from './columnMetadata.js';
+
+/**
+ * Policies for malformed JSON text or values
+ */
+export const MALFORMED_JSON_POLICIES = ['blank', 'raw', 'error'];
+
+/**
+ * Cell value for malformed JSON under the "error" policy: ExcelJS writes it
+ * as a #VALUE! error cell; CSV and JSON encoders check for it with isErrorCell()
+ */
+export const ERROR_CELL = Object.freeze({ error: '#VALUE!' });
+
+/**
+ * Whether a mapped value is an error cell (see ERROR_CELL)
+ * @param {*} value - Mapped cell value
+ * @returns {boolean}
+ */
+export const isErrorCell = (value) =>
+  value !== null && typeof value === 'object' && typeof value.error === 'string';
+
+/**
+ * Marks a value that does not fit its declared type
+ */
+const MISMATCH = Symbol('mismatch');
+
+const GUID_PATTERN = /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i;
+const INTEGER_TEXT = /^-?\d+$/;
+const PATH_PATTERN = /^[^.[\]]+(?:\[\d+\])*(?:\.[^.[\]]+(?:\[\d+\])*)*$/;
+
+/**
+ * JSON number or numeric text as a finite number
+ * @param {*} value - Extracted JSON value
+ * @returns {number|symbol} MISMATCH if not numeric
+ */
+const toNumber = (value) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof number === 'number' && Number.isFinite(number) ? number : MISMATCH;
+};
+
+/**
+ * Converts an extracted JSON value to each column type; values are never null here
+ */
+const CONVERTERS = {
+  string: (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value)),
+  int: (value) => {
+    const number = toNumber(value);
+    return Number.isSafeInteger(number) ? number : MISMATCH;
+  },
+  // Text as the driver returns BIGINT; JSON numbers past 2^53 are already rounded by JSON.parse
+  bigint: (value) => {
+    if (typeof value === 'number') return Number.isSafeInteger(value) ? String(value) : MISMATCH;
+    return typeof value === 'string' && INTEGER_TEXT.test(value) ? value : MISMATCH;
+  },
+  decimal: toNumber,
+  float: toNumber,
+  bit: (value) => {
+    if (typeof value === 'boolean') return value;
+    return value === 0 || value === 1 ? value === 1 : MISMATCH;
+  },
+  datetime: (value) => {
+    if (typeof value !== 'string') return MISMATCH;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? MISMATCH : date;
+  },
+  guid: (value) => (typeof value === 'string' && GUID_PATTERN.test(value) ? value : MISMATCH),
+};
+
+/**
+ * Splits a path into property names and array indexes
+ * @param {string} path - e.g. 'a.b[0].c'
+ * @returns {Array<string|number>} e.g. ['a', 'b', 0, 'c']
+ */
+const parsePath = (path) =>
+  path.split('.').flatMap((part) => {
+    const [name, ...indexes] = part.split('[');
+    return [name, ...indexes.map((index) => Number(index.slice(0, -1)))];
+  });
+
+/**
+ * Reads a path from a parsed document; own properties only
+ * @param {*} document - Parsed JSON
+ * @param {Array<string|number>} segments - From parsePath()
+ * @returns {*} The value, or undefined when the path does not exist
+ */
+const readPath = (document, segments) => {
+  let current = document;
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object') return undefined;
+    if (typeof segment === 'number' ? !Array.isArray(current) : !Object.hasOwn(current, segment)) {
+      return undefined;
+    }
+    current = current[segment];
+  }
+  return current;
+};
+
+/**
+ * Validates one path declaration and builds its column definition
+ * @param {string} stageName - Stage name for error messages
+ * @param {Object} source - JSON column definition
+ * @param {string|Object} declaration - Path string or { path, key?, header?, type?, … }
+ * @returns {{ column: Object, segments: Array<string|number>, convert: Function }}
+ * @throws {ExportError} On an invalid path or unknown type
+ */
+const buildPathColumn = (stageName, source, declaration) => {
+  const { path, key = `${source.key}.${path}`, header = key, type = 'string', ...presentation } =
+    typeof declaration === 'string' ? { path: declaration } : declaration;
+  if (typeof path !== 'string' || !PATH_PATTERN.test(path)) {
+    throw new ExportError(`Row transform "${stageName}": invalid path "${path}"`);
+  }
+  if (!Object.hasOwn(CONVERTERS, type)) {
+    throw new ExportError(`Row transform "${stageName}": unknown type "${type}" for path "${path}"`);
+  }
+  const column = {
+    header,
+    key,
+    width: Math.max(header.length + 2, 12),
+    type,
+    ...(type === 'datetime' && { numFmt: DEFAULT_DATETIME_FORMAT }),
+    ...presentation,
+  };
+  return { column, segments: parsePath(path), convert: CONVERTERS[type] };
+};
+
+/**
+ * Row transform stage expanding a JSON column into one column per path
+ * @param {string} key - Key of the JSON column
+ * @param {Object} options - The column's `json` declaration (see module doc)
+ * @param {Array<string|Object>} options.paths - Values to extract
+ * @param {string} [options.malformed='blank'] - One of MALFORMED_JSON_POLICIES
+ * @param {boolean} [options.keep=false] - Keep the JSON text column
+ * @returns {Object} Transform stage
+ */
+export const expandJsonColumn = (key, { paths, malformed = 'blank', keep = false }) => {
+  const name = `json(${key})`;
+  return {
+    name,
+    bind: (columns) => {
+      if (!MALFORMED_JSON_POLICIES.includes(malformed)) {
+        throw new ExportError(`Row transform "${name}": unknown malformed policy "${malformed}"`);
+      }
+      const index = columns.findIndex((column) => column.key === key);
+      if (index === -1) {
+        throw new ExportError(`Row transform "${name}": unknown column "${key}"`);
+      }
+      if (!Array.isArray(paths) || paths.length === 0) {
+        throw new ExportError(`Row transform "${name}": declare at least one path`);
+      }
+
+      const source = { ...columns[index] };
+      delete source.json; // Expanded once; a kept text column is a plain string column
+      const extracted = paths.map((declaration) => buildPathColumn(name, source, declaration));
+      const keepSource = keep || malformed === 'raw';
+      const badValue = malformed === 'error' ? ERROR_CELL : null;
+
+      return {
+        columns: [
+          ...columns.slice(0, index),
+          ...(keepSource ? [source] : []),
+          ...extracted.map(({ column }) => column),
+          ...columns.slice(index + 1),
+        ],
+        transform: (row) => {
+          const text = row[key];
+          let document = null;
+          let unparsable = false;
+          if (typeof text === 'string' && text !== '') {
+            try {
+              document = JSON.parse(text);
+            } catch {
+              unparsable = true;
+            }
+          }
+
+          // Unparsable text makes every cell malformed; a type mismatch only its own
+          let bad = unparsable;
+          for (const { column, segments, convert } of extracted) {
+            const value = unparsable ? MISMATCH : readPath(document, segments);
+            const converted = value === null || value === undefined || value === MISMATCH ? value : convert(value);
+            if (converted === MISMATCH) {
+              bad = true;
+              row[column.key] = badValue;
+            } else {
+              row[column.key] = converted ?? null;
+            }
+          }
+
+          // Under "raw" the JSON column only carries the text of malformed rows
+          if (malformed === 'raw' && !keep && !bad) {
+            row[key] = null;
+          }
+          return row;
+        },
+      };
+    },
+  };
+};
+
+/**
+ * Expansion stages for the columns that declare `json`, in column order
+ * @param {Array<Object>} columns - Column definitions
+ * @returns {Array<Object>} Transform stages
+ */
+export const jsonExpansionStages = (columns) =>
+  columns.filter((column) => column.json).map((column) => expandJsonColumn(column.key, column.json));
+
+/**
+ * The JSON column and path each expanded column reads, by expanded column
+ * key, so the same values can be queried in SQL (see exportFilters.js)
+ * @param {Array<Object>} columns - Column definitions
+ * @returns {Map<string, { source: string, segments: Array<string|number>, type: string }>}
+ * @throws {ExportError} On an invalid path or unknown type
+ */
+export const jsonPathSources = (columns) => new Map(
+  columns
+    .filter((column) => column.json)
+    .flatMap((source) => (Array.isArray(source.json.paths) ? source.json.paths : []).map((declaration) => {
+      const { column, segments } = buildPathColumn(`json(${source.key})`, source, declaration);
+      return [column.key, { source: source.key, segments, type: column.type }];
+    })),
+);
@@ -0,0 +1,67 @@
+/**
+ * JSON encoding for streamed report rows
+ *
+ * Each column's `type` (see columnMetadata.js) decides how its value is encoded,
+ * so consumers get the same representation regardless of driver quirks:
+ *
+ *   datetime → ISO 8601 string in the export's time zone: UTC by default
+ *              ("2024-01-02T03:04:05.000Z"), otherwise with its offset
+ *              ("2024-01-01T22:04:05.000-05:00", see timezones.js)
+ *   bit      → boolean
+ *   bigint, decimal → as the column's precision policy left them: exact
+ *              digits as a string, or a number (see numericPrecision.js)
+ *   guid     → lowercase canonical string
+ *   int, float       → number
+ *   string (default) → string
+ *
+ * SQL NULL and error cells (malformed JSON, see jsonColumns.js) are always
+ * encoded as JSON null.
+ */
+import { isErrorCell } from './jsonColumns.js';
+import { UTC_TIMEZONE } from './timezones.js';
+
+/**
+ * Encodes a single value according to its column type
+ * @param {*} value - Mapped cell value
+ * @param {string} [type='string'] - Column type from the column definition
+ * @param {Object} [timezone=UTC_TIMEZONE] - Zone datetime values are written in
+ * @returns {*} JSON-safe value
+ */
+export const encodeJsonValue = (value, type = 'string', timezone = UTC_TIMEZONE) => {
+  if (value === null || value === undefined || isErrorCell(value)) {
+    return null;
+  }
+
+  switch (type) {
+    case 'datetime':
+      return timezone.formatIso(value instanceof Date ? value : new Date(value));
+    case 'bit':
+      return Boolean(value);
+    case 'bigint':
+    case 'decimal':
+      return typeof value === 'number' ? value : String(value);
+    case 'guid':
+      return String(value).toLowerCase();
+    case 'int':
+    case 'float':
+      return Number(value);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Creates an encoder that turns a mapped row into a JSON object string
+ * Keys follow column order so every record has the same shape.
+ * @param {Array<{key: string, type?: string}>} columns - Column definitions
+ * @param {Object} [options]
+ * @param {Object} [options.timezone=UTC_TIMEZONE] - Zone datetime values are written in
+ * @returns {Function} (mappedRow) => JSON text for one record
+ */
+export const createJsonRowEncoder = (columns, { timezone = UTC_TIMEZONE } = {}) => (mappedRow) => {
+  const record = {};
+  for (const column of columns) {
+    record[column.key] = encodeJsonValue(mappedRow[column.key], column.type, timezone);
+  }
+  return JSON.stringify(record);
+};
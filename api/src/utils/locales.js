@@ -0,0 +1,128 @@
+/**
+ * Localized column headers and sheet names
+ *
+ * Report definitions are written in one language (`locale`, default "en")
+ * and may carry translations keyed by BCP 47 language tag:
+ *
+ *   translations: {
+ *     de: {
+ *       headers:    { ColDate: 'Datum', … },            // by column key
+ *       booleans:   { ColBit: { true: 'Ja', false: 'Nein' } }, // by column key
+ *       sheetNames: { Report: 'Bericht', Summary: 'Zusammenfassung' },
+ *     },
+ *   }
+ *
+ * `booleans` replaces the xlsx labels of columns that declare `boolean`.
+ * `sheetNames` maps the untranslated sheet name (a result set's sheetName,
+ * "Report", "Result <n>" or "Summary") to its translation; rollover sheets
+ * follow it ("Bericht (2)"). Column keys are never translated, so columns=,
+ * filter[…], sort= and NDJSON/JSON keys stay the same in every language.
+ *
+ * The locale is picked per request, first match wins:
+ *   1. `lang=` query parameter (e.g. lang=de-AT)
+ *   2. the Accept-Language header (forwarded unchanged by the BFF proxy)
+ *   3. the report's own `locale`
+ * A requested language the report has no translation for falls back to (3)
+ * rather than failing: clients send the user's language whatever the report.
+ */
+import { ValidationError } from './errors.js';
+
+/**
+ * Language report definitions are written in unless they declare `locale`
+ */
+export const DEFAULT_LOCALE = 'en';
+
+/**
+ * Language tags accepted in lang=: a language subtag plus optional
+ * region/script/variant subtags (de, de-AT, zh-Hant-TW)
+ */
+const LANGUAGE_TAG_PATTERN = /^[A-Za-z]{2,3}(?:-[A-Za-z\d]{2,8})*$/;
+
+/**
+ * Locales a report can be exported in, its own language first
+ * @param {Object} report - Report definition
+ * @returns {Array<string>} e.g. ['en', 'de', 'fr']
+ */
+export const reportLocales = (report) => [
+  report.locale ?? DEFAULT_LOCALE,
+  ...Object.keys(report.translations ?? {}),
+];
+
+/**
+ * Best locale for a language tag: the same tag, else the same language
+ * (de-AT → de, de → de-CH)
+ * @param {string} tag - Requested language tag
+ * @param {Array<string>} locales - Available locales, preferred first
+ * @returns {string|undefined}
+ */
+const matchLocale = (tag, locales) => {
+  const requested = tag.toLowerCase();
+  const language = requested.split('-')[0];
+  return locales.find((locale) => locale.toLowerCase() === requested)
+    ?? locales.find((locale) => locale.toLowerCase().split('-')[0] === language);
+};
+
+/**
+ * Resolves the locale of an export (see module doc for the order)
+ * @param {import('express').Request} req - Express request object
+ * @param {Object} report - Report definition
+ * @returns {string} One of reportLocales(report)
+ * @throws {ValidationError} If lang= is not a language tag
+ */
+export const negotiateLocale = (req, report) => {
+  const locales = reportLocales(report);
+  const { lang } = req.query;
+
+  if (lang !== undefined && lang !== '') {
+    if (typeof lang !== 'string' || !LANGUAGE_TAG_PATTERN.test(lang)) {
+      throw new ValidationError(`lang must be a language tag such as de or de-AT (got "${String(lang).slice(0, 64)}")`);
+    }
+    return matchLocale(lang, locales) ?? locales[0];
+  }
+
+  // Negotiator (req.acceptsLanguages) matches de-AT to de; it returns the
+  // first locale when Accept-Language is absent and false when nothing fits
+  return req.acceptsLanguages(locales) || locales[0];
+};
+
+/**
+ * Translation table for a locale
+ * @param {Object} report - Report definition
+ * @param {string} locale - From negotiateLocale()
+ * @returns {Object|null} { headers, booleans, sheetNames }, or null for the report's own language
+ */
+export const reportTranslation = (report, locale) =>
+  (Object.hasOwn(report.translations ?? {}, locale) ? report.translations[locale] : null);
+
+/**
+ * Applies translated headers and boolean labels to column definitions;
+ * columns grow to fit a longer header, and untranslated columns keep theirs
+ * @param {Array<Object>} columns - Column definitions
+ * @param {Object|null} translation - From reportTranslation()
+ * @returns {Array<Object>} Localized column definitions (new objects)
+ */
+export const localizeColumns = (columns, translation) => {
+  if (!translation) return columns;
+  const { headers = {}, booleans = {} } = translation;
+  return columns.map((column) => {
+    const hasHeader = Object.hasOwn(headers, column.key);
+    const hasBoolean = column.boolean !== undefined && Object.hasOwn(booleans, column.key);
+    if (!hasHeader && !hasBoolean) return column;
+    const localized = { ...column };
+    if (hasHeader) {
+      localized.header = headers[column.key];
+      if (column.width !== undefined) localized.width = Math.max(column.width, localized.header.length + 2);
+    }
+    if (hasBoolean) localized.boolean = booleans[column.key];
+    return localized;
+  });
+};
+
+/**
+ * Translated sheet name
+ * @param {string} name - Untranslated sheet name
+ * @param {Object|null} translation - From reportTranslation()
+ * @returns {string}
+ */
+export const localizeSheetName = (name, translation) =>
+  (translation?.sheetNames && Object.hasOwn(translation.sheetNames, name) ? translation.sheetNames[name] : name);
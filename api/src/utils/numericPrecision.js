@@ -0,0 +1,237 @@
+/**
+ * Precision policies for BIGINT and DECIMAL columns
+ *
+ * JavaScript numbers hold 15–17 significant digits. The mssql driver returns
+ * BIGINT as strings (exact) and DECIMAL/NUMERIC/MONEY as numbers (already
+ * rounded past ~15 digits). Each bigint/decimal column declares how its
+ * values are written with `precisionPolicy`:
+ *
+ *   text   → exact digits as text: xlsx text cells, JSON strings (bigint default)
+ *   number → numbers: xlsx numeric cells, JSON numbers; values a number
+ *            cannot hold exactly are rounded and counted (decimal default)
+ *   split  → both: the column as a number plus "<key>.text" with the exact
+ *            digits, so sums work in Excel and reconciliation has the text
+ *
+ * Values that are, or may have been, rounded are counted per column by a
+ * precision tracker (see createPrecisionTracker): a BIGINT past 2^53 written
+ * as a number, or a DECIMAL the driver returned with more than 15
+ * significant digits (rounded before it reached the API, whatever the
+ * policy). Only values of the columns written are counted (see
+ * precisionStage). The export logs a warning and reports the count
+ * (Summary sheet, X-Export-Precision-Lost). To keep such decimals exact, return them from
+ * SQL as text (CAST(… AS varchar)) and keep `type: 'decimal'`: strings are
+ * handled like BIGINT values.
+ *
+ * Applied as the last row transform stage (see resultSets.js), so computed
+ * columns are covered and transforms still see the driver's values.
+ */
+import { ExportError } from './errors.js';
+import { createRowPipeline } from './rowTransforms.js';
+
+/**
+ * Supported values for a column's `precisionPolicy`
+ */
+export const PRECISION_POLICIES = ['text', 'number', 'split'];
+
+/**
+ * Policy of columns that do not declare one, by column type
+ */
+export const DEFAULT_PRECISION_POLICIES = { bigint: 'text', decimal: 'number' };
+
+/**
+ * Response header (a trailer on streamed exports) with the number of values
+ * written with lost precision
+ */
+export const PRECISION_LOST_HEADER = 'X-Export-Precision-Lost';
+
+/**
+ * Significant digits a double always round-trips
+ */
+const MAX_EXACT_DIGITS = 15;
+
+const NUMERIC_TEXT = /^[+-]?(?:\d+\.?\d*|\.\d+)$/;
+
+/**
+ * Plain (non-exponent) decimal text of a number, shortest round-trip digits
+ * @param {number} number - Finite number
+ * @returns {string} e.g. '1000000000000000000000' for 1e21
+ */
+const plainNumberText = (number) => {
+  const text = String(number);
+  if (!text.includes('e')) return text;
+
+  // Shift the decimal point of the exponent form (1.5e-7, 1e+21)
+  const [mantissa, exponent] = text.split('e');
+  const sign = mantissa.startsWith('-') ? '-' : '';
+  const [integer, fraction = ''] = mantissa.replace('-', '').split('.');
+  const digits = integer + fraction;
+  const point = integer.length + Number(exponent);
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return `${sign}${digits}${'0'.repeat(point - digits.length)}`;
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+};
+
+/**
+ * Canonical form of decimal text for comparisons: no sign for zero, no
+ * leading integer zeros, no trailing fraction zeros
+ * @param {string} text - Numeric text (see NUMERIC_TEXT)
+ * @returns {string} e.g. '-12.5' for '-012.50'
+ */
+const normalizeDecimal = (text) => {
+  const negative = text.startsWith('-');
+  const [integer = '', fraction = ''] = text.replace(/^[+-]/, '').split('.');
+  const digits = integer.replace(/^0+(?=\d)/, '') || '0';
+  const decimals = fraction.replace(/0+$/, '');
+  const body = decimals ? `${digits}.${decimals}` : digits;
+  return negative && body !== '0' ? `-${body}` : body;
+};
+
+/**
+ * Whether a number the driver returned may already be rounded: more
+ * significant digits than a double round-trips, or past 2^53
+ * @param {number} number
+ * @returns {boolean}
+ */
+const mayBeRounded = (number) => {
+  if (Math.abs(number) > Number.MAX_SAFE_INTEGER) return true;
+  const digits = plainNumberText(Math.abs(number)).replace('.', '').replace(/^0+/, '').replace(/0+$/, '');
+  return digits.length > MAX_EXACT_DIGITS;
+};
+
+/**
+ * Whether numeric text converts to a number without losing digits
+ * @param {string} text - Numeric text (see NUMERIC_TEXT)
+ * @param {number} number - Number(text)
+ * @returns {boolean}
+ */
+const isExactNumber = (text, number) => normalizeDecimal(plainNumberText(number)) === normalizeDecimal(text);
+
+/**
+ * Counts values written with lost (or possibly lost) precision, per column
+ * @returns {{ record: Function, total: Function, results: Function }} Tracker
+ */
+export const createPrecisionTracker = () => {
+  const counts = new Map();
+  let total = 0;
+
+  return {
+    /**
+     * Counts one value of a column
+     * @param {Object} column - Column definition ({ key, header })
+     */
+    record(column) {
+      const entry = counts.get(column.key);
+      if (entry) {
+        entry.count++;
+      } else {
+        counts.set(column.key, { key: column.key, header: column.header, count: 1 });
+      }
+      total++;
+    },
+
+    /**
+     * Values counted so far, across all columns
+     * @returns {number}
+     */
+    total: () => total,
+
+    /**
+     * Counts per column, in the order they were first seen
+     * @returns {Array<{ key: string, header: string, count: number }>}
+     */
+    results: () => [...counts.values()].map((entry) => ({ ...entry })),
+  };
+};
+
+/**
+ * Row transform stage applying one column's precision policy
+ *
+ * With a selection, only values written to a selected column are counted:
+ * a number rounded in `<key>` when it is selected, a decimal the driver
+ * rounded when `<key>` or its `<key>.text` is.
+ *
+ * @param {string} key - Column key (a bigint or decimal column)
+ * @param {string} policy - One of PRECISION_POLICIES
+ * @param {Object|null} [tracker=null] - From createPrecisionTracker()
+ * @param {Array<string>|null} [selection=null] - Output column keys written (columns=); null for all
+ * @returns {Object} Transform stage
+ */
+export const precisionStage = (key, policy, tracker = null, selection = null) => {
+  const name = `precision(${key})`;
+  return {
+    name,
+    bind: (columns) => {
+      if (!PRECISION_POLICIES.includes(policy)) {
+        throw new ExportError(`Row transform "${name}": unknown precision policy "${policy}"`);
+      }
+      const index = columns.findIndex((column) => column.key === key);
+      if (index === -1) {
+        throw new ExportError(`Row transform "${name}": unknown column "${key}"`);
+      }
+
+      const column = columns[index];
+      const textKey = `${key}.text`;
+      const textColumn = policy === 'split' && {
+        header: `${column.header} (text)`,
+        key: textKey,
+        width: column.width,
+        type: column.type,
+      };
+
+      const written = (outputKey) => selection === null || selection.includes(outputKey);
+      const numberTracker = written(key) ? tracker : null;
+      const driverTracker = written(key) || (textColumn && written(textKey)) ? tracker : null;
+
+      return {
+        columns: textColumn
+          ? [...columns.slice(0, index + 1), textColumn, ...columns.slice(index + 1)]
+          : columns,
+        transform: (row) => {
+          const value = row[key];
+          if (typeof value === 'number' && Number.isFinite(value)) {
+            // Driver decimals: any rounding happened before the API saw them
+            if (mayBeRounded(value)) driverTracker?.record(column);
+            if (policy !== 'number') {
+              const text = plainNumberText(value);
+              if (textColumn) row[textKey] = text;
+              else row[key] = text;
+            }
+          } else if (typeof value === 'string' && NUMERIC_TEXT.test(value)) {
+            // Exact digits (BIGINT, decimals cast to text): only numbers round
+            if (policy !== 'text') {
+              const number = Number(value);
+              if (!isExactNumber(value, number)) numberTracker?.record(column);
+              if (textColumn) row[textKey] = value;
+              row[key] = number;
+            }
+          } else if (textColumn) {
+            row[textKey] = value ?? null; // NULL, error cells
+          }
+          return row;
+        },
+      };
+    },
+  };
+};
+
+/**
+ * Stage applying the precision policy of every bigint and decimal column it
+ * is bound to, in column order
+ * @param {Object|null} [tracker=null] - From createPrecisionTracker()
+ * @param {Array<string>|null} [selection=null] - Output column keys written (see precisionStage)
+ * @returns {Object} Transform stage
+ */
+export const precisionPolicies = (tracker = null, selection = null) => ({
+  name: 'precision',
+  bind: (columns) => createRowPipeline(
+    columns
+      .filter((column) => Object.hasOwn(DEFAULT_PRECISION_POLICIES, column.type))
+      .map((column) => precisionStage(
+        column.key,
+        column.precisionPolicy ?? DEFAULT_PRECISION_POLICIES[column.type],
+        tracker,
+        selection,
+      )),
+    columns,
+  ),
+});
@@ -0,0 +1,125 @@
+/**
+ * Report parameter schemas
+ *
+ * Zod building blocks for the query parameters a report accepts. Query-string
+ * values always arrive as strings, so each helper coerces to the type bound
+ * with request.input (see config/reports.js). Blank values (`?startDate=`)
+ * are treated as absent, so optional parameters and defaults apply.
+ */
+import { z } from 'zod';
+import { ValidationError } from './errors.js';
+
+/**
+ * Integer parameter
+ * @param {Object} [options]
+ * @param {number} [options.min] - Smallest accepted value
+ * @param {number} [options.max] - Largest accepted value
+ * @returns {z.ZodType<number>}
+ */
+export const queryInt = ({ min, max } = {}) => {
+  let schema = z.coerce.number({ error: (issue) => (issue.code === 'invalid_type' ? 'Expected an integer' : undefined) })
+    .int('Expected an integer');
+  if (min !== undefined) schema = schema.min(min);
+  if (max !== undefined) schema = schema.max(max);
+  return schema;
+};
+
+/**
+ * Calendar date parameter (YYYY-MM-DD), parsed to a Date at UTC midnight so
+ * the bound value does not shift with the server timezone
+ * @returns {z.ZodType<Date>}
+ */
+export const queryDate = () =>
+  z.iso.date({ error: 'Expected a date as YYYY-MM-DD' })
+    .transform((value) => new Date(`${value}T00:00:00.000Z`));
+
+/**
+ * Parameter restricted to a fixed set of values
+ * @param {Array<string>} values - Accepted values
+ * @returns {z.ZodType<string>}
+ */
+export const queryEnum = (values) => z.enum(values);
+
+/**
+ * Free-text parameter, trimmed and bounded so it fits the procedure's
+ * NVARCHAR(n) input
+ * @param {Object} options
+ * @param {number} options.max - Maximum length after trimming
+ * @returns {z.ZodType<string>}
+ */
+export const queryString = ({ max }) => z.string().trim().min(1).max(max);
+
+/**
+ * Comma-separated integer list (e.g. `regionIds=1,4,7`)
+ * @param {Object} [options]
+ * @param {number} [options.min] - Smallest accepted item
+ * @param {number} [options.max] - Largest accepted item
+ * @param {number} [options.maxItems=100] - Maximum number of items
+ * @returns {z.ZodType<Array<number>>}
+ */
+export const queryIntList = ({ min, max, maxItems = 100 } = {}) =>
+  z.string()
+    .meta({ description: 'Comma-separated integers', examples: ['1,2,3'] })
+    .transform((value) => value.split(',').map((item) => item.trim()))
+    .pipe(z.array(queryInt({ min, max })).min(1).max(maxItems));
+
+/**
+ * Cross-field check for a date range, for use with schema.superRefine().
+ * The issue is reported on the end field.
+ * @param {string} startKey - Key of the range start
+ * @param {string} endKey - Key of the range end
+ * @returns {Function} superRefine callback
+ */
+export const dateRange = (startKey, endKey) => (params, ctx) => {
+  const start = params[startKey];
+  const end = params[endKey];
+  if (start && end && start > end) {
+    ctx.addIssue({
+      code: 'custom',
+      path: [endKey],
+      message: `Must be on or after ${startKey}`,
+    });
+  }
+};
+
+/**
+ * JSON Schema of the query string a parameter schema accepts (the input side:
+ * dates are strings, integer lists are comma-separated strings), for clients
+ * that build forms or validate before calling the export
+ * @param {z.ZodType} schema - Zod object schema
+ * @returns {Object} JSON Schema (draft 2020-12)
+ */
+export const toParameterJsonSchema = (schema) =>
+  z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' });
+
+/**
+ * Drops blank values so `?key=` behaves like an absent key
+ * @param {Object} query - Express req.query
+ * @returns {Object}
+ */
+const withoutBlankValues = (query) =>
+  Object.fromEntries(Object.entries(query).filter(([, value]) => value !== ''));
+
+/**
+ * Validates query parameters against a report's schema
+ * @param {z.ZodType} schema - Zod object schema (unknown keys are ignored)
+ * @param {Object} query - Express req.query
+ * @returns {Object} Parsed parameter values
+ * @throws {ValidationError} Listing every invalid field in `details`
+ */
+export const parseQueryParameters = (schema, query = {}) => {
+  const result = schema.safeParse(withoutBlankValues(query));
+  if (result.success) {
+    return result.data;
+  }
+
+  const details = result.error.issues.map((issue) => ({
+    field: issue.path.join('.'),
+    message: issue.message,
+  }));
+  throw new ValidationError(
+    `Invalid parameters: ${details.map(({ field, message }) => `${field} (${message})`).join(', ')}`,
+    'VALIDATION_ERROR',
+    details,
+  );
+};
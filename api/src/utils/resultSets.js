@@ -0,0 +1,136 @@
+/**
+ * Result-set layout for multi-result-set procedures
+ *
+ * A procedure may return several result sets (e.g. a header block, detail
+ * lines and a summary). In xlsx exports each one gets its own worksheet with
+ * its own columns; text formats (CSV, NDJSON, JSON) have a single table and
+ * export only the report's primary result set.
+ *
+ * Report fields (see config/reports.js):
+ *   - resultSets:       per result set, by position: { sheetName, columnOverrides }
+ *   - primaryResultSet: index of the set that `columns`, `columnOverrides`,
+ *                       `transforms`, the columns= selection, Summary totals
+ *                       and text formats apply to (default 0)
+ *
+ * Each result set is resolved to its output columns and the row transform
+ * pipeline that produces them (see rowTransforms.js): unnamed column values
+ * moved to their keys, JSON expansion, the
+ * report's transforms, then BIGINT/DECIMAL precision policies
+ * (see numericPrecision.js). Headers and sheet names are translated last,
+ * from the export's locale (see locales.js).
+ */
+import { buildColumnsFromMetadata, unnamedColumnStages } from './columnMetadata.js';
+import { resolveReportColumns, selectColumns } from './columnMapper.js';
+import { createRowPipeline } from './rowTransforms.js';
+import { jsonExpansionStages } from './jsonColumns.js';
+import { localizeColumns, localizeSheetName } from './locales.js';
+import { precisionPolicies } from './numericPrecision.js';
+
+/**
+ * Sheet name of the primary result set when the report does not name it
+ */
+export const DEFAULT_SHEET_NAME = 'Report';
+
+/**
+ * Index of the result set the report's own columns and options apply to
+ * @param {Object} report - Report definition
+ * @returns {number}
+ */
+export const primaryResultSetIndex = (report) => report.primaryResultSet ?? 0;
+
+/**
+ * Worksheet name for a result set: the declared sheetName, "Report" for the
+ * primary set, otherwise "Result <n>" (one-based); translated when the
+ * locale's `sheetNames` has it
+ * @param {Object} report - Report definition
+ * @param {number} index - Zero-based result-set index
+ * @param {Object|null} [translation=null] - From reportTranslation()
+ * @returns {string}
+ */
+export const resultSetSheetName = (report, index, translation = null) => localizeSheetName(
+  report.resultSets?.[index]?.sheetName
+  ?? (index === primaryResultSetIndex(report) ? DEFAULT_SHEET_NAME : `Result ${index + 1}`),
+  translation,
+);
+
+/**
+ * Binds transform stages to a result set's columns, after keying unnamed
+ * columns (see columnMetadata.js) and expanding the columns that declare
+ * `json` (see jsonColumns.js), and before the precision policies of the
+ * resulting bigint/decimal columns
+ *
+ * With no columns at all (no result set and no static columns) nothing
+ * reaches the pipeline, so the stages are not bound and the export stays
+ * an empty one instead of failing on columns the stages expect.
+ *
+ * @param {Array<Object>|undefined} stages - Transform stages
+ * @param {Array<Object>} columns - Column definitions of the database rows
+ * @param {Object|null} tracker - From createPrecisionTracker()
+ * @param {Array<string>|null} [selection=null] - Output columns written; the
+ *   tracker only counts values of these
+ * @returns {{ columns: Array<Object>, transform: Function }}
+ */
+const bindTransforms = (stages, columns, tracker, selection = null) => createRowPipeline(
+  columns.length === 0
+    ? []
+    : [
+      ...unnamedColumnStages(columns),
+      ...jsonExpansionStages(columns),
+      ...(stages ?? []),
+      precisionPolicies(tracker, selection),
+    ],
+  columns,
+);
+
+/**
+ * Resolves one result set: its output columns and row transform
+ *
+ * The primary set uses the report's columns, overrides and `transforms`,
+ * then the columns= selection (so computed columns can be selected); every
+ * other set is built from its own metadata with the `columnOverrides` and
+ * `transforms` declared for it in `resultSets`.
+ *
+ * @param {Object} report - Report definition
+ * @param {number} index - Zero-based result-set index
+ * @param {Object|null} metadata - mssql recordset metadata
+ * @param {Array<string>|null} [selection=null] - From validateColumnSelection()
+ * @param {Object} [options]
+ * @param {Object|null} [options.translation=null] - From reportTranslation()
+ * @param {Object|null} [options.tracker=null] - From createPrecisionTracker(); counts rounded
+ *   values of the output columns (of the selection, if any)
+ * @returns {{ columns: Array<Object>, transform: Function }} Column
+ *   definitions and the (row) => row pipeline to apply before mapping
+ * @throws {ValidationError} If the selection names a column the primary set does not have
+ * @throws {ExportError} If a transform stage cannot be bound to the columns
+ */
+export const resolveResultSet = (report, index, metadata, selection = null, { translation = null, tracker = null } = {}) => {
+  if (index === primaryResultSetIndex(report)) {
+    const { columns, transform } = bindTransforms(
+      report.transforms,
+      resolveReportColumns(report, metadata),
+      tracker,
+      selection,
+    );
+    return { columns: localizeColumns(selectColumns(columns, selection), translation), transform };
+  }
+  const declared = report.resultSets?.[index];
+  const { columns, transform } = bindTransforms(
+    declared?.transforms,
+    buildColumnsFromMetadata(metadata ?? {}, declared?.columnOverrides),
+    tracker,
+  );
+  return { columns: localizeColumns(columns, translation), transform };
+};
+
+/**
+ * Resolves the output columns of one result set (see resolveResultSet)
+ * @param {Object} report - Report definition
+ * @param {number} index - Zero-based result-set index
+ * @param {Object|null} metadata - mssql recordset metadata
+ * @param {Array<string>|null} [selection=null] - From validateColumnSelection()
+ * @param {Object} [options] - As for resolveResultSet()
+ * @returns {Array<Object>} Column definitions
+ * @throws {ValidationError} If the selection names a column the primary set does not have
+ */
+export const resolveResultSetColumns = (report, index, metadata, selection = null, options = {}) =>
+  resolveResultSet(report, index, metadata, selection, options).columns;
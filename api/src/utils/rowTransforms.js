@@ -0,0 +1,244 @@
+/**
+ * Row transform pipeline
+ *
+ * Reports reshape rows between the database and the writer with a chain of
+ * stages (`transforms` in config/reports.js): computed columns, value
+ * lookups, unit conversion, masking. Each stage is bound to the columns of
+ * the stage before it and returns its own output columns plus a per-row
+ * function, so headers, widths, value types, the columns= selection and
+ * Summary totals all apply to the transformed rows.
+ *
+ * The chain is plain synchronous functions called from the mssql 'row'
+ * handler before the row is written. Nothing is queued between stages, so
+ * the controller's pause/resume backpressure covers the whole pipeline.
+ *
+ * Stage shape:
+ *   { name, bind(columns) => { columns?, transform? } }
+ *   - name:      label used in error messages, e.g. 'mask(ColGuid)'
+ *   - columns:   output column definitions (omitted: unchanged)
+ *   - transform: (row) => row, keyed by column key; may modify and return
+ *                the row it receives (omitted: rows pass through)
+ *
+ * Stages run on the raw database row, before createRowMapper() selects the
+ * output columns and applies the formula-injection policy, so computed text
+ * is sanitized like any other value.
+ */
+import { AppError, ExportError } from './errors.js';
+
+/**
+ * Width of computed columns that do not declare one
+ */
+const DEFAULT_COMPUTED_WIDTH = 15;
+
+/**
+ * Pass-through transform for pipelines without row stages
+ * @param {Object} row
+ * @returns {Object} The same row
+ */
+const identity = (row) => row;
+
+/**
+ * Finds a stage's input column by key
+ * @param {string} stageName - Stage name for the error message
+ * @param {Array<Object>} columns - Input columns
+ * @param {string} key - Column key
+ * @returns {number} Index of the column
+ * @throws {ExportError} If the input has no such column
+ */
+const requireColumn = (stageName, columns, key) => {
+  const index = columns.findIndex((column) => column.key === key);
+  if (index === -1) {
+    throw new ExportError(`Row transform "${stageName}": unknown column "${key}"`);
+  }
+  return index;
+};
+
+/**
+ * Column properties that only make sense for the column's value type:
+ * dropped when a stage changes the type (e.g. bit labels on a looked-up
+ * text column), unless the stage sets them again
+ */
+const TYPE_SPECIFIC_PROPERTIES = ['boolean', 'numFmt', 'aggregate'];
+
+/**
+ * Replaces one column definition, keeping the others in order
+ * @param {Array<Object>} columns - Input columns
+ * @param {number} index - Position of the column to replace
+ * @param {Object} changes - Properties merged over the column
+ * @returns {Array<Object>} New column list
+ */
+const replaceColumn = (columns, index, changes) =>
+  columns.map((column, i) => {
+    if (i !== index) return column;
+    const base = { ...column };
+    if (changes.type !== undefined && changes.type !== column.type) {
+      for (const property of TYPE_SPECIFIC_PROPERTIES) delete base[property];
+    }
+    return { ...base, ...changes };
+  });
+
+/**
+ * Binds a chain of stages to a result set's columns
+ *
+ * Configuration errors (e.g. a stage naming a column the result set does not
+ * have) surface here, before the first row. A stage that throws while
+ * transforming a row is reported as an ExportError naming the stage;
+ * application errors (e.g. from a stricter stage) keep their own status.
+ *
+ * @param {Array<Object>} stages - Transform stages, applied in order
+ * @param {Array<Object>} columns - Column definitions of the database rows
+ * @returns {{ columns: Array<Object>, transform: Function }} Output columns
+ *   and the composed (row) => row function
+ * @throws {ExportError} If a stage cannot be bound to its input columns
+ */
+export const createRowPipeline = (stages, columns) => {
+  let current = columns;
+  const steps = [];
+  for (const stage of stages ?? []) {
+    const { columns: next = current, transform } = stage.bind(current);
+    if (transform) steps.push({ name: stage.name, transform });
+    current = next;
+  }
+
+  if (steps.length === 0) {
+    return { columns: current, transform: identity };
+  }
+
+  return {
+    columns: current,
+    transform: (row) => {
+      let result = row;
+      let step = null;
+      try {
+        for (step of steps) {
+          result = step.transform(result);
+        }
+      } catch (err) {
+        if (err instanceof AppError) throw err;
+        throw new ExportError(`Row transform "${step.name}" failed: ${err.message}`);
+      }
+      return result;
+    },
+  };
+};
+
+/**
+ * Adds a column computed from the other values of the row
+ * @param {Object} options
+ * @param {string} options.key - New column key
+ * @param {Function} options.compute - (row) => value
+ * @param {string} [options.header=key] - Column header
+ * @param {string} [options.type='string'] - Value category (see columnMapper.js)
+ * @param {number} [options.width] - Column width (default: fits the header)
+ * @param {string} [options.after] - Key of the column to insert after (default: last)
+ * @param {...*} options.column - Further column properties (numFmt, aggregate, …)
+ * @returns {Object} Transform stage
+ */
+export const computedColumn = ({ key, compute, header = key, type = 'string', width, after, ...column }) => {
+  const name = `computed(${key})`;
+  return {
+    name,
+    bind: (columns) => {
+      if (columns.some((existing) => existing.key === key)) {
+        throw new ExportError(`Row transform "${name}": column "${key}" already exists`);
+      }
+      const position = after === undefined ? columns.length : requireColumn(name, columns, after) + 1;
+      const definition = {
+        header,
+        key,
+        width: width ?? Math.max(header.length + 2, DEFAULT_COMPUTED_WIDTH),
+        type,
+        ...column,
+      };
+      return {
+        columns: [...columns.slice(0, position), definition, ...columns.slice(position)],
+        transform: (row) => {
+          row[key] = compute(row);
+          return row;
+        },
+      };
+    },
+  };
+};
+
+/**
+ * Stage replacing the values of one existing column
+ * @param {string} name - Stage name
+ * @param {string} key - Column key
+ * @param {Function} map - (value, row) => new value
+ * @param {Object} column - Column properties to change
+ * @returns {Object} Transform stage
+ */
+const valueStage = (name, key, map, column) => ({
+  name,
+  bind: (columns) => ({
+    columns: replaceColumn(columns, requireColumn(name, columns, key), column),
+    transform: (row) => {
+      row[key] = map(row[key], row);
+      return row;
+    },
+  }),
+});
+
+/**
+ * Replaces the values of a column, e.g. to convert units or reformat
+ * @param {Object} options
+ * @param {string} options.key - Column key
+ * @param {Function} options.map - (value, row) => new value
+ * @param {...*} options.column - Column properties to change (header, type, numFmt, …)
+ * @returns {Object} Transform stage
+ */
+export const mapColumn = ({ key, map, ...column }) => valueStage(`map(${key})`, key, map, column);
+
+/**
+ * Multiplies a numeric column by a constant (unit conversion); null stays null
+ * @param {Object} options
+ * @param {string} options.key - Column key
+ * @param {number} options.factor - Multiplier, e.g. 0.001 for grams → kilograms
+ * @param {...*} options.column - Column properties to change (header, numFmt, …)
+ * @returns {Object} Transform stage
+ */
+export const scaleColumn = ({ key, factor, ...column }) => valueStage(
+  `scale(${key})`,
+  key,
+  (value) => (value === null || value === undefined ? value : Number(value) * factor),
+  column,
+);
+
+/**
+ * Replaces codes with labels from a lookup table; the column becomes a
+ * string column unless `type` is given
+ * @param {Object} options
+ * @param {string} options.key - Column key
+ * @param {Map|Object} options.values - Code → label
+ * @param {*} [options.fallback] - Value for codes not in the table (default: keep the code)
+ * @param {...*} options.column - Column properties to change (header, width, …)
+ * @returns {Object} Transform stage
+ */
+export const lookupColumn = ({ key, values, fallback, ...column }) => {
+  // A Map so codes such as "constructor" never hit Object.prototype
+  const table = values instanceof Map ? values : new Map(Object.entries(values));
+  return valueStage(`lookup(${key})`, key, (value) => {
+    if (value === null || value === undefined) return value;
+    // Object tables have string keys; database codes are often numbers
+    const label = table.get(value) ?? table.get(String(value));
+    if (label !== undefined) return label;
+    return fallback === undefined ? value : fallback;
+  }, { type: 'string', ...column });
+};
+
+/**
+ * Masks all but the last characters of a column (card numbers, ids, emails);
+ * the column becomes a string column, null stays null
+ * @param {Object} options
+ * @param {string} options.key - Column key
+ * @param {number} [options.visible=4] - Trailing characters left readable
+ * @param {string} [options.char='*'] - Mask character
+ * @returns {Object} Transform stage
+ */
+export const maskColumn = ({ key, visible = 4, char = '*' }) => valueStage(`mask(${key})`, key, (value) => {
+  if (value === null || value === undefined) return value;
+  const text = String(value);
+  const kept = Math.min(visible, text.length);
+  return char.repeat(text.length - kept) + text.slice(text.length - kept);
+}, { type: 'string' });
@@ -0,0 +1,81 @@
+/**
+ * "Summary" worksheet describing how an export was produced
+ *
+ * Added after the data sheets so auditors can see which parameters
+ * generated a file, when, how many rows it holds, and column totals.
+ * Works with the streaming WorkbookWriter (sheet is committed here) and
+ * with the in-memory Workbook.
+ */
+
+/**
+ * Name of the summary sheet
+ */
+export const SUMMARY_SHEET_NAME = 'Summary';
+
+/**
+ * Appends the Summary worksheet to a workbook
+ * @param {Object} workbook - ExcelJS Workbook or stream.xlsx.WorkbookWriter
+ * @param {Object} summary
+ * @param {Object} summary.parameters - Request parameters (rowCount, filters, …)
+ * @param {Date} summary.generatedAt - When the export started
+ * @param {number} summary.totalRows - Data rows written
+ * @param {number} summary.durationMs - Time spent streaming rows
+ * @param {number} [summary.sheetCount=1] - Data worksheets written
+ * @param {string} [summary.timezone='UTC'] - Zone the dates are shown in
+ * @param {string} [summary.sheetName=SUMMARY_SHEET_NAME] - Sheet name (translated per locale)
+ * @param {Array<Object>} [summary.precisionLost=[]] - Results from createPrecisionTracker()
+ * @param {Array<Object>} [summary.aggregates=[]] - Results from createColumnAggregator()
+ * @returns {Object} The summary worksheet
+ */
+export const addSummaryWorksheet = (workbook, {
+  parameters,
+  generatedAt,
+  totalRows,
+  durationMs,
+  sheetCount = 1,
+  timezone = 'UTC',
+  sheetName = SUMMARY_SHEET_NAME,
+  precisionLost = [],
+  aggregates = [],
+}) => {
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = [
+    { key: 'label', width: 24 },
+    { key: 'value', width: 28 },
+    { key: 'min', width: 18 },
+    { key: 'max', width: 18 },
+    { key: 'count', width: 12 },
+  ];
+
+  const addRow = (values) => sheet.addRow(values).commit();
+
+  addRow(['Export Summary']);
+  addRow(['Generated at (UTC)', generatedAt.toISOString()]);
+  addRow(['Total rows', totalRows]);
+  addRow(['Duration (ms)', durationMs]);
+  addRow(['Data sheets', sheetCount]);
+  addRow(['Time zone', timezone]);
+  addRow(['Precision lost (values)', precisionLost.reduce((total, { count }) => total + count, 0)]);
+  for (const { header, count } of precisionLost) {
+    addRow([`  ${header}`, count]);
+  }
+
+  addRow([]);
+  addRow(['Parameters']);
+  for (const [name, value] of Object.entries(parameters)) {
+    addRow([name, typeof value === 'object' ? JSON.stringify(value) : value]);
+  }
+
+  if (aggregates.length > 0) {
+    addRow([]);
+    addRow(['Column', 'Sum', 'Min', 'Max', 'Count']);
+    for (const { header, sum, min, max, count } of aggregates) {
+      addRow([header, sum, min, max, count]);
+    }
+  }
+
+  if (typeof sheet.commit === 'function') {
+    sheet.commit();
+  }
+  return sheet;
+};
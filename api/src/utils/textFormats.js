@@ -0,0 +1,72 @@
+/**
+ * Text output formats for streamed exports
+ *
+ * Each format describes how rows are framed on the wire so a single
+ * streaming handler can write any of them:
+ *
+ *   prologue  → written once before the first row (or alone if no rows)
+ *   separator → written between consecutive rows
+ *   epilogue  → written once after the last row
+ *   formatRow → turns one mapped row into text
+ */
+import { createCsvFormatter } from './csvFormatter.js';
+import { createJsonRowEncoder } from './jsonEncoder.js';
+import { EXPORT_FORMATS } from '../config/export.js';
+
+/**
+ * RFC 4180 CSV with a header record
+ * @param {Array<Object>} columns - Column definitions (header, key)
+ * @param {{ delimiter: string, quote: string, timezone?: Object }} options - Validated CSV
+ *   dialect and the zone dates are written in (see timezones.js)
+ * @returns {Object} Text format descriptor
+ */
+export const createCsvFormat = (columns, options) => {
+  const { formatRecord } = createCsvFormatter(options);
+  return {
+    label: 'CSV',
+    contentType: `${EXPORT_FORMATS.csv.mimeType}; charset=utf-8`,
+    extension: EXPORT_FORMATS.csv.extension,
+    prologue: formatRecord(columns.map((column) => column.header)),
+    separator: '',
+    epilogue: '',
+    formatRow: (mapped) => formatRecord(columns.map((column) => mapped[column.key])),
+  };
+};
+
+/**
+ * Newline-delimited JSON — one object per line, readable with a line reader
+ * @param {Array<Object>} columns - Column definitions (key, type)
+ * @param {{ timezone?: Object }} [options] - Zone dates are written in (see timezones.js)
+ * @returns {Object} Text format descriptor
+ */
+export const createNdjsonFormat = (columns, options = {}) => {
+  const encodeRow = createJsonRowEncoder(columns, options);
+  return {
+    label: 'NDJSON',
+    contentType: `${EXPORT_FORMATS.ndjson.mimeType}; charset=utf-8`,
+    extension: EXPORT_FORMATS.ndjson.extension,
+    prologue: '',
+    separator: '',
+    epilogue: '',
+    formatRow: (mapped) => `${encodeRow(mapped)}\n`,
+  };
+};
+
+/**
+ * A single JSON array, streamed element by element
+ * @param {Array<Object>} columns - Column definitions (key, type)
+ * @param {{ timezone?: Object }} [options] - Zone dates are written in (see timezones.js)
+ * @returns {Object} Text format descriptor
+ */
+export const createJsonArrayFormat = (columns, options = {}) => {
+  const encodeRow = createJsonRowEncoder(columns, options);
+  return {
+    label: 'JSON',
+    contentType: `${EXPORT_FORMATS.json.mimeType}; charset=utf-8`,
+    extension: EXPORT_FORMATS.json.extension,
+    prologue: '[\n',
+    separator: ',\n',
+    epilogue: '\n]\n',
+    formatRow: encodeRow,
+  };
+};
@@ -0,0 +1,151 @@
+/**
+ * Time zone rendering for datetime columns
+ *
+ * mssql returns DATETIME values as JavaScript Dates (instants, read as UTC).
+ * Every format renders them in one IANA time zone, chosen with `tz=` or the
+ * report's `timezone` (default UTC), so the same data looks the same
+ * wherever the server or the user runs:
+ *
+ *   xlsx        → the wall-clock time in the zone (Excel dates carry no zone)
+ *   CSV, JSON   → ISO 8601 with the zone's offset at that instant,
+ *                 e.g. "2024-03-01T05:00:00.000-05:00"; UTC keeps the "Z" form
+ *
+ * Offsets come from Intl (the ICU time zone data bundled with Node), so DST
+ * transitions and historical rule changes are applied per value.
+ */
+
+/**
+ * Zone used when neither the request nor the report names one
+ */
+export const DEFAULT_TIMEZONE = 'UTC';
+
+/**
+ * IANA zone names: Area/Location, plus single names such as UTC. Raw offsets
+ * ("+05:00") are not zones and are rejected even though Intl accepts them.
+ */
+const ZONE_NAME_PATTERN = /^[A-Za-z][\w+-]*(?:\/[\w+-]+)*$/;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Offsets only change on quarter-hour boundaries, so they are cached per
+ * 15-minute bucket; the cache is dropped when it grows past this many entries
+ */
+const OFFSET_BUCKET_MS = 15 * MS_PER_MINUTE;
+const OFFSET_CACHE_LIMIT = 10000;
+
+/**
+ * Canonical name of an IANA time zone
+ *
+ * ICU resolves some current names to their legacy aliases (Asia/Kathmandu →
+ * Asia/Katmandu), so a name the caller spelled out is kept; ICU's spelling
+ * is only used to fix its case.
+ *
+ * @param {string} name - Zone name, any case (e.g. 'europe/berlin')
+ * @returns {string|null} Canonical name (e.g. 'Europe/Berlin'), or null if unknown
+ */
+export const canonicalTimezone = (name) => {
+  if (typeof name !== 'string' || !ZONE_NAME_PATTERN.test(name)) {
+    return null;
+  }
+  let resolved;
+  try {
+    resolved = new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+  return resolved.toLowerCase() === name.toLowerCase() ? resolved : name;
+};
+
+/**
+ * Formats a UTC offset for ISO 8601
+ * @param {number} minutes - Offset east of UTC
+ * @returns {string} e.g. '+05:30', '-03:00'
+ */
+const formatOffset = (minutes) => {
+  const sign = minutes < 0 ? '-' : '+';
+  const absolute = Math.abs(minutes);
+  const hours = String(Math.floor(absolute / 60)).padStart(2, '0');
+  return `${sign}${hours}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Converts instants to a time zone's wall clock and offset
+ * @param {string} name - Canonical zone name (see canonicalTimezone)
+ * @returns {{ name: string, offsetMinutes: Function, toWallClock: Function, formatIso: Function }}
+ *   - offsetMinutes(date): offset east of UTC at that instant
+ *   - toWallClock(date):   Date whose UTC fields are the local date and time
+ *                          (what Excel should display)
+ *   - formatIso(date):     ISO 8601 string with the local offset
+ */
+export const createTimezone = (name) => {
+  if (name === 'UTC') {
+    return {
+      name,
+      offsetMinutes: () => 0,
+      toWallClock: (date) => date,
+      formatIso: (date) => date.toISOString(),
+    };
+  }
+
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: name,
+    hourCycle: 'h23',
+    era: 'short',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+  });
+  const cache = new Map();
+
+  /**
+   * Offset at an instant, from the local calendar fields Intl reports
+   * @param {number} time - Epoch milliseconds
+   * @returns {number} Minutes east of UTC
+   */
+  const computeOffset = (time) => {
+    const fields = {};
+    for (const { type, value } of formatter.formatToParts(time)) {
+      fields[type] = value;
+    }
+    const year = fields.era === 'BC' ? 1 - Number(fields.year) : Number(fields.year);
+    const local = new Date(0);
+    local.setUTCFullYear(year, Number(fields.month) - 1, Number(fields.day));
+    local.setUTCHours(Number(fields.hour), Number(fields.minute), Number(fields.second));
+    const wholeSecond = time - (((time % 1000) + 1000) % 1000);
+    return Math.round((local.getTime() - wholeSecond) / MS_PER_MINUTE);
+  };
+
+  const offsetMinutes = (date) => {
+    const time = date.getTime();
+    const bucket = Math.floor(time / OFFSET_BUCKET_MS);
+    let offset = cache.get(bucket);
+    if (offset === undefined) {
+      if (cache.size >= OFFSET_CACHE_LIMIT) cache.clear();
+      offset = computeOffset(time);
+      cache.set(bucket, offset);
+    }
+    return offset;
+  };
+
+  const toWallClock = (date) => new Date(date.getTime() + offsetMinutes(date) * MS_PER_MINUTE);
+
+  return {
+    name,
+    offsetMinutes,
+    toWallClock,
+    formatIso: (date) => {
+      const offset = offsetMinutes(date);
+      const wall = new Date(date.getTime() + offset * MS_PER_MINUTE);
+      return wall.toISOString().slice(0, -1) + formatOffset(offset);
+    },
+  };
+};
+
+/**
+ * The UTC zone (default rendering)
+ */
+export const UTC_TIMEZONE = createTimezone(DEFAULT_TIMEZONE);
@@ -0,0 +1,77 @@
+/**
+ * Worksheet layout for exported sheets — header styling, frozen panes
+ * and autofilter, so files open ready to use.
+ *
+ * Layout options (per report, see REPORT_WORKSHEET_OPTIONS):
+ *   - headerStyle:   { font, fill, alignment } applied to the header row
+ *   - freezeHeader:  keep the header row visible while scrolling
+ *   - frozenColumns: number of leading columns to freeze (e.g. 1 for Id)
+ *   - autoFilter:    add a filter over the header and all data rows
+ *
+ * The streaming WorksheetWriter writes sheet views when the sheet is
+ * created and the autofilter when it is committed, so the layout is split
+ * into the same three phases: sheetOptions → prepare → finalize.
+ */
+
+/**
+ * Whether the layout needs the workbook style table (header styling)
+ * @param {Object} [options] - Layout options
+ * @returns {boolean} True if styles must be enabled
+ */
+export const worksheetLayoutUsesStyles = (options = {}) => Boolean(options.headerStyle);
+
+/**
+ * Builds sheet views for frozen header row and/or leading columns
+ * @param {Object} options - Layout options
+ * @returns {Array<Object>} ExcelJS worksheet views (empty when nothing is frozen)
+ */
+const buildViews = ({ freezeHeader = false, frozenColumns = 0 }) => {
+  const ySplit = freezeHeader ? 1 : 0;
+  if (ySplit === 0 && frozenColumns === 0) {
+    return [];
+  }
+  return [{ state: 'frozen', xSplit: frozenColumns, ySplit }];
+};
+
+/**
+ * Creates the layout hooks for one report's worksheets
+ * @param {Object} [options] - Layout options
+ * @param {number} columnCount - Number of columns on each sheet
+ * @returns {{ sheetOptions: Object, prepare: Function, finalize: Function }}
+ */
+export const createWorksheetLayout = (options = {}, columnCount) => {
+  const { headerStyle, autoFilter = false } = options;
+
+  return {
+    /**
+     * Options for workbook.addWorksheet() — views must be known up front
+     */
+    sheetOptions: { views: buildViews(options) },
+
+    /**
+     * Styles the header row; call after worksheet.columns is set and
+     * before the first data row is committed
+     * @param {Object} worksheet - ExcelJS worksheet
+     */
+    prepare(worksheet) {
+      if (!headerStyle) return;
+      const headerRow = worksheet.getRow(1);
+      if (headerStyle.font) headerRow.font = headerStyle.font;
+      if (headerStyle.fill) headerRow.fill = headerStyle.fill;
+      if (headerStyle.alignment) headerRow.alignment = headerStyle.alignment;
+    },
+
+    /**
+     * Sets the autofilter over the used range; call before worksheet.commit()
+     * @param {Object} worksheet - ExcelJS worksheet
+     * @param {number} dataRowCount - Data rows written to this sheet
+     */
+    finalize(worksheet, dataRowCount) {
+      if (!autoFilter || columnCount === 0) return;
+      worksheet.autoFilter = {
+        from: { row: 1, column: 1 },
+        to: { row: dataRowCount + 1, column: columnCount },
+      };
+    },
+  };
+};
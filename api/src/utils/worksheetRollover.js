@@ -0,0 +1,106 @@
+/**
+ * Worksheet rollover for exports larger than one Excel sheet
+ *
+ * Excel caps a worksheet at 1,048,576 rows. When the data row count for the
+ * current sheet reaches the configured limit, the sheet is committed and a
+ * new one is opened ("Report", "Report (2)", "Report (3)", …), each starting
+ * with the same header row.
+ */
+
+/**
+ * Excel's hard per-sheet row limit (including the header row)
+ */
+export const EXCEL_MAX_SHEET_ROWS = 1048576;
+
+/**
+ * Maximum data rows per sheet once the header row is accounted for
+ */
+export const EXCEL_MAX_DATA_ROWS = EXCEL_MAX_SHEET_ROWS - 1;
+
+/**
+ * Builds the name for the nth worksheet (zero-based)
+ * @param {string} baseName - Name of the first sheet
+ * @param {number} index - Zero-based sheet index
+ * @returns {string} Sheet name, e.g. "Report" or "Report (2)"
+ */
+export const worksheetName = (baseName, index) =>
+  index === 0 ? baseName : `${baseName} (${index + 1})`;
+
+/**
+ * Commits a streaming worksheet; in-memory worksheets need no commit
+ * @param {Object} worksheet - ExcelJS worksheet
+ */
+const commitWorksheet = (worksheet) => {
+  if (typeof worksheet.commit === 'function') {
+    worksheet.commit();
+  }
+};
+
+/**
+ * Wraps a workbook so rows spill into new worksheets at a row limit
+ *
+ * Works with both the streaming WorkbookWriter and the in-memory Workbook:
+ * row.commit() is a no-op on the latter, which has no worksheet.commit().
+ *
+ * @param {Object} workbook - ExcelJS Workbook or stream.xlsx.WorkbookWriter
+ * @param {Object} options
+ * @param {Array<Object>} options.columns - Column definitions for every sheet
+ * @param {string} [options.baseName='Report'] - Name of the first sheet
+ * @param {number} [options.rowLimit=EXCEL_MAX_DATA_ROWS] - Data rows per sheet
+ * @param {Object} [options.layout] - Hooks from createWorksheetLayout(), applied to every sheet
+ * @returns {{ addRow: Function, commit: Function, sheetCount: number }}
+ */
+export const createRollingWorksheet = (
+  workbook,
+  { columns, baseName = 'Report', rowLimit = EXCEL_MAX_DATA_ROWS, layout = null },
+) => {
+  // Never allow a limit that would produce a sheet Excel refuses to open
+  const limit = Math.min(rowLimit, EXCEL_MAX_DATA_ROWS);
+  let sheetIndex = 0;
+  let rowsInSheet = 0;
+
+  const openWorksheet = () => {
+    const sheet = workbook.addWorksheet(worksheetName(baseName, sheetIndex), layout?.sheetOptions);
+    sheet.columns = columns; // Writes the header row
+    layout?.prepare(sheet);
+    return sheet;
+  };
+
+  const closeWorksheet = () => {
+    layout?.finalize(worksheet, rowsInSheet);
+    commitWorksheet(worksheet);
+  };
+
+  let worksheet = openWorksheet();
+
+  return {
+    /**
+     * Adds and commits a row, rolling to a new sheet when the limit is reached
+     * @param {Object} values - Row keyed by column key
+     */
+    addRow(values) {
+      if (rowsInSheet >= limit) {
+        closeWorksheet();
+        sheetIndex++;
+        rowsInSheet = 0;
+        worksheet = openWorksheet();
+      }
+      worksheet.addRow(values).commit();
+      rowsInSheet++;
+    },
+
+    /**
+     * Commits the current (last) worksheet
+     */
+    commit() {
+      closeWorksheet();
+    },
+
+    /**
+     * Number of worksheets created so far
+     */
+    get sheetCount() {
+      return sheetIndex + 1;
+    },
+  };
+};
@@ -0,0 +1,113 @@
+/**
+ * Unit tests for export.js configuration helpers
+ * Run: node --test api/tests/config/export.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {
+  validateCsvOptions,
+  validateBooleanOption,
+  validateColumnSelection,
+  validateTimezone,
+  validateJobRequest,
+  validateCancelRequest,
+  MAX_CANCEL_REASON_LENGTH,
+} from '../../src/config/export.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+test('Unit Tests - export config', async (t) => {
+  await t.test('CSV options default to RFC 4180 dialect', () => {
+    assert.deepStrictEqual(validateCsvOptions({}), { delimiter: ',', quote: '"' });
+  });
+
+  await t.test('CSV options accept single characters', () => {
+    assert.deepStrictEqual(
+      validateCsvOptions({ delimiter: '\t', quote: "'" }),
+      { delimiter: '\t', quote: "'" },
+    );
+  });
+
+  await t.test('CSV options reject multi-character and line-break values', () => {
+    assert.throws(() => validateCsvOptions({ delimiter: ';;' }), ValidationError);
+    assert.throws(() => validateCsvOptions({ quote: '\n' }), ValidationError);
+    assert.throws(() => validateCsvOptions({ delimiter: ['a', 'b'] }), ValidationError);
+  });
+
+  await t.test('CSV options reject identical delimiter and quote', () => {
+    assert.throws(() => validateCsvOptions({ delimiter: '"' }), ValidationError);
+  });
+
+  await t.test('Boolean options accept true/false/1/0 and fall back when absent', () => {
+    assert.strictEqual(validateBooleanOption('summary', 'true', false), true);
+    assert.strictEqual(validateBooleanOption('summary', '0', true), false);
+    assert.strictEqual(validateBooleanOption('summary', undefined, true), true);
+    assert.throws(() => validateBooleanOption('summary', 'yes', false), ValidationError);
+  });
+
+  await t.test('Column selection parses a trimmed, ordered list', () => {
+    assert.strictEqual(validateColumnSelection(undefined), null);
+    assert.strictEqual(validateColumnSelection(''), null);
+    assert.deepStrictEqual(validateColumnSelection('Id, ColDate,ColDecimal'), ['Id', 'ColDate', 'ColDecimal']);
+  });
+
+  await t.test('Column selection rejects empty names, duplicates and repeated parameters', () => {
+    assert.throws(() => validateColumnSelection('Id,,ColDate'), ValidationError);
+    assert.throws(() => validateColumnSelection('Id,ColDate,Id'), /Id more than once/);
+    assert.throws(() => validateColumnSelection(['Id', 'ColDate']), ValidationError);
+  });
+
+  await t.test('Time zone falls back to the report default, then UTC', () => {
+    assert.strictEqual(validateTimezone(undefined), 'UTC');
+    assert.strictEqual(validateTimezone('', 'Europe/Berlin'), 'Europe/Berlin');
+    assert.strictEqual(validateTimezone('america/new_york', 'Europe/Berlin'), 'America/New_York');
+  });
+
+  await t.test('Time zone rejects unknown zones, raw offsets and repeated parameters', () => {
+    for (const value of ['Mars/Olympus', '+05:00', 'UTC+1', '../etc', ['UTC', 'UTC']]) {
+      assert.throws(() => validateTimezone(value), /tz must be an IANA time zone/, String(value));
+    }
+  });
+
+  await t.test('Job requests carry their parameters as query strings', () => {
+    assert.deepStrictEqual(
+      validateJobRequest({
+        reportId: 'generated-data',
+        format: 'csv',
+        parameters: { rowCount: 500000, summary: true, 'filter[ColInt][gte]': '100' },
+      }),
+      {
+        reportId: 'generated-data',
+        query: { rowCount: '500000', summary: 'true', 'filter[ColInt][gte]': '100', format: 'csv' },
+        owner: null,
+      },
+    );
+    assert.deepStrictEqual(
+      validateJobRequest({ reportId: 'generated-data', owner: 'alice' }),
+      { reportId: 'generated-data', query: {}, owner: 'alice' },
+    );
+  });
+
+  await t.test('Job requests reject bodies of the wrong shape', () => {
+    for (const body of [undefined, null, [], 'generated-data', {}, { reportId: '' }, { reportId: 1 }]) {
+      assert.throws(() => validateJobRequest(body), ValidationError, JSON.stringify(body));
+    }
+    assert.throws(() => validateJobRequest({ reportId: 'r', format: ['csv'] }), /format must be a string/);
+    for (const owner of ['', 7, 'x'.repeat(201)]) {
+      assert.throws(() => validateJobRequest({ reportId: 'r', owner }), /owner must be a non-empty string/, String(owner));
+    }
+    assert.throws(() => validateJobRequest({ reportId: 'r', parameters: [] }), /parameters must be an object/);
+    assert.throws(() => validateJobRequest({ reportId: 'r', parameters: { columns: ['Id'] } }), /parameters.columns must be/);
+    assert.throws(() => validateJobRequest({ reportId: 'r', parameters: { rowCount: null } }), /parameters.rowCount must be/);
+  });
+
+  await t.test('Cancellation reason is optional and bounded', () => {
+    assert.strictEqual(validateCancelRequest(undefined), 'Cancelled by request');
+    assert.strictEqual(validateCancelRequest({}), 'Cancelled by request');
+    assert.strictEqual(validateCancelRequest({ reason: '  Runaway export ' }), 'Runaway export');
+    for (const reason of ['', '   ', 5, 'x'.repeat(MAX_CANCEL_REASON_LENGTH + 1)]) {
+      assert.throws(() => validateCancelRequest({ reason }), ValidationError, JSON.stringify(reason));
+    }
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Unit tests for reports.js (report registry)
+ * Validates report lookup, definition shape and parameter resolution
+ * Run: node --test api/tests/config/reports.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import mssql from 'mssql';
+import { z } from 'zod';
+
+import {
+  REPORTS,
+  DEFAULT_REPORT_ID,
+  getReport,
+  resolveReportParameters,
+  describeReportParameters,
+  describeReport,
+  getReportCatalog,
+} from '../../src/config/reports.js';
+import { EXPORT_FORMATS, DEFAULT_ROW_COUNT, MAX_ROW_COUNT } from '../../src/config/export.js';
+import { NotFoundError, ValidationError } from '../../src/utils/errors.js';
+import { queryInt, queryDate, queryIntList } from '../../src/utils/paramSchemas.js';
+import { canonicalTimezone } from '../../src/utils/timezones.js';
+
+test('Unit Tests - report registry', async (t) => {
+  await t.test('Every report declares what the streaming engine needs', () => {
+    for (const [id, report] of Object.entries(REPORTS)) {
+      assert.strictEqual(typeof report.procedure, 'string', id);
+      assert.strictEqual(typeof report.filenamePrefix, 'string', id);
+      assert.strictEqual(typeof report.params.safeParse, 'function', id);
+      assert.ok(Array.isArray(report.parameters), id);
+      for (const { query } of report.parameters) {
+        assert.ok(Object.hasOwn(report.params.shape, query), `${id}: ${query}`);
+      }
+      assert.ok(Array.isArray(report.columns), id);
+      assert.ok(report.formats.length > 0, id);
+      for (const format of report.formats) {
+        assert.ok(Object.hasOwn(EXPORT_FORMATS, format), `${id}: ${format}`);
+      }
+      if (report.timezone !== undefined) {
+        assert.strictEqual(canonicalTimezone(report.timezone), report.timezone, id);
+      }
+      for (const [locale, { headers = {}, sheetNames = {} }] of Object.entries(report.translations ?? {})) {
+        assert.match(locale, /^[a-z]{2,3}(?:-[A-Za-z\d]{2,8})*$/, `${id}: ${locale}`);
+        for (const header of Object.values(headers)) {
+          assert.ok(typeof header === 'string' && header !== '', `${id}/${locale}: ${header}`);
+        }
+        // Excel sheet names: at most 31 characters, room for a " (n)" rollover suffix
+        for (const name of Object.values(sheetNames)) {
+          assert.ok(name.length <= 26 && !/[[\]:*?/\\]/.test(name), `${id}/${locale}: ${name}`);
+        }
+      }
+    }
+  });
+
+  await t.test('Lookup returns the definition with its id', () => {
+    const report = getReport(DEFAULT_REPORT_ID);
+    assert.strictEqual(report.id, DEFAULT_REPORT_ID);
+    assert.strictEqual(report.procedure, 'spGenerateData');
+  });
+
+  await t.test('Unknown report ids are a 404 NotFoundError', () => {
+    for (const id of ['missing', 'constructor', '__proto__']) {
+      assert.throws(() => getReport(id), (err) => {
+        assert.ok(err instanceof NotFoundError);
+        assert.strictEqual(err.status, 404);
+        assert.strictEqual(err.code, 'REPORT_NOT_FOUND');
+        return true;
+      });
+    }
+  });
+
+  await t.test('Parameters are parsed from the query and typed for request.input', () => {
+    const report = getReport(DEFAULT_REPORT_ID);
+    const [rowCount] = resolveReportParameters(report, { rowCount: '500' });
+    assert.deepStrictEqual(rowCount, { name: 'RowCount', type: mssql.Int, query: 'rowCount', value: 500 });
+
+    assert.strictEqual(resolveReportParameters(report, {})[0].value, DEFAULT_ROW_COUNT);
+    assert.strictEqual(resolveReportParameters(report, { rowCount: '' })[0].value, DEFAULT_ROW_COUNT);
+    assert.strictEqual(resolveReportParameters(report, { rowCount: String(MAX_ROW_COUNT) })[0].value, MAX_ROW_COUNT);
+  });
+
+  await t.test('Out-of-range or malformed parameters are rejected, not clamped', () => {
+    const report = getReport(DEFAULT_REPORT_ID);
+    for (const rowCount of ['999999999', '0', 'abc', '1.5']) {
+      assert.throws(() => resolveReportParameters(report, { rowCount }), (err) => {
+        assert.ok(err instanceof ValidationError);
+        assert.strictEqual(err.status, 400);
+        assert.deepStrictEqual(err.details.map((d) => d.field), ['rowCount']);
+        return true;
+      }, rowCount);
+    }
+  });
+
+  await t.test('Optional values bind as NULL and lists can be serialized', () => {
+    const report = {
+      params: z.object({
+        regionId: queryInt({ min: 1 }).optional(),
+        productIds: queryIntList().optional(),
+      }),
+      parameters: [
+        { name: 'RegionId', type: mssql.Int, query: 'regionId' },
+        { name: 'ProductIds', type: mssql.NVarChar, query: 'productIds', serialize: (ids) => ids.join(',') },
+      ],
+    };
+    assert.deepStrictEqual(resolveReportParameters(report, {}).map((p) => p.value), [null, null]);
+    assert.deepStrictEqual(
+      resolveReportParameters(report, { regionId: '3', productIds: '4, 5' }).map((p) => p.value),
+      [3, '4,5'],
+    );
+  });
+
+  await t.test('Query keys outside the schema are ignored', () => {
+    const report = getReport(DEFAULT_REPORT_ID);
+    const parameters = resolveReportParameters(report, { rowCount: '5', format: 'csv', columns: 'Id' });
+    assert.deepStrictEqual(describeReportParameters(parameters), { rowCount: 5 });
+  });
+
+  await t.test('Resolved parameters are described by query name', () => {
+    const report = getReport(DEFAULT_REPORT_ID);
+    assert.deepStrictEqual(
+      describeReportParameters(resolveReportParameters(report, { rowCount: '10' })),
+      { rowCount: 10 },
+    );
+  });
+
+  await t.test('Catalog lists every report with JSON Schema parameters', () => {
+    const catalog = getReportCatalog();
+    assert.deepStrictEqual(catalog.map((entry) => entry.id), Object.keys(REPORTS));
+
+    const entry = catalog.find(({ id }) => id === DEFAULT_REPORT_ID);
+    assert.strictEqual(entry.href, '/export/generated-data');
+    assert.deepStrictEqual(entry.formats, Object.keys(EXPORT_FORMATS));
+    assert.deepStrictEqual(entry.roles, []);
+    assert.strictEqual(entry.timezone, 'UTC');
+    assert.strictEqual(entry.locale, 'en');
+    assert.deepStrictEqual(entry.locales, ['en', 'de', 'fr']);
+    assert.strictEqual(entry.parameters.type, 'object');
+    const { rowCount } = entry.parameters.properties;
+    assert.strictEqual(rowCount.type, 'integer');
+    assert.strictEqual(rowCount.maximum, MAX_ROW_COUNT);
+    assert.strictEqual(rowCount.default, DEFAULT_ROW_COUNT);
+    assert.strictEqual(typeof rowCount.description, 'string');
+    assert.deepStrictEqual(entry.columns[0], { key: 'Id', header: 'Id', type: 'bigint' });
+    assert.deepStrictEqual(entry.columns.at(-1), { key: 'ColJson', header: 'ColJson', type: 'string' });
+    // The JSON variant lists ColJson as the typed columns it expands to
+    const json = catalog.find(({ id }) => id === 'generated-data-json');
+    assert.deepStrictEqual(json.columns.slice(-2), [
+      { key: 'ColJson.k', header: 'ColJson.k', type: 'int' },
+      { key: 'ColJson.s', header: 'ColJson.s', type: 'string' },
+    ]);
+    // Catalog entries must survive JSON serialization unchanged
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(entry)), entry);
+  });
+
+  await t.test('Catalog headers follow the chosen locale; keys stay the same', () => {
+    const english = getReportCatalog()[0];
+    const german = getReportCatalog(() => 'de')[0];
+    assert.strictEqual(german.locale, 'de');
+    assert.deepStrictEqual(german.columns.map(({ key }) => key), english.columns.map(({ key }) => key));
+    assert.deepStrictEqual(german.columns[0], { key: 'Id', header: 'Nr.', type: 'bigint' });
+  });
+
+  await t.test('Catalog parameters describe the query string, not parsed values', () => {
+    const entry = describeReport({
+      id: 'sales by region',
+      title: 'Sales',
+      params: z.object({ startDate: queryDate(), regionIds: queryIntList().optional() }),
+      columns: [],
+      formats: ['csv'],
+      roles: ['sales'],
+    });
+    assert.strictEqual(entry.href, '/export/sales%20by%20region');
+    assert.strictEqual(entry.description, null);
+    assert.deepStrictEqual(entry.roles, ['sales']);
+    assert.deepStrictEqual(entry.parameters.required, ['startDate']);
+    assert.strictEqual(entry.parameters.properties.startDate.format, 'date');
+    assert.strictEqual(entry.parameters.properties.regionIds.type, 'string');
+  });
+});
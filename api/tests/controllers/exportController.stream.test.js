@@ -0,0 +1,324 @@
+/**
+ * Unit tests for the streaming handlers of exportController.js
+ * Drives the handlers with a fake mssql stream request (recordset, row and
+ * done events) and reads back what they wrote: worksheets per result set,
+ * rollover, the Summary sheet, the primary result set of text formats,
+ * backpressure, client disconnects and the precision trailer; and the
+ * error a failed query gives the buffered export
+ * Run: node --test api/tests/controllers/exportController.stream.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import process from 'node:process';
+import sinon from 'sinon';
+import mssql from 'mssql';
+import ExcelJS from 'exceljs';
+import express from 'express';
+import { z } from 'zod';
+import { Writable } from 'node:stream';
+import { Buffer } from 'node:buffer';
+import { once } from 'node:events';
+import crypto from 'node:crypto';
+import { setImmediate as tick } from 'node:timers/promises';
+
+import {
+  streamReportExport,
+  streamReportCsvExport,
+  streamReportNdjsonExport,
+  streamReportJsonExport,
+  bufferReportExport,
+} from '../../src/controllers/exportController.js';
+import { DatabaseError } from '../../src/utils/errors.js';
+import { closeAndResetPool } from '../../src/services/mssql.js';
+import { createFileResponse } from '../../src/utils/fileResponse.js';
+import StreamRequestMock from '../mocks/streamRequest.mock.js';
+
+// Read by getEnv() on the first export; worksheets roll over after 3 rows
+Object.assign(process.env, {
+  DB_USER: 'test',
+  DB_PASSWORD: 'test',
+  DB_HOST: 'localhost',
+  DB_NAME: 'test',
+  JWT_SECRET: 'test-secret-at-least-32-characters-long',
+  EXPORT_SHEET_ROW_LIMIT: '3',
+});
+
+/**
+ * Two result sets: orders (primary) and their lines; both declare a
+ * column with totals, but only the primary set's go to the Summary sheet
+ */
+const report = {
+  id: 'orders',
+  procedure: 'spOrders',
+  params: z.object({}),
+  parameters: [],
+  columns: [],
+  columnOverrides: { Id: { aggregate: true } },
+  resultSets: [{ sheetName: 'Orders' }, { sheetName: 'Lines', columnOverrides: { Amount: { aggregate: true } } }],
+  filenamePrefix: 'orders',
+  formats: ['xlsx', 'csv', 'ndjson', 'json'],
+};
+
+/**
+ * Builds recordset metadata in the shape mssql emits (keyed by column name)
+ */
+const metadata = (...columns) =>
+  Object.fromEntries(columns.map((column, index) => [column.name, { index, nullable: true, ...column }]));
+
+const ORDERS = metadata({ name: 'Id', type: mssql.Int }, { name: 'Customer', type: mssql.NVarChar, length: 50 });
+const LINES = metadata({ name: 'OrderId', type: mssql.Int }, { name: 'Amount', type: mssql.Int });
+
+/**
+ * Destination of the response body; holding it keeps the written bytes
+ * in the response buffer, like a client that stops reading
+ */
+const createSink = () => {
+  const chunks = [];
+  const held = [];
+  const sink = new Writable({
+    write(chunk, _encoding, callback) {
+      chunks.push(chunk);
+      if (sink.holding) held.push(callback);
+      else callback();
+    },
+  });
+  sink.holding = false;
+  sink.body = () => Buffer.concat(chunks);
+  sink.release = () => {
+    sink.holding = false;
+    held.splice(0).forEach((callback) => callback());
+  };
+  return sink;
+};
+
+/**
+ * Starts an export as a download would: request, file-backed response
+ * and the fake stream request the pool hands out (set up by `prepare`)
+ */
+const startExport = async (
+  handler,
+  { query = {}, headers = {}, httpVersion = '1.1', method = 'GET', prepare = () => {} } = {},
+) => {
+  const request = StreamRequestMock.stub();
+  prepare(request);
+  requests.push(request);
+  const req = Object.create(express.request, {
+    query: { value: query, enumerable: true },
+    headers: { value: headers, enumerable: true },
+    method: { value: method, enumerable: true },
+    httpVersion: { value: httpVersion, enumerable: true },
+  });
+  const sink = createSink();
+  const res = createFileResponse(sink, { locals: { report } });
+  const closed = new Promise((resolve) => res.once('close', resolve));
+  const errors = [];
+  await handler(req, res, (err) => errors.push(err));
+  return { req, res, sink, request, closed, errors };
+};
+
+/**
+ * Reads the xlsx a finished export wrote
+ * @returns {Promise<Object>} Sheet name → rows of cell values
+ */
+const readWorkbook = async (sink) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(sink.body());
+  return Object.fromEntries(workbook.worksheets.map((sheet) => {
+    const rows = [];
+    sheet.eachRow((row) => rows.push(row.values.slice(1)));
+    return [sheet.name, rows];
+  }));
+};
+
+/**
+ * Requests handed out by the fake pool, in order
+ */
+const requests = [];
+
+test('Unit Tests - exportController streaming', async (t) => {
+  // The pool hands out the request prepared by startExport()
+  const ConnectionPool = sinon.stub(mssql, 'ConnectionPool').callsFake(function () {
+    return {
+      on: () => {},
+      connect: async () => {},
+      close: async () => {},
+      request: () => requests.at(-1),
+    };
+  });
+  t.after(async () => {
+    await closeAndResetPool();
+    ConnectionPool.restore();
+  });
+
+  await t.test('xlsx: every result set gets its own worksheet', async () => {
+    const { res, sink, request, closed } = await startExport(streamReportExport);
+    assert.strictEqual(request.stream, true);
+    assert.ok(request.execute.calledOnceWith('spOrders'));
+
+    request.emit('recordset', ORDERS);
+    request.emit('row', { Id: 1, Customer: 'Alice' });
+    request.emit('row', { Id: 2, Customer: 'Bob' });
+    request.emit('recordset', LINES);
+    request.emit('row', { OrderId: 1, Amount: 10 });
+    request.emit('done');
+    await closed;
+
+    assert.strictEqual(res.getHeader('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    assert.deepStrictEqual(await readWorkbook(sink), {
+      Orders: [['Id', 'Customer'], [1, 'Alice'], [2, 'Bob']],
+      Lines: [['OrderId', 'Amount'], [1, 10]],
+    });
+    assert.strictEqual(request.cancel.called, false);
+  });
+
+  await t.test('xlsx: a sheet rolls over at EXPORT_SHEET_ROW_LIMIT rows', async () => {
+    const { sink, request, closed } = await startExport(streamReportExport);
+    request.emit('recordset', ORDERS);
+    for (let id = 1; id <= 7; id++) {
+      request.emit('row', { Id: id, Customer: `Customer ${id}` });
+    }
+    request.emit('recordset', LINES);
+    request.emit('done');
+    await closed;
+
+    const sheets = await readWorkbook(sink);
+    assert.deepStrictEqual(Object.keys(sheets), ['Orders', 'Orders (2)', 'Orders (3)', 'Lines']);
+    assert.deepStrictEqual(sheets['Orders (2)'], [['Id', 'Customer'], [4, 'Customer 4'], [5, 'Customer 5'], [6, 'Customer 6']]);
+    assert.deepStrictEqual(sheets['Orders (3)'], [['Id', 'Customer'], [7, 'Customer 7']]);
+    assert.deepStrictEqual(sheets.Lines, [['OrderId', 'Amount']]);
+  });
+
+  await t.test('xlsx: summary=true appends totals of the primary result set', async () => {
+    const { sink, request, closed } = await startExport(streamReportExport, { query: { summary: 'true' } });
+    request.emit('recordset', ORDERS);
+    request.emit('row', { Id: 1, Customer: 'Alice' });
+    request.emit('row', { Id: 2, Customer: 'Bob' });
+    request.emit('recordset', LINES);
+    request.emit('row', { OrderId: 1, Amount: 10 });
+    request.emit('done');
+    await closed;
+
+    const sheets = await readWorkbook(sink);
+    assert.deepStrictEqual(Object.keys(sheets), ['Orders', 'Lines', 'Summary']);
+    const summary = new Map(sheets.Summary.map(([label, ...values]) => [label, values]));
+    assert.deepStrictEqual(summary.get('Total rows'), [3]);
+    assert.deepStrictEqual(summary.get('Data sheets'), [2]);
+    assert.deepStrictEqual(summary.get('Id'), [3, 1, 2, 2]); // Sum, min, max, count
+    assert.strictEqual(summary.has('Amount'), false);
+  });
+
+  await t.test('xlsx: the row stream pauses until the response drains', async () => {
+    const { res, sink, request, closed } = await startExport(streamReportExport);
+    sink.holding = true;
+
+    // Incompressible values, so the zipped sheet soon fills the response buffer
+    request.emit('recordset', ORDERS);
+    for (let id = 1; !request.pause.called && id <= 100; id++) {
+      request.emit('row', { Id: id, Customer: crypto.randomBytes(4096).toString('base64') });
+      await tick();
+    }
+    assert.ok(request.pause.called, 'Row stream paused while the response is full');
+    assert.strictEqual(request.resume.called, false);
+
+    const drained = once(res, 'drain');
+    sink.release();
+    await drained;
+    assert.ok(request.resume.called, 'Row stream resumed on drain');
+
+    request.emit('done');
+    await closed;
+    assert.ok(Object.keys(await readWorkbook(sink)).includes('Orders'));
+  });
+
+  await t.test('xlsx: a client disconnect cancels the SQL request', async () => {
+    const { req, res, request } = await startExport(streamReportExport);
+    request.emit('recordset', ORDERS);
+    request.emit('row', { Id: 1, Customer: 'Alice' });
+
+    req.emit('close');
+    assert.ok(request.cancel.calledOnce);
+    res.destroy();
+  });
+
+  await t.test('csv: only the primary result set is written', async () => {
+    const { res, sink, request, closed } = await startExport(streamReportCsvExport);
+    request.emit('recordset', ORDERS);
+    request.emit('row', { Id: 1, Customer: 'Alice' });
+    request.emit('row', { Id: 2, Customer: 'Bob' });
+    request.emit('recordset', LINES);
+    request.emit('row', { OrderId: 1, Amount: 10 });
+    request.emit('done');
+    await closed;
+
+    assert.strictEqual(res.getHeader('content-type'), 'text/csv; charset=utf-8');
+    assert.strictEqual(sink.body().toString(), 'Id,Customer\r\n1,Alice\r\n2,Bob\r\n');
+  });
+
+  await t.test('ndjson: the row stream pauses until the response drains', async () => {
+    const { res, sink, request, closed } = await startExport(streamReportNdjsonExport);
+    sink.holding = true;
+
+    request.emit('recordset', ORDERS);
+    for (let id = 1; !request.pause.called && id <= 100; id++) {
+      request.emit('row', { Id: id, Customer: 'x'.repeat(4096) });
+      await tick();
+    }
+    assert.ok(request.pause.called, 'Row stream paused while the response is full');
+    assert.strictEqual(request.resume.called, false);
+
+    const drained = once(res, 'drain');
+    sink.release();
+    await drained;
+    assert.ok(request.resume.called, 'Row stream resumed on drain');
+
+    request.emit('done');
+    await closed;
+    const lines = sink.body().toString().trimEnd().split('\n').map((line) => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(({ Id }) => Id), lines.map((_line, index) => index + 1));
+  });
+
+  await t.test('json: a client disconnect cancels the SQL request', async () => {
+    const { req, res, request } = await startExport(streamReportJsonExport);
+    request.emit('recordset', ORDERS);
+    request.emit('row', { Id: 1, Customer: 'Alice' });
+
+    req.emit('close');
+    assert.ok(request.cancel.calledOnce);
+    res.destroy();
+  });
+
+  await t.test('buffered: a failed query is a 500 DATABASE_ERROR', async () => {
+    const failure = new Error('Transaction was deadlocked');
+    const { res, errors } = await startExport(bufferReportExport, {
+      prepare: (request) => request.execute.rejects(failure),
+    });
+
+    assert.strictEqual(errors.length, 1);
+    assert.ok(errors[0] instanceof DatabaseError);
+    assert.deepStrictEqual({ status: errors[0].status, code: errors[0].code }, { status: 500, code: 'DATABASE_ERROR' });
+    assert.strictEqual(errors[0].originalError, failure);
+    assert.strictEqual(res.headersSent, false);
+    res.destroy();
+  });
+
+  await t.test('Precision loss is a trailer on HTTP/1.1 only', async () => {
+    const run = async (handler, options) => {
+      const { res, request, closed } = await startExport(handler, options);
+      request.emit('recordset', ORDERS);
+      request.emit('row', { Id: 1, Customer: 'Alice' });
+      request.emit('done');
+      await closed;
+      return { trailer: res.getHeader('trailer'), trailers: res.getTrailers() };
+    };
+    const announced = { trailer: 'X-Export-Precision-Lost', trailers: { 'x-export-precision-lost': '0' } };
+    const none = { trailer: undefined, trailers: {} };
+
+    assert.deepStrictEqual(await run(streamReportCsvExport), announced);
+    assert.deepStrictEqual(await run(streamReportExport), announced);
+    // No chunked body to carry trailers: Node would throw ERR_HTTP_TRAILER_INVALID
+    assert.deepStrictEqual(await run(streamReportCsvExport, { httpVersion: '1.0' }), none);
+    assert.deepStrictEqual(await run(streamReportCsvExport, { method: 'HEAD' }), none);
+    assert.deepStrictEqual(await run(streamReportExport, { httpVersion: '1.0' }), none);
+  });
+});
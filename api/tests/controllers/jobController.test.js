@@ -0,0 +1,190 @@
+/**
+ * Unit tests for jobController.js
+ * Validates the Server-Sent Events stream of GET /export/jobs/:jobId/events:
+ * event framing, the periodic progress events and the end of the stream
+ * when the job completes, fails or is cancelled
+ * Run: node --test api/tests/controllers/jobController.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { EventEmitter } from 'node:events';
+
+import { streamExportJobEvents } from '../../src/controllers/jobController.js';
+import { startExportJob, cancelExportJob } from '../../src/services/exportJobs.js';
+import { createLocalFileStorage } from '../../src/services/localFileStorage.js';
+import { ExportError, NotFoundError } from '../../src/utils/errors.js';
+
+const report = { id: 'generated-data' };
+
+/**
+ * Resolves on 'close' (events.once() would reject on 'error')
+ */
+const closed = (stream) => new Promise((resolve) => stream.once('close', resolve));
+
+/**
+ * Event stream response: records headers and written chunks, and emits
+ * 'close' when ended, like a finished HTTP response
+ */
+const createEventResponse = () => {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.chunks = [];
+  res.writableEnded = false;
+  res.setHeader = (name, value) => {
+    res.headers[name.toLowerCase()] = value;
+  };
+  res.flushHeaders = () => {
+    res.headersFlushed = true;
+  };
+  res.write = (chunk) => {
+    res.chunks.push(chunk);
+    return true;
+  };
+  res.end = () => {
+    res.writableEnded = true;
+    res.emit('close');
+  };
+  return res;
+};
+
+/**
+ * Parses the written chunks; each must be exactly one SSE event
+ * @returns {Array<{ event: string, data: Object }>}
+ */
+const parseEvents = (res) => res.chunks.map((chunk) => {
+  const match = /^event: (\w+)\ndata: (.*)\n\n$/.exec(chunk);
+  assert.ok(match, `Not one SSE event: ${JSON.stringify(chunk)}`);
+  return { event: match[1], data: JSON.parse(match[2]) };
+});
+
+/**
+ * Stand-in export handler that stays running until told to progress,
+ * complete or fail
+ */
+const createControlledHandler = () => {
+  const control = {};
+  control.handler = (_req, res, next) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    control.progress = (rowsWritten) => res.locals.onProgress({ rowsWritten });
+    control.complete = () => {
+      res.write('Id\r\n1\r\n');
+      res.end();
+    };
+    control.fail = () => next(new ExportError('Database went away'));
+  };
+  return control;
+};
+
+test('Unit Tests - jobController', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'job-events-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const storage = createLocalFileStorage({ directory });
+
+  const startJob = () => {
+    const control = createControlledHandler();
+    const job = startExportJob({ report, query: {}, handler: control.handler, storage });
+    return { job, control };
+  };
+
+  await t.test('Events are framed as SSE with the job and a memory snapshot', async () => {
+    const { job, control } = startJob();
+    const res = createEventResponse();
+    streamExportJobEvents({ params: { jobId: job.id } }, res, assert.fail);
+
+    assert.deepStrictEqual(res.headers, {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache',
+      'x-accel-buffering': 'no',
+    });
+    assert.strictEqual(res.headersFlushed, true);
+
+    control.progress(5000);
+    const [connected, progressed] = parseEvents(res);
+    assert.strictEqual(connected.event, 'progress');
+    assert.strictEqual(connected.data.id, job.id);
+    assert.strictEqual(connected.data.status, 'running');
+    assert.strictEqual(connected.data.rowsWritten, 0);
+    assert.strictEqual(progressed.data.rowsWritten, 5000);
+    for (const name of ['rss', 'heapUsed', 'heapTotal', 'external', 'arrayBuffers']) {
+      const { bytes, mb } = progressed.data.memory[name];
+      assert.ok(Number.isInteger(bytes) && bytes >= 0, name);
+      assert.strictEqual(mb, (bytes / 1024 / 1024).toFixed(2), name);
+    }
+
+    control.complete();
+    await closed(job.response);
+  });
+
+  await t.test('Progress is re-sent every 10 seconds until the client disconnects', async () => {
+    t.mock.timers.enable({ apis: ['setInterval'] });
+    const { job } = startJob();
+    const res = createEventResponse();
+    streamExportJobEvents({ params: { jobId: job.id } }, res, assert.fail);
+
+    t.mock.timers.tick(9999);
+    assert.strictEqual(res.chunks.length, 1);
+    t.mock.timers.tick(1);
+    assert.strictEqual(res.chunks.length, 2);
+    t.mock.timers.tick(10000);
+    assert.deepStrictEqual(parseEvents(res).map(({ event }) => event), ['progress', 'progress', 'progress']);
+
+    // A disconnect stops the timer and unsubscribes from the job
+    res.emit('close');
+    t.mock.timers.tick(30000);
+    assert.strictEqual(res.chunks.length, 3);
+    assert.strictEqual(job.events.listenerCount('progress'), 0);
+    assert.strictEqual(job.events.listenerCount('end'), 0);
+
+    t.mock.timers.reset();
+    cancelExportJob(job.id, 'Test done');
+    await closed(job.response);
+  });
+
+  for (const [status, end, code] of [
+    ['completed', ({ control }) => control.complete(), undefined],
+    ['failed', ({ control }) => control.fail(), 'EXPORT_ERROR'],
+    ['cancelled', ({ job }) => cancelExportJob(job.id, 'Wrong range'), 'EXPORT_CANCELLED'],
+  ]) {
+    await t.test(`A ${status} job ends the stream with a "${status}" event`, async () => {
+      const started = startJob();
+      const res = createEventResponse();
+      streamExportJobEvents({ params: { jobId: started.job.id } }, res, assert.fail);
+
+      end(started);
+      await closed(started.job.response);
+
+      const events = parseEvents(res);
+      assert.deepStrictEqual(events.map(({ event }) => event), ['progress', status]);
+      assert.strictEqual(events.at(-1).data.status, status);
+      assert.strictEqual(events.at(-1).data.error?.code, code);
+      assert.strictEqual(res.writableEnded, true);
+      assert.strictEqual(started.job.events.listenerCount('progress'), 0);
+    });
+  }
+
+  await t.test('A job that has already ended sends only its final event', async () => {
+    const { job, control } = startJob();
+    control.complete();
+    await closed(job.response);
+
+    const res = createEventResponse();
+    streamExportJobEvents({ params: { jobId: job.id } }, res, assert.fail);
+    assert.deepStrictEqual(parseEvents(res).map(({ event }) => event), ['completed']);
+    assert.strictEqual(res.writableEnded, true);
+  });
+
+  await t.test('Unknown job ids are passed on as 404 JOB_NOT_FOUND', () => {
+    const res = createEventResponse();
+    let error;
+    streamExportJobEvents({ params: { jobId: 'nope' } }, res, (err) => {
+      error = err;
+    });
+    assert.ok(error instanceof NotFoundError);
+    assert.strictEqual(error.code, 'JOB_NOT_FOUND');
+    assert.deepStrictEqual(res.chunks, []);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * MinIO-style stand-in for an S3-compatible service
+ * An in-process HTTP server for one bucket, path-style, that implements the
+ * requests services/s3Storage.js sends: PutObject, multipart uploads
+ * (create, upload part, complete, abort), GetObject with Range, HeadObject,
+ * DeleteObject and ListObjectsV2. Every request's SigV4 signature is checked.
+ */
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+import { URL } from 'node:url';
+
+import { signRequest, hashPayload } from '../../src/utils/awsSignature.js';
+
+const xml = (body) => `<?xml version="1.0" encoding="UTF-8"?>${body}`;
+const escapeXml = (value) => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+class S3ServerMock {
+  /**
+   * Start a stand-in server on a free port
+   * @param {Object} options
+   * @param {string} [options.bucket='exports']
+   * @param {string} [options.accessKeyId='minioadmin']
+   * @param {string} [options.secretAccessKey='minioadmin']
+   * @param {string} [options.region='us-east-1']
+   * @param {number} [options.minPartSize=5] - Smallest part but the last (S3: 5 MiB)
+   * @param {number} [options.maxKeys=1000] - Page size of ListObjectsV2
+   * @returns {Promise<Object>} { endpoint, options, objects, uploads, requests, close() };
+   *   objects maps keys to { body, modifiedAt }, uploads maps upload ids to { key, parts },
+   *   requests logs '<METHOD> <path>?<query>' per request
+   */
+  static async start({
+    bucket = 'exports',
+    accessKeyId = 'minioadmin',
+    secretAccessKey = 'minioadmin',
+    region = 'us-east-1',
+    minPartSize = 5,
+    maxKeys = 1000,
+  } = {}) {
+    const objects = new Map();
+    const uploads = new Map();
+    const requests = [];
+    const credentials = { accessKeyId, secretAccessKey, region };
+
+    const server = http.createServer(async (req, res) => {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      const body = Buffer.concat(chunks);
+      const url = new URL(req.url, `http://${req.headers.host}`);
+      requests.push(`${req.method} ${url.pathname}${url.search}`);
+
+      const reply = (status, payload = '', headers = {}) => {
+        res.writeHead(status, headers);
+        res.end(payload);
+      };
+      const error = (status, code) => reply(status, xml(`<Error><Code>${code}</Code></Error>`));
+
+      // Signature: recomputed from what arrived, with the client's signing time
+      const authorization = /Credential=([^/]+)\/[^,]+,SignedHeaders=([^,]+),Signature=(\w+)/
+        .exec(req.headers.authorization ?? '');
+      const payloadHash = req.headers['x-amz-content-sha256'];
+      if (!authorization || authorization[1] !== accessKeyId) return error(403, 'InvalidAccessKeyId');
+      if (payloadHash !== hashPayload(body)) return error(400, 'XAmzContentSHA256Mismatch');
+      const signedHeaders = Object.fromEntries(authorization[2].split(';')
+        .filter((name) => !['host', 'x-amz-date', 'x-amz-content-sha256'].includes(name))
+        .map((name) => [name, req.headers[name]]));
+      const date = new Date(req.headers['x-amz-date'].replace(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/, '$1-$2-$3T$4:$5:$6Z'));
+      const expected = signRequest({ method: req.method, url, headers: signedHeaders, payloadHash }, credentials, date);
+      if (expected.authorization !== req.headers.authorization) return error(403, 'SignatureDoesNotMatch');
+
+      const [, requestBucket, ...keyParts] = url.pathname.split('/');
+      if (decodeURIComponent(requestBucket) !== bucket) return error(404, 'NoSuchBucket');
+      const key = keyParts.map(decodeURIComponent).join('/');
+      const query = url.searchParams;
+
+      // ListObjectsV2
+      if (key === '' && req.method === 'GET') {
+        const prefix = query.get('prefix') ?? '';
+        const after = query.has('continuation-token') ? Buffer.from(query.get('continuation-token'), 'base64url').toString() : '';
+        const keys = [...objects.keys()].filter((name) => name.startsWith(prefix) && name > after).sort();
+        const page = keys.slice(0, maxKeys);
+        const truncated = keys.length > page.length;
+        return reply(200, xml('<ListBucketResult>'
+          + page.map((name) => `<Contents><Key>${escapeXml(name)}</Key><LastModified>${objects.get(name).modifiedAt.toISOString()}</LastModified><Size>${objects.get(name).body.length}</Size></Contents>`).join('')
+          + `<IsTruncated>${truncated}</IsTruncated>`
+          + (truncated ? `<NextContinuationToken>${Buffer.from(page.at(-1)).toString('base64url')}</NextContinuationToken>` : '')
+          + '</ListBucketResult>'));
+      }
+
+      // Multipart uploads
+      if (req.method === 'POST' && query.has('uploads')) {
+        const uploadId = crypto.randomUUID();
+        uploads.set(uploadId, { key, parts: new Map() });
+        return reply(200, xml(`<InitiateMultipartUploadResult><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`));
+      }
+      if (query.has('uploadId')) {
+        const upload = uploads.get(query.get('uploadId'));
+        if (!upload || upload.key !== key) return error(404, 'NoSuchUpload');
+        if (req.method === 'PUT') {
+          const etag = `"${crypto.createHash('md5').update(body).digest('hex')}"`;
+          upload.parts.set(Number(query.get('partNumber')), { body, etag });
+          return reply(200, '', { ETag: etag });
+        }
+        if (req.method === 'DELETE') {
+          uploads.delete(query.get('uploadId'));
+          return reply(204);
+        }
+        // CompleteMultipartUpload
+        const listed = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber><ETag>([^<]*)<\/ETag>/g)];
+        const parts = listed.map(([, number, etag]) => ({ part: upload.parts.get(Number(number)), etag }));
+        if (parts.some(({ part, etag }) => !part || part.etag !== etag)) return error(400, 'InvalidPart');
+        if (parts.slice(0, -1).some(({ part }) => part.body.length < minPartSize)) return error(400, 'EntityTooSmall');
+        objects.set(key, { body: Buffer.concat(parts.map(({ part }) => part.body)), modifiedAt: new Date() });
+        uploads.delete(query.get('uploadId'));
+        return reply(200, xml(`<CompleteMultipartUploadResult><Key>${escapeXml(key)}</Key></CompleteMultipartUploadResult>`));
+      }
+
+      // Objects
+      if (req.method === 'PUT') {
+        objects.set(key, { body, modifiedAt: new Date() });
+        return reply(200);
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(key);
+        return reply(204);
+      }
+      const object = objects.get(key);
+      if (!object) return error(404, 'NoSuchKey');
+      const headers = { 'Last-Modified': object.modifiedAt.toUTCString(), 'Content-Length': object.body.length };
+      if (req.method === 'HEAD') return reply(200, '', headers);
+      const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range ?? '');
+      if (!range) return reply(200, object.body, headers);
+      const end = range[2] === '' ? object.body.length - 1 : Math.min(Number(range[2]), object.body.length - 1);
+      const slice = object.body.subarray(Number(range[1]), end + 1);
+      return reply(206, slice, { ...headers, 'Content-Length': slice.length, 'Content-Range': `bytes ${range[1]}-${end}/${object.body.length}` });
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    return {
+      endpoint: `http://127.0.0.1:${server.address().port}`,
+      options: { bucket, accessKeyId, secretAccessKey, region },
+      objects,
+      uploads,
+      requests,
+      close: () => new Promise((resolve) => server.close(resolve)),
+    };
+  }
+}
+
+export default S3ServerMock;
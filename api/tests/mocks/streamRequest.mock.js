@@ -17,6 +17,14 @@ class StreamRequestMock {
     // Execute method (returns promise by default, can be overridden)
     request.execute = sinon.stub().resolves();
 
+    // Parameterized queries (filtered/sorted exports) and their inputs
+    request.query = sinon.stub().resolves();
+    request.input = sinon.stub().returnsThis();
+
+    // Backpressure: the export pauses the row stream until the response drains
+    request.pause = sinon.stub();
+    request.resume = sinon.stub();
+
     // Cancel method to prevent orphaned queries
     request.cancel = sinon.stub();
 
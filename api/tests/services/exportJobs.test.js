@@ -0,0 +1,205 @@
+/**
+ * Unit tests for exportJobs.js
+ * Validates the job lifecycle (running → completed | failed) with stand-in
+ * export handlers that use the response the way the real ones do
+ * Run: node --test api/tests/services/exportJobs.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+import {
+  startExportJob,
+  getExportJob,
+  cancelExportJob,
+  describeExportJob,
+  sweepExpiredExports,
+} from '../../src/services/exportJobs.js';
+import { createLocalFileStorage } from '../../src/services/localFileStorage.js';
+import { ValidationError, NotFoundError, ConflictError } from '../../src/utils/errors.js';
+
+const report = { id: 'generated-data' };
+
+/**
+ * Resolves on 'close' (events.once() would reject on 'error')
+ */
+const closed = (stream) => new Promise((resolve) => stream.once('close', resolve));
+
+/**
+ * Handler streaming a one-row CSV, like createTextExportHandler()
+ */
+const csvHandler = (req, res) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="report-2024-01-01-000000.csv"');
+  res.setHeader('Content-Language', req.acceptsLanguages(['en', 'de']) || 'en');
+  res.setHeader('Trailer', 'X-Export-Precision-Lost');
+  res.vary('Accept-Language');
+  setImmediate(() => {
+    res.write(`Id\r\n${req.query.rowCount}\r\n`);
+    res.locals.onProgress({ rowsWritten: 1 });
+    res.addTrailers({ 'X-Export-Precision-Lost': '3' });
+    res.end();
+  });
+};
+
+test('Unit Tests - exportJobs', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'export-jobs-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const storage = createLocalFileStorage({ directory });
+
+  await t.test('A job runs the handler into a file and completes', async () => {
+    const job = startExportJob({
+      report,
+      query: { rowCount: '7' },
+      owner: 'alice',
+      headers: { 'accept-language': 'de' },
+      handler: csvHandler,
+      storage,
+    });
+    assert.strictEqual(describeExportJob(job).status, 'running');
+    assert.strictEqual(getExportJob(job.id), job);
+
+    await closed(job.response);
+    const status = describeExportJob(job);
+    assert.strictEqual(status.status, 'completed');
+    assert.strictEqual(status.owner, 'alice');
+    assert.strictEqual(status.rowsWritten, 1);
+    assert.strictEqual(status.bytesWritten, 7);
+    assert.strictEqual(status.error, null);
+    assert.deepStrictEqual(status.file, {
+      filename: 'report-2024-01-01-000000.csv',
+      contentType: 'text/csv; charset=utf-8',
+      language: 'de',
+      size: 7,
+      precisionLost: 3,
+    });
+    // Trailers become headers of the download; Trailer and Vary are dropped
+    assert.deepStrictEqual(Object.keys(job.file.headers).sort(), [
+      'content-disposition', 'content-language', 'content-type', 'x-export-precision-lost',
+    ]);
+    assert.strictEqual(job.file.key, job.id);
+    assert.strictEqual(fs.readFileSync(path.join(directory, job.id), 'utf8'), 'Id\r\n7\r\n');
+  });
+
+  await t.test('Progress and the end of the job are announced on job.events', async () => {
+    const job = startExportJob({ report, query: { rowCount: '1' }, handler: csvHandler, storage });
+    const events = [];
+    job.events.on('progress', (progressed) => events.push(['progress', progressed.rowsWritten]));
+    job.events.on('end', (ended) => events.push(['end', ended.status]));
+
+    await closed(job.response);
+    assert.deepStrictEqual(events, [['progress', 1], ['end', 'completed']]);
+  });
+
+  await t.test('Input rejected before the export starts is thrown and no job is kept', async () => {
+    const before = fs.readdirSync(directory).length;
+    const err = new ValidationError('rowCount must be positive');
+    assert.throws(
+      () => startExportJob({ report, query: {}, handler: (_req, _res, next) => next(err), storage }),
+      (thrown) => thrown === err,
+    );
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(fs.readdirSync(directory).length, before);
+  });
+
+  await t.test('An error response fails the job and removes the file', async () => {
+    const job = startExportJob({
+      report,
+      query: {},
+      handler: (_req, res) => setImmediate(() => {
+        res.status(400).json({ error: { message: 'Unknown column(s): Nope', code: 'VALIDATION_ERROR' } });
+      }),
+      storage,
+    });
+    await closed(job.response);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const status = describeExportJob(job);
+    assert.strictEqual(status.status, 'failed');
+    assert.deepStrictEqual(status.error, { message: 'Unknown column(s): Nope', code: 'VALIDATION_ERROR' });
+    assert.strictEqual(status.file, null);
+    assert.strictEqual(fs.existsSync(path.join(directory, job.id)), false);
+  });
+
+  await t.test('A stream aborted mid-file fails the job without exposing the cause', async () => {
+    const job = startExportJob({
+      report,
+      query: {},
+      handler: (_req, res) => {
+        res.on('error', () => {}); // The handlers listen for response errors
+        res.write('Id\r\n');
+        setImmediate(() => res.destroy(new Error('Connection reset by SQL Server')));
+      },
+      storage,
+    });
+    await closed(job.response);
+    assert.deepStrictEqual(describeExportJob(job).error, { message: 'Export failed', code: 'EXPORT_ERROR' });
+  });
+
+  await t.test('Cancelling stops the handler, removes the file and records the reason', async () => {
+    let disconnected = false;
+    const job = startExportJob({
+      report,
+      query: {},
+      handler: (req, res) => {
+        // Like the handlers: a 'close' before the end cancels the SQL request
+        req.on('close', () => {
+          disconnected = !res.writableEnded;
+        });
+        res.write('Id\r\n');
+      },
+      storage,
+    });
+    const ended = new Promise((resolve) => job.events.once('end', resolve));
+    const removed = closed(job.response);
+
+    assert.strictEqual(cancelExportJob(job.id, 'Runaway export'), job);
+    await Promise.all([ended, removed]);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.strictEqual(disconnected, true);
+    const status = describeExportJob(job);
+    assert.strictEqual(status.status, 'cancelled');
+    assert.deepStrictEqual(status.error, { message: 'Export cancelled: Runaway export', code: 'EXPORT_CANCELLED' });
+    assert.strictEqual(fs.existsSync(path.join(directory, job.id)), false);
+
+    // Only running jobs can be cancelled
+    assert.throws(() => cancelExportJob(job.id, 'Again'), (err) => {
+      assert.ok(err instanceof ConflictError);
+      assert.strictEqual(err.code, 'JOB_NOT_RUNNING');
+      return true;
+    });
+  });
+
+  await t.test('Retention removes finished jobs, their files and orphaned files', async () => {
+    const finished = startExportJob({ report, query: { rowCount: '1' }, handler: csvHandler, storage });
+    await closed(finished.response);
+    const running = startExportJob({ report, query: {}, handler: (_req, res) => res.write('Id\r\n'), storage });
+    fs.writeFileSync(path.join(directory, 'left-over-from-restart'), 'x');
+
+    const later = new Date(Date.now() + 60_000);
+    const removed = await sweepExpiredExports({ storage, retentionMs: 30_000, now: later });
+
+    assert.ok(removed.jobs >= 1 && removed.files >= 2);
+    assert.throws(() => getExportJob(finished.id), NotFoundError);
+    assert.strictEqual(fs.existsSync(path.join(directory, finished.id)), false);
+    assert.strictEqual(fs.existsSync(path.join(directory, 'left-over-from-restart')), false);
+    // A running job keeps its record and its partial file
+    assert.strictEqual(getExportJob(running.id), running);
+    assert.strictEqual(fs.existsSync(path.join(directory, `${running.id}.partial`)), true);
+
+    cancelExportJob(running.id, 'Test done');
+    await closed(running.response);
+  });
+
+  await t.test('Unknown job ids are 404 JOB_NOT_FOUND', () => {
+    assert.throws(() => getExportJob('nope'), (err) => {
+      assert.ok(err instanceof NotFoundError);
+      assert.strictEqual(err.code, 'JOB_NOT_FOUND');
+      return true;
+    });
+  });
+});
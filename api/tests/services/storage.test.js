@@ -0,0 +1,156 @@
+/**
+ * Unit tests for the export storage adapters
+ * Runs the same contract against the local-filesystem storage and the S3
+ * storage (against the MinIO-style stand-in in mocks/s3Server.mock.js),
+ * then the S3 specifics: multipart uploads, aborts, paging and signatures
+ * Run: node --test api/tests/services/storage.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { text } from 'node:stream/consumers';
+
+import { createLocalFileStorage } from '../../src/services/localFileStorage.js';
+import { createS3Storage } from '../../src/services/s3Storage.js';
+import { StorageError } from '../../src/utils/errors.js';
+import S3ServerMock from '../mocks/s3Server.mock.js';
+
+/**
+ * Streams chunks to a key and resolves once stored
+ */
+const upload = (storage, key, chunks) => new Promise((resolve, reject) => {
+  const stream = storage.createWriteStream(key);
+  stream.once('error', reject);
+  stream.once('finish', resolve);
+  for (const chunk of chunks) stream.write(chunk);
+  stream.end();
+});
+
+/**
+ * Writes, then destroys an upload; resolves once it has closed
+ */
+const abortedUpload = (storage, key, chunks) => new Promise((resolve) => {
+  const stream = storage.createWriteStream(key);
+  stream.once('close', resolve);
+  for (const chunk of chunks) stream.write(chunk);
+  setImmediate(() => stream.destroy());
+});
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+test('Unit Tests - export storage', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'export-storage-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const s3 = await S3ServerMock.start({ minPartSize: 4 });
+  t.after(() => s3.close());
+  const s3Storage = (options = {}) => createS3Storage({ endpoint: s3.endpoint, prefix: 'exports/', partSize: 4, ...s3.options, ...options });
+
+  const adapters = [
+    ['local', createLocalFileStorage({ directory: path.join(directory, 'files') })],
+    ['s3', s3Storage()],
+  ];
+
+  for (const [name, storage] of adapters) {
+    await t.test(`${name}: a streamed file can be read back whole and by range`, async () => {
+      await upload(storage, 'job-1', ['Id\r\n', '1\r\n', '2\r\n']);
+
+      const stats = await storage.stat('job-1');
+      assert.strictEqual(stats.size, 10);
+      assert.ok(stats.modifiedAt instanceof Date && !Number.isNaN(stats.modifiedAt.getTime()));
+      assert.strictEqual(await text(await storage.createReadStream('job-1')), 'Id\r\n1\r\n2\r\n');
+      assert.strictEqual(await text(await storage.createReadStream('job-1', { start: 4, end: 6 })), '1\r\n');
+      assert.strictEqual(await text(await storage.createReadStream('job-1', { start: 7 })), '2\r\n');
+    });
+
+    await t.test(`${name}: list and remove`, async () => {
+      await upload(storage, 'job-2', ['x']);
+      const listed = await collect(storage.list());
+      assert.deepStrictEqual(listed.map(({ key, size }) => [key, size]).sort(), [['job-1', 10], ['job-2', 1]]);
+
+      await storage.remove('job-1');
+      await storage.remove('job-1'); // Missing keys are ignored
+      assert.strictEqual(await storage.stat('job-1'), null);
+      await assert.rejects(() => storage.createReadStream('job-1'), StorageError);
+    });
+
+    await t.test(`${name}: a destroyed upload stores nothing`, async () => {
+      await abortedUpload(storage, 'job-3', ['Id\r\n', '1\r\n', '2\r\n']);
+      assert.strictEqual(await storage.stat('job-3'), null);
+    });
+
+    await t.test(`${name}: an empty file is stored`, async () => {
+      await upload(storage, 'job-4', []);
+      assert.strictEqual((await storage.stat('job-4')).size, 0);
+    });
+  }
+
+  await t.test('local: uploads are invisible under their key until complete', async () => {
+    const storage = createLocalFileStorage({ directory: path.join(directory, 'partial') });
+    const stream = storage.createWriteStream('job-1');
+    stream.write('partial');
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.strictEqual(await storage.stat('job-1'), null);
+    // Cleanup sees the partial file under its key
+    assert.deepStrictEqual((await collect(storage.list())).map(({ key }) => key), ['job-1']);
+    stream.destroy();
+    await new Promise((resolve) => stream.once('close', resolve));
+    assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'partial')), []);
+  });
+
+  await t.test('local: keys cannot leave the directory', () => {
+    const storage = createLocalFileStorage({ directory });
+    for (const key of ['../x', 'a/b', '.hidden', 'x.partial', '']) {
+      assert.throws(() => storage.createWriteStream(key), StorageError, key);
+    }
+  });
+
+  await t.test('s3: large files go up as parts, small ones as one PUT', async () => {
+    s3.requests.length = 0;
+    await upload(s3Storage(), 'big', ['abc', 'defg', 'hij', 'k']);
+    assert.strictEqual(s3.objects.get('exports/big').body.toString(), 'abcdefghijk');
+    assert.deepStrictEqual(s3.requests.map((request) => request.replace(/uploadId=[\w-]+/, 'uploadId=…')), [
+      'POST /exports/exports/big?uploads',
+      'PUT /exports/exports/big?partNumber=1&uploadId=…', // abc + defg
+      'PUT /exports/exports/big?partNumber=2&uploadId=…', // hij + k
+      'POST /exports/exports/big?uploadId=…',
+    ]);
+
+    s3.requests.length = 0;
+    await upload(s3Storage(), 'small', ['ab']);
+    assert.deepStrictEqual(s3.requests, ['PUT /exports/exports/small']);
+  });
+
+  await t.test('s3: destroying an upload aborts its parts', async () => {
+    await abortedUpload(s3Storage(), 'aborted', ['abcd', 'efgh']);
+    assert.strictEqual(s3.uploads.size, 0);
+    assert.strictEqual(s3.objects.has('exports/aborted'), false);
+  });
+
+  await t.test('s3: listing follows continuation tokens and strips the prefix', async () => {
+    const paged = await S3ServerMock.start({ maxKeys: 2 });
+    t.after(() => paged.close());
+    const storage = createS3Storage({ endpoint: paged.endpoint, prefix: 'exports/', ...paged.options });
+    for (const key of ['a', 'b', 'c', 'd', 'e']) await upload(storage, key, [key]);
+    await upload(createS3Storage({ endpoint: paged.endpoint, prefix: 'other/', ...paged.options }), 'z', ['z']);
+
+    assert.deepStrictEqual((await collect(storage.list())).map(({ key }) => key), ['a', 'b', 'c', 'd', 'e']);
+  });
+
+  await t.test('s3: service errors are StorageErrors with the S3 code', async () => {
+    const storage = s3Storage({ secretAccessKey: 'wrong-secret' });
+    await assert.rejects(() => storage.stat('job-2'), (err) => {
+      assert.ok(err instanceof StorageError);
+      assert.strictEqual(err.code, 'STORAGE_ERROR');
+      return true;
+    });
+    await assert.rejects(() => upload(storage, 'job-5', ['x']), /403 SignatureDoesNotMatch/);
+  });
+});
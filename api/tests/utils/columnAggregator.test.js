@@ -0,0 +1,74 @@
+/**
+ * Unit tests for columnAggregator.js and summaryWorksheet.js
+ * Validates streamed totals and the Summary sheet contents
+ * Run: node --test api/tests/utils/columnAggregator.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import ExcelJS from 'exceljs';
+
+import { createColumnAggregator } from '../../src/utils/columnAggregator.js';
+import { addSummaryWorksheet, SUMMARY_SHEET_NAME } from '../../src/utils/summaryWorksheet.js';
+
+const COLUMNS = [
+  { header: 'Id', key: 'Id' },
+  { header: 'Amount', key: 'Amount', aggregate: true },
+  { header: 'Rate', key: 'Rate', aggregate: true },
+];
+
+test('Unit Tests - columnAggregator', async (t) => {
+  await t.test('Only columns marked aggregate are totalled', () => {
+    const aggregator = createColumnAggregator(COLUMNS);
+    assert.deepStrictEqual(aggregator.results().map((r) => r.key), ['Amount', 'Rate']);
+  });
+
+  await t.test('Sum, min, max and count accumulate row by row', () => {
+    const aggregator = createColumnAggregator(COLUMNS);
+    aggregator.add({ Id: 1, Amount: 10, Rate: 0.5 });
+    aggregator.add({ Id: 2, Amount: -4, Rate: null });
+    aggregator.add({ Id: 3, Amount: 7.5, Rate: 'n/a' });
+
+    const [amount, rate] = aggregator.results();
+    assert.deepStrictEqual(
+      { sum: amount.sum, min: amount.min, max: amount.max, count: amount.count },
+      { sum: 13.5, min: -4, max: 10, count: 3 },
+    );
+    assert.deepStrictEqual(
+      { sum: rate.sum, min: rate.min, max: rate.max, count: rate.count },
+      { sum: 0.5, min: 0.5, max: 0.5, count: 1 },
+    );
+  });
+
+  await t.test('Columns without values report null min/max', () => {
+    const [amount] = createColumnAggregator(COLUMNS).results();
+    assert.strictEqual(amount.min, null);
+    assert.strictEqual(amount.max, null);
+    assert.strictEqual(amount.count, 0);
+  });
+
+  await t.test('Summary sheet lists metadata, parameters and totals', () => {
+    const workbook = new ExcelJS.Workbook();
+    workbook.addWorksheet('Report');
+    const aggregator = createColumnAggregator(COLUMNS);
+    aggregator.add({ Amount: 2, Rate: 1 });
+
+    addSummaryWorksheet(workbook, {
+      parameters: { rowCount: 1, filter: { Amount: { gte: 1 } } },
+      generatedAt: new Date(Date.UTC(2024, 0, 1)),
+      totalRows: 1,
+      durationMs: 12,
+      aggregates: aggregator.results(),
+    });
+
+    const sheet = workbook.getWorksheet(SUMMARY_SHEET_NAME);
+    assert.strictEqual(workbook.worksheets.at(-1), sheet);
+
+    const rows = [];
+    sheet.eachRow((row) => rows.push(row.values.slice(1)));
+    assert.deepStrictEqual(rows[1], ['Generated at (UTC)', '2024-01-01T00:00:00.000Z']);
+    assert.deepStrictEqual(rows[2], ['Total rows', 1]);
+    assert.ok(rows.some((r) => r[0] === 'filter' && r[1] === '{"Amount":{"gte":1}}'));
+    assert.deepStrictEqual(rows.at(-2), ['Amount', 2, 2, 2, 1]);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for columnMapper.js presentation helpers
+ * Validates style detection, worksheet column styles and boolean labels
+ * Run: node --test api/tests/utils/columnMapper.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {
+  REPORT_COLUMNS,
+  columnsUseStyles,
+  toWorksheetColumns,
+  createExcelRowFormatter,
+  createRowMapper,
+  selectColumns,
+} from '../../src/utils/columnMapper.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+test('Unit Tests - columnMapper', async (t) => {
+  await t.test('Styles are needed only when a column declares numFmt or alignment', () => {
+    assert.strictEqual(columnsUseStyles([{ key: 'a' }, { key: 'b', boolean: { true: 'Y', false: 'N' } }]), false);
+    assert.strictEqual(columnsUseStyles([{ key: 'a', numFmt: '0.00' }]), true);
+    assert.strictEqual(columnsUseStyles(REPORT_COLUMNS), true);
+  });
+
+  await t.test('Worksheet columns carry numFmt and alignment as column style', () => {
+    const [decimal] = toWorksheetColumns(REPORT_COLUMNS.filter((c) => c.key === 'ColDecimal'));
+    assert.strictEqual(decimal.style.numFmt, '"$"#,##0.00');
+    assert.deepStrictEqual(decimal.style.alignment, { horizontal: 'right' });
+    assert.strictEqual('type' in decimal, false);
+  });
+
+  await t.test('Styles are dropped when disabled', () => {
+    for (const column of toWorksheetColumns(REPORT_COLUMNS, { useStyles: false })) {
+      assert.deepStrictEqual(column.style, {});
+    }
+  });
+
+  await t.test('Boolean columns are rendered with their display labels', () => {
+    const format = createExcelRowFormatter(REPORT_COLUMNS);
+    assert.strictEqual(format({ ColBit: true }).ColBit, 'Yes');
+    assert.strictEqual(format({ ColBit: false }).ColBit, 'No');
+    assert.strictEqual(format({ ColBit: null }).ColBit, null);
+  });
+
+  await t.test('Rows pass through untouched when no column has display rules', () => {
+    const row = { a: true };
+    assert.strictEqual(createExcelRowFormatter([{ key: 'a' }])(row), row);
+    assert.strictEqual(row.a, true);
+  });
+
+  await t.test('Column selection filters and reorders columns', () => {
+    const selected = selectColumns(REPORT_COLUMNS, ['ColDecimal', 'Id', 'ColDate']);
+    assert.deepStrictEqual(selected.map((c) => c.key), ['ColDecimal', 'Id', 'ColDate']);
+    assert.strictEqual(selected[0].numFmt, '"$"#,##0.00');
+    assert.strictEqual(selectColumns(REPORT_COLUMNS, null), REPORT_COLUMNS);
+  });
+
+  await t.test('Mapped rows only carry the selected columns, in order', () => {
+    const mapRow = createRowMapper(selectColumns(REPORT_COLUMNS, ['ColDate', 'Id']));
+    const mapped = mapRow({ Id: 1, ColDate: new Date(0), ColText: 'x'.repeat(200) });
+    assert.deepStrictEqual(Object.keys(mapped), ['ColDate', 'Id']);
+  });
+
+  await t.test('Unknown selected columns are rejected with the available names', () => {
+    assert.throws(() => selectColumns(REPORT_COLUMNS, ['Id', 'Nope', 'colint']), (err) => {
+      assert.ok(err instanceof ValidationError);
+      assert.match(err.message, /Unknown column\(s\): Nope, colint/);
+      assert.match(err.message, /Available: Id, ColInt/);
+      return true;
+    });
+  });
+});
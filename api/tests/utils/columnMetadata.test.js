@@ -0,0 +1,119 @@
+/**
+ * Unit tests for columnMetadata.js
+ * Validates type mapping, width derivation and override merging from
+ * mssql result-set metadata
+ * Run: node --test api/tests/utils/columnMetadata.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import mssql from 'mssql';
+
+import {
+  sqlTypeToColumnType,
+  deriveColumnWidth,
+  columnFromMetadata,
+  buildColumnsFromMetadata,
+} from '../../src/utils/columnMetadata.js';
+import { REPORT_COLUMNS, resolveReportColumns, createRowMapper } from '../../src/utils/columnMapper.js';
+import { resolveResultSet } from '../../src/utils/resultSets.js';
+import { getReport, DEFAULT_REPORT_ID } from '../../src/config/reports.js';
+
+/**
+ * Builds recordset metadata in the shape mssql emits (keyed by column name)
+ */
+const metadata = (...columns) =>
+  Object.fromEntries(columns.map((column, index) => [column.name, { index, ...column }]));
+
+test('Unit Tests - columnMetadata', async (t) => {
+  await t.test('SQL types map to value categories', () => {
+    const cases = [
+      [mssql.Int, 'int'],
+      [mssql.SmallInt, 'int'],
+      [mssql.BigInt, 'bigint'],
+      [mssql.Decimal, 'decimal'],
+      [mssql.Money, 'decimal'],
+      [mssql.Float, 'float'],
+      [mssql.Bit, 'bit'],
+      [mssql.UniqueIdentifier, 'guid'],
+      [mssql.DateTime2, 'datetime'],
+      [mssql.Date, 'datetime'],
+      [mssql.NVarChar, 'string'],
+      [mssql.Xml, 'string'],
+    ];
+    for (const [type, expected] of cases) {
+      assert.strictEqual(sqlTypeToColumnType({ type }), expected, type.declaration);
+    }
+    assert.strictEqual(sqlTypeToColumnType({}), 'string');
+  });
+
+  await t.test('Widths follow SQL length and are clamped', () => {
+    assert.strictEqual(deriveColumnWidth({ type: mssql.VarChar, length: 20 }, 'Name'), 22);
+    // nvarchar length is reported in bytes
+    assert.strictEqual(deriveColumnWidth({ type: mssql.NVarChar, length: 40 }, 'Name'), 22);
+    assert.strictEqual(deriveColumnWidth({ type: mssql.VarChar, length: 65535 }, 'Notes'), 50);
+    assert.strictEqual(deriveColumnWidth({ type: mssql.VarChar, length: 1 }, 'Flag'), 8);
+    assert.strictEqual(deriveColumnWidth({ type: mssql.Decimal, precision: 10 }, 'Amount'), 15);
+    assert.strictEqual(deriveColumnWidth({ type: mssql.UniqueIdentifier }, 'Guid'), 38);
+  });
+
+  await t.test('Headers are never truncated by the derived width', () => {
+    assert.strictEqual(deriveColumnWidth({ type: mssql.Bit }, 'IsActiveCustomer'), 18);
+  });
+
+  await t.test('Date and time columns get a default number format', () => {
+    assert.strictEqual(columnFromMetadata({ index: 0, name: 'A', type: mssql.DateTime }).numFmt, 'yyyy-mm-dd hh:mm:ss');
+    assert.strictEqual(columnFromMetadata({ index: 0, name: 'B', type: mssql.Date }).numFmt, 'yyyy-mm-dd');
+    assert.strictEqual('numFmt' in columnFromMetadata({ index: 0, name: 'C', type: mssql.Int }), false);
+  });
+
+  await t.test('Unnamed columns get a positional header and key', () => {
+    const column = columnFromMetadata({ index: 2, name: '', type: mssql.Int });
+    assert.strictEqual(column.header, 'Column3');
+    assert.strictEqual(column.key, 'Column3');
+    assert.strictEqual(column.unnamed, true);
+    assert.strictEqual('unnamed' in columnFromMetadata({ index: 0, name: 'A', type: mssql.Int }), false);
+  });
+
+  await t.test('Unnamed columns can be selected and read from the driver row', () => {
+    const report = { columns: [], resultSets: [{}] };
+    // As from mssql: only the last of several unnamed columns is in the
+    // metadata, and its value is the last of the array collected under ''
+    const meta = metadata({ name: 'Id', type: mssql.Int }, { name: '', type: mssql.Int }, { name: '', type: mssql.NVarChar, length: 20 });
+    const { columns, transform } = resolveResultSet(report, 0, meta, ['Column3', 'Id']);
+    assert.deepStrictEqual(columns.map(({ key, header }) => [key, header]), [['Column3', 'Column3'], ['Id', 'Id']]);
+    const mapRow = createRowMapper(columns);
+    assert.deepStrictEqual(mapRow(transform({ Id: 1, '': [5, 'total'] })), { Column3: 'total', Id: 1 });
+    assert.deepStrictEqual(mapRow(transform({ Id: 2, '': 'only' })), { Column3: 'only', Id: 2 });
+  });
+
+  await t.test('Columns follow result-set order with overrides merged by key', () => {
+    const columns = buildColumnsFromMetadata(
+      metadata(
+        { name: 'Total', type: mssql.Decimal, precision: 12, scale: 2 },
+        { name: 'Customer', type: mssql.NVarChar, length: 100 },
+      ),
+      { Total: { numFmt: '0.00', header: 'Order Total' }, Missing: { width: 99 } },
+    );
+    assert.deepStrictEqual(columns.map((c) => c.key), ['Total', 'Customer']);
+    assert.strictEqual(columns[0].header, 'Order Total');
+    assert.strictEqual(columns[0].numFmt, '0.00');
+    assert.strictEqual(columns[0].type, 'decimal');
+    assert.strictEqual(columns[1].width, 50);
+  });
+
+  await t.test('A changed procedure produces matching columns without code changes', () => {
+    const columns = resolveReportColumns(getReport(DEFAULT_REPORT_ID), metadata(
+      { name: 'Id', type: mssql.BigInt },
+      { name: 'ColDecimal', type: mssql.Decimal, precision: 10, scale: 2 },
+      { name: 'NewColumn', type: mssql.DateTime2 },
+    ));
+    assert.deepStrictEqual(columns.map((c) => c.key), ['Id', 'ColDecimal', 'NewColumn']);
+    assert.strictEqual(columns[1].numFmt, '"$"#,##0.00');
+    assert.strictEqual(columns[2].type, 'datetime');
+  });
+
+  await t.test('Static columns are used when no metadata is available', () => {
+    assert.strictEqual(resolveReportColumns(getReport(DEFAULT_REPORT_ID), null), REPORT_COLUMNS);
+  });
+});
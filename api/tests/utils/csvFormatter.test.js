@@ -0,0 +1,53 @@
+/**
+ * Unit tests for csvFormatter.js
+ * Validates RFC 4180 quoting, escaping and custom dialects
+ * Run: node --test api/tests/utils/csvFormatter.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { createCsvFormatter, CSV_LINE_ENDING } from '../../src/utils/csvFormatter.js';
+
+test('Unit Tests - csvFormatter', async (t) => {
+  await t.test('Plain fields are joined with commas and end with CRLF', () => {
+    const { formatRecord } = createCsvFormatter();
+
+    assert.strictEqual(formatRecord(['a', 1, 2.5]), 'a,1,2.5\r\n');
+    assert.strictEqual(CSV_LINE_ENDING, '\r\n');
+  });
+
+  await t.test('Fields containing delimiter, quote or line breaks are quoted', () => {
+    const { formatField } = createCsvFormatter();
+
+    assert.strictEqual(formatField('a,b'), '"a,b"');
+    assert.strictEqual(formatField('say "hi"'), '"say ""hi"""');
+    assert.strictEqual(formatField('line1\nline2'), '"line1\nline2"');
+    assert.strictEqual(formatField('line1\r\nline2'), '"line1\r\nline2"');
+  });
+
+  await t.test('JSON strings survive a round trip through quoting', () => {
+    const { formatField } = createCsvFormatter();
+
+    assert.strictEqual(formatField('{"k":1,"s":"x"}'), '"{""k"":1,""s"":""x""}"');
+  });
+
+  await t.test('Null and undefined become empty fields', () => {
+    const { formatRecord } = createCsvFormatter();
+
+    assert.strictEqual(formatRecord([null, undefined, 0, false]), ',,0,false\r\n');
+  });
+
+  await t.test('Dates are written as ISO 8601 UTC', () => {
+    const { formatField } = createCsvFormatter();
+    const date = new Date(Date.UTC(2024, 0, 2, 3, 4, 5));
+
+    assert.strictEqual(formatField(date), '2024-01-02T03:04:05.000Z');
+  });
+
+  await t.test('Custom delimiter and quote character are honored', () => {
+    const { formatRecord } = createCsvFormatter({ delimiter: ';', quote: "'" });
+
+    assert.strictEqual(formatRecord(['a;b', "it's", 'a,b']), "'a;b';'it''s';a,b\r\n");
+  });
+});
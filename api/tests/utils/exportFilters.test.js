@@ -0,0 +1,311 @@
+/**
+ * Unit tests for exportFilters.js
+ * Validates the filter/sort DSL whitelist, value typing, SQL generation and
+ * that request data never reaches the SQL text (injection attempts)
+ * Run: node --test api/tests/utils/exportFilters.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import mssql from 'mssql';
+
+import {
+  validateExportCriteria,
+  hasExportCriteria,
+  describeExportCriteria,
+  buildSourceQuery,
+  quoteIdentifier,
+  escapeLikeValue,
+  MAX_FILTERS,
+  MAX_IN_VALUES,
+  MAX_STRING_VALUE_LENGTH,
+} from '../../src/utils/exportFilters.js';
+import { getReport, DEFAULT_REPORT_ID } from '../../src/config/reports.js';
+import { ValidationError } from '../../src/utils/errors.js';
+import { computedColumn } from '../../src/utils/rowTransforms.js';
+
+const report = getReport(DEFAULT_REPORT_ID);
+
+/**
+ * Validates a query and builds the source query in one step
+ */
+const compile = (query, target = report) => buildSourceQuery(target, validateExportCriteria(target, query));
+
+/**
+ * Asserts a ValidationError whose details name the given fields
+ */
+const assertRejected = (query, fields, target = report) => {
+  assert.throws(() => validateExportCriteria(target, query), (err) => {
+    assert.ok(err instanceof ValidationError);
+    assert.strictEqual(err.status, 400);
+    assert.deepStrictEqual(err.details.map((detail) => detail.field), fields);
+    return true;
+  }, JSON.stringify(query));
+};
+
+const INJECTION_PAYLOADS = [
+  "'; DROP TABLE Users; --",
+  "1 OR 1=1",
+  "x' OR 'a'='a",
+  "]; EXEC xp_cmdshell 'dir'; --",
+  "1); WAITFOR DELAY '0:0:10'--",
+  "/* comment */ UNION SELECT name FROM sys.tables",
+];
+
+test('Unit Tests - exportFilters', async (t) => {
+  await t.test('No filter or sort keys means no criteria', () => {
+    const criteria = validateExportCriteria(report, { rowCount: '10', format: 'csv', columns: 'Id' });
+    assert.deepStrictEqual(criteria, { filters: [], sort: [] });
+    assert.strictEqual(hasExportCriteria(criteria), false);
+  });
+
+  await t.test('Values are parsed to the column type and bound with its mssql type', () => {
+    const { sql, inputs } = compile({
+      'filter[ColInt][gte]': '100',
+      'filter[ColBigInt][lt]': '9007199254740993',
+      'filter[ColDecimal][between]': '1.5,2.25',
+      'filter[ColBit]': 'true',
+      'filter[ColDate][lt]': '2024-03-31T12:00:00',
+    });
+    assert.strictEqual(
+      sql,
+      'SELECT * FROM [dbo].[fnGenerateData](@RowCount) WHERE [ColInt] >= @filter_0'
+        + ' AND [ColBigInt] < @filter_1'
+        + ' AND [ColDecimal] BETWEEN CAST(@filter_2 AS DECIMAL(38, 10)) AND CAST(@filter_3 AS DECIMAL(38, 10))'
+        + ' AND [ColBit] = @filter_4 AND [ColDate] < @filter_5',
+    );
+    assert.deepStrictEqual(inputs.map(({ value }) => value), [
+      100,
+      9007199254740993n,
+      '1.5',
+      '2.25',
+      true,
+      new Date('2024-03-31T12:00:00.000Z'),
+    ]);
+    assert.strictEqual(inputs[0].type, mssql.Int);
+    assert.strictEqual(inputs[1].type, mssql.BigInt);
+    assert.strictEqual(inputs[2].type.type, mssql.VarChar);
+    assert.strictEqual(inputs[4].type, mssql.Bit);
+    assert.strictEqual(inputs[5].type, mssql.DateTime2);
+  });
+
+  await t.test('Decimal values are bound as exact text, converted by SQL Server', () => {
+    const { inputs } = compile({
+      'filter[ColDecimal][in]': '123456789012345678.1234567891,-007.50,.25,+3.',
+    });
+    assert.deepStrictEqual(inputs.map(({ value }) => value), ['123456789012345678.1234567891', '-7.5', '0.25', '3']);
+  });
+
+  await t.test('in, isnull and text operators', () => {
+    const { sql, inputs } = compile({
+      'filter[ColGuid][in]': '6F9619FF-8B86-D011-B42D-00C04FC964FF, 00000000-0000-0000-0000-000000000001',
+      'filter[ColJson][isnull]': 'false',
+      'filter[ColVarchar][startsWith]': 'Name_1',
+    });
+    assert.strictEqual(
+      sql,
+      'SELECT * FROM [dbo].[fnGenerateData](@RowCount) WHERE [ColGuid] IN (@filter_0, @filter_1)'
+        + " AND [ColJson] IS NOT NULL AND [ColVarchar] LIKE @filter_2 ESCAPE '\\'",
+    );
+    assert.strictEqual(inputs[2].value, 'Name\\_1%');
+  });
+
+  await t.test('Sort keys become ORDER BY in the given order', () => {
+    const { sql } = compile({ sort: '-ColDate, Id' });
+    assert.strictEqual(sql, 'SELECT * FROM [dbo].[fnGenerateData](@RowCount) ORDER BY [ColDate] DESC, [Id] ASC');
+  });
+
+  await t.test('Views are queried without arguments', () => {
+    const viewReport = { ...report, source: { view: 'reporting.vwOrders' } };
+    assert.strictEqual(compile({ sort: 'Id' }, viewReport).sql, 'SELECT * FROM [reporting].[vwOrders] ORDER BY [Id] ASC');
+  });
+
+  await t.test('JSON-expanded columns are read with JSON_VALUE in their type', () => {
+    const jsonReport = getReport('generated-data-json');
+    const { sql, inputs } = compile({
+      'filter[ColJson.k][gte]': '100',
+      'filter[ColJson.s][contains]': 'ab',
+      sort: '-ColJson.k,Id',
+    }, jsonReport);
+    assert.strictEqual(
+      sql,
+      'SELECT * FROM [dbo].[fnGenerateData](@RowCount)'
+        + ` WHERE TRY_CAST(JSON_VALUE([ColJson], N'$."k"') AS INT) >= @filter_0`
+        + ` AND JSON_VALUE([ColJson], N'$."s"') LIKE @filter_1 ESCAPE '\\'`
+        + ` ORDER BY TRY_CAST(JSON_VALUE([ColJson], N'$."k"') AS INT) DESC, [Id] ASC`,
+    );
+    assert.deepStrictEqual(inputs.map(({ value }) => value), [100, '%ab%']);
+    assert.strictEqual(inputs[0].type, mssql.Int);
+    // Typed like the expanded column, not like the JSON text
+    assertRejected({ 'filter[ColJson.k][eq]': 'abc', 'filter[ColJson.k][contains]': '1' }, [
+      'filter[ColJson.k][eq]',
+      'filter[ColJson.k][contains]',
+    ], jsonReport);
+    // The JSON text is not an output column of the report
+    assertRejected({ 'filter[ColJson][isnull]': 'true' }, ['filter[ColJson][isnull]'], jsonReport);
+  });
+
+  await t.test('JSON paths are quoted and datetimes converted to UTC', () => {
+    const columns = [{
+      key: 'Doc',
+      type: 'string',
+      json: { paths: [{ path: "it's.a b[1]", key: 'When', type: 'datetime' }, 'n"\\x'] },
+    }];
+    const { sql } = compile({ 'filter[When][gte]': '2024-01-01', sort: 'Doc.n"\\x' }, { ...report, columns });
+    assert.strictEqual(
+      sql,
+      'SELECT * FROM [dbo].[fnGenerateData](@RowCount)'
+        + ` WHERE CAST(TRY_CAST(JSON_VALUE([Doc], N'$."it''s"."a b"[1]') AS DATETIMEOFFSET) AT TIME ZONE 'UTC' AS DATETIME2) >= @filter_0`
+        + ` ORDER BY JSON_VALUE([Doc], N'$."n\\"\\\\x"') ASC`,
+    );
+  });
+
+  await t.test('Columns the source does not have cannot be filtered or sorted', () => {
+    const transformed = {
+      ...report,
+      columns: [...report.columns, { key: 'Column12', header: 'Column12', type: 'int', unnamed: true }],
+      transforms: [computedColumn({ key: 'Double', type: 'int', compute: ({ ColInt }) => ColInt * 2 })],
+    };
+    assert.throws(() => validateExportCriteria(transformed, { 'filter[Double][gt]': '1', sort: 'Column12' }), (err) => {
+      assert.deepStrictEqual(err.details, [
+        { field: 'filter[Double][gt]', message: 'Column "Double" is not a column of the report\'s source, so it cannot be filtered or sorted' },
+        { field: 'sort', message: 'Column "Column12" is not a column of the report\'s source, so it cannot be filtered or sorted' },
+      ]);
+      return true;
+    });
+    // The source's own columns still can
+    assert.strictEqual(compile({ sort: 'ColInt' }, transformed).sql, 'SELECT * FROM [dbo].[fnGenerateData](@RowCount) ORDER BY [ColInt] ASC');
+  });
+
+  await t.test('Every invalid condition is reported at once', () => {
+    assertRejected({
+      'filter[Nope][eq]': '1',
+      'filter[ColInt][like]': '1',
+      'filter[ColInt][gt]': 'abc',
+      'filter[ColBit][gt]': '1',
+      'filter[ColDate][between]': '2024-01-01',
+      'filter[ColVarchar][contains]': '',
+      sort: 'Id,-Id',
+    }, [
+      'filter[Nope][eq]',
+      'filter[ColInt][like]',
+      'filter[ColInt][gt]',
+      'filter[ColBit][gt]',
+      'filter[ColDate][between]',
+      'filter[ColVarchar][contains]',
+      'sort',
+    ]);
+  });
+
+  await t.test('Out-of-range and malformed typed values are rejected', () => {
+    assertRejected({ 'filter[ColInt][eq]': '2147483648' }, ['filter[ColInt][eq]']);
+    assertRejected({ 'filter[ColBigInt][eq]': '9223372036854775808' }, ['filter[ColBigInt][eq]']);
+    assertRejected({ 'filter[ColDecimal][eq]': '1e5' }, ['filter[ColDecimal][eq]']);
+    assertRejected({ 'filter[ColDecimal][eq]': `${'9'.repeat(29)}` }, ['filter[ColDecimal][eq]']);
+    assertRejected({ 'filter[ColDecimal][eq]': '0.12345678901' }, ['filter[ColDecimal][eq]']);
+    assertRejected({ 'filter[ColDecimal][eq]': '-.' }, ['filter[ColDecimal][eq]']);
+    assertRejected({ 'filter[ColGuid][eq]': 'not-a-guid' }, ['filter[ColGuid][eq]']);
+    assertRejected({ 'filter[ColDate][gt]': '2024-02-30' }, ['filter[ColDate][gt]']);
+    assertRejected({ 'filter[ColBit][eq]': 'constructor' }, ['filter[ColBit][eq]']);
+  });
+
+  await t.test('Malformed keys, repeated keys and limits are rejected', () => {
+    assertRejected({ filter: 'ColInt>1' }, ['filter']);
+    assertRejected({ 'filter[ColInt][gte][x]': '1' }, ['filter[ColInt][gte][x]']);
+    assertRejected({ 'filter[ColInt][gte]': ['1', '2'] }, ['filter[ColInt][gte]']);
+    assertRejected({ sort: ['Id', 'ColInt'] }, ['sort']);
+    assertRejected({ sort: 'Id,ColInt,ColBigInt,ColDecimal,ColFloat,ColDate' }, ['sort']);
+    assertRejected(
+      { 'filter[ColInt][in]': Array.from({ length: MAX_IN_VALUES + 1 }, (_, i) => i).join(',') },
+      ['filter[ColInt][in]'],
+    );
+    const tooMany = Object.fromEntries(
+      Array.from({ length: MAX_FILTERS + 1 }, (_, i) => [`filter[${report.columns[i % 5].key}][${['gt', 'lt', 'ne', 'gte', 'lte'][Math.floor(i / 5)]}]`, '1']),
+    );
+    assertRejected(tooMany, ['filter']);
+  });
+
+  await t.test('Reports without a source cannot be filtered or sorted', () => {
+    const procedureOnly = { ...report, source: undefined };
+    assertRejected({ 'filter[ColInt][gt]': '1' }, ['filter'], procedureOnly);
+    assertRejected({ sort: 'Id' }, ['sort'], procedureOnly);
+    assert.deepStrictEqual(validateExportCriteria(procedureOnly, {}), { filters: [], sort: [] });
+  });
+
+  await t.test('Injection: hostile values only ever appear as bound parameters', () => {
+    for (const payload of INJECTION_PAYLOADS) {
+      const { sql, inputs } = compile({
+        'filter[ColVarchar][eq]': payload,
+        'filter[ColText][contains]': payload,
+        'filter[ColJson][in]': `${payload},b`,
+      });
+      assert.strictEqual(
+        sql,
+        'SELECT * FROM [dbo].[fnGenerateData](@RowCount) WHERE [ColVarchar] = @filter_0'
+          + " AND [ColText] LIKE @filter_1 ESCAPE '\\' AND [ColJson] IN (@filter_2, @filter_3)",
+        payload,
+      );
+      assert.strictEqual(inputs[0].value, payload);
+    }
+  });
+
+  await t.test('Injection: hostile values for typed columns are rejected outright', () => {
+    for (const payload of INJECTION_PAYLOADS) {
+      for (const column of ['ColInt', 'ColBigInt', 'ColDecimal', 'ColFloat', 'ColBit', 'ColGuid', 'ColDate']) {
+        assertRejected({ [`filter[${column}][eq]`]: payload }, [`filter[${column}][eq]`]);
+      }
+    }
+  });
+
+  await t.test('Injection: hostile column names, operators and sort keys are rejected', () => {
+    for (const payload of INJECTION_PAYLOADS) {
+      assertRejected({ [`filter[${payload}][eq]`]: '1' }, [`filter[${payload}][eq]`]);
+      assertRejected({ [`filter[ColInt][${payload}]`]: '1' }, [`filter[ColInt][${payload}]`]);
+      assertRejected({ sort: payload }, ['sort']);
+      assertRejected({ sort: `-${payload}` }, ['sort']);
+    }
+    // Prototype keys are not columns
+    assertRejected({ 'filter[constructor][eq]': '1', sort: '__proto__' }, ['filter[constructor][eq]', 'sort']);
+  });
+
+  await t.test('Injection: LIKE wildcards in user text match literally', () => {
+    assert.strictEqual(escapeLikeValue('50%_off [x] \\'), '50\\%\\_off \\[x] \\\\');
+    const { inputs } = compile({ 'filter[ColVarchar][contains]': '%' });
+    assert.strictEqual(inputs[0].value, '%\\%%');
+  });
+
+  await t.test('LIKE patterns must fit the NVARCHAR(4000) parameter once escaped', () => {
+    const fits = 'a'.repeat(MAX_STRING_VALUE_LENGTH - 2);
+    assert.strictEqual(compile({ 'filter[ColText][contains]': fits }).inputs[0].value.length, MAX_STRING_VALUE_LENGTH);
+    assert.strictEqual(compile({ 'filter[ColText][startsWith]': `${fits}a` }).inputs[0].value.length, MAX_STRING_VALUE_LENGTH);
+    assertRejected({ 'filter[ColText][contains]': `${fits}a` }, ['filter[ColText][contains]']);
+    // Within the value limit, but every "%" doubles when escaped
+    const wildcards = '%'.repeat(MAX_STRING_VALUE_LENGTH / 2);
+    assertRejected({ 'filter[ColText][endsWith]': wildcards }, ['filter[ColText][endsWith]']);
+    assert.strictEqual(compile({ 'filter[ColText][eq]': wildcards }).inputs[0].value, wildcards);
+  });
+
+  await t.test('Identifiers are bracket-quoted with "]" doubled', () => {
+    assert.strictEqual(quoteIdentifier('Col'), '[Col]');
+    assert.strictEqual(quoteIdentifier('a]; DROP TABLE x; --'), '[a]]; DROP TABLE x; --]');
+    // Even a column definition with a hostile key stays one identifier
+    const hostile = { ...report, columns: [{ key: 'x];DROP TABLE t;--', type: 'int' }] };
+    assert.strictEqual(
+      compile({ sort: 'x];DROP TABLE t;--' }, hostile).sql,
+      'SELECT * FROM [dbo].[fnGenerateData](@RowCount) ORDER BY [x]];DROP TABLE t;--] ASC',
+    );
+  });
+
+  await t.test('Criteria are described in query form for the Summary sheet', () => {
+    const criteria = validateExportCriteria(report, {
+      'filter[ColDate][between]': '2024-01-01,2024-01-31',
+      'filter[ColBigInt][gt]': '5',
+      sort: '-Id',
+    });
+    assert.deepStrictEqual(describeExportCriteria(criteria), {
+      'filter[ColDate][between]': '2024-01-01T00:00:00.000Z,2024-01-31T00:00:00.000Z',
+      'filter[ColBigInt][gt]': '5',
+      sort: '-Id',
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for fileResponse.js
+ * Validates that a file response takes the calls the export handlers make
+ * on res: headers, trailers, body, error responses and aborts
+ * Run: node --test api/tests/utils/fileResponse.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+
+import { createFileResponse } from '../../src/utils/fileResponse.js';
+
+test('Unit Tests - fileResponse', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'file-response-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = (name) => path.join(directory, name);
+
+  await t.test('Body goes to the file; headers and trailers are kept', async () => {
+    const res = createFileResponse(fs.createWriteStream(file('body')), { locals: { report: { id: 'r' } } });
+    res.setHeader('Content-Type', 'text/csv');
+    res.vary('Accept');
+    res.vary('Accept-Language');
+    assert.strictEqual(res.headersSent, false);
+
+    res.write('a,b\r\n');
+    assert.strictEqual(res.headersSent, true);
+    res.addTrailers({ 'X-Export-Precision-Lost': '2' });
+    res.end('1,2\r\n');
+    await once(res, 'finish');
+
+    assert.strictEqual(fs.readFileSync(file('body'), 'utf8'), 'a,b\r\n1,2\r\n');
+    assert.strictEqual(res.bytesWritten, 10);
+    assert.strictEqual(res.locals.report.id, 'r');
+    assert.deepStrictEqual(res.getHeaders(), { 'content-type': 'text/csv', vary: 'Accept, Accept-Language' });
+    assert.strictEqual(res.getHeader('CONTENT-TYPE'), 'text/csv');
+    assert.deepStrictEqual(res.getTrailers(), { 'x-export-precision-lost': '2' });
+  });
+
+  await t.test('Writes past the high-water mark wait for drain', async () => {
+    const res = createFileResponse(fs.createWriteStream(file('drain')));
+    const ok = res.write(Buffer.alloc(res.writableHighWaterMark + 1));
+    assert.strictEqual(ok, false);
+    assert.ok(res.writableLength > res.writableHighWaterMark);
+    await once(res, 'drain');
+    res.end();
+    await once(res, 'finish');
+    assert.strictEqual(fs.statSync(file('drain')).size, res.writableHighWaterMark + 1);
+  });
+
+  await t.test('status().json() is kept as the error response, not written', async () => {
+    const res = createFileResponse(fs.createWriteStream(file('error')));
+    res.status(400).json({ error: { message: 'Bad', code: 'VALIDATION_ERROR' } });
+    await once(res, 'finish');
+    assert.strictEqual(res.statusCode, 400);
+    assert.deepStrictEqual(res.jsonBody, { error: { message: 'Bad', code: 'VALIDATION_ERROR' } });
+    assert.strictEqual(res.bytesWritten, 0);
+  });
+
+  await t.test('destroy(err) aborts the file like a download', async () => {
+    const res = createFileResponse(fs.createWriteStream(file('abort')));
+    const errors = [];
+    res.on('error', (err) => errors.push(err.message));
+    res.write('partial');
+    const closed = new Promise((resolve) => res.once('close', resolve));
+    res.destroy(new Error('Row failed'));
+    await closed;
+    assert.deepStrictEqual(errors, ['Row failed']);
+    fs.rmSync(file('abort')); // Closed, so it can be removed right away
+  });
+
+  await t.test('A file that cannot be opened fails the response', async () => {
+    const res = createFileResponse(fs.createWriteStream(path.join(directory, 'missing', 'file')));
+    const [err] = await once(res, 'error');
+    assert.strictEqual(err.code, 'ENOENT');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit tests for formatNegotiation.js
+ * Validates format= precedence, Accept negotiation and error statuses
+ * Run: node --test api/tests/utils/formatNegotiation.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import express from 'express';
+
+import { negotiateExportFormat } from '../../src/utils/formatNegotiation.js';
+import { ValidationError, NotAcceptableError } from '../../src/utils/errors.js';
+
+/**
+ * Builds a request object backed by Express's real req.accepts()
+ */
+const createRequest = ({ query = {}, accept } = {}) =>
+  Object.create(express.request, {
+    query: { value: query },
+    headers: { value: accept === undefined ? {} : { accept } },
+  });
+
+test('Unit Tests - formatNegotiation', async (t) => {
+  await t.test('Defaults to xlsx without format= or Accept', () => {
+    assert.strictEqual(negotiateExportFormat(createRequest()), 'xlsx');
+  });
+
+  await t.test('Browsers sending */* get xlsx', () => {
+    const req = createRequest({ accept: 'text/html,application/xhtml+xml,*/*;q=0.8' });
+    assert.strictEqual(negotiateExportFormat(req), 'xlsx');
+  });
+
+  await t.test('Accept header selects the matching format', () => {
+    assert.strictEqual(negotiateExportFormat(createRequest({ accept: 'text/csv' })), 'csv');
+    assert.strictEqual(negotiateExportFormat(createRequest({ accept: 'application/x-ndjson' })), 'ndjson');
+    assert.strictEqual(
+      negotiateExportFormat(createRequest({ accept: 'application/json;q=0.5, text/csv' })),
+      'csv',
+    );
+  });
+
+  await t.test('format= overrides Accept and is case-insensitive', () => {
+    const req = createRequest({ query: { format: 'NDJSON' }, accept: 'text/csv' });
+    assert.strictEqual(negotiateExportFormat(req), 'ndjson');
+  });
+
+  await t.test('Unknown format= is a 400 ValidationError', () => {
+    assert.throws(
+      () => negotiateExportFormat(createRequest({ query: { format: 'pdf' } })),
+      (err) => err instanceof ValidationError && err.status === 400 && err.code === 'UNSUPPORTED_FORMAT',
+    );
+    assert.throws(
+      () => negotiateExportFormat(createRequest({ query: { format: 'constructor' } })),
+      ValidationError,
+    );
+  });
+
+  await t.test('Unacceptable Accept header is a 406 NotAcceptableError', () => {
+    assert.throws(
+      () => negotiateExportFormat(createRequest({ accept: 'application/pdf' })),
+      (err) => err instanceof NotAcceptableError && err.status === 406,
+    );
+  });
+
+  await t.test('Only the report\'s allowed formats are negotiated', () => {
+    const formats = ['csv', 'json'];
+    assert.strictEqual(negotiateExportFormat(createRequest(), formats), 'csv');
+    assert.strictEqual(negotiateExportFormat(createRequest({ accept: 'application/json' }), formats), 'json');
+    assert.throws(
+      () => negotiateExportFormat(createRequest({ query: { format: 'xlsx' } }), formats),
+      (err) => err.code === 'UNSUPPORTED_FORMAT' && /csv, json/.test(err.message),
+    );
+    assert.throws(
+      () => negotiateExportFormat(createRequest({ accept: 'application/x-ndjson' }), formats),
+      NotAcceptableError,
+    );
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Unit tests for formulaSanitizer.js
+ * Validates that formula-like strings come out inert under every policy and
+ * through the shared row mapper used by the xlsx, CSV and JSON exports
+ * Run: node --test api/tests/utils/formulaSanitizer.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {
+  isFormulaLike,
+  createFormulaSanitizer,
+} from '../../src/utils/formulaSanitizer.js';
+import { REPORT_COLUMNS, createRowMapper, createExcelRowFormatter } from '../../src/utils/columnMapper.js';
+import { createCsvFormat, createNdjsonFormat } from '../../src/utils/textFormats.js';
+import { ExportError } from '../../src/utils/errors.js';
+
+const PAYLOADS = [
+  '=HYPERLINK("http://evil.example","click")',
+  '+cmd|\' /C calc\'!A0',
+  '-2+3',
+  '@SUM(1+1)*cmd|\' /C calc\'!A0',
+  '\t=1+1',
+  '\r=1+1',
+];
+
+const dbRow = (overrides = {}) => ({
+  Id: 1,
+  ColInt: -5,
+  ColBigInt: '-9007199254740993',
+  ColDecimal: -1.5,
+  ColFloat: -0.25,
+  ColBit: true,
+  ColGuid: 'A0A0A0A0-0000-0000-0000-000000000000',
+  ColDate: new Date('2024-01-02T03:04:05Z'),
+  ColVarchar: 'plain',
+  ColText: 'text',
+  ColJson: '{"a":1}',
+  ...overrides,
+});
+
+test('Unit Tests - formulaSanitizer', async (t) => {
+  await t.test('Detects values starting with a trigger character', () => {
+    for (const payload of PAYLOADS) {
+      assert.strictEqual(isFormulaLike(payload), true, JSON.stringify(payload));
+    }
+    assert.strictEqual(isFormulaLike('a=b'), false);
+    assert.strictEqual(isFormulaLike(''), false);
+    assert.strictEqual(isFormulaLike(null), false);
+    assert.strictEqual(isFormulaLike(-5), false);
+  });
+
+  await t.test('escape prefixes a single quote', () => {
+    const sanitize = createFormulaSanitizer('escape');
+    for (const payload of PAYLOADS) {
+      const result = sanitize(payload, 'Col');
+      assert.strictEqual(result, `'${payload}`);
+      assert.strictEqual(isFormulaLike(result), false);
+    }
+    assert.strictEqual(sanitize('safe', 'Col'), 'safe');
+  });
+
+  await t.test('strip removes every leading trigger character', () => {
+    const sanitize = createFormulaSanitizer('strip');
+    assert.strictEqual(sanitize('=HYPERLINK("x")', 'Col'), 'HYPERLINK("x")');
+    assert.strictEqual(sanitize('\t=1+1', 'Col'), '1+1');
+    assert.strictEqual(sanitize('+-=@', 'Col'), '');
+    for (const payload of PAYLOADS) {
+      assert.strictEqual(isFormulaLike(sanitize(payload, 'Col')), false);
+    }
+  });
+
+  await t.test('reject throws an ExportError naming the column', () => {
+    const sanitize = createFormulaSanitizer('reject');
+    for (const payload of PAYLOADS) {
+      assert.throws(() => sanitize(payload, 'Varchar Column'), (err) => {
+        assert.ok(err instanceof ExportError);
+        assert.strictEqual(err.code, 'UNSAFE_CELL_VALUE');
+        assert.match(err.message, /Varchar Column/);
+        return true;
+      });
+    }
+    assert.strictEqual(sanitize('safe', 'Col'), 'safe');
+  });
+
+  await t.test('Unknown policies are refused', () => {
+    assert.throws(() => createFormulaSanitizer('ignore'), /Unknown formula sanitization policy/);
+  });
+
+  await t.test('Row mapper sanitizes string columns only', () => {
+    const mapRow = createRowMapper(REPORT_COLUMNS);
+    const mapped = mapRow(dbRow({ ColVarchar: PAYLOADS[0], ColText: PAYLOADS[2] }));
+    assert.strictEqual(mapped.ColVarchar, `'${PAYLOADS[0]}`);
+    assert.strictEqual(mapped.ColText, `'${PAYLOADS[2]}`);
+    // Negative numbers and bigint strings are data, not formulas
+    assert.strictEqual(mapped.ColInt, -5);
+    assert.strictEqual(mapped.ColBigInt, '-9007199254740993');
+    assert.strictEqual(mapped.ColDecimal, -1.5);
+  });
+
+  await t.test('Payloads are inert in xlsx, CSV and JSON output', () => {
+    const csv = createCsvFormat(REPORT_COLUMNS, { delimiter: ',', quote: '"' });
+    const ndjson = createNdjsonFormat(REPORT_COLUMNS);
+    const formatExcelRow = createExcelRowFormatter(REPORT_COLUMNS);
+
+    for (const policy of ['escape', 'strip']) {
+      const mapRow = createRowMapper(REPORT_COLUMNS, { formulaPolicy: policy });
+      for (const payload of PAYLOADS) {
+        const mapped = mapRow(dbRow({ ColVarchar: payload }));
+
+        assert.strictEqual(isFormulaLike(formatExcelRow({ ...mapped }).ColVarchar), false);
+
+        const fields = csv.formatRow(mapped).split(',');
+        const varchar = fields[REPORT_COLUMNS.findIndex((c) => c.key === 'ColVarchar')].replace(/^"/, '');
+        assert.strictEqual(isFormulaLike(varchar), false, `${policy}: ${JSON.stringify(payload)}`);
+
+        assert.strictEqual(isFormulaLike(JSON.parse(ndjson.formatRow(mapped)).ColVarchar), false);
+      }
+    }
+  });
+
+  await t.test('Row mapper with reject policy fails on the first unsafe value', () => {
+    const mapRow = createRowMapper(REPORT_COLUMNS, { formulaPolicy: 'reject' });
+    assert.doesNotThrow(() => mapRow(dbRow()));
+    assert.throws(() => mapRow(dbRow({ ColJson: '@x' })), ExportError);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit tests for jsonColumns.js
+ * Validates JSON column expansion: paths, typed values, malformed-JSON
+ * policies and how error cells are written by each format
+ * Run: node --test api/tests/utils/jsonColumns.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import StreamRequestMock from '../mocks/streamRequest.mock.js';
+import {
+  expandJsonColumn,
+  jsonExpansionStages,
+  ERROR_CELL,
+  isErrorCell,
+} from '../../src/utils/jsonColumns.js';
+import { createRowPipeline } from '../../src/utils/rowTransforms.js';
+import { createRowMapper, createExcelRowFormatter } from '../../src/utils/columnMapper.js';
+import { createCsvFormatter } from '../../src/utils/csvFormatter.js';
+import { encodeJsonValue } from '../../src/utils/jsonEncoder.js';
+import { ExportError } from '../../src/utils/errors.js';
+
+const COLUMNS = [
+  { header: 'Id', key: 'Id', width: 10, type: 'int' },
+  { header: 'Data', key: 'Data', width: 30, type: 'string' },
+  { header: 'Note', key: 'Note', width: 20, type: 'string' },
+];
+
+const PATHS = [
+  { path: 'k', type: 'int', numFmt: '#,##0' },
+  's',
+  { path: 'when', type: 'datetime' },
+  { path: 'flags.active', key: 'Active', header: 'Is active', type: 'bit' },
+  { path: 'tags[1]' },
+];
+
+const DOCUMENT = '{"k":123,"s":"abcd1234","when":"2024-03-01T10:00:00Z","flags":{"active":1},"tags":["a","b"]}';
+
+/**
+ * Binds an expansion stage for the Data column and runs one row through it
+ */
+const expand = (json, data) => {
+  const { columns, transform } = createRowPipeline([expandJsonColumn('Data', json)], COLUMNS);
+  return { columns, row: transform({ Id: 1, Data: data, Note: 'n' }) };
+};
+
+test('Unit Tests - jsonColumns', async (t) => {
+  await t.test('Each path becomes a typed column in place of the JSON column', () => {
+    const { columns } = expand({ paths: PATHS }, DOCUMENT);
+    assert.deepStrictEqual(columns.map((c) => `${c.key}:${c.type}`), [
+      'Id:int', 'Data.k:int', 'Data.s:string', 'Data.when:datetime', 'Active:bit', 'Data.tags[1]:string', 'Note:string',
+    ]);
+    assert.strictEqual(columns[1].numFmt, '#,##0');
+    assert.strictEqual(columns[3].numFmt, 'yyyy-mm-dd hh:mm:ss');
+    assert.strictEqual(columns[4].header, 'Is active');
+  });
+
+  await t.test('Values are extracted and converted to the declared type', () => {
+    const { row } = expand({ paths: PATHS }, DOCUMENT);
+    assert.strictEqual(row['Data.k'], 123);
+    assert.strictEqual(row['Data.s'], 'abcd1234');
+    assert.deepStrictEqual(row['Data.when'], new Date('2024-03-01T10:00:00Z'));
+    assert.strictEqual(row.Active, true);
+    assert.strictEqual(row['Data.tags[1]'], 'b');
+  });
+
+  await t.test('Conversions accept compatible JSON values only', () => {
+    const value = (type, json) => expand({ paths: [{ path: 'v', type }] }, `{"v":${json}}`).row['Data.v'];
+    assert.strictEqual(value('int', '"42"'), 42);
+    assert.strictEqual(value('int', '4.5'), null);
+    assert.strictEqual(value('bigint', '"9223372036854775807"'), '9223372036854775807');
+    assert.strictEqual(value('bigint', '12'), '12');
+    assert.strictEqual(value('decimal', '"1.25"'), 1.25);
+    assert.strictEqual(value('float', 'true'), null);
+    assert.strictEqual(value('bit', 'false'), false);
+    assert.strictEqual(value('bit', '2'), null);
+    assert.strictEqual(value('guid', '"6F9619FF-8B86-D011-B42D-00C04FC964FF"'), '6F9619FF-8B86-D011-B42D-00C04FC964FF');
+    assert.strictEqual(value('datetime', '"yesterday"'), null);
+    assert.strictEqual(value('string', '{"a":[1]}'), '{"a":[1]}');
+    assert.strictEqual(value('string', '7'), '7');
+  });
+
+  await t.test('Missing paths, JSON null and SQL NULL are empty cells, not malformed', () => {
+    for (const data of ['{"k":null}', '{}', '[]', '"text"', null, '']) {
+      const { row } = expand({ paths: PATHS, malformed: 'error' }, data);
+      assert.strictEqual(row['Data.k'], null, String(data));
+      assert.strictEqual(row.Active, null, String(data));
+    }
+    // Only own properties are read
+    assert.strictEqual(expand({ paths: ['constructor', 'a.__proto__'] }, '{"a":{}}').row['Data.constructor'], null);
+  });
+
+  await t.test('blank: malformed text and values become empty cells', () => {
+    const { columns, row } = expand({ paths: PATHS }, '{"k":');
+    assert.ok(!columns.some((c) => c.key === 'Data'));
+    assert.deepStrictEqual(PATHS.map((_, i) => row[columns[i + 1].key]), [null, null, null, null, null]);
+
+    // A mismatched value blanks its own cell only
+    const mismatch = expand({ paths: PATHS }, '{"k":"abc","s":"ok"}').row;
+    assert.strictEqual(mismatch['Data.k'], null);
+    assert.strictEqual(mismatch['Data.s'], 'ok');
+  });
+
+  await t.test('raw: the JSON column keeps the text of malformed rows only', () => {
+    const bad = expand({ paths: PATHS, malformed: 'raw' }, '{bad');
+    assert.deepStrictEqual(bad.columns.slice(0, 3).map((c) => c.key), ['Id', 'Data', 'Data.k']);
+    assert.strictEqual(bad.columns[1].json, undefined);
+    assert.strictEqual(bad.row.Data, '{bad');
+    assert.strictEqual(bad.row['Data.k'], null);
+
+    assert.strictEqual(expand({ paths: PATHS, malformed: 'raw' }, DOCUMENT).row.Data, null);
+    assert.strictEqual(expand({ paths: PATHS, malformed: 'raw' }, '{"k":"x"}').row.Data, '{"k":"x"}');
+    // keep: the text column is output for every row
+    assert.strictEqual(expand({ paths: PATHS, malformed: 'raw', keep: true }, DOCUMENT).row.Data, DOCUMENT);
+  });
+
+  await t.test('error: malformed cells are error cells', () => {
+    const { row } = expand({ paths: PATHS, malformed: 'error' }, 'not json');
+    assert.strictEqual(row['Data.k'], ERROR_CELL);
+    assert.strictEqual(row['Data.s'], ERROR_CELL);
+
+    const mismatch = expand({ paths: PATHS, malformed: 'error' }, '{"k":"abc","s":"ok"}').row;
+    assert.ok(isErrorCell(mismatch['Data.k']));
+    assert.strictEqual(mismatch['Data.s'], 'ok');
+  });
+
+  await t.test('Error cells: #VALUE! in xlsx and CSV, null in JSON, never labelled or sanitized', () => {
+    const columns = [{ key: 'Flag', header: 'Flag', type: 'bit', boolean: { true: 'Yes', false: 'No' } }, { key: 'S', header: 'S', type: 'string' }];
+    const mapped = createRowMapper(columns, { formulaPolicy: 'reject' })({ Flag: ERROR_CELL, S: ERROR_CELL });
+    assert.deepStrictEqual(createExcelRowFormatter(columns)({ ...mapped }), { Flag: ERROR_CELL, S: ERROR_CELL });
+    assert.strictEqual(createCsvFormatter().formatRecord([1, ERROR_CELL]), '1,#VALUE!\r\n');
+    for (const type of ['int', 'string', 'bit', 'datetime']) {
+      assert.strictEqual(encodeJsonValue(ERROR_CELL, type), null);
+    }
+    assert.strictEqual(isErrorCell(new Date()), false);
+    assert.strictEqual(isErrorCell(null), false);
+  });
+
+  await t.test('Raw text is still subject to the formula-injection policy', () => {
+    const { columns, row } = expand({ paths: ['k'], malformed: 'raw' }, '=cmd|"/c calc"!A0');
+    assert.strictEqual(createRowMapper(columns)(row).Data, '\'=cmd|"/c calc"!A0');
+  });
+
+  await t.test('Invalid declarations fail when the stage is bound', () => {
+    const cases = [
+      [{ paths: ['k'], malformed: 'ignore' }, 'unknown malformed policy "ignore"'],
+      [{ paths: [] }, 'declare at least one path'],
+      [{ paths: ['a..b'] }, 'invalid path "a..b"'],
+      [{ paths: ['a[x]'] }, 'invalid path "a[x]"'],
+      [{ paths: [{ path: 'k', type: 'money' }] }, 'unknown type "money" for path "k"'],
+    ];
+    for (const [json, message] of cases) {
+      assert.throws(() => expand(json, DOCUMENT), (err) => {
+        assert.ok(err instanceof ExportError);
+        assert.strictEqual(err.message, `Row transform "json(Data)": ${message}`);
+        return true;
+      });
+    }
+  });
+
+  await t.test('Stages are created for every column declaring json', () => {
+    const columns = [...COLUMNS.slice(0, 2).map((c) => ({ ...c, json: { paths: ['x'] } })), COLUMNS[2]];
+    const stages = jsonExpansionStages(columns);
+    assert.deepStrictEqual(stages.map((s) => s.name), ['json(Id)', 'json(Data)']);
+    const pipeline = createRowPipeline(stages, columns);
+    assert.deepStrictEqual(pipeline.columns.map((c) => c.key), ['Id.x', 'Data.x', 'Note']);
+  });
+
+  await t.test('Rows streamed from a request are expanded one at a time', async () => {
+    const request = StreamRequestMock.stub();
+    const { transform } = createRowPipeline([expandJsonColumn('Data', { paths: [{ path: 'k', type: 'int' }] })], COLUMNS);
+    const values = [];
+    request.on('row', (row) => values.push(transform(row)['Data.k']));
+    const done = new Promise((resolve) => request.once('done', resolve));
+
+    ['{"k":1}', '{oops', '{"k":3}'].forEach((Data, i) => request.emit('row', { Id: i, Data, Note: null }));
+    StreamRequestMock.emulateDone(request, 3);
+    await done;
+
+    assert.deepStrictEqual(values, [1, null, 3]);
+  });
+});
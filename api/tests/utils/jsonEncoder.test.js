@@ -0,0 +1,56 @@
+/**
+ * Unit tests for jsonEncoder.js
+ * Validates the per-type JSON encodings used by NDJSON / JSON exports
+ * Run: node --test api/tests/utils/jsonEncoder.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { encodeJsonValue, createJsonRowEncoder } from '../../src/utils/jsonEncoder.js';
+import { REPORT_COLUMNS } from '../../src/utils/columnMapper.js';
+
+test('Unit Tests - jsonEncoder', async (t) => {
+  await t.test('Dates are encoded as ISO 8601 UTC strings', () => {
+    const date = new Date(Date.UTC(2010, 5, 15, 12, 30, 0));
+    assert.strictEqual(encodeJsonValue(date, 'datetime'), '2010-06-15T12:30:00.000Z');
+  });
+
+  await t.test('Bit values are encoded as booleans', () => {
+    assert.strictEqual(encodeJsonValue(true, 'bit'), true);
+    assert.strictEqual(encodeJsonValue(0, 'bit'), false);
+  });
+
+  await t.test('Bigint values are encoded as strings to preserve precision', () => {
+    assert.strictEqual(encodeJsonValue('9223372036854775807', 'bigint'), '9223372036854775807');
+  });
+
+  await t.test('GUIDs are encoded in lowercase', () => {
+    assert.strictEqual(
+      encodeJsonValue('6F9619FF-8B86-D011-B42D-00C04FC964FF', 'guid'),
+      '6f9619ff-8b86-d011-b42d-00c04fc964ff',
+    );
+  });
+
+  await t.test('NULL is encoded as null for every type', () => {
+    for (const type of ['int', 'bigint', 'bit', 'guid', 'datetime', 'string']) {
+      assert.strictEqual(encodeJsonValue(null, type), null);
+    }
+  });
+
+  await t.test('Row encoder emits keys in column order', () => {
+    const encode = createJsonRowEncoder(REPORT_COLUMNS);
+    const json = encode({
+      ColJson: '{"k":1}',
+      Id: 1,
+      ColBit: true,
+      ColBigInt: '123',
+    });
+
+    const parsed = JSON.parse(json);
+    assert.deepStrictEqual(Object.keys(parsed), REPORT_COLUMNS.map((c) => c.key));
+    assert.strictEqual(parsed.ColJson, '{"k":1}');
+    assert.strictEqual(parsed.ColBigInt, '123');
+    assert.strictEqual(parsed.ColDate, null);
+  });
+});
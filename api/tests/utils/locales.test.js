@@ -0,0 +1,145 @@
+/**
+ * Unit tests for locales.js
+ * Validates locale negotiation (lang=, Accept-Language, fallback) and
+ * translated headers, boolean labels and sheet names
+ * Run: node --test api/tests/utils/locales.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import express from 'express';
+import mssql from 'mssql';
+
+import {
+  DEFAULT_LOCALE,
+  reportLocales,
+  negotiateLocale,
+  reportTranslation,
+  localizeColumns,
+  localizeSheetName,
+} from '../../src/utils/locales.js';
+import { resolveResultSetColumns, resultSetSheetName } from '../../src/utils/resultSets.js';
+import { createExcelRowFormatter } from '../../src/utils/columnMapper.js';
+import { getReport, DEFAULT_REPORT_ID } from '../../src/config/reports.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+/**
+ * Builds a request object backed by Express's real req.acceptsLanguages()
+ */
+const createRequest = ({ query = {}, acceptLanguage } = {}) =>
+  Object.create(express.request, {
+    query: { value: query },
+    headers: { value: acceptLanguage === undefined ? {} : { 'accept-language': acceptLanguage } },
+  });
+
+const report = {
+  columns: [
+    { header: 'Id', key: 'Id', width: 10, type: 'int' },
+    { header: 'Amount', key: 'Amount', width: 8, type: 'decimal' },
+  ],
+  translations: {
+    de: { headers: { Amount: 'Rechnungsbetrag' }, sheetNames: { Report: 'Bericht', Lines: 'Positionen' } },
+    'fr-CA': { headers: { Id: 'No' } },
+  },
+  resultSets: [{}, { sheetName: 'Lines' }],
+};
+
+test('Unit Tests - locales', async (t) => {
+  await t.test('Reports offer their own language first, then their translations', () => {
+    assert.deepStrictEqual(reportLocales({}), [DEFAULT_LOCALE]);
+    assert.deepStrictEqual(reportLocales(report), ['en', 'de', 'fr-CA']);
+    assert.deepStrictEqual(reportLocales({ ...report, locale: 'nl' }), ['nl', 'de', 'fr-CA']);
+  });
+
+  await t.test('Without lang= or Accept-Language the report language is used', () => {
+    assert.strictEqual(negotiateLocale(createRequest(), report), 'en');
+    assert.strictEqual(negotiateLocale(createRequest({ acceptLanguage: '*' }), report), 'en');
+  });
+
+  await t.test('Accept-Language picks the best translation, by region or by language', () => {
+    assert.strictEqual(negotiateLocale(createRequest({ acceptLanguage: 'de' }), report), 'de');
+    assert.strictEqual(negotiateLocale(createRequest({ acceptLanguage: 'de-AT,en;q=0.5' }), report), 'de');
+    assert.strictEqual(negotiateLocale(createRequest({ acceptLanguage: 'fr, de;q=0.8' }), report), 'fr-CA');
+    assert.strictEqual(negotiateLocale(createRequest({ acceptLanguage: 'ja, en;q=0.1' }), report), 'en');
+  });
+
+  await t.test('Unsupported languages fall back to the report language', () => {
+    assert.strictEqual(negotiateLocale(createRequest({ acceptLanguage: 'ja' }), report), 'en');
+    assert.strictEqual(negotiateLocale(createRequest({ query: { lang: 'pt-BR' } }), report), 'en');
+  });
+
+  await t.test('lang= overrides Accept-Language and matches case-insensitively', () => {
+    const req = createRequest({ query: { lang: 'DE-ch' }, acceptLanguage: 'fr-CA' });
+    assert.strictEqual(negotiateLocale(req, report), 'de');
+    assert.strictEqual(negotiateLocale(createRequest({ query: { lang: 'fr' } }), report), 'fr-CA');
+    assert.strictEqual(negotiateLocale(createRequest({ query: { lang: '' }, acceptLanguage: 'de' }), report), 'de');
+  });
+
+  await t.test('lang= must be a language tag', () => {
+    for (const lang of ['d', 'de_DE', 'de-', '../en', ['de', 'fr']]) {
+      assert.throws(() => negotiateLocale(createRequest({ query: { lang } }), report), (err) => {
+        assert.ok(err instanceof ValidationError);
+        assert.match(err.message, /lang must be a language tag/);
+        return true;
+      }, String(lang));
+    }
+  });
+
+  await t.test('Translations exist only for translated locales', () => {
+    assert.strictEqual(reportTranslation(report, 'en'), null);
+    assert.strictEqual(reportTranslation(report, 'de'), report.translations.de);
+    assert.strictEqual(reportTranslation({}, 'constructor'), null);
+  });
+
+  await t.test('Headers are translated by key; columns widen to fit', () => {
+    const columns = localizeColumns(report.columns, reportTranslation(report, 'de'));
+    assert.deepStrictEqual(columns.map(({ key, header }) => [key, header]), [['Id', 'Id'], ['Amount', 'Rechnungsbetrag']]);
+    assert.strictEqual(columns[0], report.columns[0]);
+    assert.strictEqual(columns[1].width, 'Rechnungsbetrag'.length + 2);
+    assert.strictEqual(report.columns[1].header, 'Amount');
+    assert.strictEqual(localizeColumns(report.columns, null), report.columns);
+  });
+
+  await t.test('Boolean labels are translated for columns that declare them', () => {
+    const columns = [
+      { header: 'Active', key: 'Active', width: 8, type: 'bit', boolean: { true: 'Yes', false: 'No' } },
+      { header: 'Flag', key: 'Flag', width: 8, type: 'bit' },
+    ];
+    const translation = { booleans: { Active: { true: 'Ja', false: 'Nein' }, Flag: { true: 'Ja', false: 'Nein' } } };
+    const [active, flag] = localizeColumns(columns, translation);
+    assert.strictEqual(active.header, 'Active');
+    assert.strictEqual(active.width, 8);
+    assert.deepStrictEqual(active.boolean, { true: 'Ja', false: 'Nein' });
+    assert.strictEqual(flag, columns[1]);
+    assert.deepStrictEqual(columns[0].boolean, { true: 'Yes', false: 'No' });
+
+    const formatRow = createExcelRowFormatter(resolveResultSetColumns(
+      getReport(DEFAULT_REPORT_ID),
+      0,
+      null,
+      ['ColBit'],
+      { translation: reportTranslation(getReport(DEFAULT_REPORT_ID), 'fr') },
+    ));
+    assert.deepStrictEqual(formatRow({ ColBit: true }), { ColBit: 'Oui' });
+    assert.deepStrictEqual(formatRow({ ColBit: false }), { ColBit: 'Non' });
+  });
+
+  await t.test('Sheet names are translated by their untranslated name', () => {
+    const de = reportTranslation(report, 'de');
+    assert.strictEqual(localizeSheetName('Summary', de), 'Summary');
+    assert.strictEqual(resultSetSheetName(report, 0, de), 'Bericht');
+    assert.strictEqual(resultSetSheetName(report, 1, de), 'Positionen');
+    assert.strictEqual(resultSetSheetName(report, 1, null), 'Lines');
+  });
+
+  await t.test('Result sets are resolved with translated headers after the selection', () => {
+    const columns = resolveResultSetColumns(
+      report,
+      0,
+      { Id: { index: 0, name: 'Id', type: mssql.Int }, Amount: { index: 1, name: 'Amount', type: mssql.Int } },
+      ['Amount'],
+      { translation: reportTranslation(report, 'de') },
+    );
+    assert.deepStrictEqual(columns.map(({ key, header }) => [key, header]), [['Amount', 'Rechnungsbetrag']]);
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Unit tests for numericPrecision.js
+ * Validates the text/number/split policies for BIGINT and DECIMAL columns,
+ * lost-precision counting and how each format writes the values
+ * Run: node --test api/tests/utils/numericPrecision.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import mssql from 'mssql';
+
+import {
+  createPrecisionTracker,
+  precisionStage,
+  precisionPolicies,
+} from '../../src/utils/numericPrecision.js';
+import { createRowPipeline } from '../../src/utils/rowTransforms.js';
+import { resolveResultSet } from '../../src/utils/resultSets.js';
+import { getReport, DEFAULT_REPORT_ID } from '../../src/config/reports.js';
+import { encodeJsonValue } from '../../src/utils/jsonEncoder.js';
+import { ExportError } from '../../src/utils/errors.js';
+
+const COLUMNS = [
+  { header: 'Id', key: 'Id', width: 10, type: 'int' },
+  { header: 'Big', key: 'Big', width: 20, type: 'bigint' },
+  { header: 'Amount', key: 'Amount', width: 12, type: 'decimal' },
+];
+
+// 2^53 + 1: the first integer a double cannot hold
+const UNSAFE = '9007199254740993';
+
+const bind = (stages, columns = COLUMNS) => createRowPipeline(stages, columns);
+
+test('Unit Tests - numericPrecision', async (t) => {
+  await t.test('text keeps exact digits, including driver numbers', () => {
+    const tracker = createPrecisionTracker();
+    const { transform } = bind([precisionStage('Big', 'text', tracker), precisionStage('Amount', 'text', tracker)]);
+    assert.deepStrictEqual(transform({ Id: 1, Big: UNSAFE, Amount: 12.5 }), { Id: 1, Big: UNSAFE, Amount: '12.5' });
+    assert.strictEqual(transform({ Id: 2, Big: null, Amount: 1e21 }).Amount, '1000000000000000000000');
+    assert.strictEqual(transform({ Id: 3, Big: null, Amount: -1.5e-7 }).Amount, '-0.00000015');
+    // Past 2^53 the driver's number may already be rounded
+    assert.deepStrictEqual(tracker.results(), [{ key: 'Amount', header: 'Amount', count: 1 }]);
+  });
+
+  await t.test('number converts text and counts values that round', () => {
+    const tracker = createPrecisionTracker();
+    const { transform } = bind([precisionStage('Big', 'number', tracker)]);
+    assert.strictEqual(transform({ Big: '9007199254740991' }).Big, 9007199254740991);
+    assert.strictEqual(transform({ Big: '-000120.500' }).Big, -120.5);
+    assert.strictEqual(tracker.total(), 0);
+
+    assert.strictEqual(transform({ Big: UNSAFE }).Big, 9007199254740992);
+    assert.strictEqual(typeof transform({ Big: '0.12345678901234567' }).Big, 'number');
+    assert.deepStrictEqual(tracker.results(), [{ key: 'Big', header: 'Big', count: 2 }]);
+  });
+
+  await t.test('Driver decimals past 15 significant digits are counted under any policy', () => {
+    for (const policy of ['text', 'number', 'split']) {
+      const tracker = createPrecisionTracker();
+      const { transform } = bind([precisionStage('Amount', policy, tracker)]);
+      transform({ Amount: 1234567890.123456 });
+      transform({ Amount: 123456789012.34 });
+      assert.strictEqual(tracker.total(), 1, policy);
+    }
+  });
+
+  await t.test('split adds "<key>.text" right after the column', () => {
+    const tracker = createPrecisionTracker();
+    const { columns, transform } = bind([precisionStage('Big', 'split', tracker)]);
+    assert.deepStrictEqual(columns.map(({ key }) => key), ['Id', 'Big', 'Big.text', 'Amount']);
+    assert.deepStrictEqual(columns[2], { header: 'Big (text)', key: 'Big.text', width: 20, type: 'bigint' });
+
+    assert.deepStrictEqual(transform({ Id: 1, Big: UNSAFE }), { Id: 1, Big: 9007199254740992, 'Big.text': UNSAFE });
+    assert.deepStrictEqual(transform({ Id: 2, Big: null }), { Id: 2, Big: null, 'Big.text': null });
+    assert.strictEqual(tracker.total(), 1);
+  });
+
+  await t.test('Unknown policies and columns fail when bound', () => {
+    assert.throws(() => bind([precisionStage('Big', 'float')]), (err) => {
+      assert.ok(err instanceof ExportError);
+      assert.match(err.message, /unknown precision policy "float"/);
+      return true;
+    });
+    assert.throws(() => bind([precisionStage('Missing', 'text')]), /unknown column "Missing"/);
+  });
+
+  await t.test('Columns use their declared policy, else the default for their type', () => {
+    const columns = [...COLUMNS, { header: 'Rate', key: 'Rate', width: 8, type: 'decimal', precisionPolicy: 'split' }];
+    const { columns: bound, transform } = bind([precisionPolicies()], columns);
+    assert.deepStrictEqual(bound.map(({ key }) => key), ['Id', 'Big', 'Amount', 'Rate', 'Rate.text']);
+    assert.deepStrictEqual(
+      transform({ Id: 1, Big: '42', Amount: 2.5, Rate: 0.1 }),
+      { Id: 1, Big: '42', Amount: 2.5, Rate: 0.1, 'Rate.text': '0.1' },
+    );
+  });
+
+  await t.test('Result sets apply policies after transforms and count into the tracker', () => {
+    const tracker = createPrecisionTracker();
+    const report = {
+      columns: [],
+      columnOverrides: { Big: { precisionPolicy: 'number' } },
+      resultSets: [{}],
+    };
+    const metadata = {
+      Big: { index: 0, name: 'Big', type: mssql.BigInt },
+      Amount: { index: 1, name: 'Amount', type: mssql.Decimal },
+    };
+    const { columns, transform } = resolveResultSet(report, 0, metadata, null, { tracker });
+    assert.deepStrictEqual(columns.map(({ key }) => key), ['Big', 'Amount']);
+    assert.deepStrictEqual(transform({ Big: UNSAFE, Amount: 1.25 }), { Big: 9007199254740992, Amount: 1.25 });
+    assert.strictEqual(tracker.total(), 1);
+  });
+
+  await t.test('Only values of the selected output columns are counted', () => {
+    const report = {
+      columns: [],
+      columnOverrides: { Big: { precisionPolicy: 'number' }, Rate: { precisionPolicy: 'split' } },
+      resultSets: [{}],
+    };
+    const metadata = {
+      Big: { index: 0, name: 'Big', type: mssql.BigInt },
+      Amount: { index: 1, name: 'Amount', type: mssql.Decimal },
+      Rate: { index: 2, name: 'Rate', type: mssql.Decimal },
+    };
+    const row = () => ({ Big: UNSAFE, Amount: 1234567890.123456, Rate: 1234567890.123456 });
+    const count = (selection) => {
+      const tracker = createPrecisionTracker();
+      const { columns, transform } = resolveResultSet(report, 0, metadata, selection, { tracker });
+      transform(row());
+      return { columns: columns.map(({ key }) => key), counted: tracker.results().map(({ key }) => key) };
+    };
+
+    assert.deepStrictEqual(count(null).counted, ['Big', 'Amount', 'Rate']);
+    assert.deepStrictEqual(count(['Amount']), { columns: ['Amount'], counted: ['Amount'] });
+    // The driver rounded Rate, so its exact-looking text is rounded too
+    assert.deepStrictEqual(count(['Rate.text', 'Big']), { columns: ['Rate.text', 'Big'], counted: ['Big', 'Rate'] });
+  });
+
+  await t.test('split counts a rounded number only when the number is written', () => {
+    const tracker = createPrecisionTracker();
+    const { transform } = bind([precisionStage('Big', 'split', tracker, ['Id', 'Big.text'])]);
+    assert.deepStrictEqual(transform({ Id: 1, Big: UNSAFE }), { Id: 1, Big: 9007199254740992, 'Big.text': UNSAFE });
+    assert.strictEqual(tracker.total(), 0);
+  });
+
+  await t.test('Report ids (BIGINT text from the driver) are written as numbers', () => {
+    const tracker = createPrecisionTracker();
+    const metadata = { Id: { index: 0, name: 'Id', type: mssql.BigInt } };
+    const { columns, transform } = resolveResultSet(getReport(DEFAULT_REPORT_ID), 0, metadata, null, { tracker });
+    assert.strictEqual(columns[0].type, 'bigint');
+    assert.deepStrictEqual(transform({ Id: '42' }), { Id: 42 });
+    assert.strictEqual(tracker.total(), 0);
+    transform({ Id: UNSAFE });
+    assert.strictEqual(tracker.total(), 1);
+  });
+
+  await t.test('JSON writes numbers as numbers and exact digits as strings', () => {
+    assert.strictEqual(encodeJsonValue(12.5, 'decimal'), 12.5);
+    assert.strictEqual(encodeJsonValue('12.50', 'decimal'), '12.50');
+    assert.strictEqual(encodeJsonValue(UNSAFE, 'bigint'), UNSAFE);
+    assert.strictEqual(encodeJsonValue(42, 'bigint'), 42);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for paramSchemas.js
+ * Validates query-string coercion, cross-field checks and the structured
+ * ValidationError raised for invalid report parameters
+ * Run: node --test api/tests/utils/paramSchemas.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { z } from 'zod';
+
+import {
+  queryInt,
+  queryDate,
+  queryEnum,
+  queryString,
+  queryIntList,
+  dateRange,
+  parseQueryParameters,
+} from '../../src/utils/paramSchemas.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+/**
+ * Schema in the shape of a sales report taking @StartDate, @EndDate,
+ * @RegionId, @Status, @Search and @ProductIds
+ */
+const salesParams = z.object({
+  startDate: queryDate(),
+  endDate: queryDate(),
+  regionId: queryInt({ min: 1 }).optional(),
+  status: queryEnum(['open', 'closed']).default('open'),
+  search: queryString({ max: 10 }).optional(),
+  productIds: queryIntList({ min: 1, maxItems: 3 }).optional(),
+}).superRefine(dateRange('startDate', 'endDate'));
+
+test('Unit Tests - paramSchemas', async (t) => {
+  await t.test('Query strings are coerced to typed values', () => {
+    const params = parseQueryParameters(salesParams, {
+      startDate: '2024-01-01',
+      endDate: '2024-03-31',
+      regionId: '7',
+      search: '  acme  ',
+      productIds: '4, 5,6',
+    });
+    assert.deepStrictEqual(params, {
+      startDate: new Date('2024-01-01T00:00:00.000Z'),
+      endDate: new Date('2024-03-31T00:00:00.000Z'),
+      regionId: 7,
+      status: 'open',
+      search: 'acme',
+      productIds: [4, 5, 6],
+    });
+  });
+
+  await t.test('Blank values count as absent', () => {
+    const params = parseQueryParameters(salesParams, {
+      startDate: '2024-01-01', endDate: '2024-01-01', regionId: '', status: '',
+    });
+    assert.strictEqual(params.regionId, undefined);
+    assert.strictEqual(params.status, 'open');
+  });
+
+  await t.test('Every invalid field is listed in one ValidationError', () => {
+    assert.throws(() => parseQueryParameters(salesParams, {
+      startDate: '2024-02-30',
+      regionId: '0',
+      status: 'pending',
+      search: 'x'.repeat(11),
+      productIds: '1,two',
+    }), (err) => {
+      assert.ok(err instanceof ValidationError);
+      assert.strictEqual(err.status, 400);
+      assert.strictEqual(err.code, 'VALIDATION_ERROR');
+      assert.deepStrictEqual(
+        err.details.map((d) => d.field).sort(),
+        ['endDate', 'productIds.1', 'regionId', 'search', 'startDate', 'status'],
+      );
+      for (const { field, message } of err.details) {
+        assert.ok(err.message.includes(field));
+        assert.strictEqual(typeof message, 'string');
+      }
+      return true;
+    });
+  });
+
+  await t.test('Range errors say which bound was crossed', () => {
+    assert.throws(() => parseQueryParameters(z.object({ n: queryInt({ min: 1, max: 5 }) }), { n: '0' }), (err) => {
+      assert.match(err.details[0].message, />=\s*1/);
+      return true;
+    });
+  });
+
+  await t.test('Date ranges must not run backwards', () => {
+    assert.throws(
+      () => parseQueryParameters(salesParams, { startDate: '2024-05-01', endDate: '2024-04-30' }),
+      (err) => {
+        assert.deepStrictEqual(err.details, [{ field: 'endDate', message: 'Must be on or after startDate' }]);
+        return true;
+      },
+    );
+  });
+
+  await t.test('Repeated query keys are rejected rather than guessed', () => {
+    assert.throws(
+      () => parseQueryParameters(z.object({ regionId: queryInt() }), { regionId: ['1', '2'] }),
+      ValidationError,
+    );
+  });
+
+  await t.test('Integer lists enforce item bounds and count', () => {
+    const schema = z.object({ ids: queryIntList({ min: 1, maxItems: 2 }) });
+    assert.throws(() => parseQueryParameters(schema, { ids: '1,2,3' }), ValidationError);
+    assert.throws(() => parseQueryParameters(schema, { ids: '1,,2' }), ValidationError);
+    assert.throws(() => parseQueryParameters(schema, { ids: '-1' }), ValidationError);
+  });
+});
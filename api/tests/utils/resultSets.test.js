@@ -0,0 +1,111 @@
+/**
+ * Unit tests for resultSets.js
+ * Validates sheet naming, the primary result set and per-set column
+ * resolution for procedures returning several result sets
+ * Run: node --test api/tests/utils/resultSets.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import mssql from 'mssql';
+
+import {
+  DEFAULT_SHEET_NAME,
+  primaryResultSetIndex,
+  resultSetSheetName,
+  resolveResultSet,
+  resolveResultSetColumns,
+} from '../../src/utils/resultSets.js';
+import { computedColumn, maskColumn } from '../../src/utils/rowTransforms.js';
+import { ValidationError } from '../../src/utils/errors.js';
+
+/**
+ * Builds recordset metadata in the shape mssql emits (keyed by column name)
+ */
+const metadata = (...columns) =>
+  Object.fromEntries(columns.map((column, index) => [column.name, { index, ...column }]));
+
+const orders = {
+  columns: [],
+  columnOverrides: { Amount: { numFmt: '0.00' } },
+  primaryResultSet: 1,
+  resultSets: [
+    { sheetName: 'Header' },
+    { sheetName: 'Lines' },
+    { columnOverrides: { Total: { header: 'Grand total' } } },
+  ],
+};
+
+test('Unit Tests - resultSets', async (t) => {
+  await t.test('The first result set is primary unless the report says otherwise', () => {
+    assert.strictEqual(primaryResultSetIndex({}), 0);
+    assert.strictEqual(primaryResultSetIndex(orders), 1);
+  });
+
+  await t.test('Sheets are named by declaration, then by position', () => {
+    assert.strictEqual(resultSetSheetName({}, 0), DEFAULT_SHEET_NAME);
+    assert.strictEqual(resultSetSheetName({}, 1), 'Result 2');
+    assert.strictEqual(resultSetSheetName(orders, 0), 'Header');
+    assert.strictEqual(resultSetSheetName(orders, 1), 'Lines');
+    assert.strictEqual(resultSetSheetName(orders, 2), 'Result 3');
+  });
+
+  await t.test('Each result set gets its own columns and overrides', () => {
+    const lines = resolveResultSetColumns(orders, 1, metadata(
+      { name: 'Line', type: mssql.Int },
+      { name: 'Amount', type: mssql.Decimal, precision: 10, scale: 2 },
+    ));
+    assert.deepStrictEqual(lines.map((c) => c.key), ['Line', 'Amount']);
+    assert.strictEqual(lines[1].numFmt, '0.00');
+
+    const totals = resolveResultSetColumns(orders, 2, metadata({ name: 'Total', type: mssql.Decimal }));
+    assert.strictEqual(totals[0].header, 'Grand total');
+
+    // The report-level overrides belong to the primary set only
+    const header = resolveResultSetColumns(orders, 0, metadata({ name: 'Amount', type: mssql.Decimal }));
+    assert.strictEqual(header[0].numFmt, undefined);
+  });
+
+  await t.test('columns= narrows the primary result set only', () => {
+    const lineMetadata = metadata({ name: 'Line', type: mssql.Int }, { name: 'Amount', type: mssql.Money });
+    const headerMetadata = metadata({ name: 'OrderNo', type: mssql.VarChar, length: 20 });
+
+    assert.deepStrictEqual(
+      resolveResultSetColumns(orders, 1, lineMetadata, ['Amount']).map((c) => c.key),
+      ['Amount'],
+    );
+    assert.deepStrictEqual(
+      resolveResultSetColumns(orders, 0, headerMetadata, ['Amount']).map((c) => c.key),
+      ['OrderNo'],
+    );
+    assert.throws(() => resolveResultSetColumns(orders, 1, lineMetadata, ['OrderNo']), ValidationError);
+  });
+
+  await t.test('Transforms apply per result set, before the columns= selection', () => {
+    const report = {
+      ...orders,
+      transforms: [computedColumn({ key: 'Net', type: 'decimal', compute: ({ Amount }) => Amount * 0.8 })],
+      resultSets: [{}, {}, { transforms: [maskColumn({ key: 'Total', visible: 1 })] }],
+    };
+    const lineMetadata = metadata({ name: 'Line', type: mssql.Int }, { name: 'Amount', type: mssql.Money });
+
+    const lines = resolveResultSet(report, 1, lineMetadata, ['Net', 'Line']);
+    assert.deepStrictEqual(lines.columns.map((c) => c.key), ['Net', 'Line']);
+    assert.deepStrictEqual(lines.transform({ Line: 1, Amount: 10 }), { Line: 1, Amount: 10, Net: 8 });
+
+    const totals = resolveResultSet(report, 2, metadata({ name: 'Total', type: mssql.Decimal }));
+    assert.strictEqual(totals.columns[0].type, 'string');
+    assert.strictEqual(totals.transform({ Total: 125 }).Total, '**5');
+
+    // Sets without transforms pass rows through untouched
+    const row = { OrderNo: 'A1' };
+    assert.strictEqual(resolveResultSet(report, 0, metadata({ name: 'OrderNo', type: mssql.VarChar })).transform(row), row);
+  });
+
+  await t.test('Transforms are not bound when a result set has no columns', () => {
+    const report = { ...orders, transforms: [maskColumn({ key: 'Amount' })] };
+    const empty = resolveResultSet(report, 1, null);
+    assert.deepStrictEqual(empty.columns, []);
+    assert.throws(() => resolveResultSet(report, 1, metadata({ name: 'Line', type: mssql.Int })), /unknown column "Amount"/);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Unit tests for rowTransforms.js
+ * Validates each transform stage on its own, pipeline composition, column
+ * propagation and error reporting
+ * Run: node --test api/tests/utils/rowTransforms.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import StreamRequestMock from '../mocks/streamRequest.mock.js';
+import {
+  createRowPipeline,
+  computedColumn,
+  mapColumn,
+  scaleColumn,
+  lookupColumn,
+  maskColumn,
+} from '../../src/utils/rowTransforms.js';
+import { createRowMapper } from '../../src/utils/columnMapper.js';
+import { AppError, ExportError, ValidationError } from '../../src/utils/errors.js';
+
+const COLUMNS = [
+  { header: 'Id', key: 'Id', width: 10, type: 'int' },
+  { header: 'Grams', key: 'Grams', width: 12, type: 'decimal', numFmt: '#,##0' },
+  { header: 'Status', key: 'Status', width: 8, type: 'int' },
+  { header: 'Card', key: 'Card', width: 20, type: 'string' },
+];
+
+const row = () => ({ Id: 1, Grams: 2500, Status: 2, Card: '4111111111111111' });
+
+/**
+ * Binds a single stage and returns its output columns and transform
+ */
+const bindStage = (stage, columns = COLUMNS) => createRowPipeline([stage], columns);
+
+test('Unit Tests - rowTransforms', async (t) => {
+  await t.test('An empty pipeline keeps the columns and passes rows through', () => {
+    for (const stages of [[], undefined]) {
+      const pipeline = createRowPipeline(stages, COLUMNS);
+      assert.strictEqual(pipeline.columns, COLUMNS);
+      const input = row();
+      assert.strictEqual(pipeline.transform(input), input);
+    }
+  });
+
+  await t.test('computedColumn adds a column and fills it from the row', () => {
+    const { columns, transform } = bindStage(computedColumn({
+      key: 'Kilograms',
+      header: 'Weight (kg)',
+      type: 'decimal',
+      after: 'Grams',
+      numFmt: '0.00',
+      aggregate: true,
+      compute: ({ Grams }) => Grams / 1000,
+    }));
+    assert.deepStrictEqual(columns.map((c) => c.key), ['Id', 'Grams', 'Kilograms', 'Status', 'Card']);
+    assert.deepStrictEqual(columns[2], {
+      header: 'Weight (kg)', key: 'Kilograms', width: 15, type: 'decimal', numFmt: '0.00', aggregate: true,
+    });
+    assert.strictEqual(transform(row()).Kilograms, 2.5);
+
+    const last = bindStage(computedColumn({ key: 'Label', compute: ({ Id }) => `#${Id}` }));
+    assert.deepStrictEqual(last.columns.at(-1), { header: 'Label', key: 'Label', width: 15, type: 'string' });
+  });
+
+  await t.test('mapColumn replaces values and merges column changes', () => {
+    const { columns, transform } = bindStage(mapColumn({
+      key: 'Id', map: (value, { Status }) => `${value}-${Status}`, type: 'string', header: 'Ref',
+    }));
+    assert.deepStrictEqual(columns[0], { header: 'Ref', key: 'Id', width: 10, type: 'string' });
+    assert.strictEqual(transform(row()).Id, '1-2');
+    // Input columns are not modified
+    assert.strictEqual(COLUMNS[0].header, 'Id');
+  });
+
+  await t.test('scaleColumn converts units and keeps nulls', () => {
+    const { columns, transform } = bindStage(scaleColumn({ key: 'Grams', factor: 0.001, header: 'Kg', numFmt: '0.000' }));
+    assert.strictEqual(columns[1].header, 'Kg');
+    assert.strictEqual(columns[1].numFmt, '0.000');
+    assert.strictEqual(transform(row()).Grams, 2.5);
+    assert.strictEqual(transform({ ...row(), Grams: null }).Grams, null);
+    // Decimal values may arrive as strings
+    assert.strictEqual(transform({ ...row(), Grams: '1500' }).Grams, 1.5);
+  });
+
+  await t.test('lookupColumn maps codes to labels with a fallback', () => {
+    const stage = lookupColumn({ key: 'Status', values: { 1: 'Open', 2: 'Shipped' }, header: 'Status' });
+    const { columns, transform } = bindStage(stage);
+    assert.strictEqual(columns[2].type, 'string');
+    assert.strictEqual(transform(row()).Status, 'Shipped');
+    assert.strictEqual(transform({ ...row(), Status: 9 }).Status, 9);
+    assert.strictEqual(transform({ ...row(), Status: null }).Status, null);
+
+    const withFallback = bindStage(lookupColumn({
+      key: 'Status', values: new Map([[1, 'Open']]), fallback: 'Unknown',
+    }));
+    assert.strictEqual(withFallback.transform({ ...row(), Status: 1 }).Status, 'Open');
+    assert.strictEqual(withFallback.transform(row()).Status, 'Unknown');
+    // Prototype keys are not table entries
+    assert.strictEqual(withFallback.transform({ ...row(), Status: 'constructor' }).Status, 'Unknown');
+  });
+
+  await t.test('maskColumn keeps only the trailing characters', () => {
+    const { columns, transform } = bindStage(maskColumn({ key: 'Card' }));
+    assert.strictEqual(columns[3].type, 'string');
+    assert.strictEqual(transform(row()).Card, '************1111');
+    assert.strictEqual(transform({ ...row(), Card: '12' }).Card, '12');
+    assert.strictEqual(transform({ ...row(), Card: null }).Card, null);
+
+    const numeric = bindStage(maskColumn({ key: 'Id', visible: 0, char: '#' }));
+    assert.strictEqual(numeric.columns[0].type, 'string');
+    assert.strictEqual(numeric.transform({ ...row(), Id: 12345 }).Id, '#####');
+  });
+
+  await t.test('Changing the value type drops rules written for the old type', () => {
+    const bit = { header: 'Active', key: 'Active', width: 8, type: 'bit', boolean: { true: 'Yes', false: 'No' }, alignment: { horizontal: 'center' } };
+    const [looked] = bindStage(lookupColumn({ key: 'Active', values: new Map([[true, 'on']]) }), [bit]).columns;
+    assert.deepStrictEqual(looked, { header: 'Active', key: 'Active', width: 8, type: 'string', alignment: { horizontal: 'center' } });
+
+    const [masked] = bindStage(maskColumn({ key: 'Grams' })).columns.slice(1);
+    assert.strictEqual(masked.numFmt, undefined);
+    // Same type, or rules set again by the stage: kept
+    assert.strictEqual(bindStage(scaleColumn({ key: 'Grams', factor: 2 })).columns[1].numFmt, '#,##0');
+    assert.strictEqual(
+      bindStage(mapColumn({ key: 'Grams', map: String, type: 'string', numFmt: '@' })).columns[1].numFmt,
+      '@',
+    );
+  });
+
+  await t.test('Stages see the columns and values of the stage before them', () => {
+    const { columns, transform } = createRowPipeline([
+      scaleColumn({ key: 'Grams', factor: 0.001 }),
+      computedColumn({ key: 'Heavy', type: 'bit', compute: ({ Grams }) => Grams > 2 }),
+      maskColumn({ key: 'Card' }),
+      lookupColumn({ key: 'Heavy', values: new Map([[true, 'Yes'], [false, 'No']]) }),
+    ], COLUMNS);
+    assert.deepStrictEqual(columns.map((c) => `${c.key}:${c.type}`), [
+      'Id:int', 'Grams:decimal', 'Status:int', 'Card:string', 'Heavy:string',
+    ]);
+    assert.deepStrictEqual(transform(row()), {
+      Id: 1, Grams: 2.5, Status: 2, Card: '************1111', Heavy: 'Yes',
+    });
+  });
+
+  await t.test('Computed text goes through the formula-injection policy', () => {
+    const { columns, transform } = bindStage(computedColumn({ key: 'Note', compute: () => '=HYPERLINK("x")' }));
+    const mapRow = createRowMapper(columns);
+    assert.strictEqual(mapRow(transform(row())).Note, '\'=HYPERLINK("x")');
+  });
+
+  await t.test('Stages bound to missing or duplicate columns fail before the first row', () => {
+    const cases = [
+      [mapColumn({ key: 'Nope', map: (v) => v }), 'Row transform "map(Nope)": unknown column "Nope"'],
+      [maskColumn({ key: 'Nope' }), 'Row transform "mask(Nope)": unknown column "Nope"'],
+      [computedColumn({ key: 'Id', compute: () => 1 }), 'Row transform "computed(Id)": column "Id" already exists'],
+      [computedColumn({ key: 'X', after: 'Nope', compute: () => 1 }), 'Row transform "computed(X)": unknown column "Nope"'],
+    ];
+    for (const [stage, message] of cases) {
+      assert.throws(() => bindStage(stage), (err) => {
+        assert.ok(err instanceof ExportError);
+        assert.strictEqual(err.message, message);
+        return true;
+      });
+    }
+  });
+
+  await t.test('Row failures name the stage; application errors pass through', () => {
+    const { transform } = createRowPipeline([
+      maskColumn({ key: 'Card' }),
+      computedColumn({ key: 'Broken', compute: ({ Missing }) => Missing.value }),
+    ], COLUMNS);
+    assert.throws(() => transform(row()), (err) => {
+      assert.ok(err instanceof ExportError);
+      assert.strictEqual(err.status, 500);
+      assert.match(err.message, /^Row transform "computed\(Broken\)" failed: /);
+      return true;
+    });
+
+    const strict = bindStage(mapColumn({
+      key: 'Id',
+      map: () => { throw new ValidationError('Bad row'); },
+    }));
+    assert.throws(() => strict.transform(row()), (err) => err instanceof AppError && err.status === 400);
+  });
+
+  await t.test('Rows streamed from a request flow through the pipeline in order', async () => {
+    const request = StreamRequestMock.stub();
+    const { transform } = createRowPipeline([
+      computedColumn({ key: 'Double', type: 'int', compute: ({ Id }) => Id * 2 }),
+      lookupColumn({ key: 'Status', values: { 1: 'Open' }, fallback: 'Other' }),
+    ], COLUMNS);
+
+    const written = [];
+    request.on('row', (dbRow) => written.push(transform(dbRow)));
+    const done = new Promise((resolve) => request.once('done', resolve));
+
+    for (let id = 1; id <= 3; id++) {
+      request.emit('row', { ...row(), Id: id, Status: id });
+    }
+    StreamRequestMock.emulateDone(request, 3);
+    await done;
+
+    assert.deepStrictEqual(
+      written.map(({ Id, Double, Status }) => [Id, Double, Status]),
+      [[1, 2, 'Open'], [2, 4, 'Other'], [3, 6, 'Other']],
+    );
+  });
+});
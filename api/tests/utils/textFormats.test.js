@@ -0,0 +1,52 @@
+/**
+ * Unit tests for textFormats.js
+ * Validates that prologue/separator/epilogue framing produces valid documents
+ * Run: node --test api/tests/utils/textFormats.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import {
+  createCsvFormat,
+  createNdjsonFormat,
+  createJsonArrayFormat,
+} from '../../src/utils/textFormats.js';
+
+const COLUMNS = [
+  { header: 'Id', key: 'Id', type: 'int' },
+  { header: 'Name', key: 'Name', type: 'string' },
+];
+
+/**
+ * Frames rows exactly as the streaming text export handler does
+ */
+const render = (format, rows) => {
+  let output = '';
+  rows.forEach((row, index) => {
+    output += (index === 0 ? format.prologue : format.separator) + format.formatRow(row);
+  });
+  return output + (rows.length === 0 ? format.prologue : '') + format.epilogue;
+};
+
+test('Unit Tests - textFormats', async (t) => {
+  const rows = [{ Id: 1, Name: 'a' }, { Id: 2, Name: 'b,c' }];
+
+  await t.test('CSV starts with a header record', () => {
+    const format = createCsvFormat(COLUMNS, { delimiter: ',', quote: '"' });
+    assert.strictEqual(render(format, rows), 'Id,Name\r\n1,a\r\n2,"b,c"\r\n');
+    assert.strictEqual(render(format, []), 'Id,Name\r\n');
+  });
+
+  await t.test('NDJSON writes one parseable object per line', () => {
+    const lines = render(createNdjsonFormat(COLUMNS), rows).trimEnd().split('\n');
+    assert.deepStrictEqual(lines.map((line) => JSON.parse(line)), rows);
+    assert.strictEqual(render(createNdjsonFormat(COLUMNS), []), '');
+  });
+
+  await t.test('JSON array output parses as a whole document', () => {
+    const format = createJsonArrayFormat(COLUMNS);
+    assert.deepStrictEqual(JSON.parse(render(format, rows)), rows);
+    assert.deepStrictEqual(JSON.parse(render(format, [])), []);
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for timezones.js
+ * Validates zone names, DST-aware offsets and rendering in every format
+ * Run: node --test api/tests/utils/timezones.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { canonicalTimezone, createTimezone, UTC_TIMEZONE } from '../../src/utils/timezones.js';
+import { createExcelRowFormatter } from '../../src/utils/columnMapper.js';
+import { createCsvFormatter } from '../../src/utils/csvFormatter.js';
+import { encodeJsonValue } from '../../src/utils/jsonEncoder.js';
+
+const utc = (...fields) => new Date(Date.UTC(...fields));
+
+test('Unit Tests - timezones', async (t) => {
+  await t.test('Zone names are canonicalized; unknown names and raw offsets are rejected', () => {
+    assert.strictEqual(canonicalTimezone('UTC'), 'UTC');
+    assert.strictEqual(canonicalTimezone('europe/berlin'), 'Europe/Berlin');
+    assert.strictEqual(canonicalTimezone('utc'), 'UTC');
+    // Kept as given, not ICU's legacy alias Asia/Katmandu
+    assert.strictEqual(canonicalTimezone('Asia/Kathmandu'), 'Asia/Kathmandu');
+    for (const name of ['Mars/Olympus', '+05:00', '-0300', '', ' UTC', 'Europe/../Berlin', undefined, 42]) {
+      assert.strictEqual(canonicalTimezone(name), null, String(name));
+    }
+  });
+
+  await t.test('UTC keeps the Z form and the instant unchanged', () => {
+    const date = utc(2024, 0, 15, 10, 30);
+    assert.strictEqual(UTC_TIMEZONE.formatIso(date), '2024-01-15T10:30:00.000Z');
+    assert.strictEqual(UTC_TIMEZONE.toWallClock(date), date);
+  });
+
+  await t.test('Offsets follow daylight saving time per value', () => {
+    const newYork = createTimezone('America/New_York');
+    assert.strictEqual(newYork.formatIso(utc(2024, 0, 15, 10, 30)), '2024-01-15T05:30:00.000-05:00');
+    assert.strictEqual(newYork.formatIso(utc(2024, 6, 15, 10, 30, 0, 250)), '2024-07-15T06:30:00.250-04:00');
+    // 2024-03-10 02:00 local: clocks jump from 01:59:59 EST to 03:00 EDT
+    assert.strictEqual(newYork.formatIso(utc(2024, 2, 10, 6, 59, 59)), '2024-03-10T01:59:59.000-05:00');
+    assert.strictEqual(newYork.formatIso(utc(2024, 2, 10, 7)), '2024-03-10T03:00:00.000-04:00');
+  });
+
+  await t.test('Fractional and historical offsets are kept', () => {
+    assert.strictEqual(createTimezone('Asia/Kathmandu').formatIso(utc(2024, 0, 1)), '2024-01-01T05:45:00.000+05:45');
+    assert.strictEqual(createTimezone('Asia/Kolkata').offsetMinutes(utc(2024, 0, 1)), 330);
+    // Local mean time before 1883
+    assert.strictEqual(createTimezone('America/New_York').offsetMinutes(utc(1850, 0, 1)), -296);
+  });
+
+  await t.test('Wall clock carries the local date and time in its UTC fields', () => {
+    const tokyo = createTimezone('Asia/Tokyo');
+    const wall = tokyo.toWallClock(utc(2024, 11, 31, 20));
+    assert.deepStrictEqual(wall, utc(2025, 0, 1, 5));
+  });
+
+  await t.test('Excel rows show datetime columns in the zone, other columns unchanged', () => {
+    const columns = [{ key: 'Id', type: 'int' }, { key: 'At', type: 'datetime' }];
+    const format = createExcelRowFormatter(columns, { timezone: createTimezone('Europe/Berlin') });
+    const row = format({ Id: 1, At: utc(2024, 6, 1, 12) });
+    assert.strictEqual(row.Id, 1);
+    assert.deepStrictEqual(row.At, utc(2024, 6, 1, 14));
+    assert.strictEqual(format({ Id: 2, At: null }).At, null);
+  });
+
+  await t.test('CSV and JSON render dates with the zone offset', () => {
+    const timezone = createTimezone('Europe/Berlin');
+    const date = utc(2024, 0, 1, 12);
+    const csv = createCsvFormatter({ timezone });
+    assert.strictEqual(csv.formatRecord([1, date]), '1,2024-01-01T13:00:00.000+01:00\r\n');
+    assert.strictEqual(encodeJsonValue(date, 'datetime', timezone), '2024-01-01T13:00:00.000+01:00');
+  });
+});
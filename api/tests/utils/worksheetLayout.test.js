@@ -0,0 +1,56 @@
+/**
+ * Unit tests for worksheetLayout.js
+ * Validates frozen panes, header styling and autofilter range per sheet
+ * Run: node --test api/tests/utils/worksheetLayout.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import ExcelJS from 'exceljs';
+
+import { createWorksheetLayout, worksheetLayoutUsesStyles } from '../../src/utils/worksheetLayout.js';
+import { createRollingWorksheet } from '../../src/utils/worksheetRollover.js';
+
+const COLUMNS = [
+  { header: 'Id', key: 'Id' },
+  { header: 'Name', key: 'Name' },
+  { header: 'Amount', key: 'Amount' },
+];
+
+test('Unit Tests - worksheetLayout', async (t) => {
+  await t.test('Frozen header and Id column produce a single frozen view', () => {
+    const layout = createWorksheetLayout({ freezeHeader: true, frozenColumns: 1 }, 3);
+    assert.deepStrictEqual(layout.sheetOptions.views, [{ state: 'frozen', xSplit: 1, ySplit: 1 }]);
+  });
+
+  await t.test('No views are added when nothing is frozen', () => {
+    assert.deepStrictEqual(createWorksheetLayout({}, 3).sheetOptions.views, []);
+  });
+
+  await t.test('Only header styling requires the style table', () => {
+    assert.strictEqual(worksheetLayoutUsesStyles({ freezeHeader: true, autoFilter: true }), false);
+    assert.strictEqual(worksheetLayoutUsesStyles({ headerStyle: { font: { bold: true } } }), true);
+  });
+
+  await t.test('Every rolled-over sheet gets header style and its own filter range', () => {
+    const workbook = new ExcelJS.Workbook();
+    const layout = createWorksheetLayout(
+      { headerStyle: { font: { bold: true } }, freezeHeader: true, autoFilter: true },
+      COLUMNS.length,
+    );
+    const sheets = createRollingWorksheet(workbook, { columns: COLUMNS, rowLimit: 3, layout });
+    for (let i = 1; i <= 4; i++) {
+      sheets.addRow({ Id: i, Name: `n${i}`, Amount: i });
+    }
+    sheets.commit();
+
+    const [first, second] = workbook.worksheets;
+    assert.deepStrictEqual(first.autoFilter, { from: { row: 1, column: 1 }, to: { row: 4, column: 3 } });
+    assert.deepStrictEqual(second.autoFilter, { from: { row: 1, column: 1 }, to: { row: 2, column: 3 } });
+    for (const sheet of workbook.worksheets) {
+      assert.strictEqual(sheet.getCell('A1').font.bold, true);
+      assert.strictEqual(sheet.views[0].state, 'frozen');
+      assert.strictEqual(sheet.getCell('A2').font, undefined);
+    }
+  });
+});
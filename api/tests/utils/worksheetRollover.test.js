@@ -0,0 +1,83 @@
+/**
+ * Unit tests for worksheetRollover.js
+ * Validates sheet naming, header rows and rollover at the row limit
+ * Run: node --test api/tests/utils/worksheetRollover.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { Buffer } from 'node:buffer';
+import { PassThrough } from 'node:stream';
+import ExcelJS from 'exceljs';
+
+import {
+  createRollingWorksheet,
+  worksheetName,
+  EXCEL_MAX_DATA_ROWS,
+} from '../../src/utils/worksheetRollover.js';
+
+const COLUMNS = [
+  { header: 'Id', key: 'Id' },
+  { header: 'Name', key: 'Name' },
+];
+
+test('Unit Tests - worksheetRollover', async (t) => {
+  await t.test('Sheet names follow "Report", "Report (2)", …', () => {
+    assert.strictEqual(worksheetName('Report', 0), 'Report');
+    assert.strictEqual(worksheetName('Report', 1), 'Report (2)');
+    assert.strictEqual(worksheetName('Report', 9), 'Report (10)');
+  });
+
+  await t.test('Rows spill into new sheets with their own header row', () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheets = createRollingWorksheet(workbook, { columns: COLUMNS, rowLimit: 2 });
+
+    for (let i = 1; i <= 5; i++) {
+      sheets.addRow({ Id: i, Name: `n${i}` });
+    }
+    sheets.commit();
+
+    assert.strictEqual(sheets.sheetCount, 3);
+    assert.deepStrictEqual(workbook.worksheets.map((ws) => ws.name), ['Report', 'Report (2)', 'Report (3)']);
+    for (const ws of workbook.worksheets) {
+      assert.deepStrictEqual(ws.getRow(1).values.slice(1), ['Id', 'Name']);
+    }
+    assert.strictEqual(workbook.worksheets[0].rowCount, 3);
+    assert.strictEqual(workbook.worksheets[2].rowCount, 2);
+    assert.strictEqual(workbook.worksheets[2].getRow(2).getCell(1).value, 5);
+  });
+
+  await t.test('No rollover happens exactly at the limit', () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheets = createRollingWorksheet(workbook, { columns: COLUMNS, rowLimit: 3 });
+
+    for (let i = 1; i <= 3; i++) {
+      sheets.addRow({ Id: i });
+    }
+
+    assert.strictEqual(sheets.sheetCount, 1);
+  });
+
+  await t.test('Streaming workbooks commit each sheet on rollover', async () => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+
+    const writer = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    const sheets = createRollingWorksheet(writer, { columns: COLUMNS, baseName: 'Data', rowLimit: 2 });
+    for (let i = 1; i <= 3; i++) {
+      sheets.addRow({ Id: i, Name: `n${i}` });
+    }
+    sheets.commit();
+    await writer.commit();
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(Buffer.concat(chunks));
+    assert.deepStrictEqual(workbook.worksheets.map((ws) => ws.name), ['Data', 'Data (2)']);
+    assert.strictEqual(workbook.getWorksheet('Data (2)').getRow(2).getCell(1).value, 3);
+  });
+
+  await t.test('Row limit is capped at the Excel maximum', () => {
+    assert.strictEqual(EXCEL_MAX_DATA_ROWS, 1048575);
+  });
+});
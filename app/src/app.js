@@ -29,12 +29,12 @@ app.use(helmet());
 app.use(
   cors({
     origin: env.CORS_ORIGIN,
-    methods: ['GET', 'OPTIONS'],           // exports are read-only
+    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],   // POST/DELETE only start and cancel export jobs and issue download links
     allowedHeaders: ['Content-Type'],
   }),
 );
 
-// ── 3. Body parsing (for potential future POST endpoints) ───────────────────
+// ── 3. Body parsing (POST/DELETE /exports/jobs, re-sent upstream by the proxy; link options)
 app.use(express.json());
 
 // ── 4. Request logging ──────────────────────────────────────────────────────
@@ -65,10 +65,11 @@ app.use((err, _req, res, _next) => {
 
   const statusCode = err.status || 500;
   const isDevelopment = env.NODE_ENV === 'development';
+  const isClientError = statusCode < 500;
 
   const errorResponse = {
     error: {
-      message: isDevelopment ? err.message : 'Internal server error',
+      message: isDevelopment || isClientError ? err.message : 'Internal server error',
       code: err.code || 'INTERNAL_ERROR',
       stack: isDevelopment ? err.stack : undefined,
     },
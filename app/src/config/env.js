@@ -16,6 +16,17 @@ const envSchema = z.object({
   API_HOST: z.string().default('localhost'),
   NODE_ENV: z.enum(['development', 'production', 'test']).default('development'),
   CORS_ORIGIN: z.string().default('http://localhost:3000'),
+
+  // Request header carrying the caller's roles (comma-separated), set by the
+  // authenticating proxy in front of the BFF; used to filter the report catalog
+  CALLER_ROLES_HEADER: z.string().toLowerCase().default('x-user-roles'),
+  // Request header carrying the caller's identity (user name or id), set the
+  // same way; recorded in the download links the caller issues
+  CALLER_ID_HEADER: z.string().toLowerCase().default('x-user-id'),
+
+  // Signed download links: default and maximum lifetime in seconds
+  DOWNLOAD_LINK_EXPIRES_IN: z.coerce.number().int().positive().default(86400),
+  DOWNLOAD_LINK_MAX_EXPIRES_IN: z.coerce.number().int().positive().default(604800),
   
   // JWT authentication
   JWT_SECRET: z.string().min(32, 'JWT_SECRET must be at least 32 characters'),
@@ -33,7 +44,7 @@ export const validateEnv = () => {
   const result = envSchema.safeParse(process.env);
 
   if (!result.success) {
-    const problems = result.error.errors
+    const problems = result.error.issues
       .map((err) => `${err.path.join('.')}: ${err.message}`)
       .join(', ');
 
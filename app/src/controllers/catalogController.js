@@ -0,0 +1,28 @@
+/**
+ * Report catalog controller — serves the API's catalog filtered to the
+ * reports the caller may run, with links rewritten to BFF routes.
+ */
+import { fetchReportCatalog, getCallerRoles, canRunReport } from '../services/reportCatalog.js';
+
+/**
+ * GET /exports
+ * Response: 200 { reports: [{ id, title, description, href, formats, timezone,
+ *                             locale, locales, parameters (JSON Schema), columns, roles }] }
+ * Column headers follow lang= or the caller's Accept-Language.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ */
+export const listExports = async (req, res) => {
+  const roles = getCallerRoles(req);
+  const language = typeof req.query.lang === 'string' && req.query.lang !== ''
+    ? req.query.lang
+    : req.headers['accept-language'];
+  const reports = await fetchReportCatalog({ language });
+  res.vary('Accept-Language');
+
+  res.json({
+    reports: reports
+      .filter((report) => canRunReport(report, roles))
+      .map((report) => ({ ...report, href: `${req.baseUrl}/${encodeURIComponent(report.id)}` })),
+  });
+};
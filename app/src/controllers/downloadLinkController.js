@@ -0,0 +1,70 @@
+/**
+ * Download link controller — issues signed, expiring links to the file of a
+ * completed background export (see services/downloadLinks.js).
+ */
+import { getEnv } from '../config/env.js';
+import { issueDownloadLink } from '../services/downloadLinks.js';
+import { getCallerId } from '../services/reportCatalog.js';
+import { ValidationError, UnauthorizedError, ConflictError } from '../utils/errors.js';
+
+const env = getEnv();
+
+/**
+ * Shortest lifetime a link may be issued with, in seconds
+ */
+const MIN_EXPIRES_IN = 60;
+
+/**
+ * Validates the optional JSON body of POST /exports/jobs/:jobId/links
+ * @param {Object} [body] - { expiresIn?, singleUse? }
+ * @returns {{ expiresIn: number, singleUse: boolean }}
+ * @throws {ValidationError} 400 INVALID_LINK_OPTIONS
+ */
+const validateLinkOptions = (body = {}) => {
+  const { expiresIn = env.DOWNLOAD_LINK_EXPIRES_IN, singleUse = false } = body;
+
+  if (!Number.isInteger(expiresIn) || expiresIn < MIN_EXPIRES_IN || expiresIn > env.DOWNLOAD_LINK_MAX_EXPIRES_IN) {
+    throw new ValidationError(
+      `expiresIn must be a whole number of seconds from ${MIN_EXPIRES_IN} to ${env.DOWNLOAD_LINK_MAX_EXPIRES_IN}`,
+      'INVALID_LINK_OPTIONS',
+    );
+  }
+  if (typeof singleUse !== 'boolean') {
+    throw new ValidationError('singleUse must be a boolean', 'INVALID_LINK_OPTIONS');
+  }
+  return { expiresIn, singleUse };
+};
+
+/**
+ * POST /exports/jobs/:jobId/links  { expiresIn?, singleUse? }
+ * Response: 201 { href, expiresAt, singleUse, createdBy, file }
+ * Runs after authorizeJob (the job is in res.locals.exportJob, owned by the
+ * caller); the caller must be identified (CALLER_ID_HEADER) and the job
+ * must have completed.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @throws {UnauthorizedError} 401 CALLER_UNKNOWN without a caller identity
+ * @throws {ValidationError} 400 INVALID_LINK_OPTIONS
+ * @throws {ConflictError} 409 JOB_NOT_COMPLETED
+ */
+export const createDownloadLink = (req, res) => {
+  const caller = getCallerId(req);
+  if (!caller) {
+    throw new UnauthorizedError('Download links need an identified caller', 'CALLER_UNKNOWN');
+  }
+  const { expiresIn, singleUse } = validateLinkOptions(req.body);
+
+  const job = res.locals.exportJob;
+  if (job.status !== 'completed') {
+    throw new ConflictError(`Export job "${job.id}" is ${job.status}`, 'JOB_NOT_COMPLETED');
+  }
+
+  const { path, expiresAt } = issueDownloadLink({ jobId: job.id, caller, expiresIn, singleUse });
+  res.status(201).json({
+    href: `${req.baseUrl}${path}`,
+    expiresAt: expiresAt.toISOString(),
+    singleUse,
+    createdBy: caller,
+    file: job.file,
+  });
+};
@@ -0,0 +1,33 @@
+/**
+ * Download link middleware — lets a request through to the export proxy only
+ * with a valid, unexpired download link (see services/downloadLinks.js).
+ */
+import { debugApplication } from '../../../shared/src/debug.js';
+import { redeemDownloadLink, releaseDownloadLink } from '../services/downloadLinks.js';
+
+/**
+ * Verifies the signed query of GET /exports/downloads/:jobId and strips it,
+ * so the signature is not forwarded to (and logged by) the API. A single-use
+ * link is given back if the proxied download fails or is interrupted.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ * @throws {ForbiddenError} 403 LINK_INVALID if the signature does not match
+ * @throws {GoneError} 410 LINK_EXPIRED or LINK_USED
+ */
+export const authorizeDownloadLink = (req, res, next) => {
+  const { signature } = req.query;
+  const { caller, singleUse } = redeemDownloadLink(req.params.jobId, req.query);
+  debugApplication(`Download link of ${caller} used for job ${req.params.jobId}${singleUse ? ' (single-use)' : ''}`);
+
+  if (singleUse) {
+    res.once('close', () => {
+      if (res.writableFinished && res.statusCode >= 200 && res.statusCode < 300) return;
+      debugApplication(`Download of job ${req.params.jobId} failed (${res.statusCode}), single-use link released`);
+      releaseDownloadLink(signature);
+    });
+  }
+
+  req.url = req.url.split('?')[0];
+  next();
+};
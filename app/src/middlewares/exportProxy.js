@@ -8,12 +8,18 @@
  *   selfHandleResponse: false  → auto-pipe the response stream (no buffering)
  *   changeOrigin: true         → set Host header to the target
  *
+ * Request headers are forwarded untouched (only Host and Authorization are
+ * set here). JSON bodies (POST and DELETE /exports/jobs) have already been read by
+ * express.json(), so they are written to the upstream request again. The API relies on the client's Accept header to negotiate the
+ * export format on /export/report, and on Accept-Language for translated
+ * headers and sheet names, so do not rewrite them in proxyReq.
+ *
  * Error strategy:
  *   Status-code-only responses to avoid corrupting an in-flight Excel stream.
  *   502 for connection refused (API down), 504 for timeouts.
  */
 import process from "node:process";
-import { createProxyMiddleware } from 'http-proxy-middleware';
+import { createProxyMiddleware, fixRequestBody } from 'http-proxy-middleware';
 import { debugApplication } from '../../../shared/src/debug.js';
 import { getEnv } from '../config/env.js';
 import { createMemoryLogger } from "../../../shared/src/memory.js";
@@ -35,7 +41,9 @@ const extractQuery = (url) => {
 
 /**
  * Creates an export proxy middleware for a specific API path.
- * @param {string} apiPath - The target API path (e.g., '/export/report')
+ * @param {string|function(import('express').Request): string} apiPath - The
+ *   target API path (e.g., '/export/report'), or a function deriving it from
+ *   the request (e.g., from a route parameter)
  * @returns {function} Express middleware
  */
 export const createExportProxy = (apiPath) => {
@@ -44,7 +52,10 @@ export const createExportProxy = (apiPath) => {
     changeOrigin: true,
     selfHandleResponse: false,
 
-    pathRewrite: (_path, req) => `${apiPath}${extractQuery(req.url)}`,
+    pathRewrite: (_path, req) => {
+      const path = typeof apiPath === 'function' ? apiPath(req) : apiPath;
+      return `${path}${extractQuery(req.url)}`;
+    },
 
     on: {
       /**
@@ -72,18 +83,30 @@ export const createExportProxy = (apiPath) => {
       proxyReq(proxyReq, req) {
         const token = generateToken(env.JWT_SECRET, env.JWT_EXPIRES_IN);
         proxyReq.setHeader('Authorization', `Bearer ${token}`);
+        fixRequestBody(proxyReq, req);
 
         debugApplication(`Proxy → ${apiTarget}${proxyReq.path} [${req.method}]`);
         memoryLogger('proxy-start');
       },
 
       /**
-       * Log when response starts streaming back
+       * Log when response starts streaming back, and pass on its trailers
+       * (X-Export-Precision-Lost), which are not piped with the body
        */
-      proxyRes(proxyRes, req) {
+      proxyRes(proxyRes, req, res) {
         debugApplication(`Proxy ← ${proxyRes.statusCode} [${req.method} ${req.originalUrl}]`);
         memoryLogger('proxy-response');
 
+        if (proxyRes.headers.trailer) {
+          // Only a chunked HTTP/1.1 response carries trailers; Node refuses
+          // the Trailer header on any other (HTTP/1.0 clients, HEAD)
+          if (req.httpVersion === '1.1' && req.method !== 'HEAD') {
+            proxyRes.on('end', () => res.addTrailers(proxyRes.trailers));
+          } else {
+            delete proxyRes.headers.trailer;
+          }
+        }
+
         proxyRes.on('end', () => {
           memoryLogger.logPeakSummary('proxy-complete');
         });
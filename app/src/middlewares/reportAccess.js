@@ -0,0 +1,102 @@
+/**
+ * Report access middleware — lets a request through to the export proxy only
+ * if the caller's roles allow the requested report (see services/reportCatalog.js),
+ * and, for background export jobs, only if the caller started the job.
+ */
+import { fetchReportCatalog, getCallerRoles, getCallerId, canRunReport } from '../services/reportCatalog.js';
+import { fetchExportJob } from '../services/exportJobs.js';
+import { NotFoundError, ForbiddenError } from '../utils/errors.js';
+
+/**
+ * Checks a report id against the API catalog and the caller's roles
+ * @param {import('express').Request} req - Express request object
+ * @param {string} reportId - Requested report
+ * @throws {NotFoundError} 404 REPORT_NOT_FOUND if the API has no such report
+ * @throws {ForbiddenError} 403 REPORT_FORBIDDEN if the caller lacks every allowed role
+ */
+export const checkReportAccess = async (req, reportId) => {
+  const reports = await fetchReportCatalog();
+  const report = reports.find(({ id }) => id === reportId);
+
+  if (!report) {
+    throw new NotFoundError(`Unknown report "${reportId}"`, 'REPORT_NOT_FOUND');
+  }
+  if (!canRunReport(report, getCallerRoles(req))) {
+    throw new ForbiddenError(`Not allowed to run report "${reportId}"`, 'REPORT_FORBIDDEN');
+  }
+};
+
+/**
+ * Checks :reportId against the API catalog and the caller's roles
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} _res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ * @throws {NotFoundError} 404 REPORT_NOT_FOUND if the API has no such report
+ * @throws {ForbiddenError} 403 REPORT_FORBIDDEN if the caller lacks every allowed role
+ */
+export const authorizeReport = async (req, _res, next) => {
+  await checkReportAccess(req, req.params.reportId);
+  next();
+};
+
+/**
+ * authorizeReport for routes that always run the same report, such as the
+ * fixed /exports/report routes
+ * @param {string} reportId - Report the routes run
+ * @returns {import('express').RequestHandler} Middleware throwing 404
+ *   REPORT_NOT_FOUND or 403 REPORT_FORBIDDEN like authorizeReport
+ */
+export const authorizeFixedReport = (reportId) => async (req, _res, next) => {
+  await checkReportAccess(req, reportId);
+  next();
+};
+
+/**
+ * Checks the reportId of a POST /exports/jobs body like authorizeReport, and
+ * records the caller (CALLER_ID_HEADER) as the job's owner in the body sent
+ * to the API, replacing any owner the client sent.
+ * A body without a string reportId is passed on for the API to reject (400).
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} _res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ * @throws {NotFoundError} 404 REPORT_NOT_FOUND if the API has no such report
+ * @throws {ForbiddenError} 403 REPORT_FORBIDDEN if the caller lacks every allowed role
+ */
+export const authorizeJobReport = async (req, _res, next) => {
+  const reportId = req.body?.reportId;
+  if (typeof reportId === 'string') {
+    await checkReportAccess(req, reportId);
+  }
+  if (req.body !== null && typeof req.body === 'object' && !Array.isArray(req.body)) {
+    const owner = getCallerId(req);
+    if (owner) {
+      req.body.owner = owner;
+    } else {
+      delete req.body.owner;
+    }
+  }
+  next();
+};
+
+/**
+ * Checks :jobId before a job request is proxied: the caller must still be
+ * allowed to run the job's report and must be its owner. Jobs started
+ * without a caller identity are only open to callers without one.
+ * The job status is left in res.locals.exportJob for the next handler.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ * @throws {NotFoundError} 404 JOB_NOT_FOUND if the API has no such job
+ * @throws {ForbiddenError} 403 REPORT_FORBIDDEN if the caller lacks every allowed role
+ * @throws {ForbiddenError} 403 JOB_FORBIDDEN if the job belongs to another caller
+ */
+export const authorizeJob = async (req, res, next) => {
+  const job = await fetchExportJob(req.params.jobId);
+  await checkReportAccess(req, job.reportId);
+  if ((job.owner ?? null) !== getCallerId(req)) {
+    throw new ForbiddenError(`Export job "${job.id}" belongs to another caller`, 'JOB_FORBIDDEN');
+  }
+
+  res.locals.exportJob = job;
+  next();
+};
@@ -12,20 +12,138 @@
  */
 import { Router } from 'express';
 import { createExportProxy } from '../middlewares/exportProxy.js';
+import {
+  authorizeReport,
+  authorizeFixedReport,
+  authorizeJobReport,
+  authorizeJob,
+} from '../middlewares/reportAccess.js';
+import { authorizeDownloadLink } from '../middlewares/downloadLink.js';
+import { listExports } from '../controllers/catalogController.js';
+import { createDownloadLink } from '../controllers/downloadLinkController.js';
+import { DEFAULT_REPORT_ID } from '../services/reportCatalog.js';
 
 const router = Router();
 
 /**
- * GET /exports/report(?rowCount=N)
- * Streams an Excel file from the API through the BFF to the browser.
+ * GET /exports
+ * Lists the reports the caller may run (API catalog filtered by the roles in
+ * CALLER_ROLES_HEADER), with links to the BFF routes below.
  */
-router.use('/report', createExportProxy('/export/report'));
+router.get('/', listExports);
+
+// The fixed /report routes run the API's built-in report, so they need the
+// same role check as /:reportId
+const authorizeDefaultReport = authorizeFixedReport(DEFAULT_REPORT_ID);
+
+/**
+ * GET /exports/report(?rowCount=N&format=F)
+ * Streams the report from the API through the BFF to the browser.
+ * The format (xlsx, csv, ndjson, json) comes from format= or the Accept
+ * header, both passed through to the API unchanged.
+ */
+router.use('/report', authorizeDefaultReport, createExportProxy('/export/report'));
+
+/**
+ * GET /exports/report.csv(?rowCount=N&delimiter=C&quote=C)
+ * Streams the report as CSV from the API through the BFF.
+ */
+router.use('/report.csv', authorizeDefaultReport, createExportProxy('/export/report.csv'));
+
+/**
+ * GET /exports/report.ndjson(?rowCount=N) and /exports/report.json(?rowCount=N)
+ * Streams the report as newline-delimited JSON or a JSON array.
+ */
+router.use('/report.ndjson', authorizeDefaultReport, createExportProxy('/export/report.ndjson'));
+router.use('/report.json', authorizeDefaultReport, createExportProxy('/export/report.json'));
 
 /**
  * GET /exports/report-buffered(?rowCount=N)
  * Streams a buffered Excel export from the API through the BFF.
  * Used to demonstrate memory exhaustion with large datasets.
  */
-router.use('/report-buffered', createExportProxy('/export/report-buffered'));
+router.use('/report-buffered', authorizeDefaultReport, createExportProxy('/export/report-buffered'));
+
+/**
+ * POST /exports/jobs  { reportId, format?, parameters? }
+ * Starts a background export (API: POST /export/jobs) of a report the
+ * caller may run, owned by the caller (CALLER_ID_HEADER); responds 202
+ * with the job id to poll.
+ */
+router.post('/jobs', authorizeJobReport, createExportProxy('/export/jobs'));
+
+/**
+ * GET /exports/jobs/:jobId
+ * Status and progress of a background export (its owner only, see authorizeJob).
+ */
+router.get(
+  '/jobs/:jobId',
+  authorizeJob,
+  createExportProxy((req) => `/export/jobs/${encodeURIComponent(req.params.jobId)}`),
+);
+
+/**
+ * DELETE /exports/jobs/:jobId  { reason? }
+ * Cancels a running background export; the reason is kept in its status.
+ * Owner only.
+ */
+router.delete(
+  '/jobs/:jobId',
+  authorizeJob,
+  createExportProxy((req) => `/export/jobs/${encodeURIComponent(req.params.jobId)}`),
+);
+
+/**
+ * GET /exports/jobs/:jobId/events
+ * Server-Sent Events with the progress of a background export, streamed
+ * through unbuffered like the downloads. Owner only.
+ */
+router.get(
+  '/jobs/:jobId/events',
+  authorizeJob,
+  createExportProxy((req) => `/export/jobs/${encodeURIComponent(req.params.jobId)}/events`),
+);
+
+/**
+ * GET /exports/jobs/:jobId/file
+ * Streams the file of a completed background export (Range requests are
+ * passed through, so interrupted downloads can resume). Owner only.
+ */
+router.get(
+  '/jobs/:jobId/file',
+  authorizeJob,
+  createExportProxy((req) => `/export/jobs/${encodeURIComponent(req.params.jobId)}/file`),
+);
+
+/**
+ * POST /exports/jobs/:jobId/links  { expiresIn?, singleUse? }
+ * Issues a signed, expiring link to the file of a completed export, for
+ * the caller (CALLER_ID_HEADER) to share; responds 201 with its href.
+ * Owner only.
+ */
+router.post('/jobs/:jobId/links', authorizeJob, createDownloadLink);
+
+/**
+ * GET /exports/downloads/:jobId?expires=…&by=…(&once=1)&signature=…
+ * Streams the file of a download link issued above. The signed link is the
+ * only credential: no roles are checked. Range requests are passed through.
+ */
+router.get(
+  '/downloads/:jobId',
+  authorizeDownloadLink,
+  createExportProxy((req) => `/export/jobs/${encodeURIComponent(req.params.jobId)}/file`),
+);
+
+/**
+ * GET /exports/:reportId(?<report parameters>&format=F)
+ * Streams any report from the API catalog the caller may run; unknown ids
+ * are 404 and reports outside the caller's roles are 403.
+ * Must stay last: the fixed /report routes above take precedence.
+ */
+router.get(
+  '/:reportId',
+  authorizeReport,
+  createExportProxy((req) => `/export/${encodeURIComponent(req.params.reportId)}`),
+);
 
 export default router;
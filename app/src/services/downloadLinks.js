@@ -0,0 +1,101 @@
+/**
+ * Download links — signed, expiring links to the file of a completed
+ * background export, for callers to share instead of the file itself.
+ *
+ * A link is /exports/downloads/:jobId with the expiry, the identity of the
+ * caller who issued it, an optional single-use flag and an HMAC signature
+ * over all of them in the query string (shared/src/auth/downloadLink.js,
+ * signed with JWT_SECRET). Whoever holds the link may download the file
+ * until it expires; the link is the credential, so no roles are checked
+ * when it is used. They are checked when it is issued.
+ *
+ * Single-use links are reserved in memory while their download runs and
+ * remembered once it has succeeded, until they expire; a failed download
+ * gives the link back. With several BFF instances, route a link's requests
+ * to one instance, or each instance will accept it once.
+ */
+import { URLSearchParams } from 'node:url';
+import { getEnv } from '../config/env.js';
+import { signDownloadLink, verifyDownloadLink } from '../../../shared/src/auth/downloadLink.js';
+import { ForbiddenError, GoneError } from '../utils/errors.js';
+
+const env = getEnv();
+
+/**
+ * Signatures of used (or in-use) single-use links → expiry (ms since the epoch)
+ */
+const usedLinks = new Map();
+
+/**
+ * Issues a signed link to the file of an export job
+ * @param {Object} options
+ * @param {string} options.jobId
+ * @param {string} options.caller - Identity of the issuing caller
+ * @param {number} options.expiresIn - Lifetime in seconds
+ * @param {boolean} options.singleUse
+ * @returns {{ path: string, expiresAt: Date }} path relative to /exports, with the signed query
+ */
+export const issueDownloadLink = ({ jobId, caller, expiresIn, singleUse }) => {
+  const link = signDownloadLink({ fileId: jobId, caller, singleUse }, env.JWT_SECRET, expiresIn);
+  const query = new URLSearchParams({
+    expires: link.expires,
+    by: link.caller,
+    ...(link.singleUse && { once: '1' }),
+    signature: link.signature,
+  });
+  return {
+    path: `/downloads/${encodeURIComponent(jobId)}?${query}`,
+    expiresAt: new Date(link.expires * 1000),
+  };
+};
+
+/**
+ * Verifies a download link and, if it is single-use, reserves it: it is
+ * refused from then on unless releaseDownloadLink() gives it back
+ * @param {string} jobId - :jobId of the link
+ * @param {Object} query - Its parsed query string
+ * @returns {{ fileId: string, caller: string, singleUse: boolean, expiresAt: Date }}
+ * @throws {ForbiddenError} 403 LINK_INVALID if the signature does not match
+ * @throws {GoneError} 410 LINK_EXPIRED after the expiry, 410 LINK_USED when a
+ *   single-use link is used again (or while it is in use)
+ */
+export const redeemDownloadLink = (jobId, query) => {
+  const link = {
+    fileId: jobId,
+    caller: typeof query.by === 'string' ? query.by : undefined,
+    singleUse: query.once === '1',
+    expires: typeof query.expires === 'string' && /^\d+$/.test(query.expires) ? Number(query.expires) : undefined,
+    signature: typeof query.signature === 'string' ? query.signature : undefined,
+  };
+
+  let verified;
+  try {
+    verified = verifyDownloadLink(link, env.JWT_SECRET);
+  } catch (err) {
+    if (err.name === 'DownloadLinkExpiredError') {
+      throw new GoneError(`Download link expired at ${err.expiresAt.toISOString()}`, 'LINK_EXPIRED');
+    }
+    throw new ForbiddenError(err.message, 'LINK_INVALID');
+  }
+
+  if (verified.singleUse) {
+    const now = Date.now();
+    for (const [signature, expiresAt] of usedLinks) {
+      if (expiresAt <= now) usedLinks.delete(signature);
+    }
+    if (usedLinks.has(link.signature)) {
+      throw new GoneError('Download link already used', 'LINK_USED');
+    }
+    usedLinks.set(link.signature, verified.expiresAt.getTime());
+  }
+  return verified;
+};
+
+/**
+ * Gives back a single-use link reserved by redeemDownloadLink(), for a
+ * download that did not succeed
+ * @param {string} signature - signature= of the link
+ */
+export const releaseDownloadLink = (signature) => {
+  usedLinks.delete(signature);
+};
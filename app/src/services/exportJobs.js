@@ -0,0 +1,51 @@
+/**
+ * Export job client — fetches the status of background exports from the
+ * API, for the BFF's own checks (job ownership, download links).
+ */
+import { getEnv } from '../config/env.js';
+import { generateToken } from '../../../shared/src/auth/jwt.js';
+import { NotFoundError, ProxyError } from '../utils/errors.js';
+
+// Node's built-in fetch (undici); not importable from a node: module
+const { fetch, AbortSignal } = globalThis;
+
+const env = getEnv();
+const apiTarget = `http://${env.API_HOST}:${env.API_PORT}`;
+
+/**
+ * Upper bound for the job status request
+ */
+const JOB_TIMEOUT_MS = 10000;
+
+/**
+ * Fetches the status of a background export from the API
+ * @param {string} jobId
+ * @returns {Promise<Object>} The job ({ id, reportId, owner, status, file, … })
+ * @throws {NotFoundError} 404 JOB_NOT_FOUND if the API has no such job
+ * @throws {ProxyError} 502 if the API is unreachable or fails, 504 on timeout
+ */
+export const fetchExportJob = async (jobId) => {
+  const token = generateToken(env.JWT_SECRET, env.JWT_EXPIRES_IN);
+
+  let response;
+  try {
+    response = await fetch(`${apiTarget}/export/jobs/${encodeURIComponent(jobId)}`, {
+      headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' },
+      signal: AbortSignal.timeout(JOB_TIMEOUT_MS),
+    });
+  } catch (err) {
+    const timedOut = err.name === 'TimeoutError';
+    throw new ProxyError(
+      `Export job unavailable: ${err.cause?.code || err.message}`,
+      timedOut ? 504 : 502,
+    );
+  }
+
+  if (response.status === 404) {
+    throw new NotFoundError(`Unknown export job "${jobId}"`, 'JOB_NOT_FOUND');
+  }
+  if (!response.ok) {
+    throw new ProxyError(`Export job request failed with status ${response.status}`);
+  }
+  return response.json();
+};
@@ -0,0 +1,94 @@
+/**
+ * Report catalog client — fetches the API's report catalog (GET /export) and
+ * decides which reports a caller may see and run.
+ *
+ * The API does not know the end user; each catalog entry carries the `roles`
+ * allowed to run it and the BFF matches them against the caller's roles from
+ * the CALLER_ROLES_HEADER request header. That header must be set (and any
+ * client-supplied value stripped) by the authenticating proxy in front of
+ * the BFF. A report with no roles is open to every caller.
+ */
+import { getEnv } from '../config/env.js';
+import { generateToken } from '../../../shared/src/auth/jwt.js';
+import { ProxyError } from '../utils/errors.js';
+
+// Node's built-in fetch (undici); not importable from a node: module
+const { fetch, AbortSignal } = globalThis;
+
+const env = getEnv();
+const apiTarget = `http://${env.API_HOST}:${env.API_PORT}`;
+
+/**
+ * Id of the report the API serves on its fixed /export/report routes
+ * (DEFAULT_REPORT_ID in api/src/config/reports.js)
+ */
+export const DEFAULT_REPORT_ID = 'generated-data';
+
+/**
+ * Upper bound for the catalog request (the catalog is small and static)
+ */
+const CATALOG_TIMEOUT_MS = 10000;
+
+/**
+ * Fetches every registered report from the API
+ * @param {Object} [options]
+ * @param {string} [options.language] - Accept-Language for the column headers
+ *   (the caller's header, or a lang= tag)
+ * @returns {Promise<Array<Object>>} Catalog entries ({ id, title, roles, … })
+ * @throws {ProxyError} 502 if the API is unreachable or fails, 504 on timeout
+ */
+export const fetchReportCatalog = async ({ language } = {}) => {
+  const token = generateToken(env.JWT_SECRET, env.JWT_EXPIRES_IN);
+
+  let response;
+  try {
+    response = await fetch(`${apiTarget}/export`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: 'application/json',
+        ...(language && { 'Accept-Language': language }),
+      },
+      signal: AbortSignal.timeout(CATALOG_TIMEOUT_MS),
+    });
+  } catch (err) {
+    const timedOut = err.name === 'TimeoutError';
+    throw new ProxyError(
+      `Report catalog unavailable: ${err.cause?.code || err.message}`,
+      timedOut ? 504 : 502,
+    );
+  }
+
+  if (!response.ok) {
+    throw new ProxyError(`Report catalog request failed with status ${response.status}`);
+  }
+  const { reports } = await response.json();
+  return reports;
+};
+
+/**
+ * Roles of the caller, from the CALLER_ROLES_HEADER request header
+ * @param {import('express').Request} req - Express request object
+ * @returns {Set<string>} Trimmed, non-empty role names (empty when absent)
+ */
+export const getCallerRoles = (req) => {
+  const header = req.headers[env.CALLER_ROLES_HEADER] ?? '';
+  const roles = String(header).split(',').map((role) => role.trim()).filter(Boolean);
+  return new Set(roles);
+};
+
+/**
+ * Identity of the caller, from the CALLER_ID_HEADER request header (set by
+ * the authenticating proxy like CALLER_ROLES_HEADER)
+ * @param {import('express').Request} req - Express request object
+ * @returns {string|null} Trimmed identity, null when absent or empty
+ */
+export const getCallerId = (req) => String(req.headers[env.CALLER_ID_HEADER] ?? '').trim() || null;
+
+/**
+ * Whether a caller with the given roles may run a report
+ * @param {Object} report - Catalog entry
+ * @param {Set<string>} roles - Output of getCallerRoles()
+ * @returns {boolean}
+ */
+export const canRunReport = (report, roles) =>
+  !report.roles?.length || report.roles.some((role) => roles.has(role));
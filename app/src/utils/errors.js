@@ -17,6 +17,67 @@ export class AppError extends Error {
   }
 }
 
+/**
+ * Invalid request body or parameters
+ */
+export class ValidationError extends AppError {
+  constructor(message, code = 'VALIDATION_ERROR') {
+    super(message, 400, code);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Caller could not be identified (no identity header from the authenticating proxy)
+ */
+export class UnauthorizedError extends AppError {
+  constructor(message, code = 'UNAUTHORIZED') {
+    super(message, 401, code);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/**
+ * Requested resource (e.g. a report id) does not exist
+ */
+export class NotFoundError extends AppError {
+  constructor(message, code = 'NOT_FOUND') {
+    super(message, 404, code);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * Caller is not allowed to use the requested resource
+ */
+export class ForbiddenError extends AppError {
+  constructor(message, code = 'FORBIDDEN') {
+    super(message, 403, code);
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * Request conflicts with the resource's current state (e.g. linking to an
+ * export job that has not completed)
+ */
+export class ConflictError extends AppError {
+  constructor(message, code = 'CONFLICT') {
+    super(message, 409, code);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Resource is no longer available (e.g. an expired or used download link)
+ */
+export class GoneError extends AppError {
+  constructor(message, code = 'GONE') {
+    super(message, 410, code);
+    this.name = 'GoneError';
+  }
+}
+
 /**
  * Environment configuration error — thrown during startup validation
  */
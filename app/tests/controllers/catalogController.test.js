@@ -0,0 +1,52 @@
+/**
+ * Unit tests for catalogController.js
+ * Validates GET /exports through the BFF: the API catalog filtered to the
+ * reports the caller's roles allow, with links to the BFF routes
+ * Run: node --test app/tests/controllers/catalogController.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import ApiServerMock from '../mocks/apiServer.mock.js';
+import { startBff } from '../mocks/bff.mock.js';
+
+test('Unit Tests - catalogController', async (t) => {
+  const api = await ApiServerMock.start({
+    reports: [
+      { id: 'generated-data', title: 'Generated test data', roles: [] },
+      { id: 'payroll', title: 'Payroll', roles: ['hr', 'finance'] },
+      { id: 'audit log', title: 'Audit log', roles: ['audit'] },
+    ],
+  });
+  const bff = await startBff(api);
+  t.after(async () => {
+    await bff.close();
+    await api.close();
+  });
+
+  const list = async (headers = {}) => {
+    const response = await bff.request('/exports', { headers });
+    assert.strictEqual(response.status, 200);
+    return (await response.json()).reports;
+  };
+
+  await t.test('Restricted reports are hidden from callers without their roles', async () => {
+    assert.deepStrictEqual((await list()).map(({ id }) => id), ['generated-data']);
+    assert.deepStrictEqual((await list({ 'x-user-roles': 'sales' })).map(({ id }) => id), ['generated-data']);
+  });
+
+  await t.test('Callers see the reports one of their roles allows', async () => {
+    assert.deepStrictEqual((await list({ 'x-user-roles': 'finance' })).map(({ id }) => id), ['generated-data', 'payroll']);
+    assert.deepStrictEqual(
+      (await list({ 'x-user-roles': ' audit , hr ' })).map(({ id }) => id),
+      ['generated-data', 'payroll', 'audit log'],
+    );
+  });
+
+  await t.test('Entries link to the BFF route of the report', async () => {
+    const reports = await list({ 'x-user-roles': 'audit' });
+    assert.deepStrictEqual(reports.map(({ href }) => href), ['/exports/generated-data', '/exports/audit%20log']);
+    assert.deepStrictEqual(reports[1], { id: 'audit log', title: 'Audit log', roles: ['audit'], href: '/exports/audit%20log' });
+  });
+});
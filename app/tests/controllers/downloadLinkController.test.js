@@ -0,0 +1,78 @@
+/**
+ * Unit tests for downloadLinkController.js
+ * Validates POST /exports/jobs/:jobId/links through the BFF: only the
+ * job's identified owner may issue links, and only for completed jobs
+ * Run: node --test app/tests/controllers/downloadLinkController.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import ApiServerMock from '../mocks/apiServer.mock.js';
+import { startBff } from '../mocks/bff.mock.js';
+
+const file = { key: 'job-done', size: 7 };
+
+test('Unit Tests - downloadLinkController', async (t) => {
+  const api = await ApiServerMock.start({
+    reports: [{ id: 'generated-data', roles: [] }],
+    jobs: [
+      { id: 'job-done', reportId: 'generated-data', owner: 'alice', status: 'completed', file },
+      { id: 'job-running', reportId: 'generated-data', owner: 'alice', status: 'running', file: null },
+      { id: 'job-anonymous', reportId: 'generated-data', owner: null, status: 'completed', file },
+    ],
+  });
+  const bff = await startBff(api);
+  t.after(async () => {
+    await bff.close();
+    await api.close();
+  });
+
+  const issue = (jobId, caller, body = {}) => bff.request(`/exports/jobs/${jobId}/links`, {
+    method: 'POST',
+    headers: caller ? { 'x-user-id': caller } : {},
+    body,
+  });
+
+  await t.test('The owner gets a signed link to the file', async () => {
+    const before = Date.now();
+    const response = await issue('job-done', 'alice', { expiresIn: 600, singleUse: true });
+    assert.strictEqual(response.status, 201);
+    const link = await response.json();
+
+    assert.match(link.href, /^\/exports\/downloads\/job-done\?expires=\d+&by=alice&once=1&signature=[\w-]+$/);
+    assert.strictEqual(link.singleUse, true);
+    assert.strictEqual(link.createdBy, 'alice');
+    assert.deepStrictEqual(link.file, file);
+    const expiresIn = (Date.parse(link.expiresAt) - before) / 1000;
+    assert.ok(expiresIn > 598 && expiresIn <= 600, `expires in ${expiresIn}s`);
+  });
+
+  await t.test('Other callers cannot issue links to the job', async () => {
+    for (const caller of ['bob', null]) {
+      const response = await issue('job-done', caller);
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual((await response.json()).error.code, 'JOB_FORBIDDEN');
+    }
+  });
+
+  await t.test('Jobs without an owner cannot be shared', async () => {
+    const response = await issue('job-anonymous', null);
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual((await response.json()).error.code, 'CALLER_UNKNOWN');
+  });
+
+  await t.test('Running jobs have no file to link to', async () => {
+    const response = await issue('job-running', 'alice');
+    assert.strictEqual(response.status, 409);
+    assert.strictEqual((await response.json()).error.code, 'JOB_NOT_COMPLETED');
+  });
+
+  await t.test('Link options are validated', async () => {
+    for (const body of [{ expiresIn: 10 }, { expiresIn: 1.5 }, { expiresIn: 604801 }, { singleUse: 'yes' }]) {
+      const response = await issue('job-done', 'alice', body);
+      assert.strictEqual(response.status, 400, JSON.stringify(body));
+      assert.strictEqual((await response.json()).error.code, 'INVALID_LINK_OPTIONS');
+    }
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Unit tests for downloadLink.js
+ * Validates GET /exports/downloads/:jobId through the BFF: the signed query
+ * is checked and stripped, a single-use link is used up by a successful
+ * download and given back when the upstream download fails
+ * Run: node --test app/tests/middlewares/downloadLink.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { URLSearchParams } from 'node:url';
+
+import { signDownloadLink } from '../../../shared/src/auth/downloadLink.js';
+import ApiServerMock, { FILE_BODY } from '../mocks/apiServer.mock.js';
+import { startBff, TEST_SECRET } from '../mocks/bff.mock.js';
+
+test('Unit Tests - downloadLink', async (t) => {
+  const api = await ApiServerMock.start({
+    reports: [{ id: 'generated-data', roles: ['finance'] }],
+    jobs: ['job-1', 'job-2', 'job-3'].map((id) => (
+      { id, reportId: 'generated-data', owner: 'alice', status: 'completed', file: { key: id } }
+    )),
+  });
+  const bff = await startBff(api);
+  t.after(async () => {
+    await bff.close();
+    await api.close();
+  });
+
+  const issue = async (jobId, body) => {
+    const response = await bff.request(`/exports/jobs/${jobId}/links`, {
+      method: 'POST',
+      headers: { 'x-user-id': 'alice', 'x-user-roles': 'finance' },
+      body,
+    });
+    assert.strictEqual(response.status, 201);
+    return (await response.json()).href;
+  };
+
+  const download = async (href) => {
+    const response = await bff.request(href);
+    const body = await response.text();
+    return { status: response.status, body, code: response.ok ? undefined : JSON.parse(body).error.code };
+  };
+
+  await t.test('A link downloads the file without roles or signature upstream', async () => {
+    const href = await issue('job-1', { singleUse: false });
+
+    assert.deepStrictEqual(await download(href), { status: 200, body: FILE_BODY, code: undefined });
+    assert.deepStrictEqual(await download(href), { status: 200, body: FILE_BODY, code: undefined });
+    // The signed query is the credential and stays in the BFF
+    assert.strictEqual(api.requests.at(-1), 'GET /export/jobs/job-1/file');
+  });
+
+  await t.test('A single-use link is used up by its download', async () => {
+    const href = await issue('job-2', { singleUse: true });
+
+    assert.strictEqual((await download(href)).status, 200);
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const { status, code } = await download(href);
+      assert.deepStrictEqual({ status, code }, { status: 410, code: 'LINK_USED' });
+    }
+  });
+
+  await t.test('An expired link is gone', async () => {
+    const link = signDownloadLink({ fileId: 'job-1', caller: 'alice' }, TEST_SECRET, -1);
+    const { status, code } = await download(`/exports/downloads/job-1?${new URLSearchParams({
+      expires: link.expires,
+      by: link.caller,
+      signature: link.signature,
+    })}`);
+    assert.deepStrictEqual({ status, code }, { status: 410, code: 'LINK_EXPIRED' });
+  });
+
+  await t.test('A failed download gives the single-use link back', async () => {
+    const href = await issue('job-3', { singleUse: true });
+
+    api.failFiles = 1;
+    assert.strictEqual((await download(href)).status, 500);
+    assert.deepStrictEqual(await download(href), { status: 200, body: FILE_BODY, code: undefined });
+    assert.strictEqual((await download(href)).code, 'LINK_USED');
+  });
+
+  await t.test('A changed link is refused before reaching the API', async () => {
+    const href = await issue('job-1', { singleUse: true, expiresIn: 120 });
+    const requests = api.requests.length;
+
+    const tampered = [
+      href.replace(/signature=(.)/, (_match, first) => `signature=${first === 'A' ? 'B' : 'A'}`),
+      href.replace('&once=1', ''),
+      href.replace('by=alice', 'by=bob'),
+      href.replace('/job-1?', '/job-2?'),
+    ];
+    for (const changed of tampered) {
+      const { status, code } = await download(changed);
+      assert.deepStrictEqual({ status, code }, { status: 403, code: 'LINK_INVALID' }, changed);
+    }
+    assert.strictEqual(api.requests.length, requests);
+  });
+});
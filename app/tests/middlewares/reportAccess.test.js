@@ -0,0 +1,131 @@
+/**
+ * Unit tests for reportAccess.js
+ * Validates through the BFF that reports run only for callers with one of
+ * their roles, and that background jobs are started for the calling owner
+ * and only reachable by that owner
+ * Run: node --test app/tests/middlewares/reportAccess.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import ApiServerMock from '../mocks/apiServer.mock.js';
+import { startBff } from '../mocks/bff.mock.js';
+
+test('Unit Tests - reportAccess', async (t) => {
+  const api = await ApiServerMock.start({
+    reports: [
+      { id: 'generated-data', roles: ['finance', 'audit'] },
+      { id: 'open-data', roles: [] },
+    ],
+    jobs: [
+      { id: 'job-alice', reportId: 'open-data', owner: 'alice', status: 'running', file: null },
+      { id: 'job-anonymous', reportId: 'open-data', owner: null, status: 'running', file: null },
+      { id: 'job-finance', reportId: 'generated-data', owner: 'alice', status: 'running', file: null },
+    ],
+  });
+  const bff = await startBff(api);
+  t.after(async () => {
+    await bff.close();
+    await api.close();
+  });
+
+  const startJob = (headers, body) => bff.request('/exports/jobs', { method: 'POST', headers, body });
+
+  // Every route that runs generated-data: by id and the fixed /report routes
+  const reportRoutes = [
+    '/exports/generated-data',
+    '/exports/report',
+    '/exports/report.csv',
+    '/exports/report.ndjson',
+    '/exports/report.json',
+    '/exports/report-buffered',
+  ];
+
+  await t.test('A restricted report runs for callers with one of its roles', async () => {
+    for (const path of reportRoutes) {
+      const response = await bff.request(`${path}?rowCount=10`, { headers: { 'x-user-roles': 'sales, audit' } });
+      assert.strictEqual(response.status, 200, path);
+    }
+    assert.strictEqual((await bff.request('/exports/open-data')).status, 200);
+  });
+
+  await t.test('A restricted report is 403 for callers without its roles', async () => {
+    const before = api.requests.length;
+    for (const headers of [{}, { 'x-user-roles': 'sales' }, { 'x-user-roles': 'Finance' }]) {
+      for (const path of reportRoutes) {
+        const response = await bff.request(`${path}?rowCount=10`, { headers });
+        assert.strictEqual(response.status, 403, `${path} ${JSON.stringify(headers)}`);
+        assert.strictEqual((await response.json()).error.code, 'REPORT_FORBIDDEN');
+      }
+    }
+    // Only catalog lookups reached the API
+    assert.deepStrictEqual(api.requests.slice(before).filter((request) => request !== 'GET /export'), []);
+  });
+
+  await t.test('Unknown reports are 404', async () => {
+    const response = await bff.request('/exports/payroll');
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual((await response.json()).error.code, 'REPORT_NOT_FOUND');
+  });
+
+  await t.test('Jobs need the roles of their report', async () => {
+    const started = await startJob({ 'x-user-id': 'alice', 'x-user-roles': 'sales' }, { reportId: 'generated-data' });
+    assert.strictEqual(started.status, 403);
+    assert.strictEqual((await started.json()).error.code, 'REPORT_FORBIDDEN');
+
+    const status = await bff.request('/exports/jobs/job-finance', { headers: { 'x-user-id': 'alice' } });
+    assert.strictEqual(status.status, 403);
+    assert.strictEqual((await status.json()).error.code, 'REPORT_FORBIDDEN');
+  });
+
+  await t.test('A job is owned by the caller, whatever owner the body names', async () => {
+    const response = await startJob({ 'x-user-id': 'alice' }, { reportId: 'open-data', owner: 'mallory' });
+    assert.strictEqual(response.status, 202);
+    assert.deepStrictEqual(api.created.at(-1), { reportId: 'open-data', owner: 'alice' });
+  });
+
+  await t.test('A job started without a caller identity has no owner', async () => {
+    const response = await startJob({}, { reportId: 'open-data', owner: 'mallory' });
+    assert.strictEqual(response.status, 202);
+    assert.deepStrictEqual(api.created.at(-1), { reportId: 'open-data' });
+  });
+
+  await t.test('The owner reaches the job', async () => {
+    const response = await bff.request('/exports/jobs/job-alice', { headers: { 'x-user-id': 'alice' } });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).id, 'job-alice');
+  });
+
+  await t.test('Other callers and anonymous requests are refused', async () => {
+    const requests = [
+      ['GET', '/exports/jobs/job-alice', { 'x-user-id': 'bob' }],
+      ['GET', '/exports/jobs/job-alice', {}],
+      ['GET', '/exports/jobs/job-alice', { 'x-user-id': ' ' }],
+      ['GET', '/exports/jobs/job-alice/events', { 'x-user-id': 'bob' }],
+      ['GET', '/exports/jobs/job-alice/file', { 'x-user-id': 'bob' }],
+      ['DELETE', '/exports/jobs/job-alice', { 'x-user-id': 'bob' }],
+      ['GET', '/exports/jobs/job-anonymous', { 'x-user-id': 'alice' }],
+    ];
+    const before = api.requests.length;
+    for (const [method, path, headers] of requests) {
+      const response = await bff.request(path, { method, headers });
+      assert.strictEqual(response.status, 403, `${method} ${path} ${JSON.stringify(headers)}`);
+      assert.strictEqual((await response.json()).error.code, 'JOB_FORBIDDEN');
+    }
+    // Only the lookups of the checks reached the API, nothing was proxied
+    const proxied = api.requests.slice(before).filter((request) => !/^GET \/export(\/jobs\/[\w-]+)?$/.test(request));
+    assert.deepStrictEqual(proxied, []);
+  });
+
+  await t.test('Anonymous jobs stay open to anonymous callers', async () => {
+    const response = await bff.request('/exports/jobs/job-anonymous');
+    assert.strictEqual(response.status, 200);
+  });
+
+  await t.test('Unknown jobs are 404', async () => {
+    const response = await bff.request('/exports/jobs/job-missing', { headers: { 'x-user-id': 'alice' } });
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual((await response.json()).error.code, 'JOB_NOT_FOUND');
+  });
+});
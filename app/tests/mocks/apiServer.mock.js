@@ -0,0 +1,91 @@
+/**
+ * Stand-in for the export API behind the BFF
+ * An in-process HTTP server answering the requests the BFF sends: the
+ * report catalog (GET /export), job status and files (GET /export/jobs/…),
+ * job creation (POST /export/jobs) and report downloads. Requests without
+ * a bearer token are refused with 401, like the API's JWT middleware.
+ */
+
+import http from 'node:http';
+import { once } from 'node:events';
+import { Buffer } from 'node:buffer';
+
+/**
+ * Body of every job file and report download
+ */
+export const FILE_BODY = 'Id\r\n1\r\n';
+
+class ApiServerMock {
+  /**
+   * Start a stand-in API on a free port
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.reports=[]] - Catalog entries ({ id, title, roles, … })
+   * @param {Array<Object>} [options.jobs=[]] - Job statuses ({ id, reportId, owner, status, file })
+   * @returns {Promise<Object>} { port, reports, jobs, created, requests, failFiles, close() };
+   *   jobs maps ids to statuses, created collects the bodies of POST /export/jobs,
+   *   requests logs '<METHOD> <url>' per request, and the next failFiles
+   *   file downloads (settable) answer 500
+   */
+  static async start({ reports = [], jobs = [] } = {}) {
+    const api = {
+      reports,
+      jobs: new Map(jobs.map((job) => [job.id, job])),
+      created: [],
+      requests: [],
+      failFiles: 0,
+    };
+
+    const server = http.createServer(async (req, res) => {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      api.requests.push(`${req.method} ${req.url}`);
+
+      const json = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      };
+      const error = (status, code) => json(status, { error: { message: code, code } });
+
+      if (!req.headers.authorization?.startsWith('Bearer ')) return error(401, 'UNAUTHORIZED');
+
+      const path = req.url.split('?')[0];
+      if (req.method === 'GET' && path === '/export') return json(200, { reports: api.reports });
+
+      if (req.method === 'POST' && path === '/export/jobs') {
+        const body = JSON.parse(Buffer.concat(chunks).toString() || '{}');
+        api.created.push(body);
+        return json(202, { id: `job-${api.created.length}`, status: 'running', ...body });
+      }
+
+      const job = /^\/export\/jobs\/([^/]+)(\/file)?$/.exec(path);
+      if (job) {
+        const status = api.jobs.get(decodeURIComponent(job[1]));
+        if (!status) return error(404, 'JOB_NOT_FOUND');
+        if (!job[2]) return json(200, status);
+        if (api.failFiles > 0) {
+          api.failFiles--;
+          return error(500, 'STORAGE_ERROR');
+        }
+        res.writeHead(200, { 'Content-Type': 'text/csv; charset=utf-8' });
+        return res.end(FILE_BODY);
+      }
+
+      // Report downloads (/export/report…, /export/:reportId)
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/csv; charset=utf-8' });
+        return res.end(FILE_BODY);
+      }
+      return error(404, 'NOT_FOUND');
+    });
+
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    return Object.assign(api, {
+      port: server.address().port,
+      close: () => new Promise((resolve) => server.close(resolve)),
+    });
+  }
+}
+
+export default ApiServerMock;
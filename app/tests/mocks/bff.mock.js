@@ -0,0 +1,49 @@
+/**
+ * Starts the BFF (src/app.js) in-process against a stand-in API
+ * The BFF reads its environment when its modules load, so the environment
+ * is set first and the app imported afterwards; tests must not import BFF
+ * modules statically. Each test file runs in its own process, so it gets
+ * one BFF.
+ */
+
+import http from 'node:http';
+import process from 'node:process';
+import { once } from 'node:events';
+
+// Node's built-in fetch (undici); not importable from a node: module
+const { fetch } = globalThis;
+
+/**
+ * JWT_SECRET of the BFF under test (also the key of its download links)
+ */
+export const TEST_SECRET = 'bff-test-secret-at-least-32-characters';
+
+/**
+ * Start the BFF on a free port
+ * @param {Object} api - From ApiServerMock.start()
+ * @returns {Promise<Object>} { request(path, options), close() }; request()
+ *   sends to the BFF with fetch() options, a JSON `body` object is sent as JSON
+ */
+export const startBff = async (api) => {
+  Object.assign(process.env, {
+    API_HOST: '127.0.0.1',
+    API_PORT: String(api.port),
+    JWT_SECRET: TEST_SECRET,
+    NODE_ENV: 'test',
+  });
+  const { default: app } = await import('../../src/app.js');
+
+  const server = http.createServer(app);
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const origin = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    request: (path, { body, headers = {}, ...options } = {}) => fetch(`${origin}${path}`, {
+      ...options,
+      headers: { ...headers, ...(body !== undefined && { 'Content-Type': 'application/json' }) },
+      ...(body !== undefined && { body: JSON.stringify(body) }),
+    }),
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
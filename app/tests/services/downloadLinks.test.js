@@ -0,0 +1,97 @@
+/**
+ * Unit tests for downloadLinks.js
+ * Validates issuing and redeeming signed download links: single-use
+ * reservation and release, expiry and tampered links
+ * Run: node --test app/tests/services/downloadLinks.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import process from 'node:process';
+import { URLSearchParams } from 'node:url';
+
+import { TEST_SECRET } from '../mocks/bff.mock.js';
+
+// The service reads JWT_SECRET when it loads
+process.env.JWT_SECRET = TEST_SECRET;
+const { issueDownloadLink, redeemDownloadLink, releaseDownloadLink } = await import('../../src/services/downloadLinks.js');
+const { ForbiddenError, GoneError } = await import('../../src/utils/errors.js');
+
+/**
+ * Issues a link and splits its path into :jobId and the parsed query.
+ * Links with the same fields issued in the same second are the same link,
+ * so each test uses its own job.
+ */
+const issue = (options) => {
+  const { path, expiresAt } = issueDownloadLink({ jobId: 'job-1', caller: 'alice', expiresIn: 3600, singleUse: false, ...options });
+  const [, jobId, search] = /^\/downloads\/([^?]+)\?(.*)$/.exec(path);
+  return { jobId: decodeURIComponent(jobId), query: Object.fromEntries(new URLSearchParams(search)), expiresAt };
+};
+
+const rejectsWith = (fn, ErrorClass, code) => assert.throws(fn, (err) => {
+  assert.ok(err instanceof ErrorClass, `${err.name}: ${err.message}`);
+  assert.strictEqual(err.code, code);
+  return true;
+});
+
+test('Unit Tests - downloadLinks', async (t) => {
+  await t.test('A link redeems for its job and issuer until it expires', () => {
+    const { jobId, query, expiresAt } = issue();
+    assert.strictEqual(jobId, 'job-1');
+    assert.strictEqual(query.by, 'alice');
+    assert.strictEqual(query.once, undefined);
+
+    const link = redeemDownloadLink(jobId, query);
+    assert.deepStrictEqual(link, { fileId: 'job-1', caller: 'alice', singleUse: false, expiresAt });
+    // Not single-use: may be used again
+    assert.strictEqual(redeemDownloadLink(jobId, query).caller, 'alice');
+  });
+
+  await t.test('A single-use link is reserved by its first use', () => {
+    const { jobId, query } = issue({ jobId: 'job-2', singleUse: true });
+    assert.strictEqual(query.once, '1');
+
+    assert.strictEqual(redeemDownloadLink(jobId, query).singleUse, true);
+    rejectsWith(() => redeemDownloadLink(jobId, query), GoneError, 'LINK_USED');
+    rejectsWith(() => redeemDownloadLink(jobId, query), GoneError, 'LINK_USED');
+  });
+
+  await t.test('A released single-use link can be used again', () => {
+    const { jobId, query } = issue({ jobId: 'job-3', singleUse: true });
+    redeemDownloadLink(jobId, query);
+    releaseDownloadLink(query.signature);
+
+    redeemDownloadLink(jobId, query);
+    rejectsWith(() => redeemDownloadLink(jobId, query), GoneError, 'LINK_USED');
+  });
+
+  await t.test('An expired link is gone', () => {
+    const { jobId, query } = issue({ expiresIn: -1 });
+    rejectsWith(() => redeemDownloadLink(jobId, query), GoneError, 'LINK_EXPIRED');
+  });
+
+  await t.test('A link changed after signing is invalid', () => {
+    const { jobId, query } = issue({ jobId: 'job-4', singleUse: true });
+    const reusable = { ...query };
+    delete reusable.once;
+    const signature = `${query.signature[0] === 'A' ? 'B' : 'A'}${query.signature.slice(1)}`;
+    const tampered = [
+      ['another job', 'job-1', query],
+      ['another issuer', jobId, { ...query, by: 'mallory' }],
+      ['a later expiry', jobId, { ...query, expires: String(Number(query.expires) + 3600) }],
+      ['once= dropped', jobId, reusable],
+      ['another signature', jobId, { ...query, signature }],
+      ['no signature', jobId, { ...query, signature: undefined }],
+      ['a repeated parameter', jobId, { ...query, by: ['alice', 'alice'] }],
+    ];
+    for (const [change, changedJob, changedQuery] of tampered) {
+      assert.throws(() => redeemDownloadLink(changedJob, changedQuery), (err) => {
+        assert.ok(err instanceof ForbiddenError, change);
+        assert.strictEqual(err.code, 'LINK_INVALID', change);
+        return true;
+      });
+    }
+    // None of them used up the link
+    assert.strictEqual(redeemDownloadLink(jobId, query).singleUse, true);
+  });
+});
@@ -0,0 +1,43 @@
+CREATE FUNCTION [dbo].[fnGenerateData]
+(
+  @RowCount INT
+)
+RETURNS TABLE
+AS
+RETURN
+  -- Same columns and types as spGenerateData, as an inline table-valued
+  -- function so exports can filter and sort it:
+  --   SELECT * FROM dbo.fnGenerateData(@RowCount) WHERE ... ORDER BY ...
+  -- NEWID() is not allowed in functions, and a random value would be
+  -- recomputed between WHERE and SELECT anyway, so each row derives its
+  -- values from a hash of its row number: pseudo-random but stable per Id.
+  WITH nums AS (
+    SELECT TOP (@RowCount) ROW_NUMBER() OVER (ORDER BY (SELECT NULL)) AS n
+    FROM sys.all_objects a
+    CROSS JOIN sys.all_objects b
+  )
+  SELECT
+    n AS Id,
+    -- 1: fairly small int
+    CAST(CAST(SUBSTRING(r.h, 1, 4) AS BIGINT) % 1000000 AS INT) AS ColInt,
+    -- 2: larger bigint
+    CAST(SUBSTRING(r.h, 5, 4) AS BIGINT) * 1000 + n AS ColBigInt,
+    -- 3: decimal with two places
+    CAST((CAST(SUBSTRING(r.h, 9, 4) AS BIGINT) % 100000) AS DECIMAL(10,2)) / 100.0 AS ColDecimal,
+    -- 4: float
+    CAST((CAST(SUBSTRING(r.h, 13, 4) AS BIGINT) % 100000) AS FLOAT) / 100.0 AS ColFloat,
+    -- 5: boolean-ish
+    CAST(CAST(SUBSTRING(r.h, 17, 1) AS INT) % 2 AS BIT) AS ColBit,
+    -- 6: guid
+    CAST(SUBSTRING(r.h, 1, 16) AS UNIQUEIDENTIFIER) AS ColGuid,
+    -- 7: datetime within ~10 years
+    DATEADD(SECOND, CAST(CAST(SUBSTRING(r.h, 21, 4) AS BIGINT) % (60*60*24*3650) AS INT), CAST('2000-01-01' AS DATETIME)) AS ColDate,
+    -- 8: short varchar-like value
+    CONCAT('Name_', CAST(SUBSTRING(r.h, 25, 4) AS BIGINT) % 1000000) AS ColVarchar,
+    -- 9: longer text blob (~200 chars)
+    REPLICATE(CHAR(65 + CAST(SUBSTRING(r.h, 29, 1) AS INT) % 26), 200) AS ColText,
+    -- 10: a semi-structured JSON-ish string to simulate varied content
+    CONCAT('{"k":', CAST(SUBSTRING(r.h, 30, 2) AS INT) % 10000, ',"s":"', LOWER(CONVERT(varchar(8), SUBSTRING(r.h, 1, 4), 2)), '"}') AS ColJson
+  FROM nums
+  CROSS APPLY (SELECT HASHBYTES('SHA2_256', CAST(n AS BINARY(8))) AS h) AS r;
+GO
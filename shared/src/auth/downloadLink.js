@@ -0,0 +1,117 @@
+/**
+ * Signed Download Links
+ *
+ * HMAC-SHA256 signatures for shareable, expiring links to generated export
+ * files. A link carries the file id, its expiry and the identity of the
+ * caller who issued it; the signature covers all of them (and the
+ * single-use flag), so none can be changed without invalidating the link.
+ *
+ * Links are signed with the JWT secret shared by the App and the API. The
+ * signing key is derived from it for this purpose only, so a link signature
+ * can never be mistaken for (or used to forge) an inter-service token.
+ */
+
+import crypto from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+/**
+ * Context string of the key derivation — changing it invalidates every link
+ */
+const KEY_CONTEXT = 'excel-export-download-link';
+
+/**
+ * Link signature is missing, malformed or does not match (cf. JsonWebTokenError)
+ */
+export class DownloadLinkError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DownloadLinkError';
+  }
+}
+
+/**
+ * Link signature is valid but its expiry has passed (cf. TokenExpiredError)
+ */
+export class DownloadLinkExpiredError extends DownloadLinkError {
+  constructor(message, expiresAt) {
+    super(message);
+    this.name = 'DownloadLinkExpiredError';
+    this.expiresAt = expiresAt;
+  }
+}
+
+/**
+ * HMAC of the signed fields with the derived key
+ * JSON keeps the fields unambiguous whatever characters the caller id has.
+ */
+function computeSignature({ fileId, expires, caller, singleUse }, secret) {
+  const key = crypto.createHmac('sha256', secret).update(KEY_CONTEXT).digest();
+  return crypto.createHmac('sha256', key)
+    .update(JSON.stringify([fileId, expires, caller, singleUse]))
+    .digest('base64url');
+}
+
+/**
+ * Sign a download link
+ *
+ * @param {object} link
+ * @param {string} link.fileId - Id of the file (the export job id)
+ * @param {string} link.caller - Identity of the caller issuing the link
+ * @param {boolean} [link.singleUse=false] - Whether the link may be used only once
+ * @param {string} secret - JWT secret key from environment
+ * @param {number} [expiresIn=86400] - Seconds until the link expires (default: 24 hours)
+ * @param {number} [now=Date.now()] - Current time in milliseconds (fixed in tests)
+ * @returns {{ fileId: string, caller: string, singleUse: boolean, expires: number, signature: string }}
+ *   The signed fields, expires in seconds since the epoch
+ *
+ * @example
+ * const link = signDownloadLink({ fileId: job.id, caller: 'alice' }, process.env.JWT_SECRET, 3600);
+ * // Returns: { fileId, caller: 'alice', singleUse: false, expires: 1767225600, signature: 'kq3…' }
+ */
+export function signDownloadLink({ fileId, caller, singleUse = false }, secret, expiresIn = 86400, now = Date.now()) {
+  const fields = { fileId, expires: Math.floor(now / 1000) + expiresIn, caller, singleUse };
+  return { ...fields, signature: computeSignature(fields, secret) };
+}
+
+/**
+ * Verify a download link
+ *
+ * @param {object} link - Fields as received (e.g. from the link's query string)
+ * @param {string} link.fileId
+ * @param {string} link.caller
+ * @param {boolean} link.singleUse
+ * @param {number} link.expires - Seconds since the epoch
+ * @param {string} link.signature
+ * @param {string} secret - JWT secret key from environment
+ * @param {number} [now=Date.now()] - Current time in milliseconds (fixed in tests)
+ * @returns {{ fileId: string, caller: string, singleUse: boolean, expiresAt: Date }}
+ * @throws {DownloadLinkError} If a field is missing or the signature does not match
+ * @throws {DownloadLinkExpiredError} If the link has expired
+ *
+ * @example
+ * try {
+ *   const { fileId, caller } = verifyDownloadLink(fields, process.env.JWT_SECRET);
+ * } catch (err) {
+ *   if (err.name === 'DownloadLinkExpiredError') {
+ *     console.error('Link expired at', err.expiresAt);
+ *   }
+ * }
+ */
+export function verifyDownloadLink({ fileId, caller, singleUse, expires, signature }, secret, now = Date.now()) {
+  if (typeof fileId !== 'string' || typeof caller !== 'string' || typeof singleUse !== 'boolean'
+    || !Number.isSafeInteger(expires) || typeof signature !== 'string') {
+    throw new DownloadLinkError('Incomplete download link');
+  }
+
+  const expected = Buffer.from(computeSignature({ fileId, expires, caller, singleUse }, secret));
+  const received = Buffer.from(signature);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    throw new DownloadLinkError('Invalid download link signature');
+  }
+
+  const expiresAt = new Date(expires * 1000);
+  if (now >= expiresAt.getTime()) {
+    throw new DownloadLinkExpiredError('Download link expired', expiresAt);
+  }
+  return { fileId, caller, singleUse, expiresAt };
+}
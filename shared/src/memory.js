@@ -2,7 +2,7 @@
  * Creates a memory logger function that tracks peak memory usage
  * @param {NodeJS.Process} proc - The process to monitor memory usage
  * @param {Function} logger - The logging function (e.g., debug instance)
- * @returns {Function} A function that logs current memory usage with getPeakSummary() and logPeakSummary() methods
+ * @returns {Function} A function that logs current memory usage with getPeakSummary(), getSnapshot() and logPeakSummary() methods
  */
 const createMemoryLogger = (proc, logger) => {
   // Track peak values
@@ -54,17 +54,35 @@ const createMemoryLogger = (proc, logger) => {
     );
   };
 
+  /**
+   * Memory values in bytes and formatted MB
+   * @param {Object} mem - Memory usage or peak values
+   * @returns {Object} { rss, heapUsed, heapTotal, external, arrayBuffers }, each { bytes, mb }
+   */
+  const summarize = (mem) => ({
+    rss: { bytes: mem.rss, mb: formatMB(mem.rss) },
+    heapUsed: { bytes: mem.heapUsed, mb: formatMB(mem.heapUsed) },
+    heapTotal: { bytes: mem.heapTotal, mb: formatMB(mem.heapTotal) },
+    external: { bytes: mem.external, mb: formatMB(mem.external) },
+    arrayBuffers: { bytes: mem.arrayBuffers ?? 0, mb: formatMB(mem.arrayBuffers ?? 0) }
+  });
+
   /**
    * Returns the peak memory values seen so far
    * @returns {Object} Peak memory values in bytes and formatted MB
    */
-  memoryLogger.getPeakSummary = () => ({
-    rss: { bytes: peaks.rss, mb: formatMB(peaks.rss) },
-    heapUsed: { bytes: peaks.heapUsed, mb: formatMB(peaks.heapUsed) },
-    heapTotal: { bytes: peaks.heapTotal, mb: formatMB(peaks.heapTotal) },
-    external: { bytes: peaks.external, mb: formatMB(peaks.external) },
-    arrayBuffers: { bytes: peaks.arrayBuffers, mb: formatMB(peaks.arrayBuffers) }
-  });
+  memoryLogger.getPeakSummary = () => summarize(peaks);
+
+  /**
+   * Takes a memory snapshot without logging it (e.g. for progress reports)
+   * and updates peak tracking
+   * @returns {Object} Current memory values in bytes and formatted MB
+   */
+  memoryLogger.getSnapshot = () => {
+    const mem = proc.memoryUsage();
+    updatePeaks(mem);
+    return summarize(mem);
+  };
 
   /**
    * Logs the peak memory summary
@@ -0,0 +1,88 @@
+/**
+ * Unit tests for signed download links
+ * Run: node --test shared/tests/auth/downloadLink.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { signDownloadLink, verifyDownloadLink, DownloadLinkError } from '../../src/auth/downloadLink.js';
+
+const TEST_SECRET = 'test-secret-key-minimum-32-characters-long';
+const NOW = Date.parse('2025-01-01T00:00:00Z');
+const FILE_ID = '3f0c2a9e-5b7d-4c1e-9a8f-0d6e4b2c1a7f';
+
+test('Download Link Utilities', async (t) => {
+  await t.test('signDownloadLink - signs the fields with the expiry in seconds', () => {
+    const link = signDownloadLink({ fileId: FILE_ID, caller: 'alice' }, TEST_SECRET, 3600, NOW);
+
+    assert.strictEqual(link.fileId, FILE_ID);
+    assert.strictEqual(link.caller, 'alice');
+    assert.strictEqual(link.singleUse, false);
+    assert.strictEqual(link.expires, NOW / 1000 + 3600);
+    assert.match(link.signature, /^[\w-]{43}$/); // base64url SHA-256
+  });
+
+  await t.test('verifyDownloadLink - accepts an unexpired link', () => {
+    const link = signDownloadLink({ fileId: FILE_ID, caller: 'alice', singleUse: true }, TEST_SECRET, 3600, NOW);
+    const verified = verifyDownloadLink(link, TEST_SECRET, NOW + 1000);
+
+    assert.deepStrictEqual(verified, {
+      fileId: FILE_ID,
+      caller: 'alice',
+      singleUse: true,
+      expiresAt: new Date('2025-01-01T01:00:00Z'),
+    });
+  });
+
+  await t.test('verifyDownloadLink - rejects a changed field', () => {
+    const link = signDownloadLink({ fileId: FILE_ID, caller: 'alice', singleUse: true }, TEST_SECRET, 3600, NOW);
+    const changes = [
+      { fileId: '00000000-0000-0000-0000-000000000000' },
+      { caller: 'mallory' },
+      { singleUse: false },
+      { expires: link.expires + 86400 },
+      { signature: `${link.signature.slice(0, -1)}A` },
+    ];
+
+    for (const change of changes) {
+      assert.throws(
+        () => verifyDownloadLink({ ...link, ...change }, TEST_SECRET, NOW),
+        { name: 'DownloadLinkError', message: /Invalid download link signature/ },
+        Object.keys(change)[0],
+      );
+    }
+  });
+
+  await t.test('verifyDownloadLink - rejects a link signed with another secret', () => {
+    const link = signDownloadLink({ fileId: FILE_ID, caller: 'alice' }, 'wrong-secret-key-different-from-original', 3600, NOW);
+
+    assert.throws(() => verifyDownloadLink(link, TEST_SECRET, NOW), DownloadLinkError);
+  });
+
+  await t.test('verifyDownloadLink - rejects an expired link', () => {
+    const link = signDownloadLink({ fileId: FILE_ID, caller: 'alice' }, TEST_SECRET, 60, NOW);
+
+    assert.throws(
+      () => verifyDownloadLink(link, TEST_SECRET, NOW + 60 * 1000),
+      (err) => {
+        assert.strictEqual(err.name, 'DownloadLinkExpiredError');
+        assert.ok(err instanceof DownloadLinkError);
+        assert.deepStrictEqual(err.expiresAt, new Date(NOW + 60 * 1000));
+        return true;
+      },
+    );
+  });
+
+  await t.test('verifyDownloadLink - rejects incomplete links', () => {
+    const link = signDownloadLink({ fileId: FILE_ID, caller: 'alice' }, TEST_SECRET, 3600, NOW);
+
+    for (const field of ['fileId', 'caller', 'singleUse', 'expires', 'signature']) {
+      assert.throws(
+        () => verifyDownloadLink({ ...link, [field]: undefined }, TEST_SECRET, NOW),
+        { name: 'DownloadLinkError', message: /Incomplete download link/ },
+        field,
+      );
+    }
+    assert.throws(() => verifyDownloadLink({ ...link, expires: String(link.expires) }, TEST_SECRET, NOW), DownloadLinkError);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for the memory logger
+ * Run: node --test shared/tests/utils/memory.test.js
+ */
+
+import test from 'node:test';
+import assert from 'node:assert';
+import { createMemoryLogger } from '../../src/memory.js';
+
+const MB = 1024 * 1024;
+
+/**
+ * Process stand-in returning the given memoryUsage() results in turn
+ */
+const createProcess = (...usages) => ({
+  memoryUsage: () => usages.shift(),
+});
+
+test('Memory Logger', async (t) => {
+  await t.test('getSnapshot - returns current values in bytes and MB without logging', () => {
+    const lines = [];
+    const memoryLogger = createMemoryLogger(createProcess({
+      rss: 100 * MB, heapUsed: 40 * MB, heapTotal: 60 * MB, external: 2.5 * MB, arrayBuffers: MB / 2,
+    }), (line) => lines.push(line));
+
+    assert.deepStrictEqual(memoryLogger.getSnapshot(), {
+      rss: { bytes: 100 * MB, mb: '100.00' },
+      heapUsed: { bytes: 40 * MB, mb: '40.00' },
+      heapTotal: { bytes: 60 * MB, mb: '60.00' },
+      external: { bytes: 2.5 * MB, mb: '2.50' },
+      arrayBuffers: { bytes: MB / 2, mb: '0.50' },
+    });
+    assert.deepStrictEqual(lines, []);
+  });
+
+  await t.test('getSnapshot - reports missing arrayBuffers as 0', () => {
+    const memoryLogger = createMemoryLogger(createProcess({
+      rss: MB, heapUsed: MB, heapTotal: MB, external: 0,
+    }), () => {});
+
+    assert.deepStrictEqual(memoryLogger.getSnapshot().arrayBuffers, { bytes: 0, mb: '0.00' });
+  });
+
+  await t.test('getSnapshot - updates the peaks of getPeakSummary', () => {
+    const memoryLogger = createMemoryLogger(createProcess(
+      { rss: 80 * MB, heapUsed: 50 * MB, heapTotal: 60 * MB, external: MB, arrayBuffers: 0 },
+      { rss: 90 * MB, heapUsed: 30 * MB, heapTotal: 60 * MB, external: MB, arrayBuffers: 0 },
+    ), () => {});
+
+    memoryLogger('start');
+    const snapshot = memoryLogger.getSnapshot();
+    const peaks = memoryLogger.getPeakSummary();
+
+    assert.strictEqual(snapshot.heapUsed.mb, '30.00');
+    assert.deepStrictEqual(peaks.rss, { bytes: 90 * MB, mb: '90.00' });
+    assert.deepStrictEqual(peaks.heapUsed, { bytes: 50 * MB, mb: '50.00' });
+  });
+});